@@ -0,0 +1,301 @@
+/**
+ * Canonical Product schema
+ * Every scraper tier emits products in its own shape; normaliseProducts() maps them onto
+ * the single schema below before results leave the backend and rejects malformed items.
+ *
+ * Canonical product:
+ * {
+ *   id: string,                 // Retailer-native id (ASIN, FSN, SKU...)
+ *   retailerId: string,         // Retailer key, e.g. 'amazon', 'relianceDigital'
+ *   retailerName: string,       // Display name, e.g. 'Reliance Digital'
+ *   title: string,
+ *   price: number,              // Selling price in integer paise
+ *   mrp: number|null,           // Maximum retail price in integer paise
+ *   currency: string,           // ISO 4217 code, always 'INR' today
+ *   discountPercentage: number,
+ *   availability: string,       // 'in_stock' | 'out_of_stock' | 'unknown'
+ *   seller: string|null,
+ *   sponsored: boolean,         // Paid placement in the retailer's results
+ *   rating: number|null,        // 0-5
+ *   ratingCount: number|null,
+ *   imageUrl: string|null,
+ *   url: string,                // Canonical product URL without tracking parameters
+ *   fetchStrategy: string,
+ *   fetchedAt: string,          // ISO timestamp
+ *   issues: string[]            // Non-fatal problems found while normalising
+ * }
+ */
+
+const retailerRegistry = require('../scraper/retailerRegistry');
+
+const CURRENCY = 'INR';
+
+const AVAILABILITY = {
+  IN_STOCK: 'in_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+  UNKNOWN: 'unknown'
+};
+
+const toAlias = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Retailers we know how to canonicalise, keyed by their lowercase alphanumeric alias
+ * Read from the retailer registry on every call so plugins registered at runtime count.
+ * @returns {Object} - { id, name, origin } keyed by alias
+ */
+function retailerConfigs() {
+  return Object.fromEntries(retailerRegistry.list().map(plugin => [
+    toAlias(plugin.id),
+    { id: plugin.id, name: plugin.name, origin: plugin.origin }
+  ]));
+}
+
+// The retailers loaded at startup
+const RETAILERS = retailerConfigs();
+
+/**
+ * Resolve any spelling of a retailer ('Reliance Digital', 'relianceDigital') to its config
+ * @param {string} value - Retailer key or display name
+ * @returns {Object|null} - Retailer config
+ */
+function resolveRetailer(value) {
+  if (!value) return null;
+  const alias = toAlias(value);
+  return Object.values(retailerConfigs()).find(retailer =>
+    toAlias(retailer.id) === alias || toAlias(retailer.name) === alias) || null;
+}
+
+/**
+ * Find the retailer a URL belongs to from its hostname
+ * @param {string} url - Absolute URL
+ * @returns {Object|null} - Retailer config
+ */
+function retailerForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+
+  return Object.values(retailerConfigs()).find(retailer => {
+    const retailerHost = new URL(retailer.origin).hostname.replace(/^www\./, '');
+    return hostname === retailerHost || hostname.endsWith(`.${retailerHost}`);
+  }) || null;
+}
+
+/**
+ * Convert a rupee amount (number or text such as "₹1,49,999.00") to integer paise
+ * @param {string|number} value - Rupee amount
+ * @returns {number|null} - Paise or null if the value is not a usable price
+ */
+function toPaise(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rupees = typeof value === 'number'
+    ? value
+    : parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(rupees) || rupees <= 0) return null;
+  return Math.round(rupees * 100);
+}
+
+/**
+ * Strip tracking parameters so the same product always has the same URL
+ * @param {string} url - Product URL
+ * @param {Object|null} retailer - Retailer config
+ * @param {string} id - Product id
+ * @returns {string|null} - Canonical URL or null if the URL is unusable
+ */
+function canonicaliseUrl(url, retailer, id) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url, retailer ? retailer.origin : undefined);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  const plugin = retailer ? retailerRegistry.get(retailer.id) : null;
+  const custom = plugin && plugin.canonicaliseUrl ? plugin.canonicaliseUrl(parsed, id) : null;
+  if (custom) {
+    return custom;
+  }
+
+  // Keep only the parameters that identify the product; everything else is tracking
+  const kept = new URLSearchParams();
+  for (const name of (plugin && plugin.productUrlParams) || []) {
+    if (parsed.searchParams.has(name)) {
+      kept.set(name, parsed.searchParams.get(name));
+    }
+  }
+  parsed.search = kept.toString();
+  parsed.hash = '';
+  parsed.protocol = 'https:';
+  return parsed.toString();
+}
+
+/**
+ * Map the assorted availability flags onto the canonical enum
+ * @param {Object} raw - Raw product
+ * @returns {string} - Availability value
+ */
+function resolveAvailability(raw) {
+  if (Object.values(AVAILABILITY).includes(raw.availability)) return raw.availability;
+  const flag = raw.available ?? raw.inStock;
+  if (flag === true) return AVAILABILITY.IN_STOCK;
+  if (flag === false) return AVAILABILITY.OUT_OF_STOCK;
+  return AVAILABILITY.UNKNOWN;
+}
+
+/**
+ * Parse a rating from a number or text such as "4.3 out of 5 stars"
+ * @param {string|number} value - Raw rating
+ * @returns {number|null} - Rating between 0 and 5
+ */
+function parseRating(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rating = typeof value === 'number' ? value : parseFloat(String(value).match(/\d+(\.\d+)?/)?.[0]);
+  return Number.isFinite(rating) && rating > 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * Parse a count from a number or text such as "(1,234)"
+ * @param {string|number} value - Raw count
+ * @returns {number|null} - Count
+ */
+function parseCount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const count = typeof value === 'number' ? value : parseInt(String(value).replace(/[^0-9]/g, ''), 10);
+  return Number.isFinite(count) && count >= 0 ? Math.round(count) : null;
+}
+
+/**
+ * Validate and normalise one product into the canonical schema
+ * @param {Object} raw - Product as emitted by any scraper tier
+ * @param {Object} context - Defaults for fields the tier does not emit
+ * @param {string} [context.retailer] - Retailer key the product was fetched from
+ * @param {string} [context.fetchStrategy] - Strategy that produced the product
+ * @param {string} [context.fetchedAt] - ISO timestamp of the fetch
+ * @returns {{ product: Object|null, errors: string[] }} - Product or the reasons it was rejected
+ */
+function normaliseProduct(raw, context = {}) {
+  const errors = [];
+  const issues = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { product: null, errors: ['not an object'] };
+  }
+
+  const retailer = resolveRetailer(raw.retailerId) || resolveRetailer(context.retailer) ||
+    resolveRetailer(raw.source) || resolveRetailer(raw.retailer) || resolveRetailer(raw.vendor);
+  if (!retailer) {
+    errors.push('unknown retailer');
+  }
+
+  const title = String(raw.title || raw.name || '').replace(/\s+/g, ' ').trim();
+  if (!title) {
+    errors.push('missing title');
+  }
+
+  // Canonical products already carry paise; everything else is in rupees
+  const isCanonical = raw.currency === CURRENCY && Number.isInteger(raw.price);
+  const price = isCanonical ? raw.price : toPaise(raw.price);
+  if (!price) {
+    errors.push('missing or invalid price');
+  }
+
+  let mrp = isCanonical ? raw.mrp : toPaise(raw.mrp ?? raw.originalPrice);
+  if (mrp && price && mrp < price) {
+    issues.push('mrp below price');
+    mrp = null;
+  }
+
+  const id = String(raw.id || raw.asin || raw.fsn || raw.sku || '').trim();
+  const url = canonicaliseUrl(raw.url || raw.link, retailer, id);
+  if (!url) {
+    errors.push('missing or invalid url');
+  }
+
+  if (errors.length > 0) {
+    return { product: null, errors };
+  }
+
+  const imageUrl = raw.imageUrl || raw.image || null;
+  if (!imageUrl) {
+    issues.push('missing image');
+  }
+
+  const rating = parseRating(raw.rating);
+  if (raw.rating && rating === null) {
+    issues.push('unparseable rating');
+  }
+
+  return {
+    product: {
+      id: id || url,
+      retailerId: retailer.id,
+      retailerName: retailer.name,
+      title,
+      price,
+      mrp: mrp || null,
+      currency: CURRENCY,
+      discountPercentage: mrp ? Math.round(((mrp - price) / mrp) * 100) : 0,
+      availability: resolveAvailability(raw),
+      seller: raw.seller || null,
+      sponsored: Boolean(raw.sponsored || raw.isSponsored),
+      rating,
+      ratingCount: parseCount(raw.ratingCount ?? raw.reviews),
+      imageUrl,
+      url,
+      fetchStrategy: raw.fetchStrategy || raw.fetch_strategy || context.fetchStrategy || 'unknown',
+      fetchedAt: raw.fetchedAt || context.fetchedAt || new Date().toISOString(),
+      issues
+    },
+    errors
+  };
+}
+
+/**
+ * Normalise a list of products, dropping and logging malformed items
+ * @param {Array} rawProducts - Products from any scraper tier
+ * @param {Object} context - See normaliseProduct
+ * @returns {Array} - Canonical products
+ */
+function normaliseProducts(rawProducts, context = {}) {
+  if (!Array.isArray(rawProducts)) return [];
+
+  const fetchedAt = context.fetchedAt || new Date().toISOString();
+  const products = [];
+  const rejected = [];
+
+  for (const raw of rawProducts) {
+    const { product, errors } = normaliseProduct(raw, { ...context, fetchedAt });
+    if (product) {
+      products.push(product);
+    } else {
+      rejected.push(errors.join(', '));
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`Rejected ${rejected.length} malformed products${context.retailer ? ` from ${context.retailer}` : ''}: ${[...new Set(rejected)].join('; ')}`);
+  }
+
+  return products;
+}
+
+module.exports = {
+  CURRENCY,
+  AVAILABILITY,
+  RETAILERS,
+  resolveRetailer,
+  retailerForUrl,
+  toPaise,
+  canonicaliseUrl,
+  normaliseProduct,
+  normaliseProducts
+};
@@ -0,0 +1,170 @@
+/**
+ * Amazon India retailer plugin
+ */
+
+module.exports = {
+  id: 'amazon',
+  name: 'Amazon',
+  origin: 'https://www.amazon.in',
+  searchUrl: (query) => `https://www.amazon.in/s?k=${encodeURIComponent(query)}`,
+
+  api: {
+    endpoints: {
+      search: 'https://www.amazon.in/s/query',
+      graphql: 'https://www.amazon.in/api/graphql',
+      completions: 'https://completion.amazon.in/api/2017/suggestions'
+    },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'application/json',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Referer': 'https://www.amazon.in/'
+    },
+    responseParser: '_parseAmazonApiResponse',
+    searchPage: (query) => `https://www.amazon.in/s?k=${encodeURIComponent(query)}`,
+    payloadPatterns: [
+      /\/s\/query/,
+      /completion\.amazon\.in\/api\/\d+\/suggestions/
+    ]
+  },
+
+  fetchers: {
+    fast: '_fastFetchAmazon'
+  },
+
+  browser: {
+    resultSelector: '[data-component-type="s-search-result"]',
+    extractor: '_extractAmazonProducts',
+    consentSelectors: [
+      '#sp-cc-accept',
+      'input[name="accept"]',
+      'button:has-text("Accept")',
+      'button:has-text("Accept all")'
+    ]
+  },
+
+  detailParser: '_parseAmazonDetail',
+
+  // Amazon is the quickest to serve Robot Check pages, so it gets slower than the default limits
+  rateLimit: {
+    requestsPerMinute: 20,
+    minGapMs: 1000
+  },
+
+  // Amazon's own challenge and throttling pages, on top of the generic signatures in blockDetector
+  blockSignatures: {
+    captcha: {
+      selectors: ['form[action*="validateCaptcha"]'],
+      text: ['Robot Check', "make sure you're not a robot"]
+    },
+    'soft-block': {
+      // The 503 page Amazon serves to scrapers it is throttling
+      text: ['To discuss automated access to Amazon data please contact']
+    }
+  },
+
+  // Every product page is reachable at /dp/<ASIN>, whatever slug or tracking it was shared with
+  canonicaliseUrl: (parsed, id) => {
+    const asinMatch = parsed.pathname.match(/\/dp\/([A-Z0-9]{10})/) ||
+      decodeURIComponent(parsed.search).match(/\/dp\/([A-Z0-9]{10})/);
+    const asin = asinMatch ? asinMatch[1] : (/^[A-Z0-9]{10}$/.test(id || '') ? id : null);
+    return asin ? `https://www.amazon.in/dp/${asin}` : null;
+  },
+  productUrlForId: (id) => (/^[A-Z0-9]{10}$/.test(id || '') ? `https://www.amazon.in/dp/${id}` : null),
+
+  // Selectors the extractors depend on, probed by selectorHealth on every scrape
+  healthSelectors: {
+    fastFetch: {
+      card: '.s-result-item[data-asin]:not([data-asin=""])',
+      fields: {
+        title: 'h2 span.a-text-normal, .a-size-base-plus',
+        link: 'a.a-link-normal[href*="/dp/"]',
+        price: '.a-price .a-offscreen, .a-price-whole',
+        image: 'img.s-image',
+        rating: 'i.a-icon-star, .a-star-small'
+      }
+    },
+    browser: {
+      card: '[data-component-type="s-search-result"]',
+      fields: {
+        title: 'h2 a span',
+        price: '.a-price .a-offscreen',
+        image: 'img.s-image'
+      }
+    }
+  },
+
+  scraper: {
+    searchEndpoint: '/s?k=',
+    // API search approach
+    directApiEndpoint: 'https://completion.amazon.in/api/2017/suggestions',
+    apiParams: (query) => ({
+      limit: 10,
+      prefix: query,
+      'suggestion-type': 'WIDGET',
+      'page-type': 'Search',
+      alias: 'aps',
+      'site-variant': 'desktop',
+      version: 3,
+      event: 'onkeypress',
+      wc: '',
+      lop: 'en_IN'
+    }),
+    selectors: {
+      productGrid: 'div[data-component-type="s-search-result"]',
+      productName: 'h2 a.a-link-normal span',
+      productPrice: 'span.a-price-whole',
+      productImage: 'img.s-image',
+      productLink: 'h2 a.a-link-normal',
+      rating: 'span.a-icon-alt',
+      reviews: 'span.a-size-base.s-underline-text',
+      extraDetailsSelector: 'div.a-section.a-spacing-small.a-spacing-top-small'
+    },
+    // Browser-based selectors if API fails
+    browserSelectors: {
+      searchInput: '#twotabsearchtextbox',
+      searchButton: '#nav-search-submit-button',
+      resultsContainer: '.s-main-slot',
+      productCard: 'div[data-component-type="s-search-result"]',
+      productTitle: 'h2 .a-link-normal',
+      productPrice: '.a-price-whole',
+      productImage: '.s-image',
+    },
+    // Custom code for Amazon to handle special cases
+    customExtractorLogic: async (page) => {
+      return await page.$$eval('div[data-component-type="s-search-result"]', (results) => {
+        return results.map(result => {
+          const titleElement = result.querySelector('h2 .a-link-normal');
+          const priceElement = result.querySelector('.a-price-whole');
+          const imageElement = result.querySelector('.s-image');
+          const linkElement = result.querySelector('h2 .a-link-normal');
+          const ratingElement = result.querySelector('.a-icon-alt');
+          const reviewsElement = result.querySelector('span.a-size-base.s-underline-text');
+
+          // Getting the extra details like discounts, sponsored etc.
+          const extraDetails = result.querySelector('div.a-section.a-spacing-small.a-spacing-top-small');
+
+          return {
+            title: titleElement ? titleElement.innerText.trim() : '',
+            price: priceElement ? parseFloat(priceElement.innerText.replace(/[^0-9.]/g, '')) : null,
+            image: imageElement ? imageElement.src : '',
+            link: linkElement ? linkElement.href : '',
+            rating: ratingElement ? ratingElement.innerText : null,
+            reviews: reviewsElement ? reviewsElement.innerText : null,
+            extraDetails: extraDetails ? extraDetails.innerText : '',
+            source: 'amazon',
+            timestamp: new Date().toISOString()
+          };
+        }).filter(item => item.title && item.price);
+      });
+    },
+    // Handle anti-bot measures
+    robotCheck: {
+      indicators: ['Robot Check', 'CAPTCHA', 'Unusual Activity', 'Sorry', 'Verify'],
+      actions: [
+        { selector: 'input[name="amzn-captcha-submit"]', action: 'click' },
+        { selector: '#captchacharacters', action: 'fill', value: '' } // Value will be filled programmatically
+      ]
+    }
+  }
+};
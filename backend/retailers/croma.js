@@ -0,0 +1,132 @@
+/**
+ * Croma retailer plugin
+ */
+
+const { errors } = require('playwright');
+
+module.exports = {
+  id: 'croma',
+  name: 'Croma',
+  origin: 'https://www.croma.com',
+  searchUrl: (query) => `https://www.croma.com/searchB?q=${encodeURIComponent(query)}`,
+
+  api: {
+    endpoints: {
+      search: 'https://www.croma.com/mobilesite/search',
+      catalog: 'https://api.croma.com/product/allchannels/v1/search',
+      product: 'https://www.croma.com/mobilesite/product/',
+      mobileSearch: 'https://www.croma.com/mobilesite/search/mobileapi'
+    },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+      'Accept': 'application/json,text/html',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Referer': 'https://www.croma.com/',
+      'x-device-type': 'mobile',
+      'x-requested-with': 'XMLHttpRequest'
+    },
+    responseParser: '_parseCromaApiResponse',
+    searchPage: (query) => `https://www.croma.com/searchB?q=${encodeURIComponent(query)}%3Arelevance&text=${encodeURIComponent(query)}`,
+    payloadPatterns: [
+      /api\.croma\.com\/.*search/,
+      /\/mobilesite\/search/
+    ]
+  },
+
+  fetchers: {
+    fast: '_fastFetchCroma'
+  },
+
+  browser: {
+    resultSelector: '.product-item, .cp-card',
+    extractor: '_extractCromaProducts',
+    consentSelectors: [
+      '.cookie-accept-button',
+      'button:has-text("Accept")',
+      'button:has-text("Accept All Cookies")'
+    ]
+  },
+
+  // Selectors the browser extractor depends on, probed by selectorHealth on every scrape
+  healthSelectors: {
+    browser: {
+      card: '.product-item, .cp-card',
+      fields: {
+        link: 'a[href*="/p/"]',
+        title: 'h3, .product-title',
+        price: '.new-price, .pd-price',
+        image: '.product-img img'
+      }
+    }
+  },
+
+  scraper: {
+    searchEndpoint: '/search/?text=',
+    // API search approach
+    directApiEndpoint: 'https://api.croma.com/searchservices/v1/search',
+    apiParams: (query) => ({
+      fields: 'products',
+      query: query,
+      currentPage: 0,
+      pageSize: 20,
+    }),
+    selectors: {
+      productGrid: '.product-grid > div',
+      productName: '.product-title h3',
+      productPrice: '.amount',
+      productImage: '.product-img img',
+      productLink: '.product-img > a'
+    },
+    browserSelectors: {
+      searchInput: '#searchV2',
+      searchButton: '.searchV2-submit',
+      resultsContainer: '.product-grid',
+      productCard: '.product-item',
+      productTitle: '.product-title h3',
+      productPrice: '.pdpPrice',
+      productImage: '.product-img img'
+    },
+    // Custom code for Croma to handle special cases
+    customExtractorLogic: async (page) => {
+      // A block or home page never shows results
+      const firstResult = await page.waitForSelector('.product-item', { timeout: 10000 }).catch((error) => {
+        if (error instanceof errors.TimeoutError) {
+          return null;
+        }
+        throw error;
+      });
+      if (!firstResult) {
+        return [];
+      }
+
+      // Wait a bit for any lazy-loaded content
+      await page.waitForTimeout(2000);
+
+      return await page.$$eval('.product-item', (cards) => {
+        const results = [];
+
+        for (const card of cards) {
+          const titleElement = card.querySelector('.product-title h3');
+          const priceElement = card.querySelector('.pdpPrice');
+          const imageElement = card.querySelector('.product-img img');
+          const linkElement = card.querySelector('.product-img > a');
+
+          // Check if there's any out of stock indication
+          const availability = !card.querySelector('.out-of-stock');
+
+          results.push({
+            title: titleElement ? titleElement.innerText.trim() : '',
+            price: priceElement ? parseFloat(priceElement.innerText.replace(/[^0-9.]/g, '')) : null,
+            image: imageElement ? imageElement.src : '',
+            link: linkElement ? linkElement.href : '',
+            inStock: availability,
+            source: 'croma',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        return results.filter(item => item.title && item.price);
+      });
+    }
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * Flipkart retailer plugin
+ */
+
+const { errors } = require('playwright');
+
+module.exports = {
+  id: 'flipkart',
+  name: 'Flipkart',
+  origin: 'https://www.flipkart.com',
+  searchUrl: (query) => `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`,
+
+  api: {
+    endpoints: {
+      search: 'https://www.flipkart.com/search/autosuggest',
+      graphql: 'https://www.flipkart.com/api/4/page/fetch',
+      payload: 'https://www.flipkart.com/_api/product-service/search'
+    },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'application/json',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Referer': 'https://www.flipkart.com/'
+    },
+    responseParser: '_parseFlipkartApiResponse',
+    searchPage: (query) => `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`,
+    payloadPatterns: [
+      /\/api\/\d+\/page\/fetch/,
+      /\/search\/autosuggest/
+    ]
+  },
+
+  fetchers: {
+    fast: '_fastFetchFlipkart'
+  },
+
+  browser: {
+    resultSelector: '._1AtVbE, ._4ddWXP, div._2kHMtA',
+    extractor: '_extractFlipkartProducts',
+    consentSelectors: [
+      '._2KpZ6l._2doB4z',
+      'button:has-text("✕")',
+      'button:has-text("Accept")'
+    ]
+  },
+
+  detailParser: '_parseFlipkartDetail',
+
+  // Flipkart's own throttling page, on top of the generic signatures in blockDetector.
+  // It is sent with a 529 and also ships in the config of every normal page, so only
+  // the rendered text counts
+  blockSignatures: {
+    'soft-block': {
+      status: [529],
+      text: ['Our systems have detected an unusual activity']
+    }
+  },
+
+  // pid is needed to land on the right variant; everything else is tracking
+  productUrlParams: ['pid'],
+
+  // Selectors the extractors depend on, probed by selectorHealth on every scrape
+  healthSelectors: {
+    fastFetch: {
+      card: 'div[data-id]',
+      fields: {
+        title: 'a[title], .KzDlHZ, .WKTcLC, .wjcEIp',
+        link: 'a[href*="/p/"]',
+        price: '.Nx9bqj',
+        image: 'img',
+        rating: '.XQDdHH'
+      }
+    },
+    browser: {
+      card: 'div._1AtVbE, div._4ddWXP, div._2kHMtA',
+      fields: {
+        link: 'a[href*="/p/"]',
+        title: 'div._4rR01T, a.s1Q9rs, div.UE-OLD, div._2WkVRV',
+        price: 'div._30jeq3',
+        image: 'img._396cs4, img._2r_T1I, img._2Ys_sh'
+      }
+    }
+  },
+
+  scraper: {
+    searchEndpoint: '/search?q=',
+    // GraphQL API endpoint for direct API access
+    directApiEndpoint: 'https://2.rome.api.flipkart.com/api/4/page/fetch',
+    apiHeaders: {
+      'Content-Type': 'application/json',
+      'X-User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36 FKUA/website/42/website/Desktop',
+      'Referer': 'https://www.flipkart.com/'
+    },
+    // GraphQL query template
+    apiPayload: (query) => ({
+      "requestContext": {
+        "productPlacement": "SEARCH_PAGE"
+      },
+      "pageContext": {
+        "fetchId": "BROWSE_SEARCH",
+        "page": 1,
+        "type": "BROWSE_PAGE",
+        "pageUri": `/search?q=${encodeURIComponent(query)}&otracker=search&otracker1=search&marketplace=FLIPKART`
+      }
+    }),
+    selectors: {
+      productGrid: '._1YokD2._3Mn1Gg > div > div',
+      productName: '._4rR01T, .s1Q9rs',
+      productPrice: '._30jeq3',
+      productImage: '._396cs4',
+      productLink: 'a._1fQZEK, a.s1Q9rs',
+      rating: '._3LWZlK',
+      reviews: '._2_R_DZ span, ._13vcmD'
+    },
+    // Browser-based selectors if API fails
+    browserSelectors: {
+      searchInput: '.Pke_EE',
+      searchButton: 'button[type="submit"]',
+      resultsContainer: '._1YokD2._3Mn1Gg',
+      productCard: '._1AtVbE',
+      productTitle: '._4rR01T, .s1Q9rs',
+      productPrice: '._30jeq3',
+      productImage: '._396cs4',
+      productLink: 'a._1fQZEK, a.s1Q9rs',
+      nextPageButton: '._1LKTO3'
+    },
+    // Custom code for Flipkart to handle special cases
+    customExtractorLogic: async (page) => {
+      // Wait for search results to load completely; a block or home page never shows any
+      const firstResult = await page.waitForSelector('._1AtVbE', { timeout: 10000 }).catch((error) => {
+        if (error instanceof errors.TimeoutError) {
+          return null;
+        }
+        throw error;
+      });
+      if (!firstResult) {
+        return [];
+      }
+
+      // Scroll down to load lazy images
+      await page.evaluate(() => {
+        window.scrollBy(0, 1000);
+        return new Promise(resolve => setTimeout(resolve, 1000));
+      });
+
+      return await page.$$eval('._1AtVbE', (cards) => {
+        const results = [];
+
+        for (const card of cards) {
+          // Skip cards that don't contain product info (ads, categories, etc.)
+          const titleElement = card.querySelector('._4rR01T, .s1Q9rs');
+          if (!titleElement) continue;
+
+          const priceElement = card.querySelector('._30jeq3');
+          const imageElement = card.querySelector('._396cs4');
+          const linkElement = card.querySelector('a._1fQZEK, a.s1Q9rs');
+          const ratingElement = card.querySelector('._3LWZlK');
+          const reviewsElement = card.querySelector('._2_R_DZ span, ._13vcmD');
+
+          // Get any discount information
+          const discountElement = card.querySelector('._3Ay6Sb');
+
+          results.push({
+            title: titleElement ? titleElement.innerText.trim() : '',
+            price: priceElement ? parseFloat(priceElement.innerText.replace(/[^0-9.]/g, '')) : null,
+            image: imageElement ? imageElement.src : '',
+            link: linkElement ? linkElement.href : '',
+            rating: ratingElement ? parseFloat(ratingElement.innerText) : null,
+            reviews: reviewsElement ? reviewsElement.innerText : null,
+            discount: discountElement ? discountElement.innerText : null,
+            source: 'flipkart',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        return results.filter(item => item.title && item.price);
+      });
+    }
+  }
+};
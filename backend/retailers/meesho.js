@@ -0,0 +1,131 @@
+/**
+ * Meesho retailer plugin
+ */
+
+const { errors } = require('playwright');
+
+module.exports = {
+  id: 'meesho',
+  name: 'Meesho',
+  origin: 'https://www.meesho.com',
+  searchUrl: (query) => `https://www.meesho.com/search?q=${encodeURIComponent(query)}`,
+
+  api: {
+    endpoints: {
+      search: 'https://www.meesho.com/api/v1/search',
+      graphql: 'https://www.meesho.com/api/v1/graphql'
+    },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'application/json',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Referer': 'https://www.meesho.com/'
+    },
+    responseParser: '_parseMeeshoApiResponse',
+    searchPage: (query) => `https://www.meesho.com/search?q=${encodeURIComponent(query)}`,
+    payloadPatterns: [
+      /meesho\.com\/api\/v\d+\/(products\/)?search/,
+      /meesho\.com\/api\/v\d+\/graphql/
+    ]
+  },
+
+  fetchers: {
+    fast: '_fastFetchMeeshoGraphQL',
+    graphql: '_fastFetchMeeshoGraphQL'
+  },
+
+  browser: {
+    resultSelector: '[data-testid="product-container"]',
+    extractor: '_extractMeeshoProducts',
+    consentSelectors: [
+      'button:has-text("Accept")',
+      'button:has-text("I Accept")',
+      'button:has-text("Agree")'
+    ]
+  },
+
+  // Selectors the browser extractor depends on, probed by selectorHealth on every scrape
+  healthSelectors: {
+    browser: {
+      card: '[data-testid="product-container"]',
+      fields: {
+        link: 'a',
+        title: 'p.card-title, .ProductList__ProductTitle',
+        price: '.sc-AykKC, .final-price, .product-price',
+        image: 'img.product-image, .img-main'
+      }
+    }
+  },
+
+  scraper: {
+    searchEndpoint: '/search?q=',
+    // API search approach
+    directApiEndpoint: 'https://meesho.com/api/v1/products/search',
+    apiParams: (query) => ({
+      q: query,
+      page: 1,
+      size: 20
+    }),
+    selectors: {
+      productGrid: '.search-results-container',
+      productName: '.product-title',
+      productPrice: '.product-price',
+      productImage: 'img.product-image',
+      productLink: 'a.product-link'
+    },
+    browserSelectors: {
+      searchInput: 'input[type="search"]',
+      searchButton: 'button[type="submit"]',
+      resultsContainer: '[data-testid="search-product-grid"]',
+      productCard: '[data-testid="product-card"]',
+      productTitle: '[data-testid="product-name"]',
+      productPrice: '[data-testid="product-price"]',
+      productImage: 'img'
+    },
+    // Custom code for Meesho to handle special cases
+    customExtractorLogic: async (page) => {
+      // Wait for product grid to appear; a block or home page never shows one
+      const firstResult = await page.waitForSelector('[data-testid="search-product-grid"]', { timeout: 10000 }).catch((error) => {
+        if (error instanceof errors.TimeoutError) {
+          return null;
+        }
+        throw error;
+      });
+      if (!firstResult) {
+        return [];
+      }
+
+      // Scroll down to load lazy images
+      await page.evaluate(() => {
+        window.scrollBy(0, 1000);
+        return new Promise(resolve => setTimeout(resolve, 1000));
+      });
+
+      return await page.$$eval('[data-testid="product-card"]', (cards) => {
+        const results = [];
+
+        for (const card of cards) {
+          const titleElement = card.querySelector('[data-testid="product-name"]');
+          const priceElement = card.querySelector('[data-testid="product-price"]');
+          const imageElement = card.querySelector('img');
+          const linkElement = card.querySelector('a');
+
+          // Get product rating if available
+          const ratingElement = card.querySelector('[data-testid="product-rating"]');
+
+          results.push({
+            title: titleElement ? titleElement.innerText.trim() : '',
+            price: priceElement ? parseFloat(priceElement.innerText.replace(/[^0-9.]/g, '')) : null,
+            image: imageElement ? imageElement.src : '',
+            link: linkElement ? linkElement.href : '',
+            rating: ratingElement ? ratingElement.innerText : null,
+            source: 'meesho',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        return results.filter(item => item.title && item.price);
+      });
+    }
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Reliance Digital retailer plugin
+ */
+
+const { errors } = require('playwright');
+
+module.exports = {
+  id: 'relianceDigital',
+  name: 'Reliance Digital',
+  origin: 'https://www.reliancedigital.in',
+  searchUrl: (query) => `https://www.reliancedigital.in/search?q=${encodeURIComponent(query)}`,
+
+  api: {
+    endpoints: {
+      search: 'https://www.reliancedigital.in/search/v1/search',
+      autocomplete: 'https://www.reliancedigital.in/search/v1/suggestions',
+      catalog: 'https://www.reliancedigital.in/ext/raven-api/catalog/v1.0/products'
+    },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'application/json',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Referer': 'https://www.reliancedigital.in/'
+    },
+    responseParser: '_parseRelianceDigitalApiResponse',
+    searchPage: (query) => `https://www.reliancedigital.in/products?q=${encodeURIComponent(query)}`,
+    payloadPatterns: [
+      /\/catalog\/v\d+\.\d+\/products/,
+      /\/search\/v\d+\/(search|suggestions)/
+    ]
+  },
+
+  fetchers: {
+    fast: '_fastFetchRelianceDigital'
+  },
+
+  browser: {
+    resultSelector: '.sp.grid, .product-grid, .pl__container',
+    extractor: '_extractRelianceDigitalProducts',
+    consentSelectors: [
+      'button:has-text("Accept")',
+      'button:has-text("I Accept")',
+      '.cookie-btn'
+    ]
+  },
+
+  // Selectors the browser extractor depends on, probed by selectorHealth on every scrape
+  healthSelectors: {
+    browser: {
+      card: '.sp__product, .grid-item, .product-item',
+      fields: {
+        link: 'a',
+        title: '.sp__name, .product-name',
+        price: '.slider-product__price, .sp__price',
+        image: '.slider-product__img img, .main-img'
+      }
+    }
+  },
+
+  scraper: {
+    searchEndpoint: '/search?q=',
+    directApiEndpoint: 'https://www.reliancedigital.in/rildigitalws/v2/rrldigital/searchProduct',
+    apiParams: (query) => ({
+      searchQuery: query,
+      page: 0,
+      size: 20
+    }),
+    selectors: {
+      productGrid: '.pl__container',
+      productName: '.sp__name',
+      productPrice: '.sp__price',
+      productImage: '.product-img img',
+      productLink: 'a.js-gtm-product-link'
+    },
+    browserSelectors: {
+      searchInput: '#suggestionBoxEle',
+      searchButton: '.search__button',
+      resultsContainer: '.pl__container',
+      productCard: '.product-item',
+      productTitle: '.sp__name',
+      productPrice: '.sp__price',
+      productImage: '.product-img img',
+      productLink: 'a.js-gtm-product-link'
+    },
+    // Custom code for Reliance Digital to handle special cases
+    customExtractorLogic: async (page) => {
+      // Wait for the lazy loaded content to appear; a block or home page never shows any
+      const firstResult = await page.waitForSelector('.pl__container', { timeout: 10000 }).catch((error) => {
+        if (error instanceof errors.TimeoutError) {
+          return null;
+        }
+        throw error;
+      });
+      if (!firstResult) {
+        return [];
+      }
+
+      // Scroll down to load lazy images
+      await page.evaluate(() => {
+        window.scrollBy(0, 1000);
+        return new Promise(resolve => setTimeout(resolve, 1500));
+      });
+
+      return await page.$$eval('.product-item', (cards) => {
+        const results = [];
+
+        for (const card of cards) {
+          const titleElement = card.querySelector('.sp__name');
+          const priceElement = card.querySelector('.sp__price');
+          const imageElement = card.querySelector('.product-img img');
+          const linkElement = card.querySelector('a.js-gtm-product-link');
+
+          // Check if there's an offer badge
+          const offerElement = card.querySelector('.offer-badge');
+
+          results.push({
+            title: titleElement ? titleElement.innerText.trim() : '',
+            price: priceElement ? parseFloat(priceElement.innerText.replace(/[^0-9.]/g, '')) : null,
+            image: imageElement ? (imageElement.dataset.src || imageElement.src) : '',
+            link: linkElement ? linkElement.href : '',
+            offer: offerElement ? offerElement.innerText : null,
+            source: 'relianceDigital',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        return results.filter(item => item.title && item.price);
+      });
+    },
+    // Special function to handle cookies consent
+    cookieConsent: {
+      selector: '#cookie-popup-close',
+      action: 'click'
+    }
+  }
+};
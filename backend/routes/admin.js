@@ -0,0 +1,290 @@
+/**
+ * Admin API Routes
+ * Operational views of the scrapers. Every route requires ADMIN_API_KEY in the
+ * x-admin-key header; without ADMIN_API_KEY configured the admin API is disabled.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const selectorHealth = require('../scraper/selectorHealth');
+const retailerRegistry = require('../scraper/retailerRegistry');
+const selectorOverrides = require('../scraper/selectorOverrides');
+const selectorRepairService = require('../services/selectorRepairService');
+const proxyManager = require('../scraper/proxyManager');
+const blockDetector = require('../scraper/blockDetector');
+const circuitBreaker = require('../scraper/circuitBreaker');
+const rateLimiter = require('../scraper/rateLimiter');
+const cacheService = require('../services/cacheService');
+
+router.use((req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ success: false, message: 'Admin API is disabled, set ADMIN_API_KEY to enable it' });
+  }
+
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const given = crypto.createHash('sha256').update(req.get('x-admin-key') || '').digest();
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return res.status(401).json({ success: false, message: 'Admin key required' });
+  }
+  next();
+});
+
+/**
+ * Approve or reject a selector override
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - 'approve' or 'reject'
+ */
+function reviewOverride(req, res, action) {
+  const existing = selectorOverrides.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Selector override not found' });
+  }
+
+  const override = selectorOverrides[action](req.params.id);
+  if (!override) {
+    return res.status(409).json({ success: false, message: `Selector override is ${existing.status}, only pending overrides can be reviewed` });
+  }
+  res.json({ success: true, data: override });
+}
+
+/**
+ * @route   GET /api/admin/scraper-health
+ * @desc    Per-retailer selector hit rates and field completeness, recent vs rolling baseline,
+ *          with any regressions. Optional ?retailer=amazon
+ * @access  Admin
+ */
+router.get('/scraper-health', (req, res) => {
+  try {
+    const { retailer } = req.query;
+
+    if (retailer && !retailerRegistry.get(retailer)) {
+      return res.status(404).json({ success: false, message: `Unknown retailer ${retailer}` });
+    }
+
+    const report = selectorHealth.getReport(retailer || null);
+
+    // Retailers that have not been scraped yet are listed too, so missing data is visible
+    for (const id of retailer ? [retailer] : retailerRegistry.ids()) {
+      if (!report.retailers[id]) {
+        report.retailers[id] = { status: 'insufficient_data', extractors: {} };
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: report.regressions.length > 0 ? 'degraded' : 'ok',
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Error building scraper health report:', error);
+    res.status(500).json({ success: false, message: 'Error building scraper health report', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/block-detections
+ * @desc    Per-retailer block detector outcome counts and recent detections for each tier,
+ *          with the retailer's circuit breaker state and the block that last opened it. Optional ?retailer=amazon
+ * @access  Admin
+ */
+router.get('/block-detections', (req, res) => {
+  const { retailer } = req.query;
+
+  if (retailer && !retailerRegistry.get(retailer)) {
+    return res.status(404).json({ success: false, message: `Unknown retailer ${retailer}` });
+  }
+
+  const detections = blockDetector.getReport(retailer || null);
+  const data = Object.fromEntries((retailer ? [retailer] : retailerRegistry.ids()).map(id => {
+    const breaker = circuitBreaker.get(id);
+    return [id, {
+      circuit: breaker.state,
+      cooldownUntil: circuitBreaker.isOpen(id) ? breaker.openUntil : null,
+      lastBlock: breaker.lastBlock,
+      tiers: detections[id] || {}
+    }];
+  }));
+
+  res.json({ success: true, data });
+});
+
+/**
+ * @route   GET /api/admin/selector-overrides
+ * @desc    Proposed and active selector overrides, newest first. Optional ?retailer=amazon&status=pending
+ * @access  Admin
+ */
+router.get('/selector-overrides', (req, res) => {
+  const { retailer, status } = req.query;
+  res.json({ success: true, data: selectorOverrides.list({ retailer, status }) });
+});
+
+/**
+ * @route   POST /api/admin/selector-repairs
+ * @desc    Ask Groq for new selectors for a retailer's extractor, validated against the latest
+ *          captured result page. Body: { retailer, extractor: 'fastFetch' | 'browser' }
+ * @access  Admin
+ */
+router.post('/selector-repairs', async (req, res) => {
+  try {
+    const { retailer, extractor = 'browser' } = req.body || {};
+    if (!retailer) {
+      return res.status(400).json({ success: false, message: 'retailer is required' });
+    }
+
+    const result = await selectorRepairService.repair(retailer, extractor, { reason: 'requested via admin API' });
+    if (!result.override) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: result.success, message: result.message, data: result.override });
+  } catch (error) {
+    console.error('Error repairing selectors:', error);
+    res.status(500).json({ success: false, message: 'Error repairing selectors', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/selector-overrides/:id/approve
+ * @desc    Put a pending selector override live
+ * @access  Admin
+ */
+router.post('/selector-overrides/:id/approve', (req, res) => {
+  reviewOverride(req, res, 'approve');
+});
+
+/**
+ * @route   POST /api/admin/selector-overrides/:id/reject
+ * @desc    Discard a pending selector override
+ * @access  Admin
+ */
+router.post('/selector-overrides/:id/reject', (req, res) => {
+  reviewOverride(req, res, 'reject');
+});
+
+/**
+ * @route   GET /api/admin/proxies
+ * @desc    Every proxy with its status, last health check and per-retailer success, block,
+ *          latency and score stats
+ * @access  Admin
+ */
+router.get('/proxies', (req, res) => {
+  res.json({ success: true, data: proxyManager.getStats() });
+});
+
+/**
+ * @route   POST /api/admin/proxies/health-check
+ * @desc    Health-check every proxy now instead of waiting for the next scheduled check
+ * @access  Admin
+ */
+router.post('/proxies/health-check', async (req, res) => {
+  try {
+    const results = await proxyManager.healthCheck();
+    res.json({ success: true, data: results });
+  } catch (error) {
+    console.error('Error checking proxies:', error);
+    res.status(500).json({ success: false, message: 'Error checking proxies', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/proxies/:id/reset
+ * @desc    Clear a proxy's quarantines and failures. The id is URL-encoded, e.g. http%3A%2F%2F10.0.0.1%3A8080
+ * @access  Admin
+ */
+router.post('/proxies/:id/reset', (req, res) => {
+  if (!proxyManager.reset(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Proxy not found' });
+  }
+  res.json({ success: true, message: `Proxy ${req.params.id} reset` });
+});
+
+/**
+ * @route   GET /api/admin/rate-limits
+ * @desc    Per-retailer rate limits with the requests and pages running and queued under
+ *          them, tokens left and how long requests have waited
+ * @access  Admin
+ */
+router.get('/rate-limits', (req, res) => {
+  const metrics = rateLimiter.getMetrics();
+
+  // Retailers nothing has been sent to yet are listed with their limits only
+  for (const id of retailerRegistry.ids()) {
+    if (!metrics[id]) {
+      metrics[id] = { limits: rateLimiter.configFor(id), active: { requests: 0, pages: 0 }, queued: { requests: 0, pages: 0 } };
+    }
+  }
+
+  res.json({ success: true, data: metrics });
+});
+
+/**
+ * @route   GET /api/admin/circuit-breakers
+ * @desc    Circuit breaker state (closed, open or half-open), failures and cooldown for each
+ *          retailer and each strategy against it. Optional ?retailer=amazon
+ * @access  Admin
+ */
+router.get('/circuit-breakers', (req, res) => {
+  const { retailer } = req.query;
+
+  if (retailer && !retailerRegistry.get(retailer)) {
+    return res.status(404).json({ success: false, message: `Unknown retailer ${retailer}` });
+  }
+
+  // Retailers that have never failed have no breaker yet and are listed closed
+  res.json({ success: true, data: circuitBreaker.getReport(retailer ? [retailer] : retailerRegistry.ids()) });
+});
+
+/**
+ * @route   POST /api/admin/circuit-breakers/:retailer/reset
+ * @desc    Close a retailer's circuit breaker and those of all its strategies, or only
+ *          one strategy's with ?strategy=playwright. A breaker that never tripped is
+ *          already closed, so there is nothing to reset and the request still succeeds
+ * @access  Admin
+ */
+router.post('/circuit-breakers/:retailer/reset', (req, res) => {
+  const { retailer } = req.params;
+  const { strategy } = req.query;
+
+  if (!retailerRegistry.get(retailer)) {
+    return res.status(404).json({ success: false, message: `Unknown retailer ${retailer}` });
+  }
+
+  const name = strategy ? `${retailer} ${strategy}` : retailer;
+  const reset = circuitBreaker.reset(retailer, strategy || null);
+  res.json({
+    success: true,
+    message: reset ? `Circuit breaker for ${name} reset` : `No circuit breaker for ${name}, nothing to reset`,
+    data: circuitBreaker.getReport([retailer])[retailer]
+  });
+});
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Cache backend, per-namespace TTLs and hit, stale-hit and miss counts since startup
+ * @access  Admin
+ */
+router.get('/cache', (req, res) => {
+  res.json({ success: true, data: cacheService.getMetrics() });
+});
+
+/**
+ * @route   POST /api/admin/cache/clear
+ * @desc    Drop every cached entry, or only one namespace's with ?namespace=search
+ * @access  Admin
+ */
+router.post('/cache/clear', async (req, res) => {
+  const { namespace } = req.query;
+
+  if (namespace && !cacheService.namespaces[namespace]) {
+    return res.status(404).json({ success: false, message: `Unknown cache namespace ${namespace}` });
+  }
+
+  await cacheService.clear(namespace || null);
+  res.json({ success: true, data: cacheService.getMetrics() });
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const groqService = require('../services/groqService');
+const { GroqValidationError } = groqService;
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -271,7 +272,7 @@ router.post('/analyze-prices', async (req, res) => {
     });
   } catch (error) {
     console.error('Error analyzing prices:', error);
-    return res.status(500).json({
+    return res.status(error instanceof GroqValidationError ? 400 : 500).json({
       success: false,
       message: 'Error analyzing prices',
       error: error.message
@@ -303,7 +304,7 @@ router.post('/process-barcode', async (req, res) => {
     });
   } catch (error) {
     console.error('Error processing barcode:', error);
-    return res.status(500).json({
+    return res.status(error instanceof GroqValidationError ? 400 : 500).json({
       success: false,
       message: 'Error processing barcode',
       error: error.message
@@ -9,6 +9,12 @@ const path = require('path');
 const fs = require('fs');
 const scraperService = require('../scraper/scraperService');
 const directApiService = require('../scraper/directApiService');
+const priceHistoryStore = require('../services/priceHistoryStore');
+const productDetailService = require('../scraper/productDetailService');
+
+// Price history the /history endpoint returns, in days
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 365;
 
 // Configure multer storage for image uploads
 const storage = multer.diskStorage({
@@ -43,11 +49,16 @@ const upload = multer({
 /**
  * @route   POST /api/search
  * @desc    Search for products by keyword
+ *          Set dropLowRelevance to remove results below minRelevance (default 0.4)
  * @access  Public
  */
 router.post('/search', async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, dropLowRelevance, minRelevance } = req.body;
+    const searchOptions = {
+      dropLowRelevance: dropLowRelevance === true,
+      minRelevance: typeof minRelevance === 'number' ? minRelevance : undefined
+    };
     
     if (!query || query.trim().length === 0) {
       return res.status(400).json({ success: false, message: 'Search query is required' });
@@ -58,7 +69,7 @@ router.post('/search', async (req, res) => {
     // Try the aggressive direct API approach first (fastest and most reliable)
     console.log('Starting aggressive direct API search...');
     try {
-      const searchResults = await directApiService.aggressiveSearch(query);
+      const searchResults = await directApiService.aggressiveSearch(query, searchOptions);
       
       // If we have enough results, return them
       if (searchResults && searchResults.products && searchResults.products.length > 0) {
@@ -72,7 +83,7 @@ router.post('/search', async (req, res) => {
     // If aggressive search failed, fallback to standard direct API search
     console.log('Aggressive search failed, trying standard direct API search...');
     try {
-      const standardResults = await directApiService.searchProducts(query);
+      const standardResults = await directApiService.searchProducts(query, searchOptions);
       
       console.log(`Found ${standardResults.products ? standardResults.products.length : 0} products using standard direct API search`);
       return res.json(standardResults);
@@ -92,6 +103,64 @@ router.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/price-comparison/search/stream
+ * @desc    Search for products, streaming each retailer's results as Server-Sent Events
+ *          Query: ?query=...&dropLowRelevance=true&minRelevance=0.4
+ *          Events: status (per-retailer progress), products (one retailer's results),
+ *          done (final ranked results, same shape as POST /search), error
+ * @access  Public
+ */
+router.get('/search/stream', async (req, res) => {
+  const { query, dropLowRelevance, minRelevance } = req.query;
+  
+  if (!query || query.trim().length === 0) {
+    return res.status(400).json({ success: false, message: 'Search query is required' });
+  }
+  
+  console.log(`Received streaming search request for: "${query}"`);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // The scrape keeps running after a disconnect so its results still reach the cache
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+  
+  const send = (event) => {
+    if (closed) return;
+    const { type, ...data } = event;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Comment lines keep idle connections open while slow strategies run
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, 15000);
+  
+  try {
+    await directApiService.streamSearch(query, {
+      dropLowRelevance: dropLowRelevance === 'true',
+      minRelevance: minRelevance !== undefined && !isNaN(parseFloat(minRelevance)) ? parseFloat(minRelevance) : undefined,
+      isRetailerInCooldown: retailer => scraperService.isRetailerInCooldown(retailer)
+    }, send);
+  } catch (error) {
+    console.error('Error in streaming search:', error);
+    send({ type: 'error', success: false, message: 'Error searching products', error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
 /**
  * @route   POST /api/search/image
  * @desc    Search for products by image
@@ -219,4 +288,93 @@ router.post('/price-comparison/image-search', upload.single('image'), async (req
   }
 });
 
+/**
+ * @route   POST /api/price-comparison/details
+ * @desc    Scrape a retailer product page for price breakdown, specifications,
+ *          image gallery, seller, delivery, offers and rating distribution
+ *          Body: { product: { id, url|link, retailer, ... } } or { url } or { retailer, id }
+ * @access  Public
+ */
+router.post('/details', async (req, res) => {
+  try {
+    const requested = req.body.product || req.body;
+    // Only the first colon ends the retailer: a product without an id is keyed by its URL
+    const [, historyRetailer, historyId] = /^([^:]*):(.*)$/.exec(requested.historyKey || '') || [];
+    const historyUrl = /^https?:\/\//.test(historyId || '') ? historyId : undefined;
+
+    const target = {
+      url: requested.url || requested.link || historyUrl,
+      retailer: requested.retailerId || historyRetailer || requested.retailer || requested.vendor || requested.seller,
+      id: requested.productId || historyId || requested.id
+    };
+
+    if (!productDetailService.resolveTarget(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product URL on a supported retailer (or an Amazon ASIN) is required'
+      });
+    }
+
+    const result = await productDetailService.getDetails(target);
+
+    if (!result.success) {
+      return res.status(502).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      data: productDetailService.toProductDetail(result.data, req.body.product)
+    });
+  } catch (error) {
+    console.error('Error fetching product details:', error);
+    res.status(500).json({ success: false, message: 'Error fetching product details', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/price-comparison/history
+ * @desc    Price history for one or more products, prices in paise
+ *          ?products=amazon:B0CHX1W1XY,flipkart:MOBGTAGPTB3VS24W or ?retailer=amazon&productId=B0CHX1W1XY
+ *          &days=90 limits the series (1-365); stats include min/max/avg and "lowest in N days" flags
+ * @access  Public
+ */
+router.get('/history', (req, res) => {
+  try {
+    const { products, retailer, productId, days: daysParam = String(DEFAULT_HISTORY_DAYS) } = req.query;
+    const days = /^\d+$/.test(daysParam) ? Number(daysParam) : NaN;
+
+    if (!(days >= 1 && days <= MAX_HISTORY_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be a whole number from 1 to ${MAX_HISTORY_DAYS}`
+      });
+    }
+
+    const keys = products
+      ? String(products).split(',').map(key => key.trim()).filter(Boolean)
+      : (retailer && productId ? [`${retailer}:${productId}`] : []);
+
+    if (keys.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either products or retailer and productId are required'
+      });
+    }
+
+    const series = priceHistoryStore.getHistory(keys, { days });
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        days,
+        currency: 'INR'
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ success: false, message: 'Error fetching price history', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
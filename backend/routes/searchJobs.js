@@ -0,0 +1,79 @@
+/**
+ * Search Job API Routes
+ * Background searches that can be polled for progress and cancelled
+ */
+const express = require('express');
+const router = express.Router();
+const searchJobService = require('../services/searchJobService');
+
+/**
+ * @route   POST /api/search-jobs
+ * @desc    Start a search and return its job id immediately
+ *          Body: { query, dropLowRelevance?, minRelevance? }
+ *          429 when SEARCH_JOB_MAX_RUNNING jobs are already running
+ * @access  Public
+ */
+router.post('/', (req, res) => {
+  try {
+    const { query, dropLowRelevance, minRelevance } = req.body;
+
+    if (!query || query.trim().length === 0) {
+      return res.status(400).json({ success: false, message: 'Search query is required' });
+    }
+
+    const job = searchJobService.create(query.trim(), {
+      dropLowRelevance: dropLowRelevance === true,
+      minRelevance: typeof minRelevance === 'number' ? minRelevance : undefined
+    });
+
+    if (!job) {
+      return res.status(429).json({ success: false, message: 'Too many searches running, try again shortly' });
+    }
+
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error starting search job:', error);
+    res.status(500).json({ success: false, message: 'Error starting search job', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/search-jobs/:id
+ * @desc    Get a job's status, per-retailer progress and the products found so far
+ * @access  Public
+ */
+router.get('/:id', (req, res) => {
+  const job = searchJobService.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Search job not found' });
+  }
+
+  res.json({ success: true, data: job });
+});
+
+/**
+ * @route   DELETE /api/search-jobs/:id
+ * @desc    Cancel a running job, aborting its in-flight requests and browser pages
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await searchJobService.cancel(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Search job not found' });
+    }
+
+    if (!result.cancelled) {
+      return res.status(409).json({ success: false, message: `Search job already ${result.job.status}`, data: result.job });
+    }
+
+    res.json({ success: true, data: result.job });
+  } catch (error) {
+    console.error('Error cancelling search job:', error);
+    res.status(500).json({ success: false, message: 'Error cancelling search job', error: error.message });
+  }
+});
+
+module.exports = router;
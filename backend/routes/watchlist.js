@@ -0,0 +1,92 @@
+/**
+ * Watchlist API Routes
+ * Price-drop watches; all prices are integer paise
+ */
+const express = require('express');
+const router = express.Router();
+const watchlistService = require('../services/watchlistService');
+const watchScheduler = require('../services/watchScheduler');
+
+/**
+ * @route   GET /api/watchlist
+ * @desc    List all watches
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, data: watchlistService.list() });
+});
+
+/**
+ * @route   POST /api/watchlist
+ * @desc    Watch a query or product URL and alert when it drops to targetPrice
+ *          Body: { query?, productUrl?, retailers?, targetPrice, notify?, checkIntervalMinutes? }
+ *          notify: [{ type: 'webhook', url }, { type: 'email', to }, { type: 'log' }]
+ *          Webhook urls must be on a host listed in ALERT_WEBHOOK_HOSTS or ALERT_WEBHOOK_URL,
+ *          email recipients in ALERT_EMAIL_RECIPIENTS or ALERT_EMAIL_TO
+ * @access  Public
+ */
+router.post('/', (req, res) => {
+  try {
+    const { watch, errors } = watchlistService.create(req.body);
+
+    if (!watch) {
+      return res.status(400).json({ success: false, message: 'Invalid watch', errors });
+    }
+
+    res.status(201).json({ success: true, data: watch });
+  } catch (error) {
+    console.error('Error creating watch:', error);
+    res.status(500).json({ success: false, message: 'Error creating watch', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/watchlist/:id
+ * @desc    Get one watch
+ * @access  Public
+ */
+router.get('/:id', (req, res) => {
+  const watch = watchlistService.get(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({ success: false, message: 'Watch not found' });
+  }
+
+  res.json({ success: true, data: watch });
+});
+
+/**
+ * @route   DELETE /api/watchlist/:id
+ * @desc    Stop watching
+ * @access  Public
+ */
+router.delete('/:id', (req, res) => {
+  if (!watchlistService.remove(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Watch not found' });
+  }
+
+  res.json({ success: true, message: 'Watch deleted' });
+});
+
+/**
+ * @route   POST /api/watchlist/:id/check
+ * @desc    Re-check a watch now instead of waiting for the scheduler
+ * @access  Public
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    const watch = watchlistService.get(req.params.id);
+
+    if (!watch) {
+      return res.status(404).json({ success: false, message: 'Watch not found' });
+    }
+
+    const result = await watchScheduler.checkWatch(watch);
+    res.json({ success: result.success, data: result });
+  } catch (error) {
+    console.error('Error checking watch:', error);
+    res.status(500).json({ success: false, message: 'Error checking watch', error: error.message });
+  }
+});
+
+module.exports = router;
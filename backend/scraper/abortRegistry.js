@@ -0,0 +1,121 @@
+/**
+ * Abort registry
+ * Maps the requestId threaded through every search strategy to an AbortController,
+ * so a cancelled search can abort its got-scraping requests and close the Playwright
+ * pages and contexts it opened
+ */
+
+class AbortRegistry {
+  constructor() {
+    // requestId -> { controller, resources: Set<{ close: Function }> }
+    this.entries = new Map();
+  }
+
+  /**
+   * Make a requestId abortable
+   * @param {string} requestId - Request ID
+   * @returns {AbortSignal} - Signal aborted when abort(requestId) is called
+   */
+  register(requestId) {
+    if (!this.entries.has(requestId)) {
+      this.entries.set(requestId, { controller: new AbortController(), resources: new Set() });
+    }
+    return this.entries.get(requestId).controller.signal;
+  }
+
+  /**
+   * Signal for a requestId
+   * @param {string} requestId - Request ID
+   * @returns {AbortSignal|undefined} - Undefined when the request is not abortable
+   */
+  signalFor(requestId) {
+    const entry = this.entries.get(requestId);
+    return entry ? entry.controller.signal : undefined;
+  }
+
+  /**
+   * got-scraping options that abort a request along with its requestId
+   * got rejects `signal: undefined`, so requests that are not abortable get no signal at all.
+   * @param {string} requestId - Request ID
+   * @returns {Object} - { signal }, or {} when the request is not abortable
+   */
+  gotOptions(requestId) {
+    const signal = this.signalFor(requestId);
+    return signal ? { signal } : {};
+  }
+
+  /**
+   * Whether a request has been aborted
+   * @param {string} requestId - Request ID
+   * @returns {boolean}
+   */
+  isAborted(requestId) {
+    const signal = this.signalFor(requestId);
+    return Boolean(signal && signal.aborted);
+  }
+
+  /**
+   * Throw if a request has been aborted, to stop between strategies and retries
+   * @param {string} requestId - Request ID
+   * @throws {Error} - AbortError
+   */
+  throwIfAborted(requestId) {
+    if (this.isAborted(requestId)) {
+      const error = new Error(`Request ${requestId} was aborted`);
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Close a Playwright page, context or browser if the request is aborted while it is open
+   * Closes it immediately if the request was already aborted.
+   * @param {string} requestId - Request ID
+   * @param {Object} resource - Anything with an async close()
+   * @returns {Function} - Call once the resource is closed normally
+   */
+  track(requestId, resource) {
+    const entry = this.entries.get(requestId);
+    if (!entry) {
+      return () => {};
+    }
+
+    if (entry.controller.signal.aborted) {
+      resource.close().catch(() => {});
+      return () => {};
+    }
+
+    entry.resources.add(resource);
+    return () => entry.resources.delete(resource);
+  }
+
+  /**
+   * Abort a request: aborts its HTTP requests and closes its tracked browser resources
+   * @param {string} requestId - Request ID
+   * @returns {Promise<boolean>} - Whether the request was registered
+   */
+  async abort(requestId) {
+    const entry = this.entries.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    entry.controller.abort();
+    const resources = [...entry.resources];
+    entry.resources.clear();
+    await Promise.allSettled(resources.map(resource => resource.close()));
+    console.log(`[${requestId}] Aborted, closed ${resources.length} browser resources`);
+    return true;
+  }
+
+  /**
+   * Forget a finished request
+   * @param {string} requestId - Request ID
+   */
+  release(requestId) {
+    this.entries.delete(requestId);
+  }
+}
+
+// Export a singleton instance
+module.exports = new AbortRegistry();
@@ -0,0 +1,393 @@
+/**
+ * Block detector
+ * Classifies what a retailer sent back, whether an HTML page, a JSON API response or a
+ * page rendered in Playwright, as one of:
+ *   ok              results, or no sign of trouble when the results are not known yet
+ *   captcha         a CAPTCHA or bot challenge
+ *   soft-block      rate limiting or a temporary block (429, 503, "unusual activity")
+ *   hard-block      access refused outright (401, 403, 451, Akamai "Access Denied")
+ *   empty-results   the retailer says nothing matched the query
+ *   layout-changed  a normal response with no results and no explanation, which is
+ *                   what a changed page structure or API shape looks like
+ *
+ * Pages are judged on their status code, their markup and their visible text; scripts
+ * are left out, since retailers ship strings like "captcha" and "Access Denied" in the
+ * config of perfectly normal pages. A response that yielded products is always ok.
+ * Retailers add their own signatures with a blockSignatures field (see retailerRegistry).
+ *
+ * Every tier reports its classification here. A block is thrown as an error carrying
+ * the detection, which is what ScraperService uses to put a retailer in cooldown.
+ * Detections made on worker threads are posted to the pool, which hands them to the
+ * main thread's instance.
+ */
+
+const cheerio = require('cheerio');
+const { isMainThread, parentPort } = require('worker_threads');
+const retailerRegistry = require('./retailerRegistry');
+
+const BLOCK_OUTCOMES = ['captcha', 'soft-block', 'hard-block'];
+
+// Signatures every retailer shares. status: response codes; selectors: markup; text:
+// visible text (strings match case-insensitively); json: patterns tested on JSON bodies
+const GENERIC_SIGNATURES = {
+  captcha: {
+    selectors: [
+      '.g-recaptcha',
+      'iframe[src*="recaptcha"]',
+      '.h-captcha',
+      'iframe[src*="hcaptcha"]',
+      '#px-captcha',
+      '#challenge-form',
+      '#cf-challenge-running',
+      'form[action*="captcha" i]'
+    ],
+    text: [
+      /verify (that )?you are (a )?human/i,
+      /are you a (human|robot)/i,
+      /not a robot/i,
+      /(enter|type) the characters you see/i,
+      /checking your browser before accessing/i,
+      /complete the (security check|captcha)/i
+    ]
+  },
+  'hard-block': {
+    status: [401, 403, 451],
+    text: [
+      /access denied/i,
+      /you don'?t have permission to access/i,
+      /request (was )?blocked/i,
+      /error 1020/i
+    ]
+  },
+  'soft-block': {
+    status: [429, 503],
+    text: [
+      /too many requests/i,
+      /unusual (traffic|activity)/i,
+      /rate limit/i,
+      /temporarily (blocked|restricted)/i
+    ]
+  },
+  'empty-results': {
+    text: [
+      /no results (found )?for/i,
+      /did not match any products/i,
+      /no (matching )?products (were )?found/i,
+      /sorry,? no results/i
+    ],
+    json: [/"(total|totalResults|totalCount|total_count|numFound)"\s*:\s*0\b/]
+  }
+};
+
+// Elements whose text is not shown to visitors
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+
+// Detections kept per retailer and tier for the admin report
+const RECENT_DETECTIONS = 20;
+
+class BlockDetector {
+  constructor() {
+    // retailer -> tier -> { counts: { outcome: n }, recent: [detection, ...] newest last }
+    this.detections = {};
+  }
+
+  /**
+   * Classify a retailer response
+   * @param {Object} response - What came back
+   * @param {string} response.retailer - Retailer key
+   * @param {number} [response.statusCode] - HTTP status
+   * @param {Object} [response.headers] - Response headers, lower-case names
+   * @param {string|Object} [response.body] - HTML, JSON text or parsed JSON
+   * @param {Function} [response.$] - Cheerio root of an HTML body, if already loaded
+   * @param {Array} [response.products] - Products extracted from it; omit when not known yet
+   * @returns {Object|null} - { retailer, outcome, signal, statusCode, retryAfterMs }, or null for an
+   *   HTTP error that is not a block, which the caller's usual error handling covers
+   */
+  detect({ retailer, statusCode = null, headers = {}, body = '', $ = null, products }) {
+    const detection = (outcome, signal = null) => ({
+      retailer,
+      outcome,
+      signal,
+      statusCode,
+      retryAfterMs: outcome === 'soft-block' ? this._retryAfterMs(headers) : null
+    });
+
+    if (products && products.length > 0) {
+      return detection('ok');
+    }
+
+    const signatures = this.signaturesFor(retailer);
+    const isJson = (body !== null && typeof body === 'object') || (typeof body === 'string' && /^\s*[[{]/.test(body));
+    const page = isJson
+      ? { json: typeof body === 'string' ? body : JSON.stringify(body) }
+      : { root: $ || cheerio.load(body || '') };
+    if (page.root) {
+      page.text = this._visibleText(page.root);
+    }
+
+    // A challenge page wins over its status code: Cloudflare and PerimeterX send theirs with a 403
+    const captcha = this._match(signatures.captcha, page);
+    if (captcha) {
+      return detection('captcha', captcha);
+    }
+    for (const outcome of ['hard-block', 'soft-block']) {
+      if ((signatures[outcome].status || []).includes(statusCode)) {
+        return detection(outcome, `HTTP ${statusCode}`);
+      }
+    }
+    for (const outcome of ['hard-block', 'soft-block']) {
+      const signal = this._match(signatures[outcome], page);
+      if (signal) {
+        return detection(outcome, signal);
+      }
+    }
+
+    if (statusCode >= 400) {
+      return null;
+    }
+    if (!products) {
+      return detection('ok');
+    }
+
+    const empty = this._match(signatures['empty-results'], page);
+    return empty ? detection('empty-results', empty) : detection('layout-changed');
+  }
+
+  /**
+   * Classify a response and record it for a tier, throwing if it is a block
+   * @param {string} tier - 'fastFetch', 'harvestedEndpoint', 'networkSniffing', 'browser', 'productDetail', ...
+   * @param {Object} response - See detect(); pass products once they are extracted
+   * @returns {Object|null} - The detection, when it is not a block
+   * @throws {Error} - With the detection as error.detection, for a CAPTCHA or block
+   */
+  inspect(tier, response) {
+    const detection = this.report(response.retailer, tier, this.detect(response));
+    if (detection && this.isBlock(detection.outcome)) {
+      throw this.blockedError(detection);
+    }
+    return detection;
+  }
+
+  /**
+   * Throw if a response is a block, before its products are extracted
+   * Only blocks are recorded; call inspect() with the products for everything else.
+   * @param {string} tier - Tier that made the request
+   * @param {Object} response - See detect()
+   * @throws {Error} - With the detection as error.detection, for a CAPTCHA or block
+   */
+  assertNotBlocked(tier, response) {
+    const detection = this.detect(response);
+    if (detection && this.isBlock(detection.outcome)) {
+      this.report(response.retailer, tier, detection);
+      throw this.blockedError(detection);
+    }
+  }
+
+  /**
+   * Error to throw for a block
+   * @param {Object} detection - Detection from detect()
+   * @returns {Error} - Error with the detection attached as error.detection
+   */
+  blockedError(detection) {
+    const plugin = retailerRegistry.get(detection.retailer);
+    const error = new Error(`${plugin ? plugin.name : detection.retailer} ${detection.outcome} detected (${detection.signal})`);
+    error.detection = detection;
+    return error;
+  }
+
+  /**
+   * The block behind a failed request, if there was one
+   * Errors from blockedError() carry their detection; HTTP errors from got-scraping are
+   * classified from the response they hold. Network errors and timeouts are not blocks.
+   * @param {Error} error - What the request threw
+   * @param {string} retailer - Retailer key
+   * @returns {Object|null} - Block detection, or null
+   */
+  fromError(error, retailer) {
+    if (!error) {
+      return null;
+    }
+    if (error.detection) {
+      return this.isBlock(error.detection.outcome) ? error.detection : null;
+    }
+    if (!error.response) {
+      return null;
+    }
+
+    const detection = this.detect({
+      retailer,
+      statusCode: error.response.statusCode,
+      headers: error.response.headers,
+      body: error.response.body
+    });
+    return detection && this.isBlock(detection.outcome) ? detection : null;
+  }
+
+  /**
+   * Record the block behind a failed request for a tier
+   * Errors from inspect() and assertNotBlocked() were recorded when they were thrown.
+   * @param {string} retailer - Retailer key
+   * @param {string} tier - Tier that made the request
+   * @param {Error} error - What the request threw
+   * @returns {Object|null} - Block detection, or null
+   */
+  reportError(retailer, tier, error) {
+    const detection = this.fromError(error, retailer);
+    if (detection && !(error && error.detection)) {
+      this.report(retailer, tier, detection);
+    }
+    return detection;
+  }
+
+  /**
+   * Whether an outcome means the retailer turned the request away
+   * @param {string} outcome - Outcome from detect()
+   * @returns {boolean}
+   */
+  isBlock(outcome) {
+    return BLOCK_OUTCOMES.includes(outcome);
+  }
+
+  /**
+   * Generic signatures merged with the retailer's own
+   * @param {string} retailer - Retailer key
+   * @returns {Object} - outcome -> { status, selectors, text, json }
+   */
+  signaturesFor(retailer) {
+    const plugin = retailerRegistry.get(retailer);
+    const own = (plugin && plugin.blockSignatures) || {};
+
+    return Object.fromEntries(Object.entries(GENERIC_SIGNATURES).map(([outcome, generic]) => {
+      const extra = own[outcome] || {};
+      return [outcome, Object.fromEntries(['status', 'selectors', 'text', 'json']
+        .map(kind => [kind, [...(extra[kind] || []), ...(generic[kind] || [])]]))];
+    }));
+  }
+
+  /**
+   * Record how a tier's request to a retailer went
+   * @param {string} retailer - Retailer key
+   * @param {string} tier - 'fastFetch', 'harvestedEndpoint', 'networkSniffing', 'browser', 'productDetail', ...
+   * @param {Object|null} detection - Detection from detect(); null is ignored
+   * @returns {Object|null} - The detection
+   */
+  report(retailer, tier, detection) {
+    if (!detection) {
+      return null;
+    }
+    if (!isMainThread && parentPort) {
+      parentPort.postMessage({ type: 'blockDetection', retailer, tier, detection });
+      return detection;
+    }
+    this.addDetection(retailer, tier, detection);
+    return detection;
+  }
+
+  /**
+   * Store a detection, on the main thread
+   * @param {string} retailer - Retailer key
+   * @param {string} tier - Tier that made the request
+   * @param {Object} detection - Detection from detect()
+   */
+  addDetection(retailer, tier, detection) {
+    const byTier = this.detections[retailer] = this.detections[retailer] || {};
+    const entry = byTier[tier] = byTier[tier] || { counts: {}, recent: [] };
+    entry.counts[detection.outcome] = (entry.counts[detection.outcome] || 0) + 1;
+    entry.recent = [...entry.recent, { ...detection, tier, at: new Date().toISOString() }].slice(-RECENT_DETECTIONS);
+
+    if (detection.outcome !== 'ok' && detection.outcome !== 'empty-results') {
+      console.warn(`${retailer} ${tier}: ${detection.outcome}${detection.signal ? ` (${detection.signal})` : ''}`);
+    }
+  }
+
+  /**
+   * Outcome counts and recent detections per retailer and tier, for the admin API
+   * @param {string} [retailer] - Only this retailer
+   * @returns {Object} - retailer -> tier -> { counts, recent, last }
+   */
+  getReport(retailer = null) {
+    const retailers = retailer ? [retailer] : Object.keys(this.detections);
+    return Object.fromEntries(retailers.map(id => [id, Object.fromEntries(
+      Object.entries(this.detections[id] || {}).map(([tier, entry]) => [tier, {
+        counts: { ...entry.counts },
+        recent: [...entry.recent].reverse(),
+        last: entry.recent[entry.recent.length - 1] || null
+      }])
+    )]));
+  }
+
+  /**
+   * Forget every detection
+   */
+  reset() {
+    this.detections = {};
+  }
+
+  /**
+   * The first signature an outcome matches on a page
+   * @param {Object} signatures - { selectors, text, json }
+   * @param {Object} page - { root, text } for HTML, { json } for JSON
+   * @returns {string|null} - The signature that matched
+   * @private
+   */
+  _match(signatures, page) {
+    if (page.json !== undefined) {
+      const pattern = (signatures.json || []).find(candidate => candidate.test(page.json));
+      return pattern ? String(pattern) : null;
+    }
+
+    const selector = (signatures.selectors || []).find(candidate => {
+      try {
+        return page.root(candidate).length > 0;
+      } catch (error) {
+        return false;
+      }
+    });
+    if (selector) {
+      return selector;
+    }
+
+    const text = (signatures.text || []).find(candidate => (typeof candidate === 'string'
+      ? page.text.toLowerCase().includes(candidate.toLowerCase())
+      : candidate.test(page.text)));
+    return text ? String(text) : null;
+  }
+
+  /**
+   * Title and visible text of a page, without scripts and styles
+   * @param {Function} $ - Cheerio root
+   * @returns {string}
+   * @private
+   */
+  _visibleText($) {
+    const parts = [$('title').text()];
+    $('body, body *').contents().each((index, node) => {
+      if (node.type === 'text' && !HIDDEN_ELEMENTS.has(node.parent && node.parent.name)) {
+        parts.push(node.data);
+      }
+    });
+    return parts.join(' ').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * How long a rate-limited response asks us to wait
+   * @param {Object} headers - Response headers
+   * @returns {number|null} - Milliseconds, or null without a usable Retry-After
+   * @private
+   */
+  _retryAfterMs(headers) {
+    const value = headers && headers['retry-after'];
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return seconds * 1000;
+    }
+    const until = Date.parse(value);
+    return Number.isNaN(until) ? null : Math.max(0, until - Date.now());
+  }
+}
+
+// Export a singleton instance
+module.exports = new BlockDetector();
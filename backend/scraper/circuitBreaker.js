@@ -0,0 +1,333 @@
+/**
+ * Circuit breaker
+ * Keeps retailers, and individual strategies against a retailer, from being hit
+ * while they are failing. Each breaker is:
+ *   closed     requests go through; failures in a row are counted
+ *   open       requests are refused until openUntil, after a block or too many failures
+ *   half-open  the cooldown is over and one probe request is let through; its success
+ *              closes the breaker, its failure opens it again for longer
+ *
+ * A retailer breaker is keyed by retailer, a strategy breaker by retailer and strategy
+ * name (directApi, headlessBrowser, playwright).
+ *
+ * State is kept in storage/circuit_breakers.json so a restart does not go straight back
+ * to a retailer that just blocked us. It is owned by the main thread; worker results are
+ * recorded there by ScraperService.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BREAKER_FILE = process.env.CIRCUIT_BREAKER_FILE ||
+  path.join(__dirname, '../storage/circuit_breakers.json');
+
+// Failures in a row, without a block, that open a closed breaker
+const FAILURE_THRESHOLD = 3;
+
+// First cooldown after repeated failures, doubled for each further failure in a row
+const FAILURE_COOLDOWN_MINUTES = 5;
+const MAX_FAILURE_COOLDOWN_MINUTES = 120;
+
+// First cooldown per block outcome, doubled for each further failure in a row
+const BLOCK_COOLDOWN_MINUTES = {
+  captcha: 10,
+  'soft-block': 5,
+  'hard-block': 30
+};
+const MAX_BLOCK_COOLDOWN_MINUTES = 240;
+
+// A probe that has not reported back by then is given up on and another is let through
+const PROBE_TIMEOUT_MS = 5 * 60 * 1000;
+
+class CircuitBreaker {
+  constructor() {
+    this.filePath = BREAKER_FILE;
+    // retailer -> { ...breaker, strategies: { strategy: breaker } }
+    this.breakers = this._load();
+  }
+
+  /**
+   * Load breakers from disk
+   * Probes in flight when the process stopped will never report back, so they are dropped.
+   * @returns {Object} - Breakers keyed by retailer
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const breakers = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const retailer of Object.values(breakers)) {
+          for (const breaker of [retailer, ...Object.values(retailer.strategies || {})]) {
+            breaker.probeStartedAt = null;
+          }
+        }
+        return breakers;
+      }
+    } catch (error) {
+      console.error('Error loading circuit breakers:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write breakers to disk
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.breakers, null, 2));
+    } catch (error) {
+      console.error('Error saving circuit breakers:', error.message);
+    }
+  }
+
+  /**
+   * A new breaker in the closed state
+   * @returns {Object} - Breaker
+   * @private
+   */
+  _newBreaker() {
+    return {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      openUntil: null,
+      probeStartedAt: null,
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      // The block detector's evidence for the latest block
+      lastBlock: null
+    };
+  }
+
+  /**
+   * The breaker for a retailer, or for one strategy against it
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   * @returns {Object} - Breaker, created closed if there was none
+   */
+  get(retailer, strategy = null) {
+    if (!this.breakers[retailer]) {
+      this.breakers[retailer] = { ...this._newBreaker(), strategies: {} };
+    }
+    const retailerBreaker = this.breakers[retailer];
+    if (!strategy) {
+      return retailerBreaker;
+    }
+    if (!retailerBreaker.strategies[strategy]) {
+      retailerBreaker.strategies[strategy] = this._newBreaker();
+    }
+    return retailerBreaker.strategies[strategy];
+  }
+
+  /**
+   * Whether a breaker refuses requests right now, without claiming a probe
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   * @returns {boolean} - True while open, or while a half-open breaker's probe is running
+   */
+  isOpen(retailer, strategy = null) {
+    const breaker = this.get(retailer, strategy);
+    if (breaker.state === 'open') {
+      return Date.parse(breaker.openUntil) > Date.now();
+    }
+    if (breaker.state === 'half-open') {
+      return this._probeRunning(breaker);
+    }
+    return false;
+  }
+
+  /**
+   * Ask to send a request. A breaker whose cooldown is over turns half-open and lets
+   * this request through as its probe; every request after it is refused until the
+   * probe is recorded or released.
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   * @returns {boolean} - Whether the request may go ahead
+   */
+  tryAcquire(retailer, strategy = null) {
+    const breaker = this.get(retailer, strategy);
+    if (breaker.state === 'closed') {
+      return true;
+    }
+    if (this.isOpen(retailer, strategy)) {
+      return false;
+    }
+
+    breaker.state = 'half-open';
+    breaker.probeStartedAt = new Date().toISOString();
+    console.log(`Circuit for ${this._name(retailer, strategy)} half-open, sending a probe request`);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Record a successful request, closing the breaker
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   */
+  recordSuccess(retailer, strategy = null) {
+    const breaker = this.get(retailer, strategy);
+    if (breaker.state !== 'closed') {
+      console.log(`Circuit for ${this._name(retailer, strategy)} closed`);
+    }
+
+    Object.assign(breaker, {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      openUntil: null,
+      probeStartedAt: null,
+      lastSuccess: new Date().toISOString()
+    });
+    this._save();
+  }
+
+  /**
+   * Record a failed request. A block opens the breaker at once; other failures open it
+   * once FAILURE_THRESHOLD of them come in a row, or when it was a half-open probe.
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   * @param {Object} [failure] - What went wrong
+   * @param {Object} [failure.detection] - Block detection from blockDetector
+   * @param {string} [failure.error] - Error message
+   * @returns {Object} - The breaker
+   */
+  recordFailure(retailer, strategy = null, { detection = null, error = null } = {}) {
+    const breaker = this.get(retailer, strategy);
+    const probeFailed = breaker.state === 'half-open';
+    const now = new Date();
+
+    breaker.consecutiveFailures++;
+    breaker.lastFailure = now.toISOString();
+    breaker.lastError = error || (detection && `${detection.outcome} (${detection.signal})`) || null;
+    breaker.probeStartedAt = null;
+    if (detection) {
+      breaker.lastBlock = { ...detection, at: breaker.lastFailure };
+    }
+
+    const cooldownMs = this._cooldownMs(breaker, detection, probeFailed);
+    if (cooldownMs === null) {
+      this._save();
+      return breaker;
+    }
+
+    Object.assign(breaker, {
+      state: 'open',
+      openedAt: breaker.lastFailure,
+      openUntil: new Date(now.getTime() + cooldownMs).toISOString()
+    });
+    console.log(`Circuit for ${this._name(retailer, strategy)} opened after ${breaker.consecutiveFailures} failures` +
+      `${detection ? ` (${detection.outcome}: ${detection.signal})` : ''}. ` +
+      `Cooldown for ${Math.round(cooldownMs / 60000)} minutes until ${breaker.openUntil}`);
+    this._save();
+    return breaker;
+  }
+
+  /**
+   * Give back a probe that never got an answer, e.g. because the search was cancelled,
+   * so the next request can probe instead
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   */
+  release(retailer, strategy = null) {
+    const breaker = this.get(retailer, strategy);
+    if (breaker.state === 'half-open' && breaker.probeStartedAt) {
+      breaker.probeStartedAt = null;
+      this._save();
+    }
+  }
+
+  /**
+   * Close breakers by hand
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Only this strategy's breaker; otherwise the retailer's and all its strategies'
+   * @returns {boolean} - False if there was no breaker to reset
+   */
+  reset(retailer, strategy = null) {
+    const retailerBreaker = this.breakers[retailer];
+    if (!retailerBreaker || (strategy && !retailerBreaker.strategies[strategy])) {
+      return false;
+    }
+
+    if (strategy) {
+      retailerBreaker.strategies[strategy] = this._newBreaker();
+    } else {
+      this.breakers[retailer] = { ...this._newBreaker(), strategies: {} };
+    }
+    console.log(`Circuit for ${this._name(retailer, strategy)} reset`);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Every breaker, for the admin API
+   * An open breaker whose cooldown is over is reported half-open, as the next request will find it.
+   * @param {Array<string>} [retailers] - Retailers to report, by default those with breakers
+   * @returns {Object} - retailer -> { ...breaker, strategies: { strategy: breaker } }
+   */
+  getReport(retailers = Object.keys(this.breakers)) {
+    const view = (breaker) => {
+      const { strategies, ...fields } = breaker;
+      const due = fields.state === 'open' && Date.parse(fields.openUntil) <= Date.now();
+      return { ...fields, state: due ? 'half-open' : fields.state };
+    };
+
+    return Object.fromEntries(retailers.map(id => {
+      const breaker = this.get(id);
+      return [id, {
+        ...view(breaker),
+        strategies: Object.fromEntries(Object.entries(breaker.strategies).map(([name, entry]) => [name, view(entry)]))
+      }];
+    }));
+  }
+
+  /**
+   * How long to open a breaker for after a failure
+   * @param {Object} breaker - Breaker, with the failure counted
+   * @param {Object|null} detection - Block detection, if the failure was a block
+   * @param {boolean} probeFailed - Whether the failure was a half-open probe
+   * @returns {number|null} - Cooldown in ms, or null to stay closed
+   * @private
+   */
+  _cooldownMs(breaker, detection, probeFailed) {
+    if (detection) {
+      const baseMinutes = BLOCK_COOLDOWN_MINUTES[detection.outcome] || BLOCK_COOLDOWN_MINUTES.captcha;
+      const minutes = Math.min(baseMinutes * Math.pow(2, breaker.consecutiveFailures - 1), MAX_BLOCK_COOLDOWN_MINUTES);
+      // A rate limit that says when to come back is taken at its word
+      return Math.max(minutes * 60 * 1000, detection.retryAfterMs || 0);
+    }
+
+    if (!probeFailed && breaker.consecutiveFailures < FAILURE_THRESHOLD) {
+      return null;
+    }
+    const doublings = Math.max(breaker.consecutiveFailures - FAILURE_THRESHOLD, 0);
+    return Math.min(FAILURE_COOLDOWN_MINUTES * Math.pow(2, doublings), MAX_FAILURE_COOLDOWN_MINUTES) * 60 * 1000;
+  }
+
+  /**
+   * Whether a half-open breaker's probe is still running
+   * @param {Object} breaker - Breaker
+   * @returns {boolean}
+   * @private
+   */
+  _probeRunning(breaker) {
+    return Boolean(breaker.probeStartedAt) && Date.parse(breaker.probeStartedAt) + PROBE_TIMEOUT_MS > Date.now();
+  }
+
+  /**
+   * Breaker name for logs
+   * @param {string} retailer - Retailer key
+   * @param {string} [strategy] - Strategy name
+   * @returns {string}
+   * @private
+   */
+  _name(retailer, strategy) {
+    return strategy ? `${retailer} ${strategy}` : retailer;
+  }
+}
+
+// Export a singleton instance
+module.exports = new CircuitBreaker();
@@ -0,0 +1,307 @@
+/**
+ * Harvested endpoint registry
+ * Keeps the JSON search endpoints discovered by network sniffing on disk so they
+ * can be replayed directly on later searches without launching a browser.
+ * Worker threads record and replay endpoints too, so the file is re-read whenever
+ * another thread has written it since this one last did.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_FILE = process.env.HARVESTED_ENDPOINTS_FILE ||
+  path.join(__dirname, '../storage/harvested_endpoints.json');
+
+// Consecutive failures after which an endpoint is dropped from the registry
+const MAX_FAILURES = 3;
+
+// Placeholder substituted for the search query in URL and body templates
+const QUERY_PLACEHOLDER = '{{query}}';
+
+// Request headers that are connection-specific and must not be replayed
+const SKIPPED_HEADERS = new Set([
+  'host',
+  'content-length',
+  'connection',
+  'accept-encoding',
+  'priority'
+]);
+
+class EndpointRegistry {
+  constructor() {
+    this.filePath = REGISTRY_FILE;
+    this.loadedMtime = null;
+    this.entries = this._load();
+  }
+
+  /**
+   * Load the registry from disk
+   * @returns {Object} - Entries keyed by retailer
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading harvested endpoint registry:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Re-read the file if another thread or process changed it
+   * @private
+   */
+  _refresh() {
+    try {
+      const mtime = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+      if (mtime !== this.loadedMtime) {
+        this.entries = mtime === null ? {} : this._load();
+        this.loadedMtime = mtime;
+      }
+    } catch (error) {
+      console.error('Error checking harvested endpoint registry:', error.message);
+    }
+  }
+
+  /**
+   * Write the registry to disk
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const previous = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+
+      // File times only advance every few milliseconds; move past the previous write so
+      // a thread that wrote within the same tick still sees this one as newer
+      const mtime = new Date(Math.max(Date.now(), Math.round(previous) + 1));
+      fs.utimesSync(this.filePath, mtime, mtime);
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      console.error('Error saving harvested endpoint registry:', error.message);
+    }
+  }
+
+  /**
+   * Turn a captured URL into a template by replacing the values of query-string
+   * parameters that carry the search query. Only whole parameter values are compared,
+   * so a short query such as "in" cannot end up templated into the host or path.
+   * @param {string} url - Request URL
+   * @param {string} query - Search query used when the request was captured
+   * @returns {string} - Template URL
+   * @private
+   */
+  _urlTemplate(url, query) {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1 || !query) {
+      return url;
+    }
+
+    const hashStart = url.indexOf('#', queryStart);
+    const end = hashStart === -1 ? url.length : hashStart;
+    const params = this._templateParams(url.slice(queryStart + 1, end), query);
+    return `${url.slice(0, queryStart + 1)}${params}${url.slice(end)}`;
+  }
+
+  /**
+   * Replace the values of form-encoded parameters that equal the query
+   * @param {string} encoded - a=1&b=2 style parameters
+   * @param {string} query - Search query
+   * @returns {string} - Parameters with the query's values templated
+   * @private
+   */
+  _templateParams(encoded, query) {
+    return encoded.split('&').map(pair => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) {
+        return pair;
+      }
+      return this._decode(pair.slice(separator + 1)) === query
+        ? `${pair.slice(0, separator + 1)}${QUERY_PLACEHOLDER}`
+        : pair;
+    }).join('&');
+  }
+
+  /**
+   * Turn a captured request body into a template: string values equal to the query in
+   * a JSON body, or parameter values equal to it in a form-encoded one
+   * @param {string} body - Request body
+   * @param {string} query - Search query used when the request was captured
+   * @returns {string} - Template body
+   * @private
+   */
+  _bodyTemplate(body, query) {
+    if (!query) {
+      return body;
+    }
+
+    if (this._isJson(body)) {
+      try {
+        const replace = (value) => {
+          if (typeof value === 'string') {
+            return value === query ? QUERY_PLACEHOLDER : value;
+          }
+          if (Array.isArray(value)) {
+            return value.map(replace);
+          }
+          if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, replace(entry)]));
+          }
+          return value;
+        };
+        return JSON.stringify(replace(JSON.parse(body)));
+      } catch (error) {
+        return body;
+      }
+    }
+
+    return /^[^=&\s]+=/.test(body) ? this._templateParams(body, query) : body;
+  }
+
+  /**
+   * Decode a form-encoded value, leaving malformed ones as they are
+   * @param {string} value - Encoded value
+   * @returns {string} - Decoded value
+   * @private
+   */
+  _decode(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Record an endpoint discovered during sniffing
+   * @param {string} retailerKey - Retailer key
+   * @param {Object} endpoint - Captured request
+   * @param {string} endpoint.url - Request URL
+   * @param {string} endpoint.method - HTTP method
+   * @param {Object} endpoint.headers - Request headers including cookies
+   * @param {string|null} endpoint.postData - Request body
+   * @param {string} endpoint.parserId - Name of the response parser method
+   * @param {string} query - Search query the request was made for
+   * @returns {Object|null} - Stored entry or null if the query could not be templated
+   */
+  record(retailerKey, { url, method, headers, postData, parserId }, query) {
+    const urlTemplate = this._urlTemplate(url, query);
+    const bodyTemplate = postData ? this._bodyTemplate(postData, query) : null;
+
+    // Without the query in the URL or body the request cannot be replayed for other searches
+    if (!urlTemplate.includes(QUERY_PLACEHOLDER) &&
+        !(bodyTemplate && bodyTemplate.includes(QUERY_PLACEHOLDER))) {
+      return null;
+    }
+
+    const replayHeaders = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (!SKIPPED_HEADERS.has(name.toLowerCase()) && !name.startsWith(':')) {
+        replayHeaders[name] = value;
+      }
+    }
+
+    const entry = {
+      urlTemplate,
+      method: (method || 'GET').toUpperCase(),
+      headers: replayHeaders,
+      bodyTemplate,
+      parserId,
+      discoveredAt: Date.now(),
+      lastSuccess: Date.now(),
+      failures: 0
+    };
+
+    this._refresh();
+    this.entries[retailerKey] = entry;
+    this._save();
+    console.log(`Recorded harvested endpoint for ${retailerKey}: ${entry.method} ${urlTemplate}`);
+    return entry;
+  }
+
+  /**
+   * Get the harvested endpoint for a retailer
+   * @param {string} retailerKey - Retailer key
+   * @returns {Object|null} - Registry entry
+   */
+  get(retailerKey) {
+    this._refresh();
+    return this.entries[retailerKey] || null;
+  }
+
+  /**
+   * Build a concrete request from a registry entry
+   * @param {Object} entry - Registry entry
+   * @param {string} query - Search query
+   * @returns {Object} - { url, method, headers, body }
+   */
+  buildRequest(entry, query) {
+    const encoded = encodeURIComponent(query);
+    const body = entry.bodyTemplate
+      ? entry.bodyTemplate.split(QUERY_PLACEHOLDER).join(this._isJson(entry.bodyTemplate) ? JSON.stringify(query).slice(1, -1) : encoded)
+      : undefined;
+
+    return {
+      url: entry.urlTemplate.split(QUERY_PLACEHOLDER).join(encoded),
+      method: entry.method,
+      headers: entry.headers,
+      body
+    };
+  }
+
+  /**
+   * Check whether a body template is JSON
+   * @param {string} value - Body template
+   * @returns {boolean}
+   * @private
+   */
+  _isJson(value) {
+    const trimmed = value.trim();
+    return trimmed.startsWith('{') || trimmed.startsWith('[');
+  }
+
+  /**
+   * Mark a successful replay
+   * @param {string} retailerKey - Retailer key
+   */
+  markSuccess(retailerKey) {
+    this._refresh();
+    const entry = this.entries[retailerKey];
+    if (!entry) {
+      return;
+    }
+
+    entry.lastSuccess = Date.now();
+    entry.failures = 0;
+    this._save();
+  }
+
+  /**
+   * Mark a failed replay, dropping the entry after repeated failures
+   * @param {string} retailerKey - Retailer key
+   * @param {string} reason - Failure reason for logging
+   */
+  markFailure(retailerKey, reason = '') {
+    this._refresh();
+    const entry = this.entries[retailerKey];
+    if (!entry) {
+      return;
+    }
+
+    entry.failures = (entry.failures || 0) + 1;
+    if (entry.failures >= MAX_FAILURES) {
+      console.warn(`Invalidating harvested endpoint for ${retailerKey} after ${entry.failures} failures${reason ? `: ${reason}` : ''}`);
+      delete this.entries[retailerKey];
+    }
+    this._save();
+  }
+}
+
+// Export singleton instance
+const endpointRegistry = new EndpointRegistry();
+module.exports = endpointRegistry;
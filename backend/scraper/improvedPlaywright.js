@@ -8,6 +8,13 @@ const fs = require('fs');
 const path = require('path');
 const UserAgent = require('user-agents');
 const crypto = require('crypto');
+const abortRegistry = require('./abortRegistry');
+const retailerRegistry = require('./retailerRegistry');
+const proxyManager = require('./proxyManager');
+const blockDetector = require('./blockDetector');
+const rateLimiter = require('./rateLimiter');
+const selectorHealth = require('./selectorHealth');
+const selectorOverrides = require('./selectorOverrides');
 
 // Debug mode flag
 const DEBUG_MODE = process.env.DEBUG_SCRAPING === 'true';
@@ -38,33 +45,8 @@ class ImprovedPlaywright {
     this.maxContextsPerBrowser = 3;
     this.requestCounter = 0;
     
+    // Retailer-specific consent selectors come from the retailer plugins
     this.cookieConsentSelectors = {
-      'amazon': [
-        '#sp-cc-accept',
-        'input[name="accept"]',
-        'button:has-text("Accept")',
-        'button:has-text("Accept all")'
-      ],
-      'flipkart': [
-        '._2KpZ6l._2doB4z',
-        'button:has-text("✕")',
-        'button:has-text("Accept")'
-      ],
-      'meesho': [
-        'button:has-text("Accept")',
-        'button:has-text("I Accept")',
-        'button:has-text("Agree")'
-      ],
-      'croma': [
-        '.cookie-accept-button',
-        'button:has-text("Accept")',
-        'button:has-text("Accept All Cookies")'
-      ],
-      'relianceDigital': [
-        'button:has-text("Accept")',
-        'button:has-text("I Accept")',
-        '.cookie-btn'
-      ],
       // Generic selectors that work across sites
       'generic': [
         'button:has-text("Accept")',
@@ -308,6 +290,7 @@ class ImprovedPlaywright {
    * @param {Object} page - Playwright page
    * @param {string} url - URL to navigate to
    * @param {Object} options - Navigation options
+   * @returns {Promise<Object|null>} - Playwright response for the page, for its status and headers
    */
   async navigateWithRetries(page, url, options = {}) {
     const maxRetries = options.retries || 2;
@@ -320,13 +303,13 @@ class ImprovedPlaywright {
         const delay = Math.floor(Math.random() * 1000) + 500;
         await new Promise(resolve => setTimeout(resolve, delay));
         
-        await page.goto(url, {
+        const response = await page.goto(url, {
           waitUntil: options.waitUntil || 'domcontentloaded',
           timeout: options.timeout || 30000
         });
         
         console.log('Navigation successful');
-        return;
+        return response;
       } catch (error) {
         console.error(`Navigation attempt ${attempt + 1} failed:`, error.message);
         
@@ -351,10 +334,8 @@ class ImprovedPlaywright {
       await page.waitForTimeout(1000);
       
       // Try retailer-specific selectors first
-      let selectors = [];
-      if (retailer && this.cookieConsentSelectors[retailer]) {
-        selectors = [...this.cookieConsentSelectors[retailer]];
-      }
+      const plugin = retailerRegistry.get(retailer);
+      let selectors = [...((plugin && plugin.browser.consentSelectors) || [])];
       
       // Add generic selectors
       selectors = [...selectors, ...this.cookieConsentSelectors.generic];
@@ -416,17 +397,11 @@ class ImprovedPlaywright {
    */
   async waitForPageContent(page, retailer = '') {
     try {
-      // Common product container selectors for popular retailers
-      const selectors = {
-        'amazon': '[data-component-type="s-search-result"]',
-        'flipkart': '._1AtVbE, ._4ddWXP, div._2kHMtA',
-        'meesho': '[data-testid="product-container"]',
-        'croma': '.product-item, .cp-card',
-        'relianceDigital': '.sp.grid, .product-grid, .pl__container'
-      };
-      
-      // Wait for product containers to appear
-      const selector = retailer ? selectors[retailer] : '.product-container, .product-card, .item';
+      // Product container selector from the retailer plugin
+      const plugin = retailerRegistry.get(retailer);
+      const selector = plugin
+        ? plugin.browser.resultSelector || (plugin.browser.selectors && plugin.browser.selectors.productCard)
+        : '.product-container, .product-card, .item';
       
       if (selector) {
         await page.waitForSelector(selector, { 
@@ -513,9 +488,11 @@ class ImprovedPlaywright {
   /**
    * Launch a new browser instance
    * @param {string} browserType - Browser type ('chromium', 'firefox', 'webkit')
+   * @param {Object} [options] - Options
+   * @param {Object} [options.proxy] - Proxy from proxyManager.acquire() for the context
    * @returns {Promise<Object>} - { browser, context, page }
    */
-  async launchBrowser(browserType = 'chromium') {
+  async launchBrowser(browserType = 'chromium', { proxy = null } = {}) {
     try {
       // Launch browser
       const browser = await playwright[browserType].launch({
@@ -542,6 +519,7 @@ class ImprovedPlaywright {
         deviceScaleFactor: 1,
         hasTouch: false,
         javaScriptEnabled: true,
+        proxy: proxyManager.playwrightOptions(proxy),
       });
       
       // Create page
@@ -615,32 +593,36 @@ class ImprovedPlaywright {
    * @param {string} query - Search query
    * @param {string} requestId - Request ID for tracking
    * @returns {Promise<Array>} - Array of products
+   * @throws {Error} - When the search fails; error.detection holds the block for a challenge page
    */
   async searchWithPlaywright(retailer, query, requestId) {
+    let untrack = () => {};
+    let releasePage = () => {};
+    const proxy = proxyManager.acquire(retailer);
+    const startedAt = Date.now();
     try {
       console.log(`Searching ${retailer} using Playwright for query "${query}"`);
+      releasePage = await rateLimiter.acquire(retailer, { kind: 'page', requestId });
       
-      // Launch browser and create page
-      const { browser, context, page } = await this.launchBrowser('chromium');
-      
-      // Determine search URL based on retailer
-      let searchUrl;
-      if (retailer === 'amazon') {
-        searchUrl = `https://www.amazon.in/s?k=${encodeURIComponent(query)}`;
-      } else if (retailer === 'flipkart') {
-        searchUrl = `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`;
-      } else if (retailer === 'croma') {
-        searchUrl = `https://www.croma.com/searchB?q=${encodeURIComponent(query)}`;
-      } else if (retailer === 'meesho') {
-        searchUrl = `https://www.meesho.com/search?q=${encodeURIComponent(query)}`;
-      } else if (retailer === 'relianceDigital') {
-        searchUrl = `https://www.reliancedigital.in/search?q=${encodeURIComponent(query)}`;
-      } else {
+      // Launch browser and create page, browsing through the retailer's best proxy
+      const { browser, context, page } = await this.launchBrowser('chromium', { proxy });
+      
+      // Cancelling the search closes this context and its browser mid-navigation
+      untrack = abortRegistry.track(requestId, {
+        close: async () => {
+          await context.close().catch(() => {});
+          await browser.close().catch(() => {});
+        }
+      });
+      
+      const plugin = retailerRegistry.get(retailer);
+      if (!plugin || !plugin.capabilities.browser) {
         throw new Error(`Unsupported retailer for Playwright search: ${retailer}`);
       }
+      const searchUrl = plugin.searchUrl(query);
       
       // Navigate to search page
-      await this.navigateWithRetries(page, searchUrl, { retries: 2 });
+      const navigation = await this.navigateWithRetries(page, searchUrl, { retries: 2 });
       
       // Handle cookie consent and other popups
       await this.handlePopupsAndConsent(page, retailer);
@@ -654,31 +636,94 @@ class ImprovedPlaywright {
       // Take debug screenshot if debug mode is enabled
       await this.takeDebugScreenshot(page, `${retailer}-search-${Date.now()}`);
       
-      // Extract product data - implementation varies by retailer
-      let products = [];
-      
-      if (retailer === 'amazon') {
-        products = await this._extractAmazonProducts(page);
-      } else if (retailer === 'flipkart') {
-        products = await this._extractFlipkartProducts(page);
-      } else if (retailer === 'croma') {
-        products = await this._extractCromaProducts(page);
-      } else if (retailer === 'meesho') {
-        products = await this._extractMeeshoProducts(page);
-      } else if (retailer === 'relianceDigital') {
-        products = await this._extractRelianceDigitalProducts(page);
+      // A challenge page would only send the extractors looking for cards that are not there
+      const rendered = {
+        retailer,
+        statusCode: navigation ? navigation.status() : null,
+        headers: navigation ? navigation.headers() : {},
+        body: await page.content().catch(() => '')
+      };
+      blockDetector.assertNotBlocked('browser', rendered);
+      
+      // Extract product data with an approved selector override, the retailer's own
+      // extractor, or its declared selectors
+      const override = selectorOverrides.active(retailer, 'browser');
+      const extractor = retailerRegistry.resolveHook(plugin.browser.extractor, this);
+      let products;
+      if (override) {
+        console.log(`Using selector override ${override.id} for ${retailer} (browser)`);
+        products = await this._extractWithSelectors(page, plugin, override.selectors);
+      } else {
+        products = extractor
+          ? await extractor(page)
+          : await this._extractWithSelectors(page, plugin);
       }
       
+      const selectorSet = selectorOverrides.selectorSetFor(retailer, 'browser');
+      selectorHealth.record(retailer, 'browser', {
+        products,
+        selectors: selectorSet ? await selectorHealth.probeBrowser(page, selectorSet) : null,
+        html: await page.content().catch(() => null)
+      });
+      blockDetector.inspect('browser', { ...rendered, products });
+      
       // Close context to free resources
       await context.close();
       
+      proxyManager.recordOutcome(proxy, retailer, { success: true, latencyMs: Date.now() - startedAt });
       return products;
     } catch (error) {
       console.error(`Error searching with Playwright for ${retailer}:`, error.message);
+      proxyManager.recordError(proxy, retailer, error);
       throw error;
+    } finally {
+      untrack();
+      releasePage();
     }
   }
 
+  /**
+   * Extract product data using the selectors declared by a retailer plugin
+   * @param {Object} page - Playwright page
+   * @param {Object} plugin - Retailer plugin with browser.selectors
+   * @param {Object} [selectorSet] - { card, fields } to use instead, e.g. a selector override
+   * @returns {Promise<Array>} - Array of products
+   * @private
+   */
+  async _extractWithSelectors(page, plugin, selectorSet = null) {
+    const { productCard, ...declared } = plugin.browser.selectors || {};
+    const { card, fields = {} } = selectorSet || { card: productCard, fields: declared };
+    if (!card) {
+      return [];
+    }
+    
+    return await page.$$eval(card, (cards, { fields, origin, retailer }) => {
+      const text = (card, selector) => {
+        const element = selector && card.querySelector(selector);
+        return element ? element.textContent.trim() : '';
+      };
+      const attribute = (card, selector, names) => {
+        const element = selector && card.querySelector(selector);
+        if (!element) return '';
+        const name = names.find(candidate => element.getAttribute(candidate));
+        return name ? element.getAttribute(name) : '';
+      };
+      
+      return cards.map(card => {
+        const href = attribute(card, fields.link || 'a[href]', ['href']);
+        return {
+          id: fields.id ? attribute(card, fields.id, ['data-id', 'data-sku', 'data-product-id']) : '',
+          name: text(card, fields.title),
+          price: text(card, fields.price).replace(/[^\d,.]/g, ''),
+          originalPrice: text(card, fields.originalPrice).replace(/[^\d,.]/g, ''),
+          imageUrl: attribute(card, fields.image || 'img', ['src', 'data-src']),
+          url: href ? new URL(href, origin).toString() : '',
+          retailer
+        };
+      }).filter(product => product.name && product.price && product.url);
+    }, { fields, origin: plugin.origin, retailer: plugin.name });
+  }
+
   /**
    * Extract product data from Amazon search page
    * @param {Object} page - Playwright page
@@ -0,0 +1,477 @@
+/**
+ * Product Detail Service
+ * Scrapes a single retailer product page (price breakdown, specifications, image
+ * gallery, seller, delivery, offers and rating distribution). Pages are fetched with
+ * got-scraping first and rendered with Playwright only when the plain fetch is blocked
+ * or does not contain the product.
+ */
+
+const cheerio = require('cheerio');
+const { gotScraping } = require('got-scraping');
+const { playwrightManager } = require('./improvedPlaywright');
+const retailerRegistry = require('./retailerRegistry');
+const proxyManager = require('./proxyManager');
+const blockDetector = require('./blockDetector');
+const rateLimiter = require('./rateLimiter');
+const cacheService = require('../services/cacheService');
+const {
+  AVAILABILITY,
+  CURRENCY,
+  resolveRetailer,
+  retailerForUrl,
+  canonicaliseUrl,
+  toPaise
+} = require('../models/product');
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_GALLERY_IMAGES = 12;
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+class ProductDetailService {
+  constructor() {
+    // Fetch tiers, cheapest first
+    this.strategies = [
+      { name: 'html_fetch', fn: (url, retailer) => this._fetchHtml(url, retailer) },
+      { name: 'playwright', fn: (url, retailer) => this._fetchHtmlWithPlaywright(url, retailer) }
+    ];
+  }
+
+  /**
+   * Work out which page to scrape from a URL or a retailer and product id
+   * @param {Object} target - What to look up
+   * @param {string} [target.url] - Retailer product URL
+   * @param {string} [target.retailer] - Retailer key or name
+   * @param {string} [target.id] - Retailer product id
+   * @returns {{ retailer: Object, url: string }|null} - Page to scrape
+   */
+  resolveTarget({ url, retailer, id } = {}) {
+    const retailerConfig = (url && retailerForUrl(url)) || resolveRetailer(retailer);
+    if (!retailerConfig) {
+      return null;
+    }
+
+    if (url) {
+      const canonicalUrl = canonicaliseUrl(url, retailerConfig, id);
+      return canonicalUrl ? { retailer: retailerConfig, url: canonicalUrl } : null;
+    }
+
+    // Only some retailers (Amazon) have product pages addressable by id alone
+    const plugin = retailerRegistry.get(retailerConfig.id);
+    const productUrl = plugin && plugin.productUrlForId ? plugin.productUrlForId(id) : null;
+    return productUrl ? { retailer: retailerConfig, url: productUrl } : null;
+  }
+
+  /**
+   * Scrape a product page
+   * @param {Object} target - See resolveTarget
+   * @returns {Promise<Object>} - { success, data } or { success: false, message }
+   */
+  async getDetails(target) {
+    const resolved = this.resolveTarget(target);
+    if (!resolved) {
+      return { success: false, message: 'A product URL on a supported retailer (or an Amazon ASIN) is required' };
+    }
+
+    const { retailer, url } = resolved;
+    const { value, status } = await cacheService.getOrSet('productDetails', url,
+      () => this._scrapeDetails(url, retailer),
+      { shouldCache: result => result.success });
+
+    if (status !== 'miss') {
+      console.log(`Returning cached product details for ${url}`);
+    }
+    return value;
+  }
+
+  /**
+   * Scrape a product page with each fetch tier in turn, without the cache
+   * @param {string} url - Canonical product URL
+   * @param {Object} retailer - Retailer config
+   * @returns {Promise<Object>} - { success, data } or { success: false, message }
+   * @private
+   */
+  async _scrapeDetails(url, retailer) {
+    for (const strategy of this.strategies) {
+      try {
+        console.log(`Fetching product details for ${url} using ${strategy.name}`);
+        const html = await strategy.fn(url, retailer.id);
+        const details = this.parseDetailPage(html, retailer.id, url);
+
+        if (details.title && details.price) {
+          details.fetchStrategy = strategy.name;
+          return { success: true, data: details };
+        }
+
+        console.log(`${strategy.name} returned a page without product details for ${url}`);
+      } catch (error) {
+        console.error(`Error fetching product details with ${strategy.name}:`, error.message);
+      }
+    }
+
+    return { success: false, message: `Could not load product details from ${retailer.name}` };
+  }
+
+  /**
+   * Fetch a product page over plain HTTP, through the retailer's best proxy
+   * @param {string} url - Product URL
+   * @param {string} retailerId - Retailer key
+   * @returns {Promise<string>} - HTML
+   * @private
+   */
+  async _fetchHtml(url, retailerId) {
+    return await proxyManager.withProxy(retailerId, async (proxyOptions) => {
+      const response = await gotScraping.get(url, {
+        headers: {
+          'User-Agent': DESKTOP_USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-IN,en;q=0.9'
+        },
+        responseType: 'text',
+        ...proxyOptions,
+        timeout: { request: FETCH_TIMEOUT_MS }
+      });
+
+      // A challenge page goes to the Playwright fallback rather than the parser
+      blockDetector.assertNotBlocked('productDetail', {
+        retailer: retailerId,
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body
+      });
+      if (response.statusCode >= 400) {
+        throw new Error(`HTTP ${response.statusCode}`);
+      }
+      return response.body;
+    });
+  }
+
+  /**
+   * Render a product page in a pooled Playwright context
+   * @param {string} url - Product URL
+   * @param {string} retailerId - Retailer key
+   * @returns {Promise<string>} - Rendered HTML
+   * @private
+   */
+  async _fetchHtmlWithPlaywright(url, retailerId) {
+    const releasePage = await rateLimiter.acquire(retailerId, { kind: 'page' });
+    let page = null;
+
+    try {
+      const context = await playwrightManager.getBrowserContext('chromium');
+      page = await playwrightManager.newOptimizedPage(context, { blockResources: true, timeout: FETCH_TIMEOUT_MS * 2 });
+      const navigation = await playwrightManager.navigateWithRetries(page, url, { retries: 1 });
+      await playwrightManager.handlePopupsAndConsent(page, retailerId);
+      const html = await page.content();
+      blockDetector.assertNotBlocked('productDetail', {
+        retailer: retailerId,
+        statusCode: navigation ? navigation.status() : null,
+        headers: navigation ? navigation.headers() : {},
+        body: html
+      });
+      return html;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      releasePage();
+    }
+  }
+
+  /**
+   * Extract product details from a product page
+   * Structured data (JSON-LD, Open Graph) gives the basics on most retailers;
+   * retailer-specific selectors add what it lacks.
+   * @param {string} html - Product page HTML
+   * @param {string} retailerId - Retailer key
+   * @param {string} url - Canonical product URL
+   * @returns {Object} - Product details, prices in paise
+   */
+  parseDetailPage(html, retailerId, url) {
+    const $ = cheerio.load(html || '');
+    const retailer = resolveRetailer(retailerId);
+
+    const details = {
+      ...this._parseStructuredData($),
+      ...this._withoutEmpty(this._parseRetailerSpecific($, html, retailerId))
+    };
+
+    if (Object.keys(details.specifications || {}).length === 0) {
+      details.specifications = this._parseSpecTables($);
+    }
+
+    const images = [...new Set((details.images || []).map(image => this._absoluteUrl(image, retailer.origin)).filter(Boolean))];
+    const mrp = details.mrp && details.price && details.mrp > details.price ? details.mrp : null;
+
+    return {
+      id: details.id || null,
+      retailerId: retailer.id,
+      retailerName: retailer.name,
+      url,
+      title: details.title || null,
+      brand: details.brand || null,
+      description: details.description || null,
+      price: details.price || null,
+      mrp,
+      currency: CURRENCY,
+      priceBreakdown: {
+        price: details.price || null,
+        mrp,
+        savings: mrp ? mrp - details.price : 0,
+        discountPercentage: mrp ? Math.round(((mrp - details.price) / mrp) * 100) : 0
+      },
+      availability: details.availability || AVAILABILITY.UNKNOWN,
+      seller: details.seller || null,
+      delivery: details.delivery || null,
+      images: images.slice(0, MAX_GALLERY_IMAGES),
+      features: details.features || [],
+      specifications: details.specifications || {},
+      offers: details.offers || [],
+      rating: details.rating || null,
+      ratingCount: details.ratingCount || null,
+      ratingDistribution: details.ratingDistribution || null,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read schema.org Product data and Open Graph tags
+   * @param {Object} $ - Cheerio root
+   * @returns {Object} - Partial details
+   * @private
+   */
+  _parseStructuredData($) {
+    let product = null;
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      if (product) return;
+      try {
+        const data = JSON.parse($(el).contents().text());
+        const candidates = [].concat(data, data['@graph'] || []);
+        product = candidates.find(item => item && [].concat(item['@type']).includes('Product')) || null;
+      } catch (error) {
+        // Malformed JSON-LD is common; fall back to the other sources
+      }
+    });
+
+    const meta = (name) => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content') || null;
+    const offer = product ? [].concat(product.offers || [])[0] || {} : {};
+    const aggregate = product ? product.aggregateRating || {} : {};
+
+    return this._withoutEmpty({
+      id: product ? product.sku || product.productID || null : null,
+      title: (product && product.name) || meta('og:title'),
+      brand: product && product.brand ? (product.brand.name || product.brand) : null,
+      description: (product && product.description) || meta('og:description'),
+      price: toPaise(offer.price ?? offer.lowPrice ?? meta('product:price:amount')),
+      availability: offer.availability
+        ? (/InStock/i.test(offer.availability) ? AVAILABILITY.IN_STOCK : AVAILABILITY.OUT_OF_STOCK)
+        : null,
+      seller: offer.seller ? offer.seller.name : null,
+      images: [].concat((product && product.image) || meta('og:image') || []),
+      rating: aggregate.ratingValue ? parseFloat(aggregate.ratingValue) : null,
+      ratingCount: aggregate.ratingCount || aggregate.reviewCount
+        ? parseInt(aggregate.ratingCount || aggregate.reviewCount, 10)
+        : null
+    });
+  }
+
+  /**
+   * Dispatch to the retailer's own page parser
+   * @param {Object} $ - Cheerio root
+   * @param {string} html - Raw HTML for data embedded in scripts
+   * @param {string} retailerId - Retailer key
+   * @returns {Object} - Partial details
+   * @private
+   */
+  _parseRetailerSpecific($, html, retailerId) {
+    const plugin = retailerRegistry.get(retailerId);
+    const parser = plugin ? retailerRegistry.resolveHook(plugin.detailParser, this) : null;
+    return parser ? parser($, html) : {};
+  }
+
+  /**
+   * Amazon product pages carry no JSON-LD, so everything comes from the DOM
+   * @param {Object} $ - Cheerio root
+   * @param {string} html - Raw HTML
+   * @returns {Object} - Partial details
+   * @private
+   */
+  _parseAmazonDetail($, html) {
+    const text = (selector) => $(selector).first().text().replace(/\s+/g, ' ').trim();
+    const priceBox = '#corePriceDisplay_desktop_feature_div, #corePrice_desktop, #corePrice_feature_div';
+
+    const specifications = {};
+    $('#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr').each((i, row) => {
+      const name = $(row).find('th').text().replace(/\s+/g, ' ').trim();
+      const value = $(row).find('td').text().replace(/[\s‎‏]+/g, ' ').trim();
+      if (name && value) specifications[name] = value;
+    });
+    $('#detailBullets_feature_div li').each((i, item) => {
+      const name = $(item).find('.a-text-bold').text().replace(/[\s‎‏:]+/g, ' ').trim();
+      const value = $(item).find('.a-text-bold').next().text().replace(/\s+/g, ' ').trim();
+      if (name && value) specifications[name] = value;
+    });
+
+    // Full-size gallery images live in the colorImages script; the landing image is the fallback
+    const images = [...html.matchAll(/"hiRes":"(https:[^"]+)"/g)].map(match => match[1]);
+    if (images.length === 0) {
+      try {
+        images.push(...Object.keys(JSON.parse($('#landingImage').attr('data-a-dynamic-image') || '{}')));
+      } catch (error) {
+        // Ignore and fall back to the src attribute
+      }
+      if (images.length === 0 && $('#landingImage').attr('src')) images.push($('#landingImage').attr('src'));
+    }
+
+    const offers = [];
+    $('#vsxoffers_feature_div .a-carousel-card, #itembox-InstantBankDiscount, #itembox-Partner, #itembox-NoCostEmi')
+      .each((i, card) => {
+        const type = $(card).find('.offers-items-title, h6').first().text().replace(/\s+/g, ' ').trim();
+        const description = $(card).find('.offers-items-content, .a-truncate-full').first().text().replace(/\s+/g, ' ').trim();
+        if (type && description) offers.push({ type, description });
+      });
+
+    const ratingDistribution = {};
+    $('[aria-label*=" represent"]').each((i, el) => {
+      const match = ($(el).attr('aria-label') || '').match(/(\d) stars? represents? (\d+)%/);
+      if (match) ratingDistribution[match[1]] = parseInt(match[2], 10);
+    });
+
+    const availabilityText = text('#availability').toLowerCase();
+
+    return {
+      id: $('#ASIN, input[name="ASIN"]').first().attr('value') || null,
+      title: text('#productTitle'),
+      brand: text('#bylineInfo').replace(/^(Visit the|Brand:)\s*/i, '').replace(/\s*Store$/i, '') || null,
+      price: toPaise($(priceBox).find('.a-price:not(.a-text-price) .a-offscreen').first().text() || text('#priceblock_ourprice, #priceblock_dealprice')),
+      mrp: toPaise($(priceBox).find('.a-text-price .a-offscreen').first().text()),
+      availability: availabilityText
+        ? (/unavailable|out of stock/.test(availabilityText) ? AVAILABILITY.OUT_OF_STOCK : AVAILABILITY.IN_STOCK)
+        : null,
+      seller: text('#sellerProfileTriggerId') || text('#merchant-info a') || null,
+      delivery: text('#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE, #deliveryBlockMessage') || null,
+      images,
+      features: $('#feature-bullets li span.a-list-item').map((i, el) => $(el).text().trim()).get().filter(Boolean),
+      specifications,
+      offers,
+      rating: parseFloat(($('#acrPopover').attr('title') || '').match(/\d+(\.\d+)?/)?.[0]) || null,
+      ratingCount: parseInt(text('#acrCustomerReviewText').replace(/[^0-9]/g, ''), 10) || null,
+      ratingDistribution: Object.keys(ratingDistribution).length > 0 ? ratingDistribution : null
+    };
+  }
+
+  /**
+   * Flipkart class names are obfuscated, so rely on JSON-LD plus the initial state
+   * @param {Object} $ - Cheerio root
+   * @param {string} html - Raw HTML
+   * @returns {Object} - Partial details
+   * @private
+   */
+  _parseFlipkartDetail($, html) {
+    const mrpMatch = html.match(/"mrp":\{[^{}]*"value":(\d+)/);
+    const sellerMatch = html.match(/"sellerInfo":\{[^{}]*"value":\{[^{}]*"name":"([^"]+)"/);
+
+    const features = $('li').filter((i, el) => $(el).children().length === 0 && $(el).closest('table').length === 0)
+      .map((i, el) => $(el).text().trim())
+      .get()
+      .filter(feature => feature.length > 10 && feature.length < 200)
+      .slice(0, 10);
+
+    return {
+      mrp: mrpMatch ? toPaise(parseInt(mrpMatch[1], 10)) : null,
+      seller: sellerMatch ? sellerMatch[1] : null,
+      features
+    };
+  }
+
+  /**
+   * Generic two-column specification tables
+   * @param {Object} $ - Cheerio root
+   * @returns {Object} - { name: value }
+   * @private
+   */
+  _parseSpecTables($) {
+    const specifications = {};
+    $('table tr').each((i, row) => {
+      const cells = $(row).children('td, th');
+      if (cells.length !== 2) return;
+      const name = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+      const value = $(cells[1]).text().replace(/\s+/g, ' ').trim();
+      if (name && value && name.length < 60) specifications[name] = value;
+    });
+    return specifications;
+  }
+
+  /**
+   * Drop null, empty-string and empty-array fields so they do not override other sources
+   * @param {Object} values - Partial details
+   * @returns {Object} - Partial details
+   * @private
+   */
+  _withoutEmpty(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) =>
+      value !== null && value !== undefined && value !== '' && !Number.isNaN(value) &&
+      !(Array.isArray(value) && value.length === 0) &&
+      !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)));
+  }
+
+  /**
+   * Resolve a possibly protocol-relative or relative image URL
+   * @param {string} value - Image URL
+   * @param {string} origin - Retailer origin
+   * @returns {string|null} - Absolute URL
+   * @private
+   */
+  _absoluteUrl(value, origin) {
+    try {
+      return new URL(value, origin).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Shape scraped details the way the frontend ProductDetail type expects
+   * @param {Object} details - Result of parseDetailPage
+   * @param {Object} requested - Product the client asked about (keeps its id and logo)
+   * @returns {Object} - ProductDetail
+   */
+  toProductDetail(details, requested = {}) {
+    const rupees = (paise) => (paise ? `₹${(paise / 100).toLocaleString('en-IN')}` : undefined);
+
+    return {
+      id: requested.id || `${details.retailerId}-${details.id}`,
+      historyKey: requested.historyKey || (details.id ? `${details.retailerId}:${details.id}` : undefined),
+      name: details.title,
+      title: details.title,
+      price: rupees(details.price),
+      originalPrice: rupees(details.mrp),
+      discount: details.priceBreakdown.discountPercentage ? `${details.priceBreakdown.discountPercentage}% off` : undefined,
+      priceBreakdown: details.priceBreakdown,
+      vendor: details.retailerName,
+      retailer: details.retailerName,
+      vendorLogo: requested.vendorLogo || requested.sellerLogo,
+      seller: details.seller,
+      delivery: details.delivery,
+      rating: details.rating ? String(details.rating) : undefined,
+      ratingCount: details.ratingCount,
+      ratingDistribution: details.ratingDistribution,
+      inStock: details.availability !== AVAILABILITY.OUT_OF_STOCK,
+      imageUrl: details.images[0] || requested.imageUrl || requested.image,
+      image: details.images[0] || requested.image || requested.imageUrl,
+      images: details.images,
+      url: details.url,
+      link: details.url,
+      features: details.features,
+      specifications: details.specifications,
+      offers: details.offers,
+      description: details.description,
+      fetchStrategy: details.fetchStrategy
+    };
+  }
+}
+
+// Export singleton instance
+const productDetailService = new ProductDetailService();
+module.exports = productDetailService;
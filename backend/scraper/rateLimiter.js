@@ -0,0 +1,379 @@
+/**
+ * Rate limiter
+ * Per-retailer politeness scheduler shared by every path that talks to a retailer:
+ * got-scraping and axios requests (through proxyManager.withProxy, or schedule()) and
+ * Playwright pages. Each retailer has
+ *   - a token bucket of requestsPerMinute, holding up to burst tokens
+ *   - a minimum gap between the start of two requests, minGapMs
+ *   - a cap on requests in flight, maxConcurrentRequests
+ *   - a cap on open browser pages, maxConcurrentPages
+ * A page takes one token when it opens and holds its slot until it closes.
+ *
+ * Limits come from DEFAULT_RATE_LIMIT, the retailer plugin's rateLimit field and the
+ * RETAILER_RATE_LIMITS environment variable, in that order, e.g.
+ * RETAILER_RATE_LIMITS='{"default":{"minGapMs":500},"amazon":{"requestsPerMinute":12}}'
+ *
+ * Worker threads do not keep buckets of their own: they ask the main thread's limiter
+ * for a slot through the worker pool, so every worker shares the same limits.
+ */
+
+const { isMainThread, parentPort } = require('worker_threads');
+const abortRegistry = require('./abortRegistry');
+const retailerRegistry = require('./retailerRegistry');
+
+const DEFAULT_RATE_LIMIT = {
+  requestsPerMinute: 30,
+  burst: 6,
+  minGapMs: 300,
+  maxConcurrentRequests: 2,
+  maxConcurrentPages: 1
+};
+
+const KINDS = ['request', 'page'];
+
+class RateLimiter {
+  constructor() {
+    // retailer -> bucket, created on first use
+    this.buckets = {};
+    this.overrides = this._loadOverrides();
+
+    // On the main thread: slots workers wait for or hold, by thread and lease id
+    this.workerLeases = new Map();
+    // On a worker thread: acquires waiting for the main thread, by lease id
+    this.pendingGrants = new Map();
+    this.nextLeaseId = 1;
+    if (!isMainThread && parentPort) {
+      parentPort.on('message', (message) => this._onGranted(message));
+    }
+  }
+
+  /**
+   * Parse RETAILER_RATE_LIMITS
+   * @returns {Object} - Limits keyed by retailer, plus 'default'
+   * @private
+   */
+  _loadOverrides() {
+    try {
+      return process.env.RETAILER_RATE_LIMITS ? JSON.parse(process.env.RETAILER_RATE_LIMITS) : {};
+    } catch (error) {
+      console.error('Ignoring invalid RETAILER_RATE_LIMITS:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Limits for a retailer
+   * @param {string} retailer - Retailer key
+   * @returns {Object} - { requestsPerMinute, burst, minGapMs, maxConcurrentRequests, maxConcurrentPages }
+   */
+  configFor(retailer) {
+    const plugin = retailerRegistry.get(retailer);
+    return {
+      ...DEFAULT_RATE_LIMIT,
+      ...this.overrides.default,
+      ...(plugin && plugin.rateLimit),
+      ...this.overrides[retailer]
+    };
+  }
+
+  /**
+   * Run fn once the retailer's limits allow another request or page
+   * @param {string} retailer - Retailer key
+   * @param {Function} fn - () => Promise, makes the request or drives the page
+   * @param {Object} [options] - See acquire()
+   * @returns {Promise<*>} - Whatever fn resolves with
+   */
+  async schedule(retailer, fn, options = {}) {
+    const release = await this.acquire(retailer, options);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait for a slot and a token for a retailer
+   * Requests are granted in the order they asked, except that one waiting for a page slot
+   * does not hold up requests behind it.
+   * @param {string} retailer - Retailer key
+   * @param {Object} [options] - Options
+   * @param {string} [options.kind] - 'request' or 'page'
+   * @param {string} [options.requestId] - Search request; cancelling it gives up the wait
+   * @param {AbortSignal} [options.signal] - Gives up the wait when aborted
+   * @returns {Promise<Function>} - Call to give the slot back once the request or page is done
+   * @throws {Error} - AbortError when cancelled while waiting
+   */
+  acquire(retailer, { kind = 'request', requestId = null, signal = null } = {}) {
+    if (!KINDS.includes(kind)) {
+      return Promise.reject(new Error(`Unknown rate limit kind ${kind}`));
+    }
+    signal = signal || (requestId && abortRegistry.signalFor(requestId)) || null;
+    if (signal && signal.aborted) {
+      return Promise.reject(this._abortError(retailer));
+    }
+
+    if (!isMainThread && parentPort) {
+      return this._acquireRemote(retailer, kind, signal);
+    }
+
+    const bucket = this._bucket(retailer);
+    return new Promise((resolve, reject) => {
+      const entry = { kind, queuedAt: Date.now(), resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          bucket.queue = bucket.queue.filter(queued => queued !== entry);
+          reject(this._abortError(retailer));
+          this._drain(retailer);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      bucket.queue.push(entry);
+      bucket.stats.maxQueued = Math.max(bucket.stats.maxQueued, bucket.queue.length);
+      this._drain(retailer);
+    });
+  }
+
+  /**
+   * Queue lengths, slots in use and waiting times per retailer, for the admin API
+   * Only meaningful on the main thread, which holds the buckets for every worker.
+   * @returns {Object} - retailer -> metrics
+   */
+  getMetrics() {
+    return Object.fromEntries(Object.entries(this.buckets).map(([retailer, bucket]) => {
+      this._refill(bucket);
+      const queued = (kind) => bucket.queue.filter(entry => entry.kind === kind).length;
+      const { granted, delayed, waitedMs, maxWaitMs, maxQueued } = bucket.stats;
+      return [retailer, {
+        limits: bucket.config,
+        tokens: Math.floor(bucket.tokens * 100) / 100,
+        active: { requests: bucket.active.request, pages: bucket.active.page },
+        queued: { requests: queued('request'), pages: queued('page') },
+        oldestQueuedMs: bucket.queue.length > 0 ? Date.now() - Math.min(...bucket.queue.map(entry => entry.queuedAt)) : 0,
+        granted,
+        delayed,
+        avgWaitMs: granted > 0 ? Math.round(waitedMs / granted) : 0,
+        maxWaitMs,
+        maxQueued
+      }];
+    }));
+  }
+
+  /**
+   * Handle a worker's lease message, on the main thread
+   * @param {Worker} worker - Worker that sent it
+   * @param {Object} message - { type: 'rateLimitAcquire', leaseId, retailer, kind },
+   *   { type: 'rateLimitCancel', leaseId } or { type: 'rateLimitRelease', leaseId }
+   */
+  handleWorkerMessage(worker, message) {
+    const key = `${worker.threadId}:${message.leaseId}`;
+
+    if (message.type === 'rateLimitAcquire') {
+      const lease = { worker, controller: new AbortController(), release: null };
+      this.workerLeases.set(key, lease);
+      this.acquire(message.retailer, { kind: message.kind, signal: lease.controller.signal })
+        .then(release => {
+          lease.release = release;
+          // The worker may have been replaced while it waited
+          if (this.workerLeases.get(key) !== lease) {
+            release();
+            return;
+          }
+          worker.postMessage({ type: 'rateLimitGranted', leaseId: message.leaseId });
+        })
+        .catch(() => this.workerLeases.delete(key));
+      return;
+    }
+
+    const lease = this.workerLeases.get(key);
+    if (lease) {
+      this._endLease(key, lease);
+    }
+  }
+
+  /**
+   * Give back every slot a worker held or waited for, when it is terminated
+   * @param {Worker} worker - Worker
+   */
+  releaseWorker(worker) {
+    for (const [key, lease] of this.workerLeases) {
+      if (lease.worker === worker) {
+        this._endLease(key, lease);
+      }
+    }
+  }
+
+  /**
+   * Release a worker's slot, or stop waiting for it
+   * @param {string} key - Lease key
+   * @param {Object} lease - { worker, controller, release }
+   * @private
+   */
+  _endLease(key, lease) {
+    this.workerLeases.delete(key);
+    if (lease.release) {
+      lease.release();
+    } else {
+      lease.controller.abort();
+    }
+  }
+
+  /**
+   * Ask the main thread for a slot, on a worker thread
+   * @param {string} retailer - Retailer key
+   * @param {string} kind - 'request' or 'page'
+   * @param {AbortSignal|null} signal - Gives up the wait when aborted
+   * @returns {Promise<Function>} - Release function
+   * @private
+   */
+  _acquireRemote(retailer, kind, signal) {
+    const leaseId = this.nextLeaseId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.pendingGrants.delete(leaseId);
+        parentPort.postMessage({ type: 'rateLimitCancel', leaseId });
+        reject(this._abortError(retailer));
+      };
+      this.pendingGrants.set(leaseId, () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        let released = false;
+        resolve(() => {
+          if (!released) {
+            released = true;
+            parentPort.postMessage({ type: 'rateLimitRelease', leaseId });
+          }
+        });
+      });
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      parentPort.postMessage({ type: 'rateLimitAcquire', leaseId, retailer, kind });
+    });
+  }
+
+  /**
+   * Resolve a remote acquire once the main thread grants it, on a worker thread
+   * @param {Object} message - Message from the parent
+   * @private
+   */
+  _onGranted(message) {
+    if (message.type !== 'rateLimitGranted') {
+      return;
+    }
+    const grant = this.pendingGrants.get(message.leaseId);
+    if (grant) {
+      this.pendingGrants.delete(message.leaseId);
+      grant();
+    } else {
+      // Cancelled after the main thread had already granted it
+      parentPort.postMessage({ type: 'rateLimitRelease', leaseId: message.leaseId });
+    }
+  }
+
+  /**
+   * A retailer's bucket, created full
+   * @param {string} retailer - Retailer key
+   * @returns {Object} - Bucket
+   * @private
+   */
+  _bucket(retailer) {
+    if (!this.buckets[retailer]) {
+      const config = this.configFor(retailer);
+      this.buckets[retailer] = {
+        config,
+        tokens: config.burst,
+        refilledAt: Date.now(),
+        lastStartAt: 0,
+        active: { request: 0, page: 0 },
+        queue: [],
+        timer: null,
+        stats: { granted: 0, delayed: 0, waitedMs: 0, maxWaitMs: 0, maxQueued: 0 }
+      };
+    }
+    return this.buckets[retailer];
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @param {Object} bucket - Bucket
+   * @private
+   */
+  _refill(bucket) {
+    const now = Date.now();
+    const perMs = bucket.config.requestsPerMinute / 60000;
+    bucket.tokens = Math.min(bucket.config.burst, bucket.tokens + (now - bucket.refilledAt) * perMs);
+    bucket.refilledAt = now;
+  }
+
+  /**
+   * Grant queued requests while the retailer's limits allow, and wake up again when
+   * the next one can go
+   * @param {string} retailer - Retailer key
+   * @private
+   */
+  _drain(retailer) {
+    const bucket = this.buckets[retailer];
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+
+    while (bucket.queue.length > 0) {
+      const limits = { request: bucket.config.maxConcurrentRequests, page: bucket.config.maxConcurrentPages };
+      const index = bucket.queue.findIndex(entry => bucket.active[entry.kind] < limits[entry.kind]);
+      if (index === -1) {
+        // Woken up by the next release
+        return;
+      }
+
+      this._refill(bucket);
+      const now = Date.now();
+      const tokenWaitMs = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / (bucket.config.requestsPerMinute / 60000);
+      const waitMs = Math.ceil(Math.max(tokenWaitMs, bucket.lastStartAt + bucket.config.minGapMs - now));
+      if (waitMs > 0) {
+        bucket.timer = setTimeout(() => this._drain(retailer), waitMs);
+        return;
+      }
+
+      const [entry] = bucket.queue.splice(index, 1);
+      bucket.tokens -= 1;
+      bucket.lastStartAt = now;
+      bucket.active[entry.kind]++;
+
+      const waitedMs = now - entry.queuedAt;
+      bucket.stats.granted++;
+      bucket.stats.waitedMs += waitedMs;
+      bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waitedMs);
+      if (waitedMs > 0) {
+        bucket.stats.delayed++;
+      }
+
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      let released = false;
+      entry.resolve(() => {
+        if (!released) {
+          released = true;
+          bucket.active[entry.kind]--;
+          this._drain(retailer);
+        }
+      });
+    }
+  }
+
+  /**
+   * Error for a wait given up on
+   * @param {string} retailer - Retailer key
+   * @returns {Error} - AbortError
+   * @private
+   */
+  _abortError(retailer) {
+    const error = new Error(`Rate-limited request to ${retailer} was aborted`);
+    error.name = 'AbortError';
+    return error;
+  }
+}
+
+// Export a singleton instance
+module.exports = new RateLimiter();
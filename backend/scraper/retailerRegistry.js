@@ -0,0 +1,264 @@
+/**
+ * Retailer registry
+ * Loads one plugin per store from backend/retailers and is the single place the
+ * scrapers, the direct API service, the product model and the watchlist look up
+ * which retailers exist and how to search them. Adding a store means adding a file
+ * to that directory; see retailers/amazon.js for a full example.
+ *
+ * Plugin shape (only id, name, origin and searchUrl are required):
+ * {
+ *   id: 'tataCliq',                      // Retailer key used everywhere else
+ *   name: 'Tata CLiQ',
+ *   origin: 'https://www.tatacliq.com',
+ *   searchUrl: (query) => '...',         // Results page loaded by Playwright
+ *   searchQuery: (query) => '...',       // Rewrites the query sent to this store, after
+ *                                        // queryNormaliser.forRetailer has tidied it
+ *   capabilities: { ... },               // Overrides for the flags inferred below
+ *   api: {                               // DirectApiService configuration
+ *     endpoints, headers,
+ *     responseParser,                    // Hook: (data) => raw products
+ *     searchPage: (query) => '...',      // Page loaded for network sniffing
+ *     payloadPatterns: [/regex/]         // XHR/fetch URLs that carry results
+ *   },
+ *   fetchers: { fast, graphql },         // Hooks: (query, requestId) => raw products
+ *   browser: {
+ *     resultSelector,                    // Waited for before extracting
+ *     extractor,                         // Hook: (page) => raw products
+ *     selectors: { productCard, title, price, originalPrice, image, link, id },
+ *     consentSelectors: []               // Cookie banners, tried before the generic ones
+ *   },
+ *   detailParser,                        // Hook: ($, html) => partial product details
+ *   blockSignatures: {                   // Signs of a block or empty page on top of the
+ *     captcha: { selectors, text },      // generic ones in blockDetector; also 'soft-block',
+ *     'hard-block': { status, text }     // and 'empty-results' with { text, json }
+ *   },
+ *   healthSelectors: {                   // Selectors probed by selectorHealth, per extractor;
+ *     browser: { card, fields },         // browser defaults to browser.selectors
+ *     fastFetch: { card, fields }
+ *   },
+ *   rateLimit: {                         // Politeness limits over rateLimiter's defaults
+ *     requestsPerMinute, burst, minGapMs, maxConcurrentRequests, maxConcurrentPages
+ *   },
+ *   productUrlParams: ['pid'],           // Query parameters kept by canonicaliseUrl
+ *   canonicaliseUrl: (parsed, id) => '', // Custom canonical product URL, or null
+ *   productUrlForId: (id) => '',         // Product page for a bare id, or null
+ *   scraper: { ... }                     // Legacy retailerScrapers.js fields
+ * }
+ *
+ * Hooks are either functions or the name of a method on the service that calls
+ * them, which is how the built-in retailers reuse their existing parsers.
+ *
+ * With MOCK_RETAILERS_URL set, searchUrl, api.endpoints, api.searchPage and
+ * scraper.directApiEndpoint are rewritten to point at the mock retailer server
+ * (scripts/mockRetailerServer.js); see requestUrl(). origin is left alone, so product
+ * URLs still point at the real stores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLUGIN_DIR = process.env.RETAILER_PLUGINS_DIR ||
+  path.join(__dirname, '../retailers');
+
+const REQUIRED_FIELDS = ['id', 'name', 'origin', 'searchUrl'];
+
+// Base URL of the mock retailer server every retailer request is sent to instead, for tests
+const MOCK_RETAILERS_URL = (process.env.MOCK_RETAILERS_URL || '').replace(/\/+$/, '') || null;
+
+class RetailerRegistry {
+  constructor() {
+    // id -> plugin, in registration order
+    this.plugins = new Map();
+    this._loadDirectory(PLUGIN_DIR);
+  }
+
+  /**
+   * Register every plugin file in a directory
+   * @param {string} dir - Plugin directory
+   * @private
+   */
+  _loadDirectory(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      console.error(`Error reading retailer plugins from ${dir}:`, error.message);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        this.register(require(path.join(dir, file)));
+      } catch (error) {
+        console.error(`Skipping retailer plugin ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Validate and add a retailer plugin
+   * @param {Object} plugin - Retailer plugin, see the shape above
+   * @returns {Object} - The registered plugin with capabilities filled in
+   * @throws {Error} - If a required field is missing or the id is taken
+   */
+  register(plugin) {
+    const missing = REQUIRED_FIELDS.filter(field => !plugin || !plugin[field]);
+    if (missing.length > 0) {
+      throw new Error(`Retailer plugin is missing ${missing.join(', ')}`);
+    }
+    if (typeof plugin.searchUrl !== 'function') {
+      throw new Error(`Retailer plugin ${plugin.id} searchUrl must be a function`);
+    }
+    if (this.plugins.has(plugin.id)) {
+      throw new Error(`Retailer ${plugin.id} is already registered`);
+    }
+    plugin = this._withRequestUrls(plugin);
+
+    const api = plugin.api || {};
+    const fetchers = plugin.fetchers || {};
+    const browser = plugin.browser || {};
+
+    const selectors = browser.selectors || {};
+    const registered = {
+      ...plugin,
+      api: plugin.api || null,
+      fetchers,
+      browser,
+      healthSelectors: {
+        ...(selectors.productCard && {
+          browser: {
+            card: selectors.productCard,
+            fields: Object.fromEntries(['title', 'price', 'image', 'link']
+              .filter(field => selectors[field])
+              .map(field => [field, selectors[field]]))
+          }
+        }),
+        ...plugin.healthSelectors
+      },
+      capabilities: {
+        fastFetch: Boolean(fetchers.fast),
+        graphql: Boolean(fetchers.graphql),
+        networkSniffing: Boolean(api.searchPage && api.payloadPatterns && api.responseParser),
+        browser: Boolean(browser.extractor || (browser.selectors && browser.selectors.productCard)),
+        productDetail: Boolean(plugin.detailParser),
+        ...plugin.capabilities
+      }
+    };
+
+    this.plugins.set(plugin.id, registered);
+    return registered;
+  }
+
+  /**
+   * URL to request in place of a retailer URL
+   * Normally the URL itself. With MOCK_RETAILERS_URL set, https://www.flipkart.com/search?q=tv
+   * becomes <MOCK_RETAILERS_URL>/www.flipkart.com/search?q=tv; the host stays in the path
+   * so the mock server knows the retailer and payloadPatterns still match.
+   * @param {string} url - Absolute retailer URL
+   * @returns {string} - URL to request
+   */
+  requestUrl(url) {
+    if (!MOCK_RETAILERS_URL || !url) {
+      return url;
+    }
+    const parsed = new URL(url);
+    return `${MOCK_RETAILERS_URL}/${parsed.host}${parsed.pathname}${parsed.search}`;
+  }
+
+  /**
+   * Copy of a plugin with the URLs it requests passed through requestUrl()
+   * @param {Object} plugin - Retailer plugin
+   * @returns {Object} - The plugin itself when no mock server is configured
+   * @private
+   */
+  _withRequestUrls(plugin) {
+    if (!MOCK_RETAILERS_URL) {
+      return plugin;
+    }
+
+    const mocked = (buildUrl) => (...args) => this.requestUrl(buildUrl(...args));
+    const { api, scraper } = plugin;
+    return {
+      ...plugin,
+      searchUrl: mocked(plugin.searchUrl),
+      ...(api && {
+        api: {
+          ...api,
+          ...(api.endpoints && {
+            endpoints: Object.fromEntries(Object.entries(api.endpoints)
+              .map(([name, url]) => [name, this.requestUrl(url)]))
+          }),
+          ...(typeof api.searchPage === 'function' && { searchPage: mocked(api.searchPage) })
+        }
+      }),
+      ...(scraper && scraper.directApiEndpoint && {
+        scraper: { ...scraper, directApiEndpoint: this.requestUrl(scraper.directApiEndpoint) }
+      })
+    };
+  }
+
+  /**
+   * Remove a retailer, mainly for tests
+   * @param {string} id - Retailer key
+   * @returns {boolean} - Whether it was registered
+   */
+  unregister(id) {
+    return this.plugins.delete(id);
+  }
+
+  /**
+   * Get a retailer plugin
+   * @param {string} id - Retailer key
+   * @returns {Object|null} - Plugin
+   */
+  get(id) {
+    return this.plugins.get(id) || null;
+  }
+
+  /**
+   * All retailer plugins
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.plugins.values()];
+  }
+
+  /**
+   * All retailer keys
+   * @returns {Array<string>}
+   */
+  ids() {
+    return [...this.plugins.keys()];
+  }
+
+  /**
+   * Whether a retailer supports a capability
+   * @param {string} id - Retailer key
+   * @param {string} capability - e.g. 'fastFetch', 'networkSniffing', 'browser'
+   * @returns {boolean}
+   */
+  supports(id, capability) {
+    const plugin = this.get(id);
+    return Boolean(plugin && plugin.capabilities[capability]);
+  }
+
+  /**
+   * Resolve a plugin hook to a callable
+   * String hooks name a method on the service that owns the hook.
+   * @param {Function|string} hook - Hook from a plugin
+   * @param {Object} owner - Service the hook runs against
+   * @returns {Function|null} - Bound function or null if the hook is missing
+   */
+  resolveHook(hook, owner) {
+    if (typeof hook === 'function') {
+      return hook;
+    }
+    if (typeof hook === 'string' && owner && typeof owner[hook] === 'function') {
+      return owner[hook].bind(owner);
+    }
+    return null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new RetailerRegistry();
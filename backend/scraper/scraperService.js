@@ -8,9 +8,21 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const retailerConfigs = require('./retailerScrapers');
+const retailerRegistry = require('./retailerRegistry');
 const DirectApiService = require('./directApiService');
 const PlaywrightService = require('./improvedPlaywright');
+const abortRegistry = require('./abortRegistry');
+const blockDetector = require('./blockDetector');
+const circuitBreaker = require('./circuitBreaker');
+const WorkerPool = require('./workerPool');
+const { normaliseProducts } = require('../models/product');
+const productMatcher = require('../services/productMatcher');
+const relevanceRanker = require('../services/relevanceRanker');
+const priceHistoryStore = require('../services/priceHistoryStore');
+const queryNormaliser = require('../services/queryNormaliser');
+
+// Search strategies, in the order they are tried, both in-process and by scraperWorker.js
+const SEARCH_STRATEGIES = ['directApi', 'headlessBrowser', 'playwright'];
 
 // Debug mode configuration
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
@@ -25,22 +37,26 @@ class ScraperService {
   constructor() {
     this.directApiService = DirectApiService; // Use the imported instance directly
     this.playwrightService = PlaywrightService.playwrightManager; // Use the playwrightManager from the imported object
-    this.retailers = Object.keys(retailerConfigs);
+    this.retailers = retailerRegistry.ids();
     
     // Configuration for maximum retries and delay between retries
     this.maxRetries = 3;
     this.retryDelayMs = 1500;
     
-    // Track IP ban status for each retailer
-    this.retailerStatus = {};
-    this.retailers.forEach(retailer => {
-      this.retailerStatus[retailer] = {
-        ipBanned: false,
-        lastSuccessful: null,
-        consecutiveFailures: 0,
-        cooldownUntil: null
-      };
-    });
+    // Set by enableWorkerPool; without it retailers are scraped on the main thread
+    this.workerPool = null;
+  }
+
+  /**
+   * Scrape retailers on worker threads from now on
+   * @param {number} size - Maximum number of worker threads
+   */
+  enableWorkerPool(size) {
+    if (this.workerPool) {
+      return;
+    }
+    this.workerPool = new WorkerPool({ size });
+    console.log(`Scraping on up to ${size} worker threads`);
   }
 
   /**
@@ -55,24 +71,29 @@ class ScraperService {
   /**
    * Search for a product across all retailers
    * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {string} options.requestId - Request ID; register it with abortRegistry to make the search cancellable
+   * @param {Function} options.onProgress - Called with per-retailer progress, see searchRetailerWithFallback
    * @returns {Promise<Object>} - Search results grouped by retailer
    */
-  async searchProduct(query) {
-    console.log(`Searching for product: ${query}`);
+  async searchProduct(query, options = {}) {
+    console.log(`Searching for product: ${queryNormaliser.normalise(query)}`);
     const results = {};
     const promises = [];
-    const requestId = uuidv4();
+    const requestId = options.requestId || uuidv4();
+    const onProgress = options.onProgress || (() => {});
 
     // Execute searches for each retailer in parallel
     for (const retailer of this.retailers) {
       promises.push(
-        this.searchRetailerWithFallback(retailer, query, requestId)
+        this.searchRetailerWithFallback(retailer, query, requestId, progress => onProgress({ retailer, ...progress }))
           .then(retailerResults => {
             results[retailer] = retailerResults;
           })
           .catch(error => {
             console.error(`Error searching ${retailer}:`, error.message);
             results[retailer] = [];
+            onProgress({ retailer, status: 'failed', error: error.message });
           })
       );
     }
@@ -288,14 +309,15 @@ class ScraperService {
   /**
    * Search for products by query (wrapper around searchProduct)
    * @param {string} query - Search query
+   * @param {Object} options - Search options, see DirectApiService.searchProducts
    * @returns {Promise<Object>} - Search results in a standardized format
    */
-  async searchProducts(query) {
+  async searchProducts(query, options = {}) {
     try {
       // First try the directApiService for faster results
       try {
         console.log(`Trying directApiService for query: "${query}"`);
-        const directResults = await this.directApiService.searchProducts(query);
+        const directResults = await this.directApiService.searchProducts(query, options);
         if (directResults && directResults.products && directResults.products.length > 0) {
           console.log(`Got ${directResults.products.length} products from directApiService`);
           return directResults;
@@ -307,20 +329,11 @@ class ScraperService {
       // Fall back to the multi-retailer search if directApiService fails
       const retailerResults = await this.searchProduct(query);
       
-      // Flatten and normalize results from all retailers
-      const products = [];
-      
-      for (const [retailer, items] of Object.entries(retailerResults)) {
-        if (Array.isArray(items)) {
-          for (const item of items) {
-            products.push({
-              ...item,
-              retailer: retailer,
-              source: retailer,
-              vendorLogo: `https://logo.clearbit.com/${retailer.replace(/\s+/g, '')}.com`
-            });
-          }
-        }
+      // Flatten results from all retailers (already canonical) and rank them against the query
+      let products = relevanceRanker.rankProducts(Object.values(retailerResults).flat(), query);
+      priceHistoryStore.recordProducts(products);
+      if (options.dropLowRelevance) {
+        products = relevanceRanker.filterRelevant(products, options.minRelevance);
       }
       
       console.log(`Combined ${products.length} products from all retailers`);
@@ -328,6 +341,7 @@ class ScraperService {
       return {
         success: true,
         products,
+        groups: productMatcher.groupProducts(products),
         query,
         timestamp: new Date().toISOString()
       };
@@ -337,6 +351,7 @@ class ScraperService {
       return {
         success: false,
         products: [],
+        groups: [],
         error: error.message,
         query,
         timestamp: new Date().toISOString()
@@ -346,42 +361,66 @@ class ScraperService {
 
   /**
    * Search a specific retailer with fallback strategies
+   * The retailer's circuit breaker decides whether it is searched at all, and each strategy's
+   * own breaker whether that strategy is tried; both record how the search went.
    * @param {string} retailer - Retailer key
    * @param {string} query - Search query
-   * @param {string} requestId - Request ID for tracking
-   * @returns {Promise<Array>} - Array of products
+   * @param {string} requestId - Request ID for tracking and cancellation
+   * @param {Function} onProgress - Optional callback with { status, strategy?, products?, error? };
+   *   status is 'cooldown', 'trying', 'completed', 'failed' or 'cancelled'
+   * @returns {Promise<Array>} - Array of canonical products
    */
-  async searchRetailerWithFallback(retailer, query, requestId) {
-    // Skip if this retailer is in cooldown period due to IP ban or excessive failures
-    if (this.isRetailerInCooldown(retailer)) {
+  async searchRetailerWithFallback(retailer, query, requestId, onProgress = () => {}) {
+    // Skip if this retailer's circuit is open after a block or excessive failures
+    if (!circuitBreaker.tryAcquire(retailer)) {
       console.log(`Skipping ${retailer} - currently in cooldown period`);
+      onProgress({ status: 'cooldown' });
       return [];
     }
+    const retailerQuery = queryNormaliser.forRetailer(query, retailer);
+    
+    if (this.workerPool) {
+      return this.searchRetailerInWorker(retailer, retailerQuery, requestId, onProgress);
+    }
 
     // Try different strategies with retry logic
     let results = [];
+    let successfulStrategy = null;
     let error = null;
+    let detection = null;
     let retryCount = 0;
+    let attempted = 0;
     
-    // Array of strategies to try in order
-    const strategies = [
-      { name: 'directApi', fn: () => this.directApiService.searchByApi(retailer, query, requestId) },
-      { name: 'headlessBrowser', fn: () => this.directApiService._tryHeadlessBrowserSniffing(retailer, query, requestId) },
-      { name: 'playwright', fn: () => this.playwrightService.searchWithPlaywright(retailer, query, requestId) }
-    ];
+    // How each strategy searches the retailer; SEARCH_STRATEGIES gives the order
+    const runners = {
+      directApi: () => this.directApiService.searchByApi(retailer, retailerQuery, requestId),
+      headlessBrowser: () => this.directApiService._tryHeadlessBrowserSniffing(retailer, retailerQuery, requestId),
+      playwright: () => this.playwrightService.searchWithPlaywright(retailer, retailerQuery, requestId)
+    };
+    const strategies = SEARCH_STRATEGIES.map(name => ({ name, fn: runners[name] }));
     
     for (const strategy of strategies) {
-      if (results.length > 0) break; // Stop if we already have results
+      if (results.length > 0 || abortRegistry.isAborted(requestId)) break;
       
+      // A strategy that keeps failing against this retailer is skipped while the others are tried
+      if (!circuitBreaker.tryAcquire(retailer, strategy.name)) {
+        console.log(`Skipping ${strategy.name} strategy for ${retailer} - circuit open`);
+        continue;
+      }
+      attempted++;
+      
+      let strategyError = null;
+      let strategyDetection = null;
       retryCount = 0;
-      while (retryCount < this.maxRetries) {
+      while (retryCount < this.maxRetries && !abortRegistry.isAborted(requestId)) {
         try {
           console.log(`Trying ${strategy.name} strategy for ${retailer} (attempt ${retryCount + 1})`);
+          onProgress({ status: 'trying', strategy: strategy.name, attempt: retryCount + 1 });
           results = await strategy.fn();
           
           if (results && results.length > 0) {
+            successfulStrategy = strategy.name;
             console.log(`Successfully retrieved ${results.length} results from ${retailer} using ${strategy.name} strategy`);
-            this.updateRetailerStatus(retailer, true);
             break;
           }
           
@@ -390,12 +429,13 @@ class ScraperService {
             await this.delay(this.retryDelayMs * (retryCount + 1)); // Exponential backoff
           }
         } catch (e) {
-          error = e;
+          error = strategyError = e;
           console.error(`Error in ${strategy.name} strategy for ${retailer}:`, e.message);
           
-          // Check for IP ban or CAPTCHA related errors
-          if (this.isIpBanError(e, retailer)) {
-            this.markRetailerIpBanned(retailer);
+          // Only a response the block detector classified as a CAPTCHA or block means a ban
+          strategyDetection = blockDetector.fromError(e, retailer);
+          if (strategyDetection) {
+            detection = strategyDetection;
             break; // Stop retrying this strategy
           }
           
@@ -406,128 +446,147 @@ class ScraperService {
         }
       }
       
-      if (results && results.length > 0) break; // Stop trying other strategies if we have results
+      if (results && results.length > 0) {
+        circuitBreaker.recordSuccess(retailer, strategy.name);
+      } else if (abortRegistry.isAborted(requestId)) {
+        circuitBreaker.release(retailer, strategy.name);
+      } else {
+        circuitBreaker.recordFailure(retailer, strategy.name, {
+          detection: strategyDetection,
+          error: strategyError ? strategyError.message : 'No products found'
+        });
+      }
     }
     
-    // Update status if all strategies failed
-    if (results.length === 0) {
-      this.updateRetailerStatus(retailer, false);
+    // A cancelled search is not a retailer failure and must not push it towards a cooldown
+    if (abortRegistry.isAborted(requestId)) {
+      console.log(`[${requestId}] Search of ${retailer} cancelled`);
+      circuitBreaker.release(retailer);
+      onProgress({ status: 'cancelled' });
+      return [];
     }
     
-    return results;
-  }
-  
-  /**
-   * Check if a retailer is currently in cooldown period
-   * @param {string} retailer - Retailer key
-   * @returns {boolean} - Whether the retailer is in cooldown
-   * @private
-   */
-  isRetailerInCooldown(retailer) {
-    const status = this.retailerStatus[retailer];
-    if (!status) return false;
+    // Nothing was sent to the retailer, so there is nothing to hold against it
+    if (attempted === 0) {
+      console.log(`Skipping ${retailer} - every strategy's circuit is open`);
+      circuitBreaker.release(retailer);
+      onProgress({ status: 'cooldown' });
+      return [];
+    }
     
-    if (status.cooldownUntil && status.cooldownUntil > new Date()) {
-      return true;
+    if (!results || results.length === 0) {
+      const message = error ? error.message : 'No products found';
+      circuitBreaker.recordFailure(retailer, null, { detection, error: message });
+      onProgress({ status: 'failed', error: message });
+      return [];
     }
     
-    return false;
+    circuitBreaker.recordSuccess(retailer);
+    const products = normaliseProducts(results, { retailer, fetchStrategy: successfulStrategy });
+    onProgress({ status: 'completed', strategy: successfulStrategy, products });
+    return products;
   }
   
   /**
-   * Mark a retailer as IP banned and set cooldown period
+   * Search a specific retailer on a worker thread (see scraperWorker.js for the strategies)
+   * Circuit breakers are kept here on the main thread, as for in-process searches: the
+   * worker is only given the strategies whose breakers let it through, and reports back
+   * how each one it tried failed.
    * @param {string} retailer - Retailer key
+   * @param {string} query - Search query
+   * @param {string} requestId - Request ID for tracking and cancellation
+   * @param {Function} onProgress - See searchRetailerWithFallback
+   * @returns {Promise<Array>} - Array of canonical products
    * @private
    */
-  markRetailerIpBanned(retailer) {
-    const status = this.retailerStatus[retailer];
-    if (!status) return;
-    
-    status.ipBanned = true;
-    status.consecutiveFailures++;
+  async searchRetailerInWorker(retailer, query, requestId, onProgress) {
+    const strategies = SEARCH_STRATEGIES.filter(strategy => circuitBreaker.tryAcquire(retailer, strategy));
+    if (strategies.length === 0) {
+      console.log(`Skipping ${retailer} - every strategy's circuit is open`);
+      circuitBreaker.release(retailer);
+      onProgress({ status: 'cooldown' });
+      return [];
+    }
     
-    // Calculate cooldown time based on consecutive failures (exponential backoff)
-    // Start with 10 minutes, increase exponentially up to 4 hours
-    const cooldownMinutes = Math.min(10 * Math.pow(2, status.consecutiveFailures - 1), 240);
-    const cooldownMs = cooldownMinutes * 60 * 1000;
+    // Forward cancellation of this request to the worker running it
+    const signal = abortRegistry.signalFor(requestId);
+    const onAbort = () => this.workerPool.cancel(requestId);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
     
-    status.cooldownUntil = new Date(Date.now() + cooldownMs);
-    console.log(`${retailer} marked as IP banned or rate limited. Cooldown for ${cooldownMinutes} minutes until ${status.cooldownUntil}`);
+    let result = null;
+    try {
+      result = await this.workerPool.run({ retailer, query, strategies }, {
+        requestId,
+        onProgress: ({ status, strategy }) => onProgress({ status, strategy })
+      });
+      
+      if (result.success && result.products.length > 0) {
+        circuitBreaker.recordSuccess(retailer);
+        onProgress({ status: 'completed', strategy: result.strategy, products: result.products });
+        return result.products;
+      }
+      
+      if (result.cancelled || abortRegistry.isAborted(requestId)) {
+        circuitBreaker.release(retailer);
+        onProgress({ status: 'cancelled' });
+        return [];
+      }
+      
+      // The worker sends the block detector's evidence along with the failure
+      circuitBreaker.recordFailure(retailer, null, { detection: result.detection, error: result.error });
+      onProgress({ status: 'failed', error: result.error || 'No products found' });
+      return [];
+    } catch (error) {
+      // Timed out, crashed or cancelled; the pool has already replaced the worker
+      if (abortRegistry.isAborted(requestId)) {
+        circuitBreaker.release(retailer);
+        onProgress({ status: 'cancelled' });
+        return [];
+      }
+      
+      console.error(`Worker search failed for ${retailer}:`, error.message);
+      circuitBreaker.recordFailure(retailer, null, { error: error.message });
+      onProgress({ status: 'failed', error: error.message });
+      return [];
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      this.recordWorkerStrategies(retailer, strategies, result);
+    }
   }
   
   /**
-   * Update retailer status after an attempt
+   * Record the outcome of each strategy a worker was allowed to try
+   * Strategies it never reached, or that were cut short, give their probe back.
    * @param {string} retailer - Retailer key
-   * @param {boolean} success - Whether the attempt was successful
+   * @param {Array<string>} strategies - Strategies the worker was given
+   * @param {Object|null} result - Worker result, null if the worker never answered
    * @private
    */
-  updateRetailerStatus(retailer, success) {
-    const status = this.retailerStatus[retailer];
-    if (!status) return;
-    
-    if (success) {
-      status.lastSuccessful = new Date();
-      status.consecutiveFailures = 0;
-      status.ipBanned = false;
-      status.cooldownUntil = null;
-    } else {
-      status.consecutiveFailures++;
-      
-      // If too many consecutive failures, assume rate limiting and set a cooldown
-      if (status.consecutiveFailures >= 3) {
-        const cooldownMinutes = Math.min(5 * Math.pow(2, status.consecutiveFailures - 3), 120);
-        const cooldownMs = cooldownMinutes * 60 * 1000;
-        status.cooldownUntil = new Date(Date.now() + cooldownMs);
-        
-        console.log(`${retailer} failed ${status.consecutiveFailures} times in a row. Cooldown for ${cooldownMinutes} minutes.`);
+  recordWorkerStrategies(retailer, strategies, result) {
+    const failures = (result && result.failures) || [];
+    for (const strategy of strategies) {
+      const failure = failures.find(entry => entry.strategy === strategy);
+      if (result && result.success && result.strategy === strategy) {
+        circuitBreaker.recordSuccess(retailer, strategy);
+      } else if (failure && !result.cancelled) {
+        circuitBreaker.recordFailure(retailer, strategy, { detection: failure.detection, error: failure.error });
+      } else {
+        circuitBreaker.release(retailer, strategy);
       }
     }
   }
   
   /**
-   * Check if an error indicates an IP ban or CAPTCHA challenge
-   * @param {Error} error - The error to check
+   * Check if a retailer is currently in cooldown period
    * @param {string} retailer - Retailer key
-   * @returns {boolean} - Whether this appears to be an IP ban error
-   * @private
+   * @returns {boolean} - Whether the retailer's circuit is open
    */
-  isIpBanError(error, retailer) {
-    const errorMsg = error.message.toLowerCase();
-    
-    // Generic indicators of IP blocking or CAPTCHA
-    const ipBanIndicators = [
-      'captcha', 
-      'robot', 
-      'automated', 
-      'blocked', 
-      'access denied',
-      'too many requests',
-      '429',
-      '403',
-      'rate limit',
-      'forbidden',
-      'unusual traffic'
-    ];
-    
-    // Check for generic indicators
-    for (const indicator of ipBanIndicators) {
-      if (errorMsg.includes(indicator)) {
-        return true;
-      }
-    }
-    
-    // Retailer-specific checks
-    if (retailer === 'amazon' && 
-        (errorMsg.includes('sorry') || errorMsg.includes('to verify'))) {
-      return true;
-    }
-    
-    if (retailer === 'flipkart' && 
-        (errorMsg.includes('unusual activity') || errorMsg.includes('verify'))) {
-      return true;
-    }
-    
-    return false;
+  isRetailerInCooldown(retailer) {
+    return circuitBreaker.isOpen(retailer);
   }
   
   /**
@@ -545,6 +604,9 @@ class ScraperService {
    * @returns {Promise<void>}
    */
   async shutdown() {
+    if (this.workerPool) {
+      await this.workerPool.shutdown();
+    }
     await this.playwrightService.close();
     console.log('Scraper Service shut down successfully');
   }
@@ -1,7 +1,9 @@
-const { parentPort, workerData } = require('worker_threads');
+const { parentPort } = require('worker_threads');
 const directApiService = require('./directApiService');
-const { launchImprovedPlaywright } = require('./improvedPlaywright');
-const axios = require('axios');
+const { playwrightManager } = require('./improvedPlaywright');
+const abortRegistry = require('./abortRegistry');
+const blockDetector = require('./blockDetector');
+const { normaliseProducts } = require('../models/product');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,145 +16,146 @@ if (DEBUG_MODE && !fs.existsSync(DEBUG_DIR)) {
   fs.mkdirSync(DEBUG_DIR, { recursive: true });
 }
 
+// The tiered direct API search is abandoned after this long in favour of the later tiers
+const DIRECT_API_TIMEOUT_MS = 15000;
+
 /**
- * Main worker function - processes scraping tasks in worker thread
- * Now with tiered fallback strategies:
- * 1. Try direct API with harvested JSON endpoints (fastest)
- * 2. Try network sniffing with headless browser (reliable)
- * 3. Fall back to Playwright DOM scraping (slowest, last resort)
+ * Run the tiered direct API search, aborting it if it takes longer than DIRECT_API_TIMEOUT_MS
+ * The search runs under its own requestId, so the timeout can abort its requests and
+ * browser pages without cancelling the tiers after it. Cancelling the task aborts it too.
+ * @param {string} retailer - Retailer key
+ * @param {string} query - Search query
+ * @param {string} requestId - The task's request ID
+ * @returns {Promise<Array>} - Array of canonical products
+ * @throws {Error} - When the search failed, timed out or was cancelled
  */
-async function runScraperWorker() {
+async function searchByApiWithTimeout(retailer, query, requestId) {
+  const tierRequestId = `${requestId}:directApi`;
+  abortRegistry.register(tierRequestId);
+  const abortTier = () => abortRegistry.abort(tierRequestId).catch(() => {});
+  const signal = abortRegistry.signalFor(requestId);
+  signal.addEventListener('abort', abortTier, { once: true });
+
+  // Only forget the tier once the search has wound down, so it still sees the abort
+  const search = directApiService.searchByApi(retailer, query, tierRequestId);
+  search.catch(() => {}).finally(() => abortRegistry.release(tierRequestId));
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error('Direct API timeout'));
+      abortTier();
+    }, DIRECT_API_TIMEOUT_MS);
+  });
+
   try {
-    const { retailer, query, requestId } = workerData;
-    
-    console.log(`[Worker ${process.pid}] Starting scrape for ${retailer} with query: "${query}"`);
-    
-    // First tier: Try direct API service with enhanced endpoint harvesting
-    try {
-      console.log(`[Worker ${process.pid}] Trying direct API for ${retailer}...`);
-      
-      // Create a timeout to abort if direct API takes too long
-      const directApiPromise = directApiService._fetchFromApiEndpoint(retailer, query);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Direct API timeout')), 15000)
-      );
-      
-      // Race the API request against the timeout
-      const products = await Promise.race([directApiPromise, timeoutPromise]);
-      
-      if (products && products.length > 0) {
-        console.log(`[Worker ${process.pid}] Found ${products.length} products via direct API`);
-        parentPort.postMessage({
-          success: true,
-          products,
-          retailer,
-          source: 'direct-api',
-          count: products.length
-        });
-        return;
-      }
-    } catch (error) {
-      console.error(`[Worker ${process.pid}] Direct API failed for ${retailer}:`, error.message);
-    }
+    return await Promise.race([search, timeout]);
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', abortTier);
+  }
+}
+
+// How each tier searches a retailer, by the strategy names ScraperService's circuit breakers use
+const TIERS = {
+  // Direct API with harvested JSON endpoints and network sniffing (fastest)
+  directApi: searchByApiWithTimeout,
+  // Headless browser network sniffing
+  headlessBrowser: async (retailer, query, requestId) => normaliseProducts(
+    await directApiService._tryHeadlessBrowserSniffing(retailer, query, requestId),
+    { retailer, fetchStrategy: 'headlessBrowser' }
+  ),
+  // Playwright DOM scraping (slowest, last resort)
+  playwright: async (retailer, query, requestId) => normaliseProducts(
+    await playwrightManager.searchWithPlaywright(retailer, query, requestId),
+    { retailer, fetchStrategy: 'playwright' }
+  )
+};
+
+/**
+ * Process one scraping task in the worker thread, trying each tier in turn until one finds products
+ * Workers are long-lived and owned by WorkerPool, which posts one task at a time.
+ * A failed result carries the block detector's evidence when a tier was blocked, which
+ * the main thread's ScraperService bases the retailer cooldown on. Every result lists
+ * how each tier that ran came up empty, for the per-strategy circuit breakers.
+ * @param {Object} task - { taskId, retailer, query, requestId, strategies? }; strategies
+ *   names the tiers to run and their order (ScraperService passes SEARCH_STRATEGIES),
+ *   every tier in TIERS by default
+ */
+async function runScraperTask(task) {
+  const { taskId, retailer, query, requestId, strategies = Object.keys(TIERS) } = task;
+  const progress = (status, strategy) => parentPort.postMessage({ type: 'progress', taskId, status, strategy });
+  // { strategy, error, detection } for each tier that ran without finding products
+  const failures = [];
+  const result = (message) => parentPort.postMessage({ type: 'result', taskId, retailer, failures, ...message });
 
-    // Final fallback: Full Playwright scraping if needed
-    console.log(`[Worker ${process.pid}] All faster methods failed. Falling back to Playwright for ${retailer}...`);
-    
-    // Launch browser and scrape with full DOM traversal
-    const { browser, page } = await launchImprovedPlaywright();
-    
-    try {
-      // Implement retailer-specific scraping logic similar to the improved headless approach
-      let searchUrl;
-      switch (retailer.toLowerCase()) {
-        case 'amazon':
-          searchUrl = `https://www.amazon.in/s?k=${encodeURIComponent(query)}`;
-          break;
-        case 'flipkart':
-          searchUrl = `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`;
-          break;
-        case 'meesho': 
-          searchUrl = `https://www.meesho.com/search?q=${encodeURIComponent(query)}`;
-          break;
-        case 'croma':
-          searchUrl = `https://www.croma.com/search/?text=${encodeURIComponent(query)}`;
-          break;
-        case 'reliancedigital':
-          searchUrl = `https://www.reliancedigital.in/search?q=${encodeURIComponent(query)}:relevance`;
-          break;
-        default:
-          throw new Error(`Unknown retailer: ${retailer}`);
+  abortRegistry.register(requestId);
+  console.log(`[Worker ${process.pid}] Starting scrape for ${retailer} with query: "${query}"`);
+  let detection = null;
+  let lastError = null;
+
+  try {
+    for (const strategy of strategies) {
+      abortRegistry.throwIfAborted(requestId);
+      if (!TIERS[strategy]) {
+        throw new Error(`Unknown search strategy ${strategy}`);
       }
-      
-      console.log(`[Worker ${process.pid}] Navigating to ${searchUrl}`);
-      
-      await page.goto(searchUrl, { 
-        waitUntil: 'networkidle',
-        timeout: 60000
-      });
-      
-      // Handle cookie consent
+
+      console.log(`[Worker ${process.pid}] Trying ${strategy} for ${retailer}...`);
+      progress('trying', strategy);
+
+      let products;
       try {
-        await directApiService._handleCookieBanner(page, retailer.toLowerCase());
-      } catch (e) {
-        // Continue if cookie handling fails
+        products = await TIERS[strategy](retailer, query, requestId);
+      } catch (error) {
+        // A cancelled task is not a failure of the tier
+        if (abortRegistry.isAborted(requestId)) {
+          throw error;
+        }
+        console.error(`[Worker ${process.pid}] ${strategy} failed for ${retailer}:`, error.message);
+        lastError = error;
+        const tierDetection = blockDetector.fromError(error, retailer);
+        detection = tierDetection || detection;
+        failures.push({ strategy, error: error.message, detection: tierDetection });
+        continue;
       }
-      
-      // Save debug HTML if needed
-      if (DEBUG_MODE) {
-        const content = await page.content();
-        const timestamp = Date.now();
-        fs.writeFileSync(path.join(DEBUG_DIR, `${retailer.toLowerCase()}-${timestamp}.html`), content);
-      }
-      
-      // Extract products using the DOM extraction method from directApiService
-      const products = await directApiService._extractProductsFromDOM(page, retailer.toLowerCase());
-      
+
       if (products && products.length > 0) {
-        console.log(`[Worker ${process.pid}] Extracted ${products.length} products via Playwright`);
-        parentPort.postMessage({
-          success: true,
-          products,
-          retailer,
-          source: 'playwright-dom',
-          count: products.length
-        });
-      } else {
-        console.log(`[Worker ${process.pid}] No products found for ${retailer}`);
-        parentPort.postMessage({
-          success: false,
-          products: [],
-          retailer,
-          error: 'No products found'
-        });
-      }
-    } catch (error) {
-      console.error(`[Worker ${process.pid}] Playwright scraping error for ${retailer}:`, error.message);
-      parentPort.postMessage({
-        success: false,
-        retailer,
-        error: error.message
-      });
-    } finally {
-      // Clean up
-      if (browser) {
-        await browser.close();
+        console.log(`[Worker ${process.pid}] Found ${products.length} products via ${strategy}`);
+        result({ success: true, products, strategy, count: products.length });
+        return;
       }
+      failures.push({ strategy, error: 'No products found', detection: null });
     }
+
+    console.log(`[Worker ${process.pid}] No products found for ${retailer}`);
+    result({
+      success: false,
+      products: [],
+      error: detection ? `${retailer} ${detection.outcome}` : (lastError ? lastError.message : 'No products found'),
+      detection
+    });
   } catch (error) {
-    console.error(`[Worker ${process.pid}] Fatal worker error:`, error);
-    parentPort.postMessage({
+    console.error(`[Worker ${process.pid}] Scraping error for ${retailer}:`, error.message);
+    result({
       success: false,
-      error: error.message
+      products: [],
+      cancelled: abortRegistry.isAborted(requestId),
+      error: error.message,
+      detection: blockDetector.fromError(error, retailer) || detection
     });
+  } finally {
+    abortRegistry.release(requestId);
   }
 }
 
-// Start the worker
-runScraperWorker().catch(err => {
-  console.error('Uncaught worker error:', err);
-  parentPort.postMessage({
-    success: false,
-    error: err.message
-  });
-});
\ No newline at end of file
+parentPort.on('message', (message) => {
+  if (message.type === 'task') {
+    runScraperTask(message).catch(err => {
+      console.error('Uncaught worker error:', err);
+      parentPort.postMessage({ type: 'result', taskId: message.taskId, success: false, products: [], error: err.message });
+    });
+  } else if (message.type === 'cancel') {
+    abortRegistry.abort(message.requestId).catch(() => {});
+  }
+});
@@ -0,0 +1,408 @@
+/**
+ * Selector health monitor
+ * Records, for every scrape, how many result cards each retailer's selectors matched
+ * and how often products came back without a price, image or rating, then compares
+ * the latest scrapes against a rolling baseline so a retailer DOM change shows up as
+ * a regression instead of a silent drop in results.
+ *
+ * Samples are kept per retailer and extractor ('browser', 'fastFetch', or a direct
+ * API strategy name). Scrapes running on worker threads post their samples to the
+ * pool, which hands them to the main thread's instance.
+ *
+ * The HTML behind the latest scrape of each retailer and extractor is kept as a
+ * capture, so a broken page can be inspected and repaired (see selectorRepairService).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isMainThread, parentPort } = require('worker_threads');
+
+const HEALTH_FILE = process.env.SELECTOR_HEALTH_FILE ||
+  path.join(__dirname, '../storage/selector_health.json');
+
+// Latest result page per retailer and extractor
+const CAPTURE_DIR = process.env.SELECTOR_CAPTURE_DIR ||
+  path.join(__dirname, '../storage/captures');
+
+// Pages saved by DEBUG_MODE, used when no capture exists yet
+const DEBUG_DIR = path.join(__dirname, '../../debug');
+
+// Samples kept per retailer and extractor
+const WINDOW_SIZE = 50;
+
+// The latest samples, compared against the ones before them
+const RECENT_SAMPLES = 5;
+
+// Baseline samples needed before regressions are reported
+const MIN_BASELINE_SAMPLES = 10;
+
+// A rate this far below its baseline is a regression
+const DROP_THRESHOLD = parseFloat(process.env.SELECTOR_HEALTH_DROP_THRESHOLD) || 0.3;
+
+// Product fields whose completeness is tracked, with the raw field names extractors use
+const FIELDS = {
+  title: ['title', 'name'],
+  price: ['price'],
+  image: ['imageUrl', 'image'],
+  rating: ['rating'],
+  url: ['url', 'link']
+};
+
+class SelectorHealth {
+  constructor() {
+    this.filePath = HEALTH_FILE;
+    // retailer -> extractor -> samples, oldest first
+    this.samples = isMainThread ? this._load() : {};
+    // Regressions already logged, so each is warned about once while it lasts
+    this.flagged = new Set();
+    // Called with every new regression
+    this.regressionListeners = [];
+  }
+
+  /**
+   * Load samples from disk
+   * @returns {Object} - Samples keyed by retailer and extractor
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading selector health samples:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write samples to disk
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.samples));
+    } catch (error) {
+      console.error('Error saving selector health samples:', error.message);
+    }
+  }
+
+  /**
+   * Record the outcome of one scrape
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor or strategy name
+   * @param {Object} outcome - What the scrape produced
+   * @param {Array} outcome.products - Raw or canonical products
+   * @param {Object} [outcome.selectors] - Probe result, see probeCheerio/probeBrowser
+   * @param {string} [outcome.html] - Page the products were extracted from, kept as the latest capture
+   */
+  record(retailer, extractor, { products = [], selectors = null, html = null } = {}) {
+    if (html) {
+      this._saveCapture(retailer, extractor, html);
+    }
+
+    const sample = {
+      at: new Date().toISOString(),
+      productCount: products.length,
+      fields: this._fieldCompleteness(products),
+      ...(selectors && { selectors: this._selectorRates(selectors) })
+    };
+
+    if (!isMainThread && parentPort) {
+      parentPort.postMessage({ type: 'selectorHealth', retailer, extractor, sample });
+      return;
+    }
+    this.addSample(retailer, extractor, sample);
+  }
+
+  /**
+   * Store a sample and warn about any new regression
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor or strategy name
+   * @param {Object} sample - Sample built by record()
+   */
+  addSample(retailer, extractor, sample) {
+    const byExtractor = this.samples[retailer] = this.samples[retailer] || {};
+    const samples = byExtractor[extractor] = [...(byExtractor[extractor] || []), sample].slice(-WINDOW_SIZE);
+    this._save();
+
+    const prefix = `${retailer}:${extractor}:`;
+    const regressions = this._analyse(samples).regressions;
+    const current = new Set(regressions.map(regression => `${prefix}${regression.metric}:${regression.name}`));
+
+    // A regression that recovered is flagged afresh if it comes back
+    for (const key of this.flagged) {
+      if (key.startsWith(prefix) && !current.has(key)) {
+        this.flagged.delete(key);
+      }
+    }
+
+    for (const regression of regressions) {
+      const key = `${prefix}${regression.metric}:${regression.name}`;
+      if (!this.flagged.has(key)) {
+        this.flagged.add(key);
+        console.warn(`Selector health regression for ${retailer} (${extractor}): ${regression.metric} ${regression.name} ` +
+          `fell from ${regression.baseline} to ${regression.recent}`);
+
+        for (const listener of this.regressionListeners) {
+          try {
+            listener({ retailer, extractor, ...regression });
+          } catch (error) {
+            console.error('Selector health regression listener failed:', error.message);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Register a callback for regressions, called once per newly flagged regression
+   * @param {Function} listener - Called with { retailer, extractor, metric, name, baseline, recent, drop }
+   */
+  onRegression(listener) {
+    this.regressionListeners.push(listener);
+  }
+
+  /**
+   * Latest captured result page for a retailer and extractor
+   * Falls back to the newest page DEBUG_MODE saved for the retailer.
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor name
+   * @returns {Object|null} - { html, file, capturedAt }, or null if nothing was captured
+   */
+  getCapture(retailer, extractor) {
+    const candidates = [path.join(CAPTURE_DIR, `${retailer}-${extractor}.html`)];
+    try {
+      if (fs.existsSync(DEBUG_DIR)) {
+        candidates.push(...fs.readdirSync(DEBUG_DIR)
+          .filter(file => file.startsWith(`${retailer}-`) && file.endsWith('.html'))
+          .map(file => path.join(DEBUG_DIR, file))
+          .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs));
+      }
+    } catch (error) {
+      console.warn(`Could not list debug pages: ${error.message}`);
+    }
+
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      return null;
+    }
+    return {
+      html: fs.readFileSync(file, 'utf8'),
+      file,
+      capturedAt: fs.statSync(file).mtime.toISOString()
+    };
+  }
+
+  /**
+   * Count how many result cards a cheerio document has and how many of them match each field selector
+   * @param {Object} $ - Cheerio root
+   * @param {Object} selectorSet - { card, fields: { name: selector } }
+   * @returns {Object} - { card, cards, fields: { name: { selector, matched } } }
+   */
+  probeCheerio($, selectorSet) {
+    const cards = $(selectorSet.card);
+    const fields = {};
+    for (const [name, selector] of Object.entries(selectorSet.fields || {})) {
+      fields[name] = { selector, matched: cards.filter((i, card) => $(card).find(selector).length > 0).length };
+    }
+    return { card: selectorSet.card, cards: cards.length, fields };
+  }
+
+  /**
+   * Same as probeCheerio for a live Playwright page
+   * @param {Object} page - Playwright page
+   * @param {Object} selectorSet - { card, fields: { name: selector } }
+   * @returns {Promise<Object|null>} - Probe result, or null if the page could not be read
+   */
+  async probeBrowser(page, selectorSet) {
+    try {
+      return await page.$$eval(selectorSet.card, (cards, { card, fields }) => ({
+        card,
+        cards: cards.length,
+        fields: Object.fromEntries(Object.entries(fields || {}).map(([name, selector]) => [
+          name,
+          { selector, matched: cards.filter(element => element.querySelector(selector)).length }
+        ]))
+      }), selectorSet);
+    } catch (error) {
+      console.warn(`Could not probe selectors: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Health of every retailer and extractor
+   * @param {string} [retailer] - Only report this retailer
+   * @returns {Object} - { retailers: { [retailer]: { status, extractors } }, regressions }
+   */
+  getReport(retailer = null) {
+    const report = { retailers: {}, regressions: [] };
+
+    for (const [retailerKey, byExtractor] of Object.entries(this.samples)) {
+      if (retailer && retailerKey !== retailer) {
+        continue;
+      }
+
+      const extractors = {};
+      for (const [extractor, samples] of Object.entries(byExtractor)) {
+        extractors[extractor] = this._analyse(samples);
+        for (const regression of extractors[extractor].regressions) {
+          report.regressions.push({ retailer: retailerKey, extractor, ...regression });
+        }
+      }
+
+      const statuses = Object.values(extractors).map(entry => entry.status);
+      report.retailers[retailerKey] = {
+        status: statuses.includes('degraded') ? 'degraded' : (statuses.includes('ok') ? 'ok' : 'insufficient_data'),
+        extractors
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Forget all samples, mainly for tests
+   */
+  reset() {
+    this.samples = {};
+    this.flagged.clear();
+    this._save();
+  }
+
+  /**
+   * Overwrite the latest capture for a retailer and extractor
+   * Written from whichever thread ran the scrape.
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor name
+   * @param {string} html - Page HTML
+   * @private
+   */
+  _saveCapture(retailer, extractor, html) {
+    try {
+      fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+      fs.writeFileSync(path.join(CAPTURE_DIR, `${retailer}-${extractor}.html`), html);
+    } catch (error) {
+      console.error('Error saving selector capture:', error.message);
+    }
+  }
+
+  /**
+   * Compare the latest samples with the rolling baseline before them
+   * @param {Array} samples - Samples, oldest first
+   * @returns {Object} - { status, samples, lastSampleAt, recent, baseline, regressions }
+   * @private
+   */
+  _analyse(samples) {
+    const recentSamples = samples.slice(-RECENT_SAMPLES);
+    const baselineSamples = samples.slice(0, -RECENT_SAMPLES);
+    const recent = this._summarise(recentSamples);
+    const baseline = baselineSamples.length >= MIN_BASELINE_SAMPLES ? this._summarise(baselineSamples) : null;
+
+    const regressions = [];
+    if (baseline) {
+      const compare = (metric, name, before, after) => {
+        if (before !== undefined && after !== undefined && before - after >= DROP_THRESHOLD) {
+          regressions.push({ metric, name, baseline: before, recent: after, drop: this._round(before - after) });
+        }
+      };
+
+      compare('yield', 'products', baseline.yield, recent.yield);
+      for (const [name, rate] of Object.entries(baseline.fields)) {
+        compare('field', name, rate, recent.fields[name]);
+      }
+      for (const [name, rate] of Object.entries(baseline.selectors)) {
+        compare('selector', name, rate, recent.selectors[name]);
+      }
+    }
+
+    return {
+      status: !baseline ? 'insufficient_data' : (regressions.length > 0 ? 'degraded' : 'ok'),
+      samples: samples.length,
+      lastSampleAt: samples.length > 0 ? samples[samples.length - 1].at : null,
+      recent,
+      baseline,
+      regressions
+    };
+  }
+
+  /**
+   * Average a set of samples
+   * Field completeness is averaged over samples that returned products, so an empty
+   * scrape shows up once, as a drop in yield.
+   * @param {Array} samples - Samples
+   * @returns {Object} - { yield, fields: { name: rate }, selectors: { name: rate } }
+   * @private
+   */
+  _summarise(samples) {
+    const average = (values) => values.length > 0
+      ? this._round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : undefined;
+    const averageKeys = (maps) => {
+      const keys = [...new Set(maps.flatMap(map => Object.keys(map)))];
+      return Object.fromEntries(keys.map(key => [
+        key,
+        average(maps.filter(map => map[key] !== undefined).map(map => map[key]))
+      ]));
+    };
+
+    const withProducts = samples.filter(sample => sample.productCount > 0);
+    return {
+      yield: average(samples.map(sample => (sample.productCount > 0 ? 1 : 0))),
+      fields: averageKeys(withProducts.map(sample => sample.fields)),
+      selectors: averageKeys(samples.filter(sample => sample.selectors).map(sample => sample.selectors))
+    };
+  }
+
+  /**
+   * Share of products with each tracked field filled in
+   * @param {Array} products - Raw or canonical products
+   * @returns {Object} - { field: rate }, empty when there are no products
+   * @private
+   */
+  _fieldCompleteness(products) {
+    if (products.length === 0) {
+      return {};
+    }
+
+    return Object.fromEntries(Object.entries(FIELDS).map(([field, names]) => {
+      const filled = products.filter(product => names.some(name => {
+        const value = product[name];
+        return value !== null && value !== undefined && value !== '' && value !== 0;
+      })).length;
+      return [field, this._round(filled / products.length)];
+    }));
+  }
+
+  /**
+   * Turn a probe result into per-selector hit rates
+   * The card selector scores 1 when it matched anything; field selectors score the
+   * share of cards they matched inside.
+   * @param {Object} probe - Probe result
+   * @returns {Object} - { 'name (selector)': rate }
+   * @private
+   */
+  _selectorRates(probe) {
+    const rates = { [`card (${probe.card})`]: probe.cards > 0 ? 1 : 0 };
+    if (probe.cards > 0) {
+      for (const [name, { selector, matched }] of Object.entries(probe.fields)) {
+        rates[`${name} (${selector})`] = this._round(matched / probe.cards);
+      }
+    }
+    return rates;
+  }
+
+  /**
+   * @param {number} value - Rate
+   * @returns {number} - Rate rounded to two decimals
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export a singleton instance
+module.exports = new SelectorHealth();
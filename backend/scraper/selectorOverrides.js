@@ -0,0 +1,233 @@
+/**
+ * Selector overrides
+ * Replacement CSS selectors for a retailer's extractor, stored in
+ * storage/selector_overrides.json. Proposals start out pending and only take
+ * effect once approved; the extractors use the active override for their
+ * retailer instead of the selectors they were written with.
+ *
+ * Override:
+ * {
+ *   id: string,
+ *   retailer: string,
+ *   extractor: string,         // 'fastFetch' or 'browser'
+ *   status: string,            // pending | active | rejected | invalid | superseded
+ *   selectors: Object,         // { card, fields: { title, price, image, link } }
+ *   previous: Object|null,     // Selector set in effect when the override was proposed
+ *   validation: Object,        // Result of running the selectors against the capture
+ *   source: string,            // What proposed it, e.g. 'groq'
+ *   notes: string|null,        // Proposer's explanation
+ *   reason: string|null,       // Regression or request that triggered it
+ *   createdAt: string,
+ *   reviewedAt: string|null
+ * }
+ *
+ * Scrapes run on worker threads too, so the file is re-read whenever it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const retailerRegistry = require('./retailerRegistry');
+
+const OVERRIDES_FILE = process.env.SELECTOR_OVERRIDES_FILE ||
+  path.join(__dirname, '../storage/selector_overrides.json');
+
+const STATUSES = ['pending', 'active', 'rejected', 'invalid', 'superseded'];
+
+class SelectorOverrides {
+  constructor() {
+    this.filePath = OVERRIDES_FILE;
+    this.loadedMtime = null;
+    this.overrides = this._load();
+  }
+
+  /**
+   * Load overrides from disk
+   * @returns {Object} - Overrides keyed by id
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading selector overrides:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Re-read the file if another thread or process changed it
+   * @private
+   */
+  _refresh() {
+    try {
+      const mtime = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+      if (mtime !== this.loadedMtime) {
+        this.overrides = mtime === null ? {} : this._load();
+        this.loadedMtime = mtime;
+      }
+    } catch (error) {
+      console.error('Error checking selector overrides:', error.message);
+    }
+  }
+
+  /**
+   * Write overrides to disk
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.overrides, null, 2));
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      console.error('Error saving selector overrides:', error.message);
+    }
+  }
+
+  /**
+   * List overrides, newest first
+   * @param {Object} [filter] - Optional filter
+   * @param {string} [filter.retailer] - Only this retailer
+   * @param {string} [filter.status] - Only this status
+   * @returns {Array} - Overrides
+   */
+  list({ retailer = null, status = null } = {}) {
+    this._refresh();
+    return Object.values(this.overrides)
+      .filter(override => (!retailer || override.retailer === retailer) && (!status || override.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get an override by id
+   * @param {string} id - Override id
+   * @returns {Object|null} - Override
+   */
+  get(id) {
+    this._refresh();
+    return this.overrides[id] || null;
+  }
+
+  /**
+   * Store a proposed selector set
+   * @param {Object} proposal - Override fields (retailer, extractor, selectors, previous, validation, source, notes, reason)
+   * @param {string} [status='pending'] - Initial status
+   * @returns {Object} - Stored override
+   */
+  add(proposal, status = 'pending') {
+    this._refresh();
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown selector override status ${status}`);
+    }
+
+    const override = {
+      id: uuidv4(),
+      retailer: proposal.retailer,
+      extractor: proposal.extractor,
+      status: 'pending',
+      selectors: proposal.selectors,
+      previous: proposal.previous || null,
+      validation: proposal.validation || null,
+      source: proposal.source || 'manual',
+      notes: proposal.notes || null,
+      reason: proposal.reason || null,
+      createdAt: new Date().toISOString(),
+      reviewedAt: null
+    };
+    this.overrides[override.id] = override;
+
+    if (status === 'active') {
+      return this.approve(override.id);
+    }
+    override.status = status;
+    this._save();
+    return override;
+  }
+
+  /**
+   * Make a pending override live, superseding the retailer's current one
+   * @param {string} id - Override id
+   * @returns {Object|null} - Approved override, or null if it is not pending
+   */
+  approve(id) {
+    return this._review(id, 'active');
+  }
+
+  /**
+   * Reject a pending override
+   * @param {string} id - Override id
+   * @returns {Object|null} - Rejected override, or null if it is not pending
+   */
+  reject(id) {
+    return this._review(id, 'rejected');
+  }
+
+  /**
+   * Active override for a retailer's extractor
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor name
+   * @returns {Object|null} - Override
+   */
+  active(retailer, extractor) {
+    this._refresh();
+    return Object.values(this.overrides).find(override =>
+      override.retailer === retailer && override.extractor === extractor && override.status === 'active') || null;
+  }
+
+  /**
+   * Selectors an extractor is currently using: the active override, or what the plugin declares
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - Extractor name
+   * @returns {Object|null} - { card, fields }
+   */
+  selectorSetFor(retailer, extractor) {
+    const override = this.active(retailer, extractor);
+    if (override) {
+      return override.selectors;
+    }
+    const plugin = retailerRegistry.get(retailer);
+    return (plugin && plugin.healthSelectors[extractor]) || null;
+  }
+
+  /**
+   * Forget all overrides, mainly for tests
+   */
+  reset() {
+    this.overrides = {};
+    this._save();
+  }
+
+  /**
+   * Move a pending override to its reviewed status
+   * @param {string} id - Override id
+   * @param {string} status - 'active' or 'rejected'
+   * @returns {Object|null} - Reviewed override
+   * @private
+   */
+  _review(id, status) {
+    this._refresh();
+    const override = this.overrides[id];
+    if (!override || override.status !== 'pending') {
+      return null;
+    }
+
+    if (status === 'active') {
+      const current = this.active(override.retailer, override.extractor);
+      if (current) {
+        current.status = 'superseded';
+      }
+    }
+
+    override.status = status;
+    override.reviewedAt = new Date().toISOString();
+    this._save();
+    return override;
+  }
+}
+
+// Export a singleton instance
+module.exports = new SelectorOverrides();
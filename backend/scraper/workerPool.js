@@ -0,0 +1,276 @@
+/**
+ * Worker Pool
+ * Runs per-retailer scrape tasks on worker threads so a hung Playwright page or a
+ * CPU-heavy parse cannot block the API server's event loop. Workers are started
+ * lazily up to the pool size, and a worker that crashes or overruns its task
+ * timeout is replaced.
+ *
+ * Protocol (see scraperWorker.js):
+ *   parent -> worker  { type: 'task', taskId, ...payload }  |  { type: 'cancel', requestId }
+ *                     { type: 'rateLimitGranted', leaseId }
+ *   worker -> parent  { type: 'progress', taskId, ... }     |  { type: 'result', taskId, ... }
+ *                     { type: 'selectorHealth', retailer, extractor, sample }
+ *                     { type: 'proxyOutcome', proxyId, retailer, outcome }
+ *                     { type: 'blockDetection', retailer, tier, detection }
+ *                     { type: 'rateLimitAcquire' | 'rateLimitCancel' | 'rateLimitRelease', leaseId, ... }
+ */
+const { Worker } = require('worker_threads');
+const path = require('path');
+const selectorHealth = require('./selectorHealth');
+const proxyManager = require('./proxyManager');
+const blockDetector = require('./blockDetector');
+const rateLimiter = require('./rateLimiter');
+
+const DEFAULT_WORKER_FILE = path.join(__dirname, 'scraperWorker.js');
+
+// A task that runs longer than this is assumed hung and its worker is replaced
+const TASK_TIMEOUT_MS = parseInt(process.env.SCRAPER_WORKER_TIMEOUT_MS, 10) || 90000;
+
+// Time a worker gets to close its browser pages after a cancel before it is terminated
+const CANCEL_GRACE_MS = 2000;
+
+class WorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of worker threads
+   * @param {string} options.workerFile - Worker script
+   * @param {number} options.taskTimeoutMs - Per-task timeout
+   */
+  constructor({ size = 1, workerFile = DEFAULT_WORKER_FILE, taskTimeoutMs = TASK_TIMEOUT_MS } = {}) {
+    this.size = Math.max(1, size);
+    this.workerFile = workerFile;
+    this.taskTimeoutMs = taskTimeoutMs;
+
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.closed = false;
+    this.stats = { completed: 0, failed: 0, timedOut: 0, crashed: 0, restarts: 0 };
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {Object} payload - Task data posted to the worker
+   * @param {Object} options - Task options
+   * @param {string} options.requestId - Request ID, used by cancel()
+   * @param {Function} options.onProgress - Called with the worker's progress messages
+   * @returns {Promise<Object>} - The worker's result message
+   */
+  run(payload, { requestId, onProgress = () => {} } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is shut down'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, payload, requestId, onProgress, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Cancel every queued and running task for a request
+   * Running workers are asked to abort and close their pages, then terminated if they do not finish.
+   * @param {string} requestId - Request ID
+   */
+  cancel(requestId) {
+    const error = new Error(`Request ${requestId} was aborted`);
+    error.name = 'AbortError';
+
+    this.queue = this.queue.filter(task => {
+      if (task.requestId !== requestId) return true;
+      task.reject(error);
+      return false;
+    });
+
+    for (const worker of this.workers) {
+      const task = worker.task;
+      if (task && task.requestId === requestId && !task.cancelling) {
+        task.cancelling = true;
+        worker.postMessage({ type: 'cancel', requestId });
+        clearTimeout(task.timer);
+        task.timer = setTimeout(() => this._failTask(worker, error, 'cancelled'), CANCEL_GRACE_MS);
+      }
+    }
+  }
+
+  /**
+   * Terminate all workers and reject pending tasks
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.closed = true;
+
+    for (const task of this.queue) {
+      task.reject(new Error('Worker pool is shut down'));
+    }
+    this.queue = [];
+
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+
+    await Promise.allSettled(workers.map(worker => {
+      if (worker.task) {
+        clearTimeout(worker.task.timer);
+        worker.task.reject(new Error('Worker pool is shut down'));
+        worker.task = null;
+      }
+      rateLimiter.releaseWorker(worker);
+      return worker.terminate();
+    }));
+    console.log('Scraper worker pool shut down');
+  }
+
+  /**
+   * Pool state for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      size: this.size,
+      workers: this.workers.size,
+      busy: this.workers.size - this.idle.length,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) {
+          return;
+        }
+        worker = this._spawn();
+      }
+
+      const task = this.queue.shift();
+      worker.task = task;
+      task.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        this._failTask(worker, new Error(`Scrape task timed out after ${this.taskTimeoutMs}ms`), 'timed out');
+      }, this.taskTimeoutMs);
+
+      worker.postMessage({ type: 'task', taskId: task.id, ...task.payload, requestId: task.requestId });
+    }
+  }
+
+  /**
+   * Start a worker thread
+   * @returns {Worker}
+   * @private
+   */
+  _spawn() {
+    const worker = new Worker(this.workerFile);
+    worker.task = null;
+    this.workers.add(worker);
+
+    worker.on('message', (message) => {
+      // Selector health lives on the main thread so samples from every worker land in one place
+      if (message.type === 'selectorHealth') {
+        selectorHealth.addSample(message.retailer, message.extractor, message.sample);
+        return;
+      }
+      // So are proxy stats, which decide which proxy every worker picks next
+      if (message.type === 'proxyOutcome') {
+        proxyManager.applyOutcome(message.proxyId, message.retailer, message.outcome);
+        return;
+      }
+      if (message.type === 'blockDetection') {
+        blockDetector.addDetection(message.retailer, message.tier, message.detection);
+        return;
+      }
+      // Rate limits are shared by every worker, so slots are handed out here
+      if (message.type.startsWith('rateLimit')) {
+        rateLimiter.handleWorkerMessage(worker, message);
+        return;
+      }
+
+      const task = worker.task;
+      if (!task || message.taskId !== task.id) {
+        return;
+      }
+
+      if (message.type === 'progress') {
+        task.onProgress(message);
+        return;
+      }
+
+      if (message.type === 'result') {
+        clearTimeout(task.timer);
+        worker.task = null;
+        this.stats[message.success ? 'completed' : 'failed']++;
+        task.resolve(message);
+        this._release(worker);
+      }
+    });
+
+    worker.on('error', (error) => {
+      console.error(`Scraper worker ${worker.threadId} crashed:`, error.message);
+      this.stats.crashed++;
+      this._failTask(worker, error, 'crashed');
+    });
+
+    worker.on('exit', (code) => {
+      if (this.workers.has(worker)) {
+        this._failTask(worker, new Error(`Scraper worker exited with code ${code}`), 'exited');
+      }
+    });
+
+    return worker;
+  }
+
+  /**
+   * Return a worker to the idle list and pick up more work
+   * @param {Worker} worker - Worker
+   * @private
+   */
+  _release(worker) {
+    if (!this.workers.has(worker) || this.closed) {
+      return;
+    }
+    this.idle.push(worker);
+    this._dispatch();
+  }
+
+  /**
+   * Reject a worker's task and replace the worker
+   * @param {Worker} worker - Worker whose task failed
+   * @param {Error} error - Rejection reason
+   * @param {string} reason - For logging
+   * @private
+   */
+  _failTask(worker, error, reason) {
+    if (!this.workers.has(worker)) {
+      return;
+    }
+
+    const task = worker.task;
+    worker.task = null;
+    this.workers.delete(worker);
+    this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+    rateLimiter.releaseWorker(worker);
+
+    if (task) {
+      clearTimeout(task.timer);
+      task.reject(error);
+    }
+
+    // Terminating is the only way to stop a worker stuck inside a page evaluation
+    worker.terminate().catch(() => {});
+    console.warn(`Replacing scraper worker ${worker.threadId} (${reason})`);
+
+    if (!this.closed) {
+      this.stats.restarts++;
+      this._dispatch();
+    }
+  }
+}
+
+module.exports = WorkerPool;
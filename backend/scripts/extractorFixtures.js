@@ -0,0 +1,226 @@
+/**
+ * Extractor fixture harness
+ * Runs every search-page extractor against the captured result pages listed in
+ * test/fixtures/search/manifest.json, fully offline. test/extractorFixtures.test.js compares the
+ * output with the golden files in test/fixtures/golden; recordFixtures.js captures
+ * new pages and rewrites goldens.
+ *
+ * Cheerio extractors parse the fixture directly. Browser extractors (the
+ * improvedPlaywright _extract*Products methods and retailerScrapers
+ * customExtractorLogic) open it in Chromium at the retailer's search URL with every
+ * request intercepted: the page itself is served from the fixture and everything
+ * else is aborted. They only run when a Playwright browser is installed.
+ *
+ * Fixture manifest entry:
+ * { name, retailer, query, page?, recordedAt, notes, todo? }
+ * page is the captured HTML, relative to the repository root, for pages already saved in
+ * debug/ by DEBUG_SCRAPING runs; without it test/fixtures/search/<name>.html holds the page.
+ * todo maps extractors known to be broken on the page to the reason; they get no golden.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { chromium } = require('playwright');
+const retailerRegistry = require('../scraper/retailerRegistry');
+const retailerScrapers = require('../scraper/retailerScrapers');
+const directApiService = require('../scraper/directApiService');
+const { playwrightManager } = require('../scraper/improvedPlaywright');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const FIXTURES_DIR = path.join(__dirname, '../test/fixtures/search');
+const GOLDEN_DIR = path.join(__dirname, '../test/fixtures/golden');
+const MANIFEST_FILE = path.join(FIXTURES_DIR, 'manifest.json');
+
+// Browser extractors wait for result selectors; a fixture without results should fail fast
+const BROWSER_TIMEOUT_MS = 5000;
+
+// Extractors that parse server-rendered HTML, by retailer
+const CHEERIO_EXTRACTORS = {
+  amazon: {
+    mobileHtml: ($) => directApiService._parseAmazonMobileResults($),
+    desktopHtml: ($) => directApiService._parseAmazonDesktopResults($)
+  },
+  flipkart: {
+    searchHtml: ($) => directApiService._parseFlipkartSearchResults($)
+  }
+};
+
+class ExtractorFixtures {
+  /**
+   * Captured pages listed in the manifest
+   * @param {Array<string>} [names] - Only these fixtures
+   * @returns {Array} - Manifest entries
+   */
+  listFixtures(names = []) {
+    const fixtures = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    return names.length > 0 ? fixtures.filter(fixture => names.includes(fixture.name)) : fixtures;
+  }
+
+  /**
+   * Captured page of a fixture
+   * @param {Object} fixture - Manifest entry
+   * @returns {string} - Path of its HTML file
+   */
+  pagePath(fixture) {
+    return fixture.page ? path.join(ROOT_DIR, fixture.page) : path.join(FIXTURES_DIR, `${fixture.name}.html`);
+  }
+
+  /**
+   * Extractors that can run against a retailer's pages
+   * @param {string} retailer - Retailer key
+   * @returns {Array} - { name, type: 'cheerio' | 'browser', run }
+   */
+  extractorsFor(retailer) {
+    const extractors = Object.entries(CHEERIO_EXTRACTORS[retailer] || {})
+      .map(([name, run]) => ({ name, type: 'cheerio', run }));
+
+    const plugin = retailerRegistry.get(retailer);
+    const browserExtractor = plugin && plugin.browser && retailerRegistry.resolveHook(plugin.browser.extractor, playwrightManager);
+    if (browserExtractor) {
+      extractors.push({ name: 'browser', type: 'browser', run: browserExtractor });
+    }
+
+    const scraper = retailerScrapers[retailer];
+    if (scraper && scraper.customExtractorLogic) {
+      extractors.push({ name: 'customExtractorLogic', type: 'browser', run: scraper.customExtractorLogic });
+    }
+    return extractors;
+  }
+
+  /**
+   * Run every extractor for a fixture's retailer against it
+   * @param {Object} fixture - Manifest entry
+   * @param {Object} [options] - Options
+   * @param {Object} [options.browser] - Playwright browser; browser extractors are skipped without one
+   * @returns {Promise<Object>} - { [extractor]: products, or { error } if it threw }
+   */
+  async run(fixture, { browser = null } = {}) {
+    const html = fs.readFileSync(this.pagePath(fixture), 'utf8');
+    const outputs = {};
+
+    for (const extractor of this.extractorsFor(fixture.retailer)) {
+      if (extractor.type === 'cheerio') {
+        outputs[extractor.name] = this._settle(() => extractor.run(cheerio.load(html)));
+      } else if (browser) {
+        outputs[extractor.name] = await this._runInBrowser(browser, fixture, html, extractor);
+      }
+    }
+
+    for (const [name, output] of Object.entries(outputs)) {
+      outputs[name] = this._normalise(await output);
+    }
+    return outputs;
+  }
+
+  /**
+   * Launch Chromium for the browser extractors
+   * @returns {Promise<Object|null>} - Browser, or null when Playwright's browser is not installed
+   */
+  async launchBrowser() {
+    try {
+      return await chromium.launch({ headless: true, timeout: 30000 });
+    } catch (error) {
+      console.warn(`Playwright browser unavailable, browser extractors will not run: ${error.message.split('\n')[0]}`);
+      return null;
+    }
+  }
+
+  /**
+   * Golden outputs recorded for a fixture
+   * @param {string} name - Fixture name
+   * @returns {Object} - { [extractor]: expected output }, empty if none were recorded
+   */
+  loadGolden(name) {
+    const file = path.join(GOLDEN_DIR, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  /**
+   * Write golden outputs for a fixture, keeping recorded extractors that did not run
+   * Output of the fixture's todo extractors is known to be wrong and is not recorded.
+   * @param {Object} fixture - Manifest entry
+   * @param {Object} outputs - Output of run()
+   * @returns {Object} - Golden file contents
+   */
+  saveGolden(fixture, outputs) {
+    const { name, todo = {} } = fixture;
+    const golden = { ...this.loadGolden(name), ...outputs };
+    for (const extractor of Object.keys(todo)) {
+      delete golden[extractor];
+    }
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(path.join(GOLDEN_DIR, `${name}.json`), `${JSON.stringify(golden, null, 2)}\n`);
+    return golden;
+  }
+
+  /**
+   * Save a captured page as a fixture and add it to the manifest
+   * @param {Object} fixture - { name, retailer, query, notes }
+   * @param {string} html - Page HTML
+   * @returns {Object} - Manifest entry
+   */
+  addFixture(fixture, html) {
+    const entry = { ...fixture, recordedAt: new Date().toISOString() };
+    const manifest = this.listFixtures().filter(existing => existing.name !== entry.name);
+
+    fs.writeFileSync(this.pagePath(entry), html);
+    fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify([...manifest, entry], null, 2)}\n`);
+    return entry;
+  }
+
+  /**
+   * Open a fixture at its retailer's search URL and run a browser extractor on it
+   * @param {Object} browser - Playwright browser
+   * @param {Object} fixture - Manifest entry
+   * @param {string} html - Fixture HTML
+   * @param {Object} extractor - Extractor from extractorsFor()
+   * @returns {Promise<Array|Object>} - Products, or { error }
+   * @private
+   */
+  async _runInBrowser(browser, fixture, html, extractor) {
+    const url = new URL(retailerRegistry.get(fixture.retailer).searchUrl(fixture.query)).href;
+    const context = await browser.newContext();
+    try {
+      const page = await context.newPage();
+      page.setDefaultTimeout(BROWSER_TIMEOUT_MS);
+
+      // Nothing goes over the network: the document comes from the fixture, the rest is dropped
+      await page.route('**/*', route => (route.request().url() === url
+        ? route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html })
+        : route.abort()));
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+      return await this._settle(() => extractor.run(page));
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Run an extractor, turning a throw into an { error } output so it can be compared too
+   * @param {Function} run - Extractor call
+   * @returns {Promise<Array|Object>} - Products, or { error }
+   * @private
+   */
+  async _settle(run) {
+    try {
+      return await run();
+    } catch (error) {
+      return { error: error.message.split('\n')[0] };
+    }
+  }
+
+  /**
+   * Drop values that change on every run, such as extraction timestamps
+   * @param {Array|Object} output - Extractor output
+   * @returns {Array|Object} - Comparable output
+   * @private
+   */
+  _normalise(output) {
+    return JSON.parse(JSON.stringify(output, (key, value) => (key === 'timestamp' ? undefined : value)));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExtractorFixtures();
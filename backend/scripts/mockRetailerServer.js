@@ -0,0 +1,370 @@
+/**
+ * Mock retailer server
+ * Stands in for every retailer during end-to-end tests. Start the backend with
+ * MOCK_RETAILERS_URL pointing here and the retailer registry sends all search pages,
+ * JSON APIs and Playwright navigation to this server instead of the real stores.
+ *
+ * Requests arrive as /<retailer host>/<path>, e.g. /www.flipkart.com/search?q=tv, and
+ * are answered from test/fixtures: search pages from the extractor fixtures (the one
+ * recorded for the query, else the retailer's first), API responses from
+ * test/fixtures/api. Each retailer is switched between scenarios:
+ *   ok           recorded responses
+ *   captcha      the retailer's CAPTCHA interstitial, with status 200 as the stores send it
+ *   forbidden    403 with a recorded Akamai access-denied page
+ *   rateLimited  429 with a Retry-After header
+ *   slow         recorded responses after delayMs (default longer than the scrapers' timeouts)
+ *   error        500, which the scrapers retry rather than treat as a block
+ *
+ * Standalone:
+ *   npm run mock:retailers -- [--port 4010] [retailer=scenario ...]
+ * Control endpoints:
+ *   GET /__mock/scenarios, PUT /__mock/scenarios/:retailer { scenario, delayMs },
+ *   GET /__mock/requests, DELETE /__mock/requests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const FIXTURES_DIR = path.join(__dirname, '../test/fixtures');
+
+const SCENARIOS = ['ok', 'captcha', 'forbidden', 'rateLimited', 'slow', 'error'];
+
+// Longer than the 15s request timeout the fast fetches use
+const DEFAULT_SLOW_DELAY_MS = 20000;
+
+const GENERIC_CAPTCHA_PAGE = `<html><head><title>Verify you are human</title></head><body>
+<h1>Please verify you are a human</h1>
+<div class="g-recaptcha" data-sitekey="mock"></div>
+<p>Complete the captcha to continue.</p>
+</body></html>`;
+
+// What each retailer serves: hosts it owns, search page route and recorded API responses
+const RETAILERS = {
+  amazon: {
+    hosts: ['www.amazon.in', 'completion.amazon.in'],
+    searchPage: { path: /^\/s$/, queryParam: 'k' },
+    api: [
+      { path: /^\/s\/query$/, file: 'amazon-search-query.json' }
+    ],
+    captchaPage: `<html><head><title>Amazon.in</title></head><body>
+<h4>Robot Check</h4>
+<p>Enter the characters you see below</p>
+<p>Sorry, we just need to make sure you're not a robot.</p>
+<form action="/errors/validateCaptcha"><img src="/captcha/mock.jpg">
+<p>Type the characters you see in this image:</p><input name="field-keywords"></form>
+</body></html>`
+  },
+  flipkart: {
+    hosts: ['www.flipkart.com', '1.rome.api.flipkart.com', '2.rome.api.flipkart.com'],
+    searchPage: { path: /^\/search$/, queryParam: 'q' },
+    api: [
+      { path: /^\/api\/\d+\/page\/fetch$/, file: 'flipkart-page-fetch.json' }
+    ],
+    captchaPage: `<html><head><title>Flipkart</title></head><body>
+<h1>Are you a human?</h1>
+<div class="g-recaptcha" data-sitekey="mock"></div>
+</body></html>`
+  },
+  croma: {
+    hosts: ['www.croma.com', 'api.croma.com'],
+    searchPage: { path: /^\/searchB$/, queryParam: 'q' },
+    api: [
+      { path: /^\/product\/allchannels\/v1\/search$/, file: 'croma-search.json' }
+    ]
+  },
+  meesho: {
+    hosts: ['www.meesho.com', 'meesho.com'],
+    searchPage: { path: /^\/search$/, queryParam: 'q' },
+    api: [
+      { path: /^\/api\/v\d+\/(products\/)?search$/, file: 'meesho-products-search.json' }
+    ]
+  },
+  relianceDigital: {
+    hosts: ['www.reliancedigital.in'],
+    searchPage: { path: /^\/(search|products)$/, queryParam: 'q' },
+    api: [
+      { path: /^\/ext\/raven-api\/catalog\/v\d+\.\d+\/products$/, file: 'reliance-digital-catalog.json' },
+      { path: /^\/search\/v\d+\/suggestions$/, file: 'reliance-digital-suggestions.json' }
+    ]
+  }
+};
+
+class MockRetailerServer {
+  constructor() {
+    this.server = null;
+    this.url = null;
+    // retailer -> { scenario, delayMs }
+    this.scenarios = {};
+    // Every retailer request received, oldest first: { retailer, method, path, scenario, status }
+    this.requests = [];
+    // Pending slow responses, cleared on stop
+    this.timers = new Set();
+    this.app = this._createApp();
+  }
+
+  /**
+   * Start listening
+   * @param {Object} [options] - Options
+   * @param {number} [options.port=0] - Port, 0 picks a free one
+   * @param {Object} [options.scenarios] - Initial scenarios, { retailer: scenario }
+   * @returns {Promise<string>} - Base URL to use as MOCK_RETAILERS_URL
+   */
+  async start({ port = 0, scenarios = {} } = {}) {
+    if (this.server) {
+      return this.url;
+    }
+    for (const [retailer, scenario] of Object.entries(scenarios)) {
+      this.setScenario(retailer, scenario);
+    }
+
+    this.server = await new Promise((resolve, reject) => {
+      const server = this.app.listen(port, '127.0.0.1', () => resolve(server));
+      server.once('error', reject);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening and drop pending slow responses
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Switch how a retailer answers
+   * @param {string} retailer - Retailer key
+   * @param {string} scenario - One of SCENARIOS
+   * @param {Object} [options] - Options
+   * @param {number} [options.delayMs] - Delay for the slow scenario
+   * @throws {Error} - For an unknown retailer or scenario
+   */
+  setScenario(retailer, scenario, { delayMs = DEFAULT_SLOW_DELAY_MS } = {}) {
+    if (!RETAILERS[retailer]) {
+      throw new Error(`Unknown retailer ${retailer}`);
+    }
+    if (!SCENARIOS.includes(scenario)) {
+      throw new Error(`Scenario must be one of: ${SCENARIOS.join(', ')}`);
+    }
+    this.scenarios[retailer] = { scenario, delayMs };
+  }
+
+  /**
+   * Put every retailer back to 'ok' and forget the request log
+   */
+  reset() {
+    this.scenarios = {};
+    this.requests = [];
+  }
+
+  /**
+   * Requests received for a retailer
+   * @param {string} retailer - Retailer key
+   * @returns {Array} - Request log entries
+   */
+  requestsFor(retailer) {
+    return this.requests.filter(request => request.retailer === retailer);
+  }
+
+  /**
+   * Express app serving the control endpoints and the retailers
+   * @returns {Object} - Express app
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.get('/__mock/scenarios', (req, res) => {
+      res.json(Object.fromEntries(Object.keys(RETAILERS)
+        .map(retailer => [retailer, this.scenarios[retailer] || { scenario: 'ok' }])));
+    });
+
+    app.put('/__mock/scenarios/:retailer', (req, res) => {
+      try {
+        const { scenario, delayMs } = req.body || {};
+        this.setScenario(req.params.retailer, scenario, delayMs ? { delayMs } : undefined);
+        res.json({ success: true, retailer: req.params.retailer, ...this.scenarios[req.params.retailer] });
+      } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+      }
+    });
+
+    app.get('/__mock/requests', (req, res) => {
+      res.json(this.requests);
+    });
+
+    app.delete('/__mock/requests', (req, res) => {
+      this.requests = [];
+      res.json({ success: true });
+    });
+
+    app.use((req, res) => this._handleRetailerRequest(req, res));
+    return app;
+  }
+
+  /**
+   * Answer a request for /<retailer host>/<path> according to the retailer's scenario
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @private
+   */
+  _handleRetailerRequest(req, res) {
+    const [, host, ...rest] = req.path.split('/');
+    const retailer = Object.keys(RETAILERS).find(id => RETAILERS[id].hosts.includes(host));
+    if (!retailer) {
+      res.status(404).type('text').send(`No mock retailer serves ${host}`);
+      return;
+    }
+
+    const { scenario, delayMs } = this.scenarios[retailer] || { scenario: 'ok' };
+    const entry = { retailer, method: req.method, path: `/${rest.join('/')}`, scenario, status: null };
+    this.requests.push(entry);
+
+    const send = (status, type, body, headers = {}) => {
+      entry.status = status;
+      res.status(status).set(headers).type(type).send(body);
+    };
+
+    switch (scenario) {
+      case 'captcha':
+        send(200, 'html', RETAILERS[retailer].captchaPage || GENERIC_CAPTCHA_PAGE);
+        return;
+      case 'forbidden':
+        send(403, 'html', this._readSearchPage(this._searchFixtures().find(fixture => fixture.name === 'croma-access-denied')));
+        return;
+      case 'rateLimited':
+        send(429, 'html', '<html><body><h1>429 Too Many Requests</h1></body></html>', { 'Retry-After': '60' });
+        return;
+      case 'error':
+        send(500, 'html', '<html><body><h1>500 Internal Server Error</h1></body></html>');
+        return;
+      case 'slow': {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          this._sendRecorded(retailer, entry, req, send);
+        }, delayMs);
+        this.timers.add(timer);
+        res.on('close', () => {
+          clearTimeout(timer);
+          this.timers.delete(timer);
+        });
+        return;
+      }
+      default:
+        this._sendRecorded(retailer, entry, req, send);
+    }
+  }
+
+  /**
+   * Send the recorded search page or API response for a request
+   * @param {string} retailer - Retailer key
+   * @param {Object} entry - Request log entry
+   * @param {Object} req - Express request
+   * @param {Function} send - (status, type, body) => void
+   * @private
+   */
+  _sendRecorded(retailer, entry, req, send) {
+    const { searchPage, api } = RETAILERS[retailer];
+
+    const route = api.find(candidate => candidate.path.test(entry.path));
+    if (route) {
+      send(200, 'json', this._readFixture(path.join('api', route.file)));
+      return;
+    }
+
+    if (searchPage.path.test(entry.path)) {
+      const page = this._searchPageFor(retailer, req.query[searchPage.queryParam]);
+      if (page) {
+        send(200, 'html', page);
+        return;
+      }
+    }
+
+    send(404, 'html', '<html><body><h1>Page not found</h1></body></html>');
+  }
+
+  /**
+   * Recorded search page for a query: the fixture captured for it, else the retailer's first
+   * @param {string} retailer - Retailer key
+   * @param {string} [query] - Search query
+   * @returns {string|null} - Page HTML, or null if none was recorded
+   * @private
+   */
+  _searchPageFor(retailer, query) {
+    const fixtures = this._searchFixtures().filter(fixture => fixture.retailer === retailer);
+    const normalised = (query || '').trim().toLowerCase();
+    const fixture = fixtures.find(candidate => candidate.query.toLowerCase() === normalised) || fixtures[0];
+    return fixture ? this._readSearchPage(fixture) : null;
+  }
+
+  /**
+   * Extractor fixtures listed in test/fixtures/search/manifest.json
+   * @returns {Array} - Manifest entries
+   * @private
+   */
+  _searchFixtures() {
+    return JSON.parse(this._readFixture('search/manifest.json'));
+  }
+
+  /**
+   * Read an extractor fixture's page, from debug/ when the manifest points there
+   * (see scripts/extractorFixtures.js)
+   * @param {Object} fixture - Manifest entry
+   * @returns {string} - Page HTML
+   * @private
+   */
+  _readSearchPage(fixture) {
+    return fixture.page
+      ? fs.readFileSync(path.join(ROOT_DIR, fixture.page), 'utf8')
+      : this._readFixture(path.join('search', `${fixture.name}.html`));
+  }
+
+  /**
+   * Read a file under test/fixtures
+   * @param {string} file - Path relative to test/fixtures
+   * @returns {string} - File contents
+   * @private
+   */
+  _readFixture(file) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+  }
+}
+
+// Export a singleton instance
+module.exports = new MockRetailerServer();
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex === -1 ? parseInt(process.env.MOCK_RETAILERS_PORT, 10) || 4010 : parseInt(args[portIndex + 1], 10);
+  const scenarios = Object.fromEntries(args
+    .filter((arg, index) => arg.includes('=') && index !== portIndex + 1)
+    .map(arg => arg.split('=')));
+
+  module.exports.start({ port, scenarios })
+    .then(url => {
+      console.log(`Mock retailers listening on ${url}`);
+      console.log(`Start the backend with MOCK_RETAILERS_URL=${url} to use them`);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
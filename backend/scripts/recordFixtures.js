@@ -0,0 +1,132 @@
+/**
+ * Record extractor fixtures and golden outputs
+ *
+ * Capture a live search page as a new fixture, then write its golden output:
+ *   npm run fixtures:record -- <retailer> "<query>" [--name <fixture>] [--browser]
+ *
+ * Rewrite goldens from the current extractors after an intentional change (offline):
+ *   npm run fixtures:record -- --update [fixture ...]
+ *
+ * Pages are fetched with got-scraping, or rendered in Chromium with --browser for
+ * retailers that build their results client-side. Browser extractor goldens are only
+ * written where a Playwright browser is installed; existing ones are kept otherwise.
+ */
+
+const { gotScraping } = require('got-scraping');
+const retailerRegistry = require('../scraper/retailerRegistry');
+const { playwrightManager } = require('../scraper/improvedPlaywright');
+const extractorFixtures = require('./extractorFixtures');
+
+const USAGE = `Usage:
+  npm run fixtures:record -- <retailer> "<query>" [--name <fixture>] [--browser]
+  npm run fixtures:record -- --update [fixture ...]`;
+
+/**
+ * Fetch a retailer's live search results page
+ * @param {Object} plugin - Retailer plugin
+ * @param {string} query - Search query
+ * @param {boolean} useBrowser - Render the page in Chromium
+ * @returns {Promise<string>} - Page HTML
+ */
+async function fetchSearchPage(plugin, query, useBrowser) {
+  const url = plugin.searchUrl(query);
+
+  if (!useBrowser) {
+    const response = await gotScraping.get(url, {
+      headers: { 'Accept-Language': 'en-IN,en;q=0.9' },
+      responseType: 'text',
+      timeout: { request: 30000 }
+    });
+    return response.body;
+  }
+
+  const { browser, context, page } = await playwrightManager.launchBrowser('chromium');
+  try {
+    await playwrightManager.navigateWithRetries(page, url, { retries: 2 });
+    await playwrightManager.handlePopupsAndConsent(page, plugin.id);
+    await playwrightManager.waitForPageContent(page, plugin.id);
+    return await page.content();
+  } finally {
+    await context.close().catch(() => {});
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Run the extractors on fixtures and write their goldens
+ * @param {Array} fixtures - Manifest entries
+ */
+async function writeGoldens(fixtures) {
+  const browser = await extractorFixtures.launchBrowser();
+  try {
+    for (const fixture of fixtures) {
+      const outputs = await extractorFixtures.run(fixture, { browser });
+      extractorFixtures.saveGolden(fixture, outputs);
+
+      const summary = Object.entries(outputs)
+        .map(([name, output]) => `${name}: ${Array.isArray(output) ? `${output.length} products` : output.error}`)
+        .join(', ');
+      console.log(`${fixture.name} -> ${summary}`);
+    }
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Remove an option from the argument list
+ * @param {Array<string>} args - Arguments, modified in place
+ * @param {string} name - Option name, e.g. '--name'
+ * @param {boolean} [hasValue=false] - Whether the option takes a value
+ * @returns {string|boolean|null} - Its value, or whether a flag was given
+ */
+function takeOption(args, name, hasValue = false) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return hasValue ? null : false;
+  }
+  const [, value] = args.splice(index, hasValue ? 2 : 1);
+  return hasValue ? value : true;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (takeOption(args, '--update')) {
+    const fixtures = extractorFixtures.listFixtures(args);
+    if (fixtures.length === 0) {
+      throw new Error(`No fixtures named ${args.join(', ')}`);
+    }
+    await writeGoldens(fixtures);
+    return;
+  }
+
+  const name = takeOption(args, '--name', true);
+  const useBrowser = takeOption(args, '--browser');
+  const [retailer, query] = args;
+  const plugin = retailerRegistry.get(retailer);
+  if (!plugin || !query) {
+    throw new Error(plugin ? 'A query is required' : `Unknown retailer ${retailer || ''}`.trim());
+  }
+
+  const html = await fetchSearchPage(plugin, query, useBrowser);
+  const fixture = extractorFixtures.addFixture({
+    name: name || `${retailer}-${query.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    retailer,
+    query,
+    notes: useBrowser ? 'Rendered in Chromium' : 'Fetched with got-scraping'
+  }, html);
+  console.log(`Saved ${fixture.name}.html (${html.length} characters)`);
+
+  await writeGoldens([fixture]);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  });
@@ -26,9 +26,15 @@ if (process.env.MONGO_URI) {
 // Import routes
 const priceComparisonRoutes = require('./routes/priceComparison');
 const groqApiRoutes = require('./routes/groqApi');
+const watchlistRoutes = require('./routes/watchlist');
+const searchJobRoutes = require('./routes/searchJobs');
+const adminRoutes = require('./routes/admin');
 
 // Import services
 const scraperService = require('./scraper/scraperService');
+const watchScheduler = require('./services/watchScheduler');
+const selectorRepairService = require('./services/selectorRepairService');
+const proxyManager = require('./scraper/proxyManager');
 
 // Create Express app
 const app = express();
@@ -60,13 +66,17 @@ app.use('/uploads', (req, res, next) => {
 // API routes
 app.use('/api/price-comparison', priceComparisonRoutes);
 app.use('/api/groq', groqApiRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/search-jobs', searchJobRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    workerPool: scraperService.workerPool ? scraperService.workerPool.getStatus() : null
   });
 });
 
@@ -102,12 +112,30 @@ async function initializeServer() {
     console.log('Initializing scraper service...');
     await scraperService.init();
     
+    // Run per-retailer scrapes on worker threads so a hung page cannot block requests
+    if (process.env.SCRAPER_WORKERS_ENABLED !== 'false') {
+      scraperService.enableWorkerPool(WORKER_COUNT);
+    }
+    
     // Start the server
     server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`API available at http://localhost:${PORT}/api`);
     });
     
+    // Start re-checking watched products for price drops
+    if (process.env.WATCH_SCHEDULER_ENABLED !== 'false') {
+      watchScheduler.start();
+    }
+    
+    // Propose replacement selectors when a retailer's selectors stop matching
+    if (process.env.SELECTOR_REPAIR_ENABLED !== 'false') {
+      selectorRepairService.start();
+    }
+    
+    // Health-check the proxy pool, if one is configured
+    proxyManager.start();
+    
     // Handle graceful shutdown
     setupGracefulShutdown(server);
   } catch (error) {
@@ -131,6 +159,8 @@ function setupGracefulShutdown(server) {
       try {
         // Clean up resources
         console.log('Cleaning up resources...');
+        watchScheduler.stop();
+        proxyManager.stop();
         await scraperService.shutdown();
         console.log('All resources cleaned up successfully');
         
@@ -0,0 +1,261 @@
+/**
+ * Alert notifiers
+ * Delivers price-drop alerts over pluggable channels. Each watch lists the channels
+ * it wants ({ type: 'webhook', url }, { type: 'email', to }, { type: 'log' }) and the
+ * registry dispatches to the notifier registered for each type.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ALERT_LOG_FILE = process.env.ALERT_LOG_FILE ||
+  path.join(__dirname, '../storage/alerts.log');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Hosts webhook alerts may be sent to
+ * Watches are created through a public route, so the server only POSTs to hosts the
+ * operator configured: ALERT_WEBHOOK_HOSTS (comma-separated) and the host of
+ * ALERT_WEBHOOK_URL.
+ * @returns {Set<string>} - Lowercased host names, with port when one is given
+ */
+function allowedWebhookHosts() {
+  const hosts = (process.env.ALERT_WEBHOOK_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    try {
+      hosts.push(new URL(process.env.ALERT_WEBHOOK_URL).host.toLowerCase());
+    } catch (error) {
+      // An unparseable ALERT_WEBHOOK_URL is reported by validate()
+    }
+  }
+  return new Set(hosts);
+}
+
+/**
+ * Addresses email alerts may be sent to
+ * For the same reason as webhook hosts, recipients are limited to the operator's list:
+ * ALERT_EMAIL_RECIPIENTS (comma-separated addresses, or @domain for a whole domain) and
+ * ALERT_EMAIL_TO.
+ * @returns {Array<string>} - Lowercased addresses and @domains
+ */
+function allowedEmailRecipients() {
+  return [process.env.ALERT_EMAIL_RECIPIENTS, process.env.ALERT_EMAIL_TO]
+    .join(',')
+    .split(',')
+    .map(recipient => recipient.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Format an alert as a short human-readable message
+ * @param {Object} alert - Price-drop alert
+ * @returns {{ subject: string, text: string }}
+ */
+function formatAlert(alert) {
+  const rupees = (paise) => `₹${(paise / 100).toLocaleString('en-IN')}`;
+  return {
+    subject: `Price drop: ${alert.product.title} is now ${rupees(alert.product.price)}`,
+    text: [
+      `${alert.product.title}`,
+      `Now ${rupees(alert.product.price)} at ${alert.product.retailerName} (target ${rupees(alert.targetPrice)})`,
+      alert.previousPrice ? `Previously alerted at ${rupees(alert.previousPrice)}` : null,
+      alert.product.url
+    ].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Writes alerts to a local log file; useful for testing and as an audit trail
+ */
+class LogNotifier {
+  constructor(filePath = ALERT_LOG_FILE) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Check a channel definition
+   * @returns {string|null} - Error message or null if valid
+   */
+  validate() {
+    return null;
+  }
+
+  /**
+   * Deliver an alert
+   * @param {Object} alert - Price-drop alert
+   * @returns {Promise<void>}
+   */
+  async send(alert) {
+    console.log(`[ALERT] ${formatAlert(alert).subject}`);
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(alert) + '\n');
+  }
+}
+
+/**
+ * POSTs the alert as JSON to a webhook URL
+ */
+class WebhookNotifier {
+  validate(channel) {
+    let url;
+    try {
+      url = new URL(channel.url || process.env.ALERT_WEBHOOK_URL);
+    } catch (error) {
+      return 'webhook channel needs an http(s) url';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'webhook channel needs an http(s) url';
+    }
+
+    const hosts = allowedWebhookHosts();
+    if (!hosts.has(url.host.toLowerCase()) && !hosts.has(url.hostname.toLowerCase())) {
+      return `webhook host ${url.host} is not in ALERT_WEBHOOK_HOSTS`;
+    }
+    return null;
+  }
+
+  async send(alert, channel) {
+    // Checked again in case the allowlist changed since the watch was stored
+    const error = this.validate(channel);
+    if (error) {
+      throw new Error(error);
+    }
+
+    await axios.post(channel.url || process.env.ALERT_WEBHOOK_URL, {
+      ...alert,
+      message: formatAlert(alert).subject
+    }, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      // A redirect could lead off the allowed hosts
+      maxRedirects: 0
+    });
+  }
+}
+
+/**
+ * Sends the alert by email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ */
+class EmailNotifier {
+  constructor() {
+    this.transport = null;
+  }
+
+  validate(channel) {
+    if (!process.env.SMTP_HOST) {
+      return 'email alerts need SMTP_HOST to be configured';
+    }
+
+    const recipients = String(channel.to || process.env.ALERT_EMAIL_TO || '')
+      .split(',')
+      .map(recipient => recipient.trim().toLowerCase())
+      .filter(Boolean);
+    if (recipients.length === 0) {
+      return 'email channel needs a recipient';
+    }
+
+    const allowed = allowedEmailRecipients();
+    const refused = recipients.filter(recipient =>
+      !allowed.includes(recipient) && !allowed.includes(recipient.slice(recipient.lastIndexOf('@'))));
+    if (refused.length > 0) {
+      return `email recipients ${refused.join(', ')} are not in ALERT_EMAIL_RECIPIENTS`;
+    }
+    return null;
+  }
+
+  /**
+   * Create the SMTP transport on first use
+   * @returns {Object} - Nodemailer transport
+   * @private
+   */
+  _getTransport() {
+    if (!this.transport) {
+      const nodemailer = require('nodemailer');
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(alert, channel) {
+    // Checked again in case the allowlist changed since the watch was stored
+    const error = this.validate(channel);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const { subject, text } = formatAlert(alert);
+    await this._getTransport().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: channel.to || process.env.ALERT_EMAIL_TO,
+      subject,
+      text
+    });
+  }
+}
+
+class NotifierRegistry {
+  constructor() {
+    this.notifiers = {
+      log: new LogNotifier(),
+      webhook: new WebhookNotifier(),
+      email: new EmailNotifier()
+    };
+  }
+
+  /**
+   * Register a notifier for a channel type
+   * @param {string} type - Channel type
+   * @param {Object} notifier - Object with send(alert, channel) and validate(channel)
+   */
+  register(type, notifier) {
+    this.notifiers[type] = notifier;
+  }
+
+  /**
+   * Check a channel definition before it is stored on a watch
+   * @param {Object} channel - Channel definition
+   * @returns {string|null} - Error message or null if valid
+   */
+  validateChannel(channel) {
+    const notifier = channel && this.notifiers[channel.type];
+    if (!notifier) {
+      return `unknown notification channel${channel && channel.type ? ` "${channel.type}"` : ''}`;
+    }
+    return notifier.validate ? notifier.validate(channel) : null;
+  }
+
+  /**
+   * Deliver an alert to every channel; one failing channel does not stop the others
+   * @param {Object} alert - Price-drop alert
+   * @param {Array} channels - Channel definitions
+   * @returns {Promise<Array>} - [{ type, success, error? }]
+   */
+  async notify(alert, channels) {
+    const results = await Promise.allSettled(
+      channels.map(async channel => this.notifiers[channel.type].send(alert, channel))
+    );
+
+    return results.map((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Error sending ${channels[index].type} alert:`, result.reason.message);
+        return { type: channels[index].type, success: false, error: result.reason.message };
+      }
+      return { type: channels[index].type, success: true };
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new NotifierRegistry();
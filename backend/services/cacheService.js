@@ -0,0 +1,496 @@
+/**
+ * Cache service
+ * One cache for everything that is worth not fetching twice: ranked search results,
+ * product detail pages and Groq text and vision responses. Entries live in a namespace
+ * with its own TTL; namespaces with a stale window keep serving an expired entry for a
+ * while longer and refresh it in the background (stale-while-revalidate).
+ *
+ * Backends, chosen with CACHE_BACKEND:
+ *   memory  per process, lost on restart (default)
+ *   file    JSON files under storage/cache (CACHE_DIR), shared by processes on one host
+ *   redis   shared by every process, REDIS_URL; needs the redis package installed
+ * Values go through JSON on every backend, so callers always get their own copy.
+ *
+ * TTLs can be overridden per namespace with CACHE_TTLS, e.g.
+ * CACHE_TTLS='{"search":{"ttlSeconds":120,"staleSeconds":0}}'
+ *
+ * A cache that is down or slow must never fail a search: backend errors and timeouts are
+ * logged, counted and treated as misses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const NAMESPACES = {
+  // Ranked search results, keyed by search:<query> and aggressive-search:<query>
+  search: { ttlSeconds: 300, staleSeconds: 900 },
+  // Product detail pages change far less often than search results
+  productDetails: { ttlSeconds: 1800, staleSeconds: 3600 },
+  // Groq responses are answers to exact prompts, so there is nothing to revalidate
+  groqText: { ttlSeconds: 600, staleSeconds: 0 },
+  // Groq vision responses, keyed by image hash and prompt
+  groqVision: { ttlSeconds: 86400, staleSeconds: 0 }
+};
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '../storage/cache');
+const REDIS_KEY_PREFIX = 'cumpair:cache:';
+const MAX_MEMORY_ENTRIES = 1000;
+
+// Longest a backend call may take before it counts as a miss
+const BACKEND_TIMEOUT_MS = 2000;
+// How often the file backend deletes expired entries
+const FILE_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * In-process backend, evicting the least recently written entry when full
+ */
+class MemoryBackend {
+  constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    // namespace:id -> { json, expiresAt }
+    this.entries = new Map();
+  }
+
+  async get(namespace, id) {
+    const stored = this.entries.get(`${namespace}:${id}`);
+    if (!stored) return null;
+    if (stored.expiresAt <= Date.now()) {
+      this.entries.delete(`${namespace}:${id}`);
+      return null;
+    }
+    return JSON.parse(stored.json);
+  }
+
+  async set(namespace, id, entry, ttlMs) {
+    const storageKey = `${namespace}:${id}`;
+    this.entries.delete(storageKey);
+    this.entries.set(storageKey, { json: JSON.stringify(entry), expiresAt: Date.now() + ttlMs });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(namespace, id) {
+    this.entries.delete(`${namespace}:${id}`);
+  }
+
+  async clear(namespace) {
+    for (const storageKey of this.entries.keys()) {
+      if (storageKey.startsWith(`${namespace}:`)) {
+        this.entries.delete(storageKey);
+      }
+    }
+  }
+}
+
+/**
+ * One JSON file per entry under <dir>/<namespace>/, written atomically so other
+ * processes never read half an entry
+ */
+class FileBackend {
+  constructor(dir = CACHE_DIR) {
+    this.name = 'file';
+    this.dir = dir;
+    setInterval(() => this.prune(), FILE_PRUNE_INTERVAL_MS).unref();
+  }
+
+  _file(namespace, id) {
+    return path.join(this.dir, namespace, `${id}.json`);
+  }
+
+  async get(namespace, id) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this._file(namespace, id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (stored.expiresAt <= Date.now()) {
+      await this.delete(namespace, id);
+      return null;
+    }
+    return stored.entry;
+  }
+
+  async set(namespace, id, entry, ttlMs) {
+    const file = this._file(namespace, id);
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify({ expiresAt: Date.now() + ttlMs, entry }));
+    await fs.promises.rename(tempFile, file);
+  }
+
+  async delete(namespace, id) {
+    await fs.promises.rm(this._file(namespace, id), { force: true });
+  }
+
+  async clear(namespace) {
+    await fs.promises.rm(path.join(this.dir, namespace), { recursive: true, force: true });
+  }
+
+  /**
+   * Delete expired entries, which are otherwise only removed when read again
+   */
+  async prune() {
+    try {
+      for (const namespace of Object.keys(NAMESPACES)) {
+        const namespaceDir = path.join(this.dir, namespace);
+        if (!fs.existsSync(namespaceDir)) continue;
+
+        for (const file of await fs.promises.readdir(namespaceDir)) {
+          if (file.endsWith('.json')) {
+            await this.get(namespace, path.basename(file, '.json')).catch(() => this.delete(namespace, path.basename(file, '.json')));
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error pruning file cache:', error.message);
+    }
+  }
+}
+
+/**
+ * Redis backend. The client is created on first use, so the redis package is only
+ * needed when CACHE_BACKEND=redis.
+ */
+class RedisBackend {
+  constructor(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+    this.name = 'redis';
+    this.url = url;
+    this.clientPromise = null;
+  }
+
+  _client() {
+    if (!this.clientPromise) {
+      let redis;
+      try {
+        redis = require('redis');
+      } catch (error) {
+        throw new Error('CACHE_BACKEND=redis needs the redis package (npm install redis)');
+      }
+
+      const client = redis.createClient({
+        url: this.url,
+        // Fail fast while disconnected rather than queueing behind a dead server
+        disableOfflineQueue: true,
+        socket: { connectTimeout: BACKEND_TIMEOUT_MS, reconnectStrategy: retries => Math.min(retries * 500, 5000) }
+      });
+      client.on('error', error => console.error('Redis cache error:', error.message));
+
+      this.clientPromise = client.connect().then(() => client);
+      this.clientPromise.catch(() => {
+        this.clientPromise = null;
+      });
+    }
+    return this.clientPromise;
+  }
+
+  async get(namespace, id) {
+    const client = await this._client();
+    const json = await client.get(`${REDIS_KEY_PREFIX}${namespace}:${id}`);
+    return json ? JSON.parse(json) : null;
+  }
+
+  async set(namespace, id, entry, ttlMs) {
+    const client = await this._client();
+    await client.set(`${REDIS_KEY_PREFIX}${namespace}:${id}`, JSON.stringify(entry), { PX: ttlMs });
+  }
+
+  async delete(namespace, id) {
+    const client = await this._client();
+    await client.del(`${REDIS_KEY_PREFIX}${namespace}:${id}`);
+  }
+
+  async clear(namespace) {
+    const client = await this._client();
+    // Yields one key at a time on redis 4 and a batch of keys on redis 5
+    for await (const keys of client.scanIterator({ MATCH: `${REDIS_KEY_PREFIX}${namespace}:*`, COUNT: 100 })) {
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    }
+  }
+}
+
+const BACKENDS = {
+  memory: MemoryBackend,
+  file: FileBackend,
+  redis: RedisBackend
+};
+
+class CacheService {
+  constructor() {
+    this.namespaces = this._loadNamespaces();
+    this.backend = this._createBackend(process.env.CACHE_BACKEND || 'memory');
+
+    // namespace -> counters, see getMetrics
+    this.metrics = {};
+    // namespace:id -> promise of a load or revalidation in flight, so concurrent misses
+    // for the same key run the loader once
+    this.inflight = new Map();
+  }
+
+  /**
+   * Namespace TTLs with CACHE_TTLS applied
+   * @returns {Object} - namespace -> { ttlSeconds, staleSeconds }
+   * @private
+   */
+  _loadNamespaces() {
+    let overrides = {};
+    try {
+      overrides = process.env.CACHE_TTLS ? JSON.parse(process.env.CACHE_TTLS) : {};
+    } catch (error) {
+      console.error('Ignoring invalid CACHE_TTLS:', error.message);
+    }
+
+    return Object.fromEntries(Object.entries(NAMESPACES).map(([namespace, config]) => [
+      namespace,
+      { ...config, ...overrides[namespace] }
+    ]));
+  }
+
+  /**
+   * Create the configured backend, falling back to memory for an unknown name
+   * @param {string} name - memory, file or redis
+   * @returns {Object} - Backend
+   * @private
+   */
+  _createBackend(name) {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+      console.error(`Unknown CACHE_BACKEND ${name}, using memory`);
+      return new MemoryBackend();
+    }
+    console.log(`Using ${name} cache backend`);
+    return new Backend();
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<Object|null>} - { value, stale, storedAt }, or null on a miss
+   * @throws {Error} - For an unknown namespace
+   */
+  async get(namespace, key) {
+    this._config(namespace);
+    const metrics = this._metrics(namespace);
+    const entry = await this._backendCall(namespace, 'get', () => this.backend.get(namespace, this._id(key)));
+
+    if (!entry) {
+      metrics.misses++;
+      return null;
+    }
+
+    const stale = entry.freshUntil <= Date.now();
+    metrics[stale ? 'staleHits' : 'hits']++;
+    return { value: entry.value, stale, storedAt: entry.storedAt };
+  }
+
+  /**
+   * Store a value for the namespace's TTL plus its stale window
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {any} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   * @throws {Error} - For an unknown namespace
+   */
+  async set(namespace, key, value) {
+    const { ttlSeconds, staleSeconds } = this._config(namespace);
+    const now = Date.now();
+    const entry = { key, value, storedAt: new Date(now).toISOString(), freshUntil: now + ttlSeconds * 1000 };
+
+    const stored = await this._backendCall(namespace, 'set', async () => {
+      // Redis only takes a whole number of milliseconds
+      await this.backend.set(namespace, this._id(key), entry, Math.round((ttlSeconds + staleSeconds) * 1000));
+      return true;
+    });
+    if (stored) {
+      this._metrics(namespace).sets++;
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    this._config(namespace);
+    await this._backendCall(namespace, 'delete', () => this.backend.delete(namespace, this._id(key)));
+  }
+
+  /**
+   * Remove every entry in a namespace, or in all of them
+   * @param {string} [namespace] - Cache namespace
+   * @returns {Promise<void>}
+   */
+  async clear(namespace = null) {
+    for (const name of namespace ? [namespace] : Object.keys(this.namespaces)) {
+      this._config(name);
+      await this._backendCall(name, 'clear', () => this.backend.clear(name));
+    }
+  }
+
+  /**
+   * Return a cached value, or load and cache it
+   * A stale entry is returned as it is while the loader refreshes it in the background.
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} loader - Async function producing the value
+   * @param {Object} [options]
+   * @param {Function} [options.shouldCache] - Whether a loaded value is worth caching, e.g. only successes
+   * @returns {Promise<Object>} - { value, status: 'hit'|'stale'|'miss' }
+   */
+  async getOrSet(namespace, key, loader, { shouldCache = () => true } = {}) {
+    const cached = await this.get(namespace, key);
+
+    if (cached && cached.stale) {
+      this.revalidate(namespace, key, loader, { shouldCache });
+      return { value: cached.value, status: 'stale' };
+    }
+    if (cached) {
+      return { value: cached.value, status: 'hit' };
+    }
+
+    return { value: await this._load(namespace, key, loader, shouldCache), status: 'miss' };
+  }
+
+  /**
+   * Refresh an entry in the background. Does nothing if a load for the key is already
+   * running; errors are logged rather than thrown.
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} loader - Async function producing the value
+   * @param {Object} [options] - See getOrSet
+   * @returns {Promise<void>} - Settles when the refresh is done
+   */
+  revalidate(namespace, key, loader, { shouldCache = () => true } = {}) {
+    if (this.inflight.has(`${namespace}:${this._id(key)}`)) {
+      return this.inflight.get(`${namespace}:${this._id(key)}`).then(() => {}, () => {});
+    }
+
+    this._metrics(namespace).revalidations++;
+    return this._load(namespace, key, loader, shouldCache).then(() => {}, (error) => {
+      this._metrics(namespace).errors++;
+      console.error(`Error revalidating ${namespace} cache entry ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Hit and miss counts per namespace since startup
+   * @returns {Object} - { backend, namespaces: { namespace: { ttlSeconds, staleSeconds, hits, staleHits, misses, sets, revalidations, errors, hitRate } } }
+   */
+  getMetrics() {
+    return {
+      backend: this.backend.name,
+      namespaces: Object.fromEntries(Object.entries(this.namespaces).map(([namespace, config]) => {
+        const metrics = this._metrics(namespace);
+        const lookups = metrics.hits + metrics.staleHits + metrics.misses;
+        return [namespace, {
+          ...config,
+          ...metrics,
+          hitRate: lookups > 0 ? Math.round(((metrics.hits + metrics.staleHits) / lookups) * 1000) / 1000 : null
+        }];
+      }))
+    };
+  }
+
+  /**
+   * Run a loader once per key at a time and cache what it returns
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} loader - Async function producing the value
+   * @param {Function} shouldCache - Whether the value is worth caching
+   * @returns {Promise<any>} - Loaded value
+   * @private
+   */
+  _load(namespace, key, loader, shouldCache) {
+    const inflightKey = `${namespace}:${this._id(key)}`;
+    if (this.inflight.has(inflightKey)) {
+      return this.inflight.get(inflightKey);
+    }
+
+    const load = (async () => {
+      const value = await loader();
+      if (shouldCache(value)) {
+        await this.set(namespace, key, value);
+      }
+      return value;
+    })().finally(() => this.inflight.delete(inflightKey));
+
+    this.inflight.set(inflightKey, load);
+    return load;
+  }
+
+  /**
+   * Call the backend, turning errors and timeouts into an empty result
+   * @param {string} namespace - Cache namespace, for the error count
+   * @param {string} operation - Operation name for logs
+   * @param {Function} call - Backend call
+   * @returns {Promise<any>} - The call's result, or null if it failed
+   * @private
+   */
+  async _backendCall(namespace, operation, call) {
+    let timer;
+    try {
+      return await Promise.race([
+        call(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${BACKEND_TIMEOUT_MS}ms`)), BACKEND_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      this._metrics(namespace).errors++;
+      console.error(`Cache ${operation} failed for ${namespace} on the ${this.backend.name} backend:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * A namespace's TTLs
+   * @param {string} namespace - Cache namespace
+   * @returns {Object} - { ttlSeconds, staleSeconds }
+   * @throws {Error} - For an unknown namespace
+   * @private
+   */
+  _config(namespace) {
+    const config = this.namespaces[namespace];
+    if (!config) {
+      throw new Error(`Unknown cache namespace ${namespace}`);
+    }
+    return config;
+  }
+
+  /**
+   * Counters for a namespace, created on first use
+   * @param {string} namespace - Cache namespace
+   * @returns {Object} - Counters
+   * @private
+   */
+  _metrics(namespace) {
+    if (!this.metrics[namespace]) {
+      this.metrics[namespace] = { hits: 0, staleHits: 0, misses: 0, sets: 0, revalidations: 0, errors: 0 };
+    }
+    return this.metrics[namespace];
+  }
+
+  /**
+   * Fixed-length id for a key, safe as a file name and a Redis key
+   * @param {string} key - Cache key, which can be a whole prompt
+   * @returns {string} - SHA-1 hex digest
+   * @private
+   */
+  _id(key) {
+    return crypto.createHash('sha1').update(String(key)).digest('hex');
+  }
+}
+
+// Export a singleton instance
+module.exports = new CacheService();
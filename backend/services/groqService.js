@@ -6,6 +6,11 @@ const path = require('path');
 const mime = require('mime-types');
 const crypto = require('crypto');
 const prompts = require('./groqPrompts.json');
+const cacheService = require('./cacheService');
+
+// Vision parameters for product identification, shared by the file and base64 paths so
+// both find the same cached response for an image
+const PRODUCT_IDENTIFICATION_PARAMETERS = { temperature: 0.3, max_tokens: 1500 };
 
 // Import scraper service for hybrid search
 let scraperService;
@@ -15,6 +20,17 @@ try {
   console.warn('Scraper service not available for hybrid search:', error.message);
 }
 
+/**
+ * Thrown when the input given to a Groq method cannot be used, as opposed to the API
+ * call failing; routes answer it with 400
+ */
+class GroqValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GroqValidationError';
+  }
+}
+
 /**
  * Service for interacting with Groq API for various AI and ML tasks
  * Handles image analysis, text processing, and product data enhancement
@@ -34,15 +50,6 @@ class GroqService {
     this.userPrompts = prompts.userPrompts;
     this.errorHandling = prompts.errorHandling;
 
-    // Simple cache to prevent duplicate API calls
-    this.cache = {
-      textRequests: {},
-      visionRequests: {},
-      imageHashes: {}, // Store image hashes for quicker lookups
-      maxCacheSize: 100,
-      cacheKeys: []
-    };
-    
     // Debug mode for logging
     this.debugMode = process.env.DEBUG_GROQ === 'true';
     
@@ -67,57 +74,6 @@ class GroqService {
     };
   }
 
-  /**
-   * Add an item to cache with expiration
-   * @param {string} cacheType - Type of cache (textRequests or visionRequests)
-   * @param {string} key - Cache key
-   * @param {any} value - Value to cache
-   * @param {number} ttlSeconds - Time to live in seconds
-   */
-  addToCache(cacheType, key, value, ttlSeconds = 600) {
-    // Manage cache size
-    if (this.cache.cacheKeys.length >= this.cache.maxCacheSize) {
-      const oldestKey = this.cache.cacheKeys.shift();
-      const [oldCacheType, oldKey] = oldestKey.split('::');
-      delete this.cache[oldCacheType][oldKey];
-    }
-
-    // Add to cache with expiration
-    this.cache[cacheType][key] = {
-      value,
-      expiry: Date.now() + (ttlSeconds * 1000)
-    };
-    
-    // Add to cache keys list
-    this.cache.cacheKeys.push(`${cacheType}::${key}`);
-    
-    // Set timeout to remove from cache after TTL
-    setTimeout(() => {
-      delete this.cache[cacheType][key];
-      this.cache.cacheKeys = this.cache.cacheKeys.filter(k => k !== `${cacheType}::${key}`);
-    }, ttlSeconds * 1000);
-  }
-
-  /**
-   * Get an item from cache
-   * @param {string} cacheType - Type of cache (textRequests or visionRequests)
-   * @param {string} key - Cache key
-   * @returns {any|null} - Cached value or null if not found or expired
-   */
-  getFromCache(cacheType, key) {
-    const cached = this.cache[cacheType][key];
-    if (!cached) return null;
-    
-    // Check if expired
-    if (cached.expiry < Date.now()) {
-      delete this.cache[cacheType][key];
-      this.cache.cacheKeys = this.cache.cacheKeys.filter(k => k !== `${cacheType}::${key}`);
-      return null;
-    }
-    
-    return cached.value;
-  }
-
   /**
    * Create a cache key from messages and parameters
    * @param {Array} messages - Message array
@@ -130,6 +86,17 @@ class GroqService {
     return `${contentString}::${paramsString}`;
   }
 
+  /**
+   * Create a vision cache key from an image's hash and the request
+   * @param {string} imageHash - MD5 of the image bytes
+   * @param {string} prompt - Text prompt
+   * @param {Object} parameters - API parameters
+   * @returns {string} - Cache key
+   */
+  createVisionCacheKey(imageHash, prompt, parameters) {
+    return `${imageHash}::${prompt}::${JSON.stringify(parameters || {})}`;
+  }
+
   /**
    * Call the Groq API with provided messages and parameters
    * @param {Array} messages - Array of message objects with role and content
@@ -146,10 +113,10 @@ class GroqService {
       const cacheKey = this.createCacheKey(messages, parameters);
       
       // Check cache first
-      const cachedResponse = this.getFromCache('textRequests', cacheKey);
-      if (cachedResponse) {
+      const cached = await cacheService.get('groqText', cacheKey);
+      if (cached) {
         console.log('Retrieved response from cache');
-        return cachedResponse;
+        return cached.value;
       }
       
       const response = await axios.post(
@@ -160,7 +127,9 @@ class GroqService {
           temperature: parameters.temperature ?? 0.5,
           max_tokens: parameters.max_tokens ?? 2048, // Reduced from 4096 to save tokens
           top_p: parameters.top_p ?? 1.0,
-          stream: false
+          stream: false,
+          // JSON mode for prompts that must return a structured object
+          ...(parameters.response_format && { response_format: parameters.response_format })
         },
         {
           headers: {
@@ -171,7 +140,7 @@ class GroqService {
       );
       
       // Cache the successful response
-      this.addToCache('textRequests', cacheKey, response.data);
+      await cacheService.set('groqText', cacheKey, response.data);
       
       return response.data;
     } catch (error) {
@@ -212,13 +181,13 @@ class GroqService {
       const imageHash = this.getImageHash(imagePath);
       
       // Create a cache key - for vision, use image hash + prompt
-      const cacheKey = `${imageHash}::${prompt}::${JSON.stringify(parameters)}`;
+      const cacheKey = this.createVisionCacheKey(imageHash, prompt, parameters);
       
       // Check cache first
-      const cachedResponse = this.getFromCache('visionRequests', cacheKey);
-      if (cachedResponse) {
+      const cached = await cacheService.get('groqVision', cacheKey);
+      if (cached) {
         console.log('Retrieved vision response from cache');
-        return cachedResponse;
+        return cached.value;
       }
       
       // Read the image file as base64
@@ -289,14 +258,7 @@ class GroqService {
       );
       
       // Cache the successful response
-      this.addToCache('visionRequests', cacheKey, response.data);
-      
-      // Store the image hash for future reference
-      this.cache.imageHashes[imageHash] = {
-        path: imagePath,
-        contentType,
-        timestamp: Date.now()
-      };
+      await cacheService.set('groqVision', cacheKey, response.data);
       
       // Save response in debug mode
       if (this.debugMode) {
@@ -404,12 +366,13 @@ class GroqService {
       // Clean the base64 string if it includes the data URL prefix
       const base64Data = base64Image.replace(/^data:image\/\w+;base64,/, '');
       
-      // Generate a hash for the image data
-      const imageHash = crypto.createHash('md5').update(base64Data).digest('hex');
+      // Hash the image bytes the same way getImageHash does for files
+      const imageHash = crypto.createHash('md5').update(Buffer.from(base64Data, 'base64')).digest('hex');
       
       // Check cache first
-      const cacheKey = `${imageHash}::${this.userPrompts.productIdentification}`;
-      const cachedResponse = this.getFromCache('visionRequests', cacheKey);
+      const cacheKey = this.createVisionCacheKey(imageHash, this.userPrompts.productIdentification, PRODUCT_IDENTIFICATION_PARAMETERS);
+      const cached = await cacheService.get('groqVision', cacheKey);
+      const cachedResponse = cached && cached.value;
       
       if (cachedResponse) {
         console.log('Retrieved vision response from cache for base64 image');
@@ -542,10 +505,7 @@ class GroqService {
         console.log(`Starting product identification for image: ${path.basename(imagePath)}`);
       }
       
-      const response = await this.callGroqVisionAPI(imagePath, prompt, {
-        temperature: 0.3,
-        max_tokens: 1500
-      });
+      const response = await this.callGroqVisionAPI(imagePath, prompt, PRODUCT_IDENTIFICATION_PARAMETERS);
       
       // Extract the product data from the response
       const responseText = response.choices[0].message.content;
@@ -1334,8 +1294,392 @@ class GroqService {
       };
     }
   }
+
+  /**
+   * Run one of the structured-output prompts and parse its JSON reply
+   * Goes through callGroqAPI, so responses are cached and rate limits retried.
+   * @param {string} promptName - Key in groqPrompts.json systemPrompts/userPrompts
+   * @param {Object} replacements - Placeholder values, e.g. { PRODUCT_DATA: '...' }
+   * @param {Object} parameters - API parameters
+   * @returns {Promise<Object>} - Parsed JSON object
+   * @throws {Error} - When the API call fails or the reply is not a JSON object
+   * @private
+   */
+  async requestStructuredOutput(promptName, replacements, parameters = {}) {
+    let userPrompt = this.userPrompts[promptName];
+    for (const [placeholder, value] of Object.entries(replacements)) {
+      userPrompt = userPrompt.split(`{{${placeholder}}}`).join(value);
+    }
+
+    const response = await this.callGroqAPI([
+      { role: 'system', content: this.systemPrompts[promptName] },
+      { role: 'user', content: userPrompt }
+    ], {
+      temperature: 0.3,
+      max_tokens: 1536,
+      response_format: { type: 'json_object' },
+      ...parameters
+    });
+
+    this.tokenTracker.trackUsage(response);
+
+    const content = response.choices[0].message.content;
+    const parsed = this.parseJsonResponse(content);
+    this.logDebug(promptName, { replacements, content, parsed });
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`Groq returned an invalid ${promptName} response`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Parse a JSON object from model output that may be wrapped in prose or code fences
+   * @param {string} content - Model output
+   * @returns {Object|null} - Parsed value or null
+   */
+  parseJsonResponse(content) {
+    if (!content) return null;
+
+    const candidates = [content];
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) candidates.push(fenced[1]);
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) candidates.push(content.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate.trim());
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Coerce a value to an array of non-empty strings
+   * @param {any} value - Model output field
+   * @returns {Array<string>}
+   * @private
+   */
+  toStringList(value) {
+    return (Array.isArray(value) ? value : [])
+      .map(item => (typeof item === 'string' ? item : item && JSON.stringify(item)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Reduce scraped products to the fields the prompts need, to save tokens
+   * @param {Array} products - Products in any of the scraper shapes
+   * @param {number} limit - Maximum number of products
+   * @returns {Array} - Compact products with rupee prices
+   * @private
+   */
+  compactProducts(products, limit = 10) {
+    return (Array.isArray(products) ? products : [])
+      .slice(0, limit)
+      .map(product => ({
+        title: product.title || product.name,
+        retailer: product.retailer || product.retailerName || product.vendor || product.seller || product.source,
+        price: this.toRupees(product),
+        rating: product.rating ?? null,
+        inStock: product.inStock ?? (product.availability ? product.availability !== 'out_of_stock' : null),
+        features: (product.features || []).slice(0, 5),
+        specifications: product.specs || product.specifications || undefined
+      }));
+  }
+
+  /**
+   * Read a product price in rupees from canonical (paise) or display shapes
+   * @param {Object} product - Product
+   * @returns {number|null} - Price in rupees
+   * @private
+   */
+  toRupees(product) {
+    if (product.currency === 'INR' && Number.isInteger(product.price)) {
+      return product.price / 100;
+    }
+    const price = typeof product.price === 'number'
+      ? product.price
+      : parseFloat(String(product.price || '').replace(/[^0-9.]/g, ''));
+    return Number.isFinite(price) && price > 0 ? price : null;
+  }
+
+  /**
+   * Summarize and compare the same product across retailers
+   * @param {Array} productData - Offers to compare
+   * @returns {Promise<Object>} - { overview, keyDifferences, priceAnalysis, valueProposition,
+   *   featureComparison, recommendation, buyingAdvice, bestValueRetailer }
+   */
+  async summarizeAndCompare(productData) {
+    const result = await this.requestStructuredOutput('productComparison', {
+      PRODUCT_DATA: JSON.stringify(this.compactProducts(productData), null, 2)
+    });
+
+    const featureComparison = result.featureComparison && typeof result.featureComparison === 'object' &&
+      !Array.isArray(result.featureComparison) ? result.featureComparison : null;
+
+    return {
+      overview: result.overview || '',
+      keyDifferences: this.toStringList(result.keyDifferences),
+      priceAnalysis: result.priceAnalysis || '',
+      valueProposition: result.valueProposition || '',
+      featureComparison,
+      recommendation: result.recommendation || '',
+      buyingAdvice: result.buyingAdvice || '',
+      bestValueRetailer: result.bestValueRetailer || null
+    };
+  }
+
+  /**
+   * Recommend offers from scraped results for a user's preferences and budget
+   * @param {string} productName - What the user is shopping for
+   * @param {Object|string} userPreferences - Free-form preferences
+   * @param {number|string} budget - Budget in rupees
+   * @param {Array} scrapedData - Scraped offers
+   * @returns {Promise<Object>} - { recommendations, bestPick, budgetFit, alternatives, tips }
+   */
+  async getPersonalizedRecommendations(productName, userPreferences, budget, scrapedData) {
+    const result = await this.requestStructuredOutput('recommendations', {
+      PRODUCT_NAME: productName,
+      PREFERENCES: userPreferences ? JSON.stringify(userPreferences) : 'none given',
+      BUDGET: budget ? String(budget) : 'not specified',
+      PRODUCT_DATA: JSON.stringify(this.compactProducts(scrapedData, 15), null, 2)
+    });
+
+    const recommendations = (Array.isArray(result.recommendations) ? result.recommendations : [])
+      .filter(item => item && item.title)
+      .slice(0, 3)
+      .map(item => ({
+        title: item.title,
+        retailer: item.retailer || null,
+        price: typeof item.price === 'number' ? item.price : this.toRupees(item),
+        reason: item.reason || '',
+        matchScore: Math.max(0, Math.min(100, parseInt(item.matchScore, 10) || 0))
+      }));
+
+    return {
+      recommendations,
+      bestPick: result.bestPick || (recommendations[0] ? recommendations[0].title : null),
+      budgetFit: ['within', 'stretch', 'over'].includes(result.budgetFit) ? result.budgetFit : 'unknown',
+      alternatives: this.toStringList(result.alternatives),
+      tips: this.toStringList(result.tips)
+    };
+  }
+
+  /**
+   * Generate marketing-style copy for a product
+   * @param {Object} productDetails - Product details
+   * @returns {Promise<Object>} - { headline, description, review, highlights, socialPost }
+   */
+  async generateCreativeContent(productDetails) {
+    const [product] = this.compactProducts([productDetails], 1);
+    const result = await this.requestStructuredOutput('creativeContent', {
+      PRODUCT_DATA: JSON.stringify({ ...product, description: productDetails.description }, null, 2)
+    }, { temperature: 0.8 });
+
+    return {
+      headline: result.headline || '',
+      description: result.description || '',
+      review: result.review || '',
+      highlights: this.toStringList(result.highlights),
+      socialPost: String(result.socialPost || '').slice(0, 280)
+    };
+  }
+
+  /**
+   * Explain technical specifications in plain language
+   * @param {Object|Array} specifications - { name: value } or [{ name, value }]
+   * @returns {Promise<Object>} - { explanations: [{ feature, value, explanation, whyItMatters }], summary }
+   */
+  async explainFeatures(specifications) {
+    const specs = Array.isArray(specifications)
+      ? Object.fromEntries(specifications.map(spec => (typeof spec === 'object' ? [spec.name, spec.value] : [spec, ''])))
+      : specifications;
+
+    const result = await this.requestStructuredOutput('featureExplanation', {
+      SPECIFICATIONS: JSON.stringify(specs, null, 2)
+    });
+
+    return {
+      explanations: (Array.isArray(result.explanations) ? result.explanations : [])
+        .filter(item => item && item.feature)
+        .map(item => ({
+          feature: item.feature,
+          value: item.value ?? specs[item.feature] ?? null,
+          explanation: item.explanation || '',
+          whyItMatters: item.whyItMatters || ''
+        })),
+      summary: result.summary || ''
+    };
+  }
+
+  /**
+   * Analyze prices across retailers
+   * The statistics are computed here so they are always correct; the model only interprets them.
+   * @param {Object|Array} priceData - Offers, or { productName, prices|products: offers }
+   * @returns {Promise<Object>} - { lowest, highest, average, spread, spreadPercentage, insights,
+   *   recommendation, isGoodTimeToBuy, confidence }
+   * @throws {GroqValidationError} - When no offer has a price
+   */
+  async analyzePriceComparison(priceData) {
+    const offers = Array.isArray(priceData) ? priceData : (priceData.prices || priceData.products || []);
+    const productName = (!Array.isArray(priceData) && priceData.productName) || (offers[0] && (offers[0].title || offers[0].name)) || 'Unknown product';
+
+    const priced = this.compactProducts(offers, 20).filter(offer => offer.price);
+    if (priced.length === 0) {
+      throw new GroqValidationError('No offers with a price to analyze');
+    }
+
+    const sorted = [...priced].sort((a, b) => a.price - b.price);
+    const lowest = sorted[0];
+    const highest = sorted[sorted.length - 1];
+    const average = Math.round(sorted.reduce((sum, offer) => sum + offer.price, 0) / sorted.length);
+    const stats = {
+      lowest: { retailer: lowest.retailer, price: lowest.price },
+      highest: { retailer: highest.retailer, price: highest.price },
+      average,
+      spread: highest.price - lowest.price,
+      spreadPercentage: Math.round(((highest.price - lowest.price) / highest.price) * 100)
+    };
+
+    const result = await this.requestStructuredOutput('priceAnalysis', {
+      PRODUCT_NAME: productName,
+      PRICE_STATS: JSON.stringify(stats),
+      PRICE_DATA: JSON.stringify(priced.map(({ retailer, price, inStock }) => ({ retailer, price, inStock })), null, 2)
+    });
+
+    return {
+      ...stats,
+      insights: this.toStringList(result.insights),
+      recommendation: result.recommendation || '',
+      isGoodTimeToBuy: typeof result.isGoodTimeToBuy === 'boolean' ? result.isGoodTimeToBuy : null,
+      confidence: ['high', 'medium', 'low'].includes(result.confidence) ? result.confidence : 'low'
+    };
+  }
+
+  /**
+   * Validate a barcode and work out its format and GS1 prefix
+   * @param {string} code - Digits of the barcode
+   * @returns {{ format: string|null, valid: boolean, country: string|null }}
+   */
+  inspectBarcode(code) {
+    const formats = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13' };
+    const format = /^\d+$/.test(code) ? formats[code.length] || null : null;
+    if (!format) {
+      return { format: null, valid: false, country: null };
+    }
+
+    // GS1 check digit: weights 3 and 1 alternate from the right, excluding the check digit
+    const digits = code.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    const valid = (10 - (sum % 10)) % 10 === checkDigit;
+
+    const prefix = format === 'UPC-A' ? 0 : parseInt(code.slice(0, 3), 10);
+    let country = null;
+    if (format === 'UPC-A' || prefix <= 139) country = 'United States/Canada';
+    else if (prefix === 890) country = 'India';
+    else if (prefix >= 690 && prefix <= 699) country = 'China';
+    else if (prefix >= 400 && prefix <= 440) country = 'Germany';
+    else if ((prefix >= 450 && prefix <= 459) || (prefix >= 490 && prefix <= 499)) country = 'Japan';
+    else if (prefix >= 880 && prefix <= 881) country = 'South Korea';
+    else if (prefix >= 500 && prefix <= 509) country = 'United Kingdom';
+
+    return { format, valid, country };
+  }
+
+  /**
+   * Identify a product from a scanned barcode
+   * @param {string|Object} barcodeData - Barcode digits or { code|text|rawValue, format }
+   * @returns {Promise<Object>} - { barcode, format, valid, country, product, brand, category, searchQuery, confidence }
+   * @throws {GroqValidationError} - When the barcode is malformed
+   */
+  async processBarcodeData(barcodeData) {
+    const raw = typeof barcodeData === 'object'
+      ? barcodeData.code || barcodeData.text || barcodeData.rawValue
+      : barcodeData;
+    const barcode = String(raw || '').replace(/\s+/g, '');
+    const inspection = this.inspectBarcode(barcode);
+
+    if (!inspection.valid) {
+      throw new GroqValidationError(`Invalid barcode "${barcode}"${inspection.format ? ' (check digit mismatch)' : ''}`);
+    }
+
+    const result = await this.requestStructuredOutput('barcodeLookup', {
+      BARCODE: barcode,
+      FORMAT: inspection.format,
+      COUNTRY: inspection.country || 'unknown'
+    }, { temperature: 0.1 });
+
+    return {
+      barcode,
+      ...inspection,
+      product: result.product || null,
+      brand: result.brand || null,
+      category: result.category || null,
+      searchQuery: result.searchQuery || result.product || null,
+      confidence: ['high', 'medium', 'low'].includes(result.confidence) ? result.confidence : 'low'
+    };
+  }
+
+  /**
+   * Extract product information from OCR text
+   * @param {string} ocrText - Text recognised on packaging or a label
+   * @returns {Promise<Object>} - { product, brand, model, category, price, specifications, keywords, searchQuery }
+   */
+  async processOCRText(ocrText) {
+    // OCR output can be long and noisy; the product name is almost always near the top
+    const text = String(ocrText).replace(/[ \t]+/g, ' ').trim().slice(0, 4000);
+
+    const result = await this.requestStructuredOutput('ocrExtraction', { OCR_TEXT: text }, { temperature: 0.1 });
+    const price = typeof result.price === 'number' ? result.price : parseFloat(String(result.price ?? '').replace(/[^0-9.]/g, ''));
+    const keywords = this.toStringList(result.keywords);
+
+    return {
+      product: result.product || null,
+      brand: result.brand || null,
+      model: result.model || null,
+      category: result.category || null,
+      price: Number.isFinite(price) && price > 0 ? price : null,
+      specifications: result.specifications && typeof result.specifications === 'object' ? result.specifications : {},
+      keywords,
+      searchQuery: result.searchQuery ||
+        [result.brand, result.product, result.model].filter(Boolean).join(' ') ||
+        keywords.join(' ')
+    };
+  }
+
+  /**
+   * Propose CSS selectors for a search results page whose scraper selectors stopped matching
+   * @param {string} retailer - Retailer name
+   * @param {string} html - Trimmed result page HTML
+   * @param {Object|null} currentSelectors - { card, fields } currently in use
+   * @returns {Promise<Object>} - { card, fields: { title, price, image, link }, notes }
+   */
+  async proposeSelectors(retailer, html, currentSelectors) {
+    const result = await this.requestStructuredOutput('selectorRepair', {
+      RETAILER: retailer,
+      CURRENT_SELECTORS: currentSelectors ? JSON.stringify(currentSelectors, null, 2) : 'none',
+      HTML: html
+    }, { temperature: 0.1, max_tokens: 512 });
+
+    const selector = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const fields = result.fields && typeof result.fields === 'object' ? result.fields : {};
+
+    return {
+      card: selector(result.card),
+      fields: Object.fromEntries(['title', 'price', 'image', 'link']
+        .filter(name => selector(fields[name]))
+        .map(name => [name, selector(fields[name])])),
+      notes: result.notes || ''
+    };
+  }
 }
 
 // Create and export a singleton instance
 const groqService = new GroqService();
-module.exports = groqService;
\ No newline at end of file
+module.exports = groqService;
+module.exports.GroqValidationError = GroqValidationError;
\ No newline at end of file
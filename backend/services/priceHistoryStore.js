@@ -0,0 +1,248 @@
+/**
+ * PriceHistoryStore Service
+ * Append-only, file-based price history for every product we have scraped.
+ * Each observation is one JSON line in storage/price_history.ndjson, so writes are
+ * cheap appends and the file can be inspected or trimmed with ordinary tools.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = process.env.PRICE_HISTORY_FILE ||
+  path.join(__dirname, '../storage/price_history.ndjson');
+
+// An unchanged price is recorded again at most this often
+const MIN_RECORD_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 90;
+const DEFAULT_LOWEST_WINDOWS = [7, 30, 90];
+
+class PriceHistoryStore {
+  constructor() {
+    this.filePath = HISTORY_FILE;
+
+    // key -> { retailerId, productId, title, points: [{ timestamp, price, mrp, availability }] }
+    // Loaded lazily so requiring the module stays cheap
+    this.series = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Build the history key for a canonical product
+   * @param {Object} product - Canonical product
+   * @returns {string} - "<retailerId>:<productId>"
+   */
+  keyFor(product) {
+    return `${product.retailerId}:${product.id}`;
+  }
+
+  /**
+   * Load all observations from disk into memory
+   * @private
+   */
+  _load() {
+    if (this.series) {
+      return;
+    }
+
+    this.series = new Map();
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    let skipped = 0;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this._addToSeries(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} malformed price history lines in ${this.filePath}`);
+    }
+    console.log(`Loaded price history for ${this.series.size} products`);
+  }
+
+  /**
+   * Add one observation to the in-memory series
+   * @param {Object} record - Stored observation
+   * @private
+   */
+  _addToSeries(record) {
+    let entry = this.series.get(record.key);
+    if (!entry) {
+      entry = { retailerId: record.retailerId, productId: record.productId, title: record.title, points: [] };
+      this.series.set(record.key, entry);
+    }
+
+    entry.title = record.title || entry.title;
+    entry.points.push({
+      timestamp: record.timestamp,
+      price: record.price,
+      mrp: record.mrp,
+      availability: record.availability
+    });
+  }
+
+  /**
+   * Record the prices of freshly scraped products
+   * @param {Array} products - Canonical products
+   * @returns {number} - Number of observations written
+   */
+  recordProducts(products) {
+    if (!Array.isArray(products) || products.length === 0) {
+      return 0;
+    }
+
+    this._load();
+
+    const lines = [];
+    const recorded = new Set();
+
+    for (const product of products) {
+      const key = this.keyFor(product);
+      if (recorded.has(key) || !Number.isInteger(product.price)) continue;
+      recorded.add(key);
+
+      const timestamp = product.fetchedAt || new Date().toISOString();
+      const entry = this.series.get(key);
+      const last = entry && entry.points[entry.points.length - 1];
+
+      // Skip repeats of an unchanged observation, e.g. the same product from two strategies
+      if (last &&
+          last.price === product.price &&
+          last.mrp === product.mrp &&
+          last.availability === product.availability &&
+          Date.parse(timestamp) - Date.parse(last.timestamp) < MIN_RECORD_INTERVAL_MS) {
+        continue;
+      }
+
+      const record = {
+        key,
+        retailerId: product.retailerId,
+        productId: product.id,
+        title: product.title,
+        price: product.price,
+        mrp: product.mrp,
+        availability: product.availability,
+        timestamp
+      };
+
+      this._addToSeries(record);
+      lines.push(JSON.stringify(record));
+    }
+
+    if (lines.length > 0) {
+      this._append(lines.join('\n') + '\n');
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * Append to the history file, keeping writes in order
+   * @param {string} data - Lines to append
+   * @private
+   */
+  _append(data) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, data);
+      })
+      .catch(error => {
+        console.error('Error writing price history:', error.message);
+      });
+  }
+
+  /**
+   * Wait for pending writes to reach disk
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Get the price history of one or more products
+   * @param {Array<string>} keys - History keys ("<retailerId>:<productId>")
+   * @param {Object} options - Query options
+   * @param {number} options.days - How many days of history to return
+   * @param {Array<number>} options.lowestWindows - Windows (days) for the "lowest in N days" flags
+   * @returns {Array} - One series per key that has history
+   */
+  getHistory(keys, { days = DEFAULT_HISTORY_DAYS, lowestWindows = DEFAULT_LOWEST_WINDOWS } = {}) {
+    this._load();
+
+    const now = Date.now();
+    const since = now - days * DAY_MS;
+
+    return keys
+      .filter(key => this.series.has(key))
+      .map(key => {
+        const entry = this.series.get(key);
+        const points = entry.points.filter(point => Date.parse(point.timestamp) >= since);
+        const current = entry.points[entry.points.length - 1];
+
+        return {
+          key,
+          retailerId: entry.retailerId,
+          productId: entry.productId,
+          title: entry.title,
+          points,
+          stats: this._summarise(points, current),
+          lowestInDays: this._lowestInDays(entry.points, current, lowestWindows, now)
+        };
+      });
+  }
+
+  /**
+   * Min/max/average over a set of observations
+   * @param {Array} points - Observations
+   * @param {Object} current - Latest observation
+   * @returns {Object|null} - Stats in paise
+   * @private
+   */
+  _summarise(points, current) {
+    if (points.length === 0) {
+      return null;
+    }
+
+    const prices = points.map(point => point.price);
+    return {
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      avg: Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+      current: current.price,
+      observations: points.length,
+      firstSeen: points[0].timestamp,
+      lastSeen: current.timestamp
+    };
+  }
+
+  /**
+   * Whether the current price is the lowest seen in each window
+   * @param {Array} points - All observations
+   * @param {Object} current - Latest observation
+   * @param {Array<number>} windows - Window lengths in days
+   * @param {number} now - Reference time
+   * @returns {Object} - { [days]: boolean }
+   * @private
+   */
+  _lowestInDays(points, current, windows, now) {
+    const flags = {};
+    for (const windowDays of windows) {
+      const since = now - windowDays * DAY_MS;
+      const inWindow = points.filter(point => Date.parse(point.timestamp) >= since);
+      flags[windowDays] = inWindow.length > 0 && current.price <= Math.min(...inWindow.map(point => point.price));
+    }
+    return flags;
+  }
+}
+
+// Export a singleton instance
+module.exports = new PriceHistoryStore();
@@ -0,0 +1,321 @@
+/**
+ * ProductMatcher Service
+ * Clusters canonical products that are listings of the same item on different retailers
+ * and summarises each cluster as a group of offers with its lowest price
+ */
+const crypto = require('crypto');
+
+// Brands we recognise in titles, plus product lines that imply a brand
+const KNOWN_BRANDS = [
+  'apple', 'samsung', 'oneplus', 'xiaomi', 'redmi', 'poco', 'realme', 'oppo', 'vivo', 'iqoo',
+  'motorola', 'nokia', 'google', 'nothing', 'sony', 'lg', 'boat', 'jbl', 'bose', 'sennheiser',
+  'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'philips', 'panasonic', 'whirlpool', 'bosch',
+  'haier', 'godrej', 'voltas', 'daikin', 'tcl', 'hisense', 'canon', 'nikon', 'fujifilm',
+  'noise', 'fire-boltt', 'amazfit', 'garmin', 'logitech', 'havells', 'bajaj', 'prestige'
+];
+const BRAND_ALIASES = {
+  iphone: 'apple', ipad: 'apple', macbook: 'apple', airpods: 'apple', imac: 'apple',
+  galaxy: 'samsung', pixel: 'google', bravia: 'sony', thinkpad: 'lenovo', ideapad: 'lenovo',
+  pavilion: 'hp', inspiron: 'dell', vivobook: 'asus', zenbook: 'asus', mi: 'xiaomi'
+};
+
+// Words that make a different model of the same line (iPhone 15 vs iPhone 15 Pro)
+const EDITION_WORDS = new Set(['pro', 'max', 'plus', 'ultra', 'mini', 'lite', 'fe', 'neo', 'air', 'se', 'prime']);
+
+const COLOUR_WORDS = new Set([
+  'black', 'white', 'blue', 'green', 'red', 'pink', 'yellow', 'purple', 'violet', 'orange',
+  'silver', 'gold', 'grey', 'gray', 'graphite', 'titanium', 'midnight', 'starlight', 'teal',
+  'ultramarine', 'lavender', 'mint', 'cream', 'beige', 'brown', 'navy', 'maroon', 'bronze'
+]);
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'for', 'with', 'of', 'in', 'on', 'to', 'by', 'at', 'from',
+  'new', 'latest', 'buy', 'online', 'best', 'price', 'offer', 'combo', 'pack', 'set', 'edition',
+  'mobile', 'phone', 'smartphone', 'smart', 'built', 'display', 'camera', 'battery', 'life'
+]);
+
+// Unit suffixes that turn a number into a spec rather than a model number
+const UNIT_PATTERN = /^(\d+(\.\d+)?)(gb|tb|mb|mp|mah|hz|khz|w|kg|g|l|ml|cm|mm|inch|in|k|fps|nm|v|star|m)$/;
+
+// Minimum title overlap for two listings without a shared model code to be the same item
+const SIMILARITY_THRESHOLD = 0.6;
+const UNBRANDED_SIMILARITY_THRESHOLD = 0.8;
+
+class ProductMatcher {
+  /**
+   * Group canonical products into offers for the same item
+   * @param {Array} products - Canonical products (see models/product.js)
+   * @returns {Array} - Groups in order of first appearance
+   */
+  groupProducts(products) {
+    if (!Array.isArray(products) || products.length === 0) {
+      return [];
+    }
+
+    const clusters = [];
+    const seen = new Set();
+
+    for (const product of products) {
+      // The same listing can arrive from more than one strategy
+      const listingKey = `${product.retailerId}:${product.id}`;
+      if (seen.has(listingKey)) {
+        continue;
+      }
+      seen.add(listingKey);
+
+      const features = this.extractFeatures(product.title);
+      let bestCluster = null;
+      let bestScore = 0;
+
+      for (const cluster of clusters) {
+        const score = this._clusterScore(cluster, product, features);
+        if (score > bestScore) {
+          bestScore = score;
+          bestCluster = cluster;
+        }
+      }
+
+      if (bestCluster) {
+        bestCluster.members.push({ product, features });
+      } else {
+        clusters.push({ members: [{ product, features }] });
+      }
+    }
+
+    return clusters.map(cluster => this._summariseCluster(cluster));
+  }
+
+  /**
+   * Extract the matching features from a product title
+   * @param {string} title - Product title
+   * @returns {Object} - { brand, storage, size, colours, editions, modelCodes, numbers, tokens }
+   */
+  extractFeatures(title) {
+    const normalised = String(title || '')
+      .toLowerCase()
+      .replace(/[″”"]/g, ' inch ')
+      // Glue numbers to their units so "128 GB" and "128GB" look the same
+      .replace(/(\d+(?:\.\d+)?)\s*(gb|tb|mb|mp|mah|hz|khz|w|kg|cm|mm|inch|inches|fps|nm)\b/g, (m, n, unit) => `${n}${unit === 'inches' ? 'inch' : unit}`)
+      .replace(/[^a-z0-9.\-\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const tokens = normalised.split(' ')
+      .map(token => token.replace(/^[.\-]+|[.\-]+$/g, ''))
+      .filter(Boolean);
+
+    let brand = null;
+    for (const token of tokens) {
+      if (KNOWN_BRANDS.includes(token)) {
+        brand = token === 'redmi' || token === 'poco' ? 'xiaomi' : token;
+        break;
+      }
+      if (BRAND_ALIASES[token]) {
+        brand = BRAND_ALIASES[token];
+        break;
+      }
+    }
+
+    // The largest GB/TB figure is storage; smaller ones are usually RAM
+    let storage = null;
+    const size = [];
+    const colours = new Set();
+    const editions = new Set();
+    const modelCodes = new Set();
+    const numbers = new Set();
+
+    for (const token of tokens) {
+      const unit = token.match(UNIT_PATTERN);
+      if (unit) {
+        const value = parseFloat(unit[1]);
+        if (unit[3] === 'gb' || unit[3] === 'tb') {
+          const gb = unit[3] === 'tb' ? value * 1024 : value;
+          storage = storage === null ? gb : Math.max(storage, gb);
+        } else if (unit[3] === 'inch') {
+          size.push(value);
+        }
+        continue;
+      }
+
+      if (COLOUR_WORDS.has(token)) {
+        colours.add(token === 'gray' ? 'grey' : token);
+      } else if (EDITION_WORDS.has(token)) {
+        editions.add(token);
+      } else if (/^\d{1,4}$/.test(token)) {
+        numbers.add(token);
+      } else if (/[a-z]/.test(token) && /\d/.test(token) && token.length >= 3) {
+        modelCodes.add(token.replace(/-/g, ''));
+      }
+    }
+
+    return {
+      brand,
+      storage,
+      size: size.length > 0 ? Math.max(...size) : null,
+      colours,
+      editions,
+      modelCodes,
+      numbers,
+      tokens: new Set(tokens.filter(token => !STOP_WORDS.has(token) && !COLOUR_WORDS.has(token)))
+    };
+  }
+
+  /**
+   * Score how well a product fits an existing cluster
+   * Every member must be compatible; the score is the best pairwise match
+   * @param {Object} cluster - Cluster with members
+   * @param {Object} product - Canonical product
+   * @param {Object} features - Product features
+   * @returns {number} - Match score, 0 if the product does not belong
+   * @private
+   */
+  _clusterScore(cluster, product, features) {
+    let best = 0;
+    for (const member of cluster.members) {
+      const score = this._matchScore(member, { product, features });
+      if (score === 0) {
+        return 0;
+      }
+      best = Math.max(best, score);
+    }
+    return best;
+  }
+
+  /**
+   * Score two listings as the same item
+   * @param {Object} a - { product, features }
+   * @param {Object} b - { product, features }
+   * @returns {number} - 0 when they are different items, otherwise a similarity in (0, 2]
+   * @private
+   */
+  _matchScore(a, b) {
+    const fa = a.features;
+    const fb = b.features;
+
+    // Hard incompatibilities: any one of these means a different product or variant
+    if (fa.brand && fb.brand && fa.brand !== fb.brand) return 0;
+    if (fa.storage !== null && fb.storage !== null && fa.storage !== fb.storage) return 0;
+    if (fa.size !== null && fb.size !== null && Math.abs(fa.size - fb.size) > 0.5) return 0;
+    if (!this._sameSet(fa.editions, fb.editions)) return 0;
+    if (fa.colours.size > 0 && fb.colours.size > 0 && !this._intersects(fa.colours, fb.colours)) return 0;
+    if (fa.numbers.size > 0 && fb.numbers.size > 0 && !this._intersects(fa.numbers, fb.numbers)) return 0;
+
+    const sharedModel = this._intersects(fa.modelCodes, fb.modelCodes);
+    if (fa.modelCodes.size > 0 && fb.modelCodes.size > 0 && !sharedModel) {
+      // Verbose titles carry spec codes (A18, 5G); only treat a full mismatch on short code sets as decisive
+      if (fa.modelCodes.size <= 2 && fb.modelCodes.size <= 2) return 0;
+    }
+
+    const similarity = this._overlap(fa.tokens, fb.tokens);
+
+    // Different listings on one retailer are different items unless they share a model code
+    if (a.product.retailerId === b.product.retailerId) {
+      return sharedModel && similarity >= SIMILARITY_THRESHOLD ? similarity + 1 : 0;
+    }
+
+    if (sharedModel) {
+      return similarity + 1;
+    }
+
+    const threshold = fa.brand && fb.brand ? SIMILARITY_THRESHOLD : UNBRANDED_SIMILARITY_THRESHOLD;
+    return similarity >= threshold ? similarity : 0;
+  }
+
+  /**
+   * Overlap coefficient, which tolerates one title being much more verbose than the other
+   * @param {Set} a - Tokens
+   * @param {Set} b - Tokens
+   * @returns {number} - |a ∩ b| / min(|a|, |b|)
+   * @private
+   */
+  _overlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+      if (b.has(token)) shared++;
+    }
+    return shared / Math.min(a.size, b.size);
+  }
+
+  /**
+   * Check whether two sets share a value
+   * @param {Set} a - First set
+   * @param {Set} b - Second set
+   * @returns {boolean}
+   * @private
+   */
+  _intersects(a, b) {
+    for (const value of a) {
+      if (b.has(value)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether two sets hold the same values
+   * @param {Set} a - First set
+   * @param {Set} b - Second set
+   * @returns {boolean}
+   * @private
+   */
+  _sameSet(a, b) {
+    return a.size === b.size && [...a].every(value => b.has(value));
+  }
+
+  /**
+   * Build the public group object for a cluster
+   * @param {Object} cluster - Cluster with members
+   * @returns {Object} - Group with offers sorted cheapest first
+   * @private
+   */
+  _summariseCluster(cluster) {
+    // In-stock offers first, then by price, so offers[0] is the offer to buy
+    const offers = cluster.members
+      .map(member => member.product)
+      .sort((a, b) => {
+        const aOut = a.availability === 'out_of_stock' ? 1 : 0;
+        const bOut = b.availability === 'out_of_stock' ? 1 : 0;
+        return aOut - bOut || a.price - b.price;
+      });
+
+    const prices = offers.map(offer => offer.price);
+    const lowestPrice = offers[0].price;
+    const highestPrice = Math.max(...prices);
+    const features = cluster.members.map(member => member.features);
+    const pick = (key) => {
+      const found = features.find(f => f[key] !== null);
+      return found ? found[key] : null;
+    };
+
+    // The shortest title is usually the cleanest description of the item
+    const title = offers.map(offer => offer.title).sort((a, b) => a.length - b.length)[0];
+    const colours = [...new Set(features.flatMap(f => [...f.colours]))];
+
+    const id = crypto.createHash('sha1')
+      .update(offers.map(offer => `${offer.retailerId}:${offer.id}`).sort().join('|'))
+      .digest('hex')
+      .substring(0, 12);
+
+    return {
+      id,
+      title,
+      brand: pick('brand'),
+      variant: {
+        storage: pick('storage'),
+        size: pick('size'),
+        colour: colours.length === 1 ? colours[0] : null
+      },
+      offers,
+      offerCount: offers.length,
+      retailerCount: new Set(offers.map(offer => offer.retailerId)).size,
+      currency: offers[0].currency,
+      lowestPrice,
+      highestPrice,
+      savings: highestPrice - lowestPrice,
+      lowestPriceRetailer: offers[0].retailerId
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ProductMatcher();
@@ -0,0 +1,118 @@
+/**
+ * QueryNormaliser Service
+ * Turns the many ways of typing a search into one canonical key, so "iPhone 15",
+ * "iphone 15 " and "Apple iPhone-15" share a cache entry and read the same in logs.
+ * The key is never sent to a retailer: sites get the query as typed, tidied, through
+ * forRetailer().
+ */
+const productMatcher = require('./productMatcher');
+const retailerRegistry = require('../scraper/retailerRegistry');
+
+// Words that do not change what a search finds, also used by relevanceRanker. Single
+// letters are never stop words: "usb a to c" and "Galaxy A 55" need theirs
+const QUERY_STOP_WORDS = new Set([
+  'the', 'an', 'and', 'or', 'for', 'with', 'of', 'in', 'on', 'to', 'buy', 'best', 'price', 'online'
+]);
+
+// Spellings of one name, folded before tokenising so multi-word forms are caught
+const SPELLINGS = [
+  [/\bone\s*plus\b|\b1\+/g, 'oneplus'],
+  [/\bi\s+phone\b/g, 'iphone'],
+  [/\bi\s+pad\b/g, 'ipad'],
+  [/\bmac\s+book\b/g, 'macbook'],
+  [/\bair\s+pods\b/g, 'airpods'],
+  [/\bhewlett\s+packard\b/g, 'hp']
+];
+
+// Short brand names, as single tokens
+const BRAND_SPELLINGS = {
+  moto: 'motorola',
+  mi: 'xiaomi'
+};
+
+// Units glued to their number, in the form productMatcher reads titles in
+const UNITS = /(\d+(?:\.\d+)?)\s*(gb|tb|mb|mp|mah|hz|khz|w|kg|cm|mm|inch|inches|fps|nm)\b/g;
+
+class QueryNormaliser {
+  /**
+   * Canonical form of a query for cache keys and logs
+   * Lowercased, with punctuation and stop words dropped, units glued to numbers
+   * ("128 GB" -> "128gb"), brand spellings folded and the brand a product line implies
+   * put first ("iphone 15" -> "apple iphone 15"). Word order and repeated words are
+   * kept, so "usb a to c" and "usb c to a" stay apart.
+   * @param {string} query - Search query as typed
+   * @returns {string} - Canonical key; the query lowercased, with its whitespace collapsed,
+   *   when it is made only of stop words or punctuation, and '' for an empty query
+   */
+  normalise(query) {
+    let text = String(query || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/(\d)\s*(?:″|”|")/g, '$1 inch ');
+
+    for (const [pattern, replacement] of SPELLINGS) {
+      text = text.replace(pattern, replacement);
+    }
+
+    text = text
+      // Pro+ is a different model from Pro
+      .replace(/([a-z0-9])\+/g, '$1 plus')
+      .replace(UNITS, (m, n, unit) => ` ${n}${unit === 'inches' ? 'inch' : unit} `)
+      .replace(/[^a-z0-9.\s]/g, ' ');
+
+    const words = text.split(/\s+/)
+      // Dots only matter inside a number, as in 6.7inch
+      .map(raw => raw.replace(/^\.+|\.+$/g, ''))
+      .filter(Boolean)
+      .map(token => BRAND_SPELLINGS[token] || token);
+    const tokens = words.filter((word, index) => !this.isStopWord(words, index));
+    if (tokens.length === 0) {
+      // "price" and "on" must not share the key of every other empty search
+      return String(query || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    const { brand } = productMatcher.extractFeatures(tokens.join(' '));
+    if (brand) {
+      return [brand, ...tokens.filter(token => token !== brand)].join(' ');
+    }
+    return tokens.join(' ');
+  }
+
+  /**
+   * Whether a word can be left out of a search
+   * A stop word right after a brand or product line is part of a model name, as in
+   * "Galaxy On Max".
+   * @param {Array<string>} words - Lowercased words, in order
+   * @param {number} index - Position of the word to check
+   * @returns {boolean}
+   */
+  isStopWord(words, index) {
+    if (!QUERY_STOP_WORDS.has(words[index])) {
+      return false;
+    }
+    return index === 0 || !productMatcher.extractFeatures(words[index - 1]).brand;
+  }
+
+  /**
+   * Query string to send to one retailer
+   * The query as typed, without characters that break search URLs and APIs, passed
+   * through the retailer plugin's searchQuery hook when it has one.
+   * @param {string} query - Search query as typed
+   * @param {string} retailer - Retailer key
+   * @returns {string} - Query for that retailer
+   */
+  forRetailer(query, retailer) {
+    const tidied = String(query || '')
+      .normalize('NFKC')
+      .replace(/(\d)\s*(?:″|”|")/g, '$1 inch ')
+      .replace(/[\u0000-\u001f<>{}[\]|\\^`"]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const plugin = retailerRegistry.get(retailer);
+    return plugin && typeof plugin.searchQuery === 'function' ? plugin.searchQuery(tidied) : tidied;
+  }
+}
+
+// Export a singleton instance
+module.exports = new QueryNormaliser();
@@ -0,0 +1,202 @@
+/**
+ * RelevanceRanker Service
+ * Scores aggregated search results against the query so accessories, sponsored
+ * placements and off-model listings sink below the products the user searched for
+ */
+const productMatcher = require('./productMatcher');
+const queryNormaliser = require('./queryNormaliser');
+
+// Default cut-off used when callers ask for low-relevance items to be dropped
+const DEFAULT_MIN_RELEVANCE = 0.4;
+
+// Words that mark an accessory for a product rather than the product itself
+const ACCESSORY_WORDS = new Set([
+  'case', 'cover', 'covers', 'pouch', 'sleeve', 'skin', 'skins', 'protector', 'tempered',
+  'guard', 'charger', 'adapter', 'adaptor', 'cable', 'cord', 'strap', 'holder',
+  'mount', 'bracket', 'stylus', 'bumper', 'wallet', 'sticker', 'decal',
+  'replacement', 'spare', 'refill', 'compatible'
+]);
+
+// Accessory words that are also part of product names (Smart Band, Galaxy Z Flip, stand
+// mixer). They only mark an accessory when the query does not use them and they do not
+// follow a brand or model token, as in "strap band" or "camera lens"
+const AMBIGUOUS_ACCESSORY_WORDS = new Set(['band', 'flip', 'glass', 'lens', 'remote', 'stand']);
+
+// Words that start a product line name rather than describe an accessory
+const PRODUCT_LINE_WORDS = new Set(['smart', 'fitness', 'activity']);
+
+// Weights of the text signals; the remaining signals scale the result down
+const TOKEN_WEIGHT = 0.65;
+const MODEL_WEIGHT = 0.35;
+const CATEGORY_PENALTY = 0.3;
+const PRICE_OUTLIER_PENALTY = 0.6;
+const SPONSORED_PENALTY = 0.9;
+
+// Prices this far from the median of the relevant results are outliers
+const LOW_PRICE_RATIO = 0.3;
+const HIGH_PRICE_RATIO = 4;
+
+class RelevanceRanker {
+  /**
+   * Score products against a query and sort them most relevant first
+   * @param {Array} products - Canonical products
+   * @param {string} query - Search query
+   * @returns {Array} - Products with relevanceScore, sorted by it (ties keep retailer order)
+   */
+  rankProducts(products, query) {
+    if (!Array.isArray(products) || products.length === 0) {
+      return [];
+    }
+
+    const queryTokens = this._tokenise(query);
+    const queryFeatures = productMatcher.extractFeatures(query);
+    const queryIsAccessory = queryTokens.some(token => ACCESSORY_WORDS.has(token));
+    const queryTokenSet = new Set(queryTokens);
+
+    const scored = products.map((product, index) => {
+      const titleTokenList = this._tokenise(product.title);
+      const titleTokens = new Set(titleTokenList);
+      const titleFeatures = productMatcher.extractFeatures(product.title);
+      const isAccessory = this._isAccessory(titleTokenList, queryTokenSet);
+
+      return {
+        product,
+        index,
+        textScore: TOKEN_WEIGHT * this._tokenOverlap(queryTokens, titleTokens) +
+          MODEL_WEIGHT * this._modelMatch(queryFeatures, titleFeatures),
+        // A case when the user wants a phone, or a phone when they want a case
+        categoryMismatch: isAccessory !== queryIsAccessory
+      };
+    });
+
+    const median = this._medianPrice(scored);
+
+    return scored
+      .map(entry => {
+        const { product } = entry;
+        let score = entry.textScore;
+        const ratio = median ? product.price / median : 1;
+        const priceOutlier = ratio < LOW_PRICE_RATIO || ratio > HIGH_PRICE_RATIO;
+
+        if (entry.categoryMismatch) score *= CATEGORY_PENALTY;
+        if (priceOutlier) score *= PRICE_OUTLIER_PENALTY;
+        if (product.sponsored) score *= SPONSORED_PENALTY;
+
+        return {
+          index: entry.index,
+          product: { ...product, relevanceScore: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100 }
+        };
+      })
+      .sort((a, b) => b.product.relevanceScore - a.product.relevanceScore || a.index - b.index)
+      .map(entry => entry.product);
+  }
+
+  /**
+   * Drop products below a relevance score
+   * @param {Array} products - Ranked products
+   * @param {number} minScore - Minimum relevanceScore to keep
+   * @returns {Array} - Relevant products
+   */
+  filterRelevant(products, minScore = DEFAULT_MIN_RELEVANCE) {
+    return (products || []).filter(product => (product.relevanceScore ?? 1) >= minScore);
+  }
+
+  /**
+   * Split text into lowercase search tokens
+   * @param {string} text - Query or title
+   * @returns {Array<string>} - Tokens
+   * @private
+   */
+  _tokenise(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/(\d+)\s+(gb|tb)\b/g, '$1$2')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .filter((token, index, tokens) => !queryNormaliser.isStopWord(tokens, index));
+  }
+
+  /**
+   * Whether a title names an accessory
+   * @param {Array<string>} tokens - Title tokens, in order
+   * @param {Set<string>} queryTokens - Query tokens
+   * @returns {boolean}
+   * @private
+   */
+  _isAccessory(tokens, queryTokens) {
+    return tokens.some((token, i) => {
+      if (ACCESSORY_WORDS.has(token)) return true;
+      if (!AMBIGUOUS_ACCESSORY_WORDS.has(token) || queryTokens.has(token)) return false;
+
+      const previous = tokens[i - 1];
+      const followsProductName = Boolean(previous) && (
+        /\d/.test(previous) ||
+        previous.length === 1 ||
+        PRODUCT_LINE_WORDS.has(previous) ||
+        productMatcher.extractFeatures(previous).brand !== null
+      );
+      return !followsProductName;
+    });
+  }
+
+  /**
+   * Fraction of query tokens present in the title
+   * @param {Array<string>} queryTokens - Query tokens
+   * @param {Set<string>} titleTokens - Title tokens
+   * @returns {number} - 0-1
+   * @private
+   */
+  _tokenOverlap(queryTokens, titleTokens) {
+    if (queryTokens.length === 0) return 1;
+    return queryTokens.filter(token => titleTokens.has(token)).length / queryTokens.length;
+  }
+
+  /**
+   * How well the title matches the model numbers, storage and edition named in the query
+   * @param {Object} query - Query features
+   * @param {Object} title - Title features
+   * @returns {number} - 0-1, 1 when the query names no model
+   * @private
+   */
+  _modelMatch(query, title) {
+    const checks = [];
+
+    for (const code of query.modelCodes) {
+      checks.push(title.modelCodes.has(code) ? 1 : 0);
+    }
+    for (const number of query.numbers) {
+      checks.push(title.numbers.has(number) || title.modelCodes.has(number) ? 1 : 0);
+    }
+    if (query.storage !== null) {
+      checks.push(title.storage === null ? 0.5 : (title.storage === query.storage ? 1 : 0));
+    }
+    // "iphone 15" should prefer the base model over the Pro/Max
+    if (query.modelCodes.size > 0 || query.numbers.size > 0) {
+      const extraEditions = [...title.editions].filter(edition => !query.editions.has(edition));
+      checks.push(extraEditions.length === 0 ? 1 : 0.5);
+    }
+
+    if (checks.length === 0) return 1;
+    return checks.reduce((sum, value) => sum + value, 0) / checks.length;
+  }
+
+  /**
+   * Median price of the textually relevant results, falling back to all results
+   * @param {Array} scored - Entries with product and textScore
+   * @returns {number|null} - Median price in paise
+   * @private
+   */
+  _medianPrice(scored) {
+    const core = scored.filter(entry => entry.textScore >= 0.5 && !entry.categoryMismatch);
+    const prices = (core.length > 0 ? core : scored)
+      .map(entry => entry.product.price)
+      .sort((a, b) => a - b);
+
+    if (prices.length === 0) return null;
+    const middle = Math.floor(prices.length / 2);
+    return prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+  }
+}
+
+// Export a singleton instance
+module.exports = new RelevanceRanker();
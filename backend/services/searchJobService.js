@@ -0,0 +1,222 @@
+/**
+ * Search Job Service
+ * Runs ScraperService.searchProduct in the background so long searches can be
+ * polled for per-retailer progress and partial results, and cancelled. The job id
+ * doubles as the requestId threaded through every strategy, which is what
+ * abortRegistry uses to abort in-flight requests and close browser pages.
+ */
+const { v4: uuidv4 } = require('uuid');
+const scraperService = require('../scraper/scraperService');
+const abortRegistry = require('../scraper/abortRegistry');
+const relevanceRanker = require('./relevanceRanker');
+const productMatcher = require('./productMatcher');
+const priceHistoryStore = require('./priceHistoryStore');
+
+// Finished jobs are kept this long for polling clients
+const JOB_TTL_MINUTES = parseInt(process.env.SEARCH_JOB_TTL_MINUTES, 10) || 30;
+
+// Each running job drives every retailer strategy, browsers included
+const MAX_RUNNING_JOBS = parseInt(process.env.SEARCH_JOB_MAX_RUNNING, 10) || 4;
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class SearchJobService {
+  constructor() {
+    this.scraperService = scraperService;
+    this.jobs = new Map();
+
+    // Expired jobs go even when no new job is started
+    this.pruneTimer = setInterval(() => this._prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Start a search job
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {boolean} options.dropLowRelevance - Remove low-relevance products from the final results
+   * @param {number} options.minRelevance - Minimum relevanceScore kept when dropping
+   * @returns {Object|null} - The job, already running, or null when MAX_RUNNING_JOBS jobs
+   *   are already running
+   */
+  create(query, options = {}) {
+    this._prune();
+
+    const running = [...this.jobs.values()].filter(job => job.status === 'running').length;
+    if (running >= MAX_RUNNING_JOBS) {
+      console.warn(`Refusing search job for "${query}": ${running} jobs already running`);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      query,
+      options,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      retailers: Object.fromEntries(this.scraperService.retailers.map(retailer => [retailer, { status: 'pending' }])),
+      products: [],
+      groups: [],
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    abortRegistry.register(job.id);
+
+    console.log(`Started search job ${job.id} for "${query}"`);
+    this._run(job).catch(error => {
+      console.error(`Search job ${job.id} failed:`, error);
+      this._finish(job, 'failed', error.message);
+    });
+
+    return this._view(job);
+  }
+
+  /**
+   * Get a job with its progress and results so far
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Job or null if unknown or expired
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this._view(job) : null;
+  }
+
+  /**
+   * Cancel a running job, aborting its requests and closing its browser pages
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - { job, cancelled } or null if unknown; cancelled is
+   *   false when the job had already finished
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'running') {
+      return { job: this._view(job), cancelled: false };
+    }
+
+    console.log(`Cancelling search job ${id}`);
+    this._finish(job, 'cancelled');
+    await abortRegistry.abort(id);
+
+    return { job: this._view(job), cancelled: true };
+  }
+
+  /**
+   * Run the search, recording progress on the job
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(job) {
+    await this.scraperService.searchProduct(job.query, {
+      requestId: job.id,
+      onProgress: progress => this._recordProgress(job, progress)
+    });
+
+    if (job.status !== 'running') {
+      return;
+    }
+
+    const products = job.products;
+    priceHistoryStore.recordProducts(products);
+    job.products = job.options.dropLowRelevance
+      ? relevanceRanker.filterRelevant(products, job.options.minRelevance)
+      : products;
+    job.droppedCount = products.length - job.products.length;
+    job.groups = productMatcher.groupProducts(job.products);
+
+    this._finish(job, 'completed');
+  }
+
+  /**
+   * Apply one retailer progress event to a job
+   * @param {Object} job - Job
+   * @param {Object} progress - { retailer, status, strategy?, products?, error? }
+   * @private
+   */
+  _recordProgress(job, progress) {
+    // Late events from strategies that were still unwinding after a cancel
+    if (job.status !== 'running') {
+      return;
+    }
+
+    const { retailer, status, strategy, products, error } = progress;
+    job.retailers[retailer] = {
+      status,
+      ...(strategy && { strategy }),
+      ...(products && { productCount: products.length }),
+      ...(error && { error })
+    };
+
+    if (products && products.length > 0) {
+      job.products = relevanceRanker.rankProducts([...job.products, ...products], job.query);
+    }
+    job.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Mark a job finished
+   * @param {Object} job - Job
+   * @param {string} status - 'completed', 'cancelled' or 'failed'
+   * @param {string} error - Error message for failed jobs
+   * @private
+   */
+  _finish(job, status, error = null) {
+    if (job.status !== 'running') {
+      return;
+    }
+
+    job.status = status;
+    job.error = error;
+    job.finishedAt = job.updatedAt = new Date().toISOString();
+
+    if (status === 'cancelled') {
+      for (const state of Object.values(job.retailers)) {
+        if (state.status === 'pending' || state.status === 'trying') {
+          state.status = 'cancelled';
+        }
+      }
+    } else {
+      abortRegistry.release(job.id);
+    }
+
+    console.log(`Search job ${job.id} ${status} with ${job.products.length} products`);
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   * @private
+   */
+  _prune() {
+    const cutoff = Date.now() - JOB_TTL_MINUTES * 60 * 1000;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        abortRegistry.release(id);
+      }
+    }
+  }
+
+  /**
+   * Public shape of a job
+   * @param {Object} job - Job
+   * @returns {Object}
+   * @private
+   */
+  _view(job) {
+    const { options, ...view } = job;
+    return {
+      ...view,
+      retailers: Object.fromEntries(Object.entries(job.retailers).map(([retailer, state]) => [retailer, { ...state }])),
+      count: job.products.length
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new SearchJobService();
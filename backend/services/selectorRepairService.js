@@ -0,0 +1,228 @@
+/**
+ * Selector Repair Service
+ * When a retailer's selectors stop matching, asks Groq to propose new ones from the
+ * latest captured result page, runs the proposal against that page with cheerio and
+ * stores it as a selector override. Valid overrides wait for approval through the
+ * admin API unless SELECTOR_REPAIR_AUTO_APPROVE=true.
+ */
+const cheerio = require('cheerio');
+const groqService = require('./groqService');
+const selectorHealth = require('../scraper/selectorHealth');
+const selectorOverrides = require('../scraper/selectorOverrides');
+const retailerRegistry = require('../scraper/retailerRegistry');
+const directApiService = require('../scraper/directApiService');
+
+// Extractors that work from CSS selectors, and so can be repaired
+const REPAIRABLE_EXTRACTORS = ['fastFetch', 'browser'];
+
+// A proposal must match at least this many result cards
+const MIN_CARDS = 3;
+
+// Share of cards each field selector must match; image is allowed to be lazy-loaded
+const MIN_FIELD_RATES = { title: 0.8, price: 0.8, link: 0.8, image: 0.5 };
+
+// Share of cards that must yield a product with a name, price and link
+const MIN_PRODUCT_RATE = 0.8;
+
+// Attributes left in the HTML sent to Groq
+const KEPT_ATTRIBUTES = ['id', 'class', 'href', 'src', 'title', 'alt', 'aria-label', 'itemprop'];
+
+// Characters of HTML sent to Groq, starting a little before the first price on the page
+const MAX_HTML_LENGTH = 24000;
+const HTML_LEAD = 3000;
+
+// Minimum time between automatic repairs of the same retailer and extractor
+const REPAIR_COOLDOWN_MS = (parseInt(process.env.SELECTOR_REPAIR_COOLDOWN_MINUTES, 10) || 360) * 60 * 1000;
+
+class SelectorRepairService {
+  constructor() {
+    this.started = false;
+    // 'retailer:extractor' -> time of the last automatic repair
+    this.lastAttempts = new Map();
+  }
+
+  /**
+   * Repair selectors automatically whenever selectorHealth flags a regression
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    selectorHealth.onRegression(regression => this.handleRegression(regression));
+    console.log('Selector repair enabled for selector health regressions');
+  }
+
+  /**
+   * Start a repair for a regression, unless one ran recently or is awaiting review
+   * @param {Object} regression - { retailer, extractor, metric, name, baseline, recent }
+   * @returns {Promise<Object>|null} - Repair result, or null when skipped
+   */
+  handleRegression(regression) {
+    const { retailer, extractor } = regression;
+    if (!REPAIRABLE_EXTRACTORS.includes(extractor)) {
+      return null;
+    }
+
+    const key = `${retailer}:${extractor}`;
+    const lastAttempt = this.lastAttempts.get(key);
+    if (lastAttempt && Date.now() - lastAttempt < REPAIR_COOLDOWN_MS) {
+      return null;
+    }
+    if (selectorOverrides.list({ retailer, status: 'pending' }).some(override => override.extractor === extractor)) {
+      return null;
+    }
+    this.lastAttempts.set(key, Date.now());
+
+    const reason = `${regression.metric} ${regression.name} fell from ${regression.baseline} to ${regression.recent}`;
+    return this.repair(retailer, extractor, { reason }).catch(error => {
+      console.error(`Selector repair for ${retailer} (${extractor}) failed:`, error.message);
+      return { success: false, message: error.message };
+    });
+  }
+
+  /**
+   * Propose, validate and store new selectors for a retailer's extractor
+   * @param {string} retailer - Retailer key
+   * @param {string} extractor - 'fastFetch' or 'browser'
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason] - Why the repair was started
+   * @returns {Promise<Object>} - { success, message, override }
+   */
+  async repair(retailer, extractor, { reason = null } = {}) {
+    const plugin = retailerRegistry.get(retailer);
+    if (!plugin) {
+      return { success: false, message: `Unknown retailer ${retailer}` };
+    }
+    if (!REPAIRABLE_EXTRACTORS.includes(extractor)) {
+      return { success: false, message: `Extractor must be one of: ${REPAIRABLE_EXTRACTORS.join(', ')}` };
+    }
+
+    const capture = selectorHealth.getCapture(retailer, extractor);
+    if (!capture) {
+      return { success: false, message: `No captured result page for ${retailer} (${extractor})` };
+    }
+
+    const previous = selectorOverrides.selectorSetFor(retailer, extractor);
+    console.log(`Requesting selector repair for ${retailer} (${extractor}) from ${capture.file}`);
+    const proposal = await groqService.proposeSelectors(plugin.name, this.trimHtml(capture.html), previous);
+
+    const selectors = { card: proposal.card, fields: proposal.fields };
+    const validation = {
+      ...this.validate(capture.html, selectors, retailer),
+      page: { file: capture.file, capturedAt: capture.capturedAt }
+    };
+
+    let status = 'invalid';
+    if (validation.valid) {
+      status = process.env.SELECTOR_REPAIR_AUTO_APPROVE === 'true' ? 'active' : 'pending';
+    }
+
+    const override = selectorOverrides.add({
+      retailer,
+      extractor,
+      selectors,
+      previous,
+      validation,
+      source: 'groq',
+      notes: proposal.notes,
+      reason
+    }, status);
+
+    const message = {
+      active: 'Selector override validated and activated',
+      pending: 'Selector override validated and awaiting approval',
+      invalid: `Proposed selectors failed validation: ${validation.errors.join('; ')}`
+    }[status];
+    console.log(`Selector repair for ${retailer} (${extractor}): ${message}`);
+
+    return { success: validation.valid, message, override };
+  }
+
+  /**
+   * Run a selector set against a result page
+   * @param {string} html - Result page HTML
+   * @param {Object} selectorSet - { card, fields: { title, price, image, link } }
+   * @param {string} retailer - Retailer key, used to resolve relative links
+   * @returns {Object} - { valid, errors, cards, fields: { name: rate }, products, samples }
+   */
+  validate(html, selectorSet, retailer) {
+    const errors = [];
+    const result = { valid: false, errors, cards: 0, fields: {}, products: 0, samples: [] };
+
+    if (!selectorSet.card) {
+      errors.push('card selector is missing');
+    }
+    for (const name of ['title', 'price', 'link']) {
+      if (!selectorSet.fields || !selectorSet.fields[name]) {
+        errors.push(`${name} selector is missing`);
+      }
+    }
+    if (errors.length > 0) {
+      return result;
+    }
+
+    const $ = cheerio.load(html);
+    let products;
+    try {
+      const probe = selectorHealth.probeCheerio($, selectorSet);
+      result.cards = probe.cards;
+      for (const [name, { matched }] of Object.entries(probe.fields)) {
+        result.fields[name] = probe.cards > 0 ? Math.round((matched / probe.cards) * 100) / 100 : 0;
+      }
+      products = directApiService._extractWithSelectorSet($, selectorSet, retailer);
+    } catch (error) {
+      errors.push(`invalid selector: ${error.message}`);
+      return result;
+    }
+
+    if (result.cards < MIN_CARDS) {
+      errors.push(`card selector matched ${result.cards} elements, expected at least ${MIN_CARDS}`);
+    } else {
+      for (const [name, rate] of Object.entries(result.fields)) {
+        if (MIN_FIELD_RATES[name] && rate < MIN_FIELD_RATES[name]) {
+          errors.push(`${name} selector matched ${Math.round(rate * 100)}% of cards`);
+        }
+      }
+      if (products.length < result.cards * MIN_PRODUCT_RATE) {
+        errors.push(`${products.length} of ${result.cards} cards gave a product with a name, price and link`);
+      }
+    }
+
+    result.products = products.length;
+    result.samples = products.slice(0, 3).map(({ name, price, url, image }) => ({ name, price, url, image }));
+    result.valid = errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Shrink a result page to the markup that matters for choosing selectors
+   * @param {string} html - Result page HTML
+   * @returns {string} - Whitespace-collapsed body markup, at most MAX_HTML_LENGTH characters
+   */
+  trimHtml(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, svg, link, meta, iframe, template').remove();
+    $('*').contents().filter((i, node) => node.type === 'comment').remove();
+
+    $('*').each((i, element) => {
+      for (const [name, value] of Object.entries(element.attribs || {})) {
+        if (!KEPT_ATTRIBUTES.includes(name) && !name.startsWith('data-')) {
+          delete element.attribs[name];
+        } else if (value.length > 100) {
+          element.attribs[name] = value.slice(0, 100);
+        }
+      }
+    });
+
+    const markup = ($('body').html() || $.html()).replace(/\s+/g, ' ').trim();
+
+    // Headers and navigation come first; start near the first price so the budget goes on result cards
+    const firstPrice = markup.search(/(₹|Rs\.?)\s?\d/);
+    const start = firstPrice > HTML_LEAD ? firstPrice - HTML_LEAD : 0;
+    return markup.slice(start, start + MAX_HTML_LENGTH);
+  }
+}
+
+// Export a singleton instance
+module.exports = new SelectorRepairService();
@@ -0,0 +1,129 @@
+/**
+ * Watch Scheduler
+ * Periodically re-scrapes watched items through ScraperService and sends price-drop
+ * alerts. Retailers in a ScraperService cooldown are skipped rather than hammered.
+ */
+const { v4: uuidv4 } = require('uuid');
+const scraperService = require('../scraper/scraperService');
+const watchlistService = require('./watchlistService');
+const alertNotifiers = require('./alertNotifiers');
+const priceHistoryStore = require('./priceHistoryStore');
+
+// How often the scheduler looks for watches that are due
+const TICK_MINUTES = parseInt(process.env.WATCH_SCHEDULER_INTERVAL_MINUTES, 10) || 5;
+
+class WatchScheduler {
+  constructor() {
+    this.scraperService = scraperService;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking due watches in the background
+   * @param {number} intervalMinutes - Minutes between scheduler ticks
+   */
+  start(intervalMinutes = TICK_MINUTES) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runDueChecks().catch(error => console.error('Error running watch checks:', error));
+    }, intervalMinutes * 60 * 1000);
+
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`Watch scheduler started, checking every ${intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stop the background checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Watch scheduler stopped');
+    }
+  }
+
+  /**
+   * Re-check every watch that is due, one at a time
+   * @returns {Promise<Array>} - Check results
+   */
+  async runDueChecks() {
+    // A slow tick must not overlap the next one
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+    const results = [];
+    try {
+      for (const watch of watchlistService.list()) {
+        if (watchlistService.isDue(watch)) {
+          results.push(await this.checkWatch(watch));
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    return results;
+  }
+
+  /**
+   * Re-scrape one watch and send an alert if its price dropped
+   * @param {Object} watch - Watch
+   * @returns {Promise<Object>} - { success, watchId, checkedRetailers, skippedRetailers, bestOffer, alert, deliveries }
+   */
+  async checkWatch(watch) {
+    const requestId = uuidv4();
+    const products = [];
+    const checkedRetailers = [];
+    const skippedRetailers = [];
+
+    console.log(`Checking watch ${watch.id} for "${watch.query}"`);
+
+    for (const retailer of watch.retailers) {
+      if (this.scraperService.isRetailerInCooldown(retailer)) {
+        skippedRetailers.push(retailer);
+        continue;
+      }
+
+      checkedRetailers.push(retailer);
+      try {
+        products.push(...await this.scraperService.searchRetailerWithFallback(retailer, watch.query, requestId));
+      } catch (error) {
+        console.error(`Error re-checking ${retailer} for watch ${watch.id}:`, error.message);
+      }
+    }
+
+    // Leave the watch due so the next tick tries again once a cooldown ends
+    if (checkedRetailers.length === 0) {
+      console.log(`Skipping watch ${watch.id} - all retailers are in cooldown`);
+      return { success: false, watchId: watch.id, checkedRetailers, skippedRetailers, bestOffer: null, alert: null, deliveries: [] };
+    }
+
+    priceHistoryStore.recordProducts(products);
+
+    const result = watchlistService.evaluate(watch, products);
+    const deliveries = result.alert ? await alertNotifiers.notify(result.alert, watch.notify) : [];
+
+    // Record the alert even if a channel failed so working channels are not spammed on retry
+    watchlistService.recordCheck(watch.id, result);
+
+    return {
+      success: true,
+      watchId: watch.id,
+      checkedRetailers,
+      skippedRetailers,
+      bestOffer: result.bestOffer,
+      alert: result.alert,
+      deliveries
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new WatchScheduler();
@@ -0,0 +1,319 @@
+/**
+ * Watchlist Service
+ * Stores price watches (a query or product URL, the retailers to check and a target
+ * price) in storage/watchlist.json and decides when a re-check should raise an alert.
+ *
+ * Watch:
+ * {
+ *   id: string,
+ *   query: string,              // Search query used to re-scrape
+ *   productUrl: string|null,    // Canonical URL when watching one listing
+ *   retailers: string[],        // Retailer keys to check
+ *   targetPrice: number,        // Alert at or below this price, in paise
+ *   notify: Object[],           // Notification channels, see alertNotifiers
+ *   checkIntervalMinutes: number,
+ *   createdAt: string,
+ *   lastCheckedAt: string|null,
+ *   lastBestOffer: Object|null, // Cheapest matching offer at the last check
+ *   lastAlert: Object|null      // { price, retailerId, productId, at } of the last alert sent
+ * }
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const retailerRegistry = require('../scraper/retailerRegistry');
+const { AVAILABILITY, canonicaliseUrl, retailerForUrl } = require('../models/product');
+const relevanceRanker = require('./relevanceRanker');
+const alertNotifiers = require('./alertNotifiers');
+
+const WATCHLIST_FILE = process.env.WATCHLIST_FILE ||
+  path.join(__dirname, '../storage/watchlist.json');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 360;
+const MIN_CHECK_INTERVAL_MINUTES = 15;
+const DEFAULT_CHANNELS = [{ type: 'log' }];
+
+// Watches are created through a public route and each one is re-scraped on a schedule
+const MAX_WATCHES = parseInt(process.env.WATCHLIST_MAX_WATCHES, 10) || 500;
+
+class WatchlistService {
+  constructor() {
+    this.filePath = WATCHLIST_FILE;
+    this.watches = this._load();
+  }
+
+  /**
+   * Load the watchlist from disk
+   * @returns {Object} - Watches keyed by id
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading watchlist:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write the watchlist to disk
+   * @private
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.watches, null, 2));
+    } catch (error) {
+      console.error('Error saving watchlist:', error.message);
+    }
+  }
+
+  /**
+   * List all watches
+   * @returns {Array} - Watches, oldest first
+   */
+  list() {
+    return Object.values(this.watches).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a watch by id
+   * @param {string} id - Watch id
+   * @returns {Object|null} - Watch
+   */
+  get(id) {
+    return this.watches[id] || null;
+  }
+
+  /**
+   * Validate input and create a watch
+   * @param {Object} input - Request body
+   * @param {string} [input.query] - Search query
+   * @param {string} [input.productUrl] - Product page URL
+   * @param {Array<string>} [input.retailers] - Retailer keys, defaults to all (or the URL's retailer)
+   * @param {number} input.targetPrice - Target price in paise
+   * @param {Array} [input.notify] - Notification channels
+   * @param {number} [input.checkIntervalMinutes] - How often to re-check
+   * @returns {{ watch: Object|null, errors: string[] }} - Created watch or validation errors
+   */
+  create(input = {}) {
+    const errors = [];
+
+    if (Object.keys(this.watches).length >= MAX_WATCHES) {
+      return { watch: null, errors: [`the watchlist is full (${MAX_WATCHES} watches)`] };
+    }
+
+    let productUrl = null;
+    let retailers = Array.isArray(input.retailers) && input.retailers.length > 0
+      ? input.retailers
+      : retailerRegistry.ids();
+
+    if (input.productUrl) {
+      const retailer = retailerForUrl(input.productUrl);
+      productUrl = retailer ? canonicaliseUrl(input.productUrl, retailer) : null;
+      if (!productUrl) {
+        errors.push('productUrl must be a product page on a supported retailer');
+      } else {
+        retailers = [retailer.id];
+      }
+    }
+
+    const query = String(input.query || (productUrl ? this._queryFromUrl(input.productUrl) : '')).trim();
+    if (!query) {
+      errors.push(productUrl ? 'query is required when it cannot be derived from productUrl' : 'query or productUrl is required');
+    }
+
+    const unknownRetailers = retailers.filter(retailer => !retailerRegistry.get(retailer));
+    if (unknownRetailers.length > 0) {
+      errors.push(`unknown retailers: ${unknownRetailers.join(', ')}`);
+    }
+
+    const targetPrice = Number(input.targetPrice);
+    if (!Number.isInteger(targetPrice) || targetPrice <= 0) {
+      errors.push('targetPrice must be a positive integer amount in paise');
+    }
+
+    const notify = Array.isArray(input.notify) && input.notify.length > 0 ? input.notify : DEFAULT_CHANNELS;
+    for (const channel of notify) {
+      const channelError = alertNotifiers.validateChannel(channel);
+      if (channelError) errors.push(channelError);
+    }
+
+    if (errors.length > 0) {
+      return { watch: null, errors };
+    }
+
+    const watch = {
+      id: uuidv4(),
+      query,
+      productUrl,
+      retailers,
+      targetPrice,
+      notify,
+      checkIntervalMinutes: Math.max(MIN_CHECK_INTERVAL_MINUTES,
+        parseInt(input.checkIntervalMinutes, 10) || DEFAULT_CHECK_INTERVAL_MINUTES),
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastBestOffer: null,
+      lastAlert: null
+    };
+
+    this.watches[watch.id] = watch;
+    this._save();
+    console.log(`Created watch ${watch.id} for "${query}" at or below ${targetPrice} paise`);
+    return { watch, errors };
+  }
+
+  /**
+   * Delete a watch
+   * @param {string} id - Watch id
+   * @returns {boolean} - Whether the watch existed
+   */
+  remove(id) {
+    if (!this.watches[id]) {
+      return false;
+    }
+
+    delete this.watches[id];
+    this._save();
+    return true;
+  }
+
+  /**
+   * Whether a watch is due for a re-check
+   * @param {Object} watch - Watch
+   * @param {number} now - Reference time
+   * @returns {boolean}
+   */
+  isDue(watch, now = Date.now()) {
+    if (!watch.lastCheckedAt) return true;
+    return now - Date.parse(watch.lastCheckedAt) >= watch.checkIntervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * Compare freshly scraped products with a watch
+   * An alert fires when the best offer reaches the target and is cheaper than the last
+   * alert; once the price climbs back above the target the watch re-arms.
+   * @param {Object} watch - Watch
+   * @param {Array} products - Canonical products from the re-check
+   * @returns {{ bestOffer: Object|null, alert: Object|null, rearm: boolean }}
+   */
+  evaluate(watch, products) {
+    const bestOffer = this._bestOffer(watch, products);
+    if (!bestOffer) {
+      return { bestOffer: null, alert: null, rearm: false };
+    }
+
+    if (bestOffer.price > watch.targetPrice) {
+      return { bestOffer, alert: null, rearm: Boolean(watch.lastAlert) };
+    }
+
+    if (watch.lastAlert && bestOffer.price >= watch.lastAlert.price) {
+      return { bestOffer, alert: null, rearm: false };
+    }
+
+    return {
+      bestOffer,
+      rearm: false,
+      alert: {
+        watchId: watch.id,
+        query: watch.query,
+        targetPrice: watch.targetPrice,
+        previousPrice: watch.lastAlert ? watch.lastAlert.price : null,
+        product: {
+          id: bestOffer.id,
+          retailerId: bestOffer.retailerId,
+          retailerName: bestOffer.retailerName,
+          title: bestOffer.title,
+          price: bestOffer.price,
+          mrp: bestOffer.mrp,
+          url: bestOffer.url
+        },
+        triggeredAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Store the outcome of a re-check
+   * @param {string} id - Watch id
+   * @param {Object} result - Result of evaluate()
+   */
+  recordCheck(id, { bestOffer, alert, rearm }) {
+    const watch = this.watches[id];
+    if (!watch) {
+      return;
+    }
+
+    watch.lastCheckedAt = new Date().toISOString();
+    if (bestOffer) {
+      watch.lastBestOffer = {
+        retailerId: bestOffer.retailerId,
+        productId: bestOffer.id,
+        title: bestOffer.title,
+        price: bestOffer.price,
+        url: bestOffer.url
+      };
+    }
+    if (alert) {
+      watch.lastAlert = {
+        price: alert.product.price,
+        retailerId: alert.product.retailerId,
+        productId: alert.product.id,
+        at: alert.triggeredAt
+      };
+    } else if (rearm) {
+      watch.lastAlert = null;
+    }
+    this._save();
+  }
+
+  /**
+   * Cheapest in-stock product that is really what the watch is for
+   * @param {Object} watch - Watch
+   * @param {Array} products - Canonical products
+   * @returns {Object|null} - Product
+   * @private
+   */
+  _bestOffer(watch, products) {
+    let candidates = (products || []).filter(product =>
+      watch.retailers.includes(product.retailerId) &&
+      product.availability !== AVAILABILITY.OUT_OF_STOCK);
+
+    if (watch.productUrl) {
+      candidates = candidates.filter(product => product.url === watch.productUrl);
+    } else {
+      candidates = relevanceRanker.filterRelevant(relevanceRanker.rankProducts(candidates, watch.query));
+    }
+
+    return candidates.reduce((best, product) => (!best || product.price < best.price ? product : best), null);
+  }
+
+  /**
+   * Turn a URL slug such as /Apple-iPhone-15-128-GB/dp/... into a search query
+   * @param {string} url - Product URL as given by the user
+   * @returns {string} - Query or '' when the URL has no readable slug
+   * @private
+   */
+  _queryFromUrl(url) {
+    const slug = new URL(url).pathname.split('/').filter(Boolean)
+      .find(segment => /[a-z]/i.test(segment) && segment.includes('-'));
+    if (!slug) {
+      return '';
+    }
+
+    let decoded = slug;
+    try {
+      decoded = decodeURIComponent(slug);
+    } catch (error) {
+      // A stray % in the slug; use it as it is
+    }
+    return decoded.replace(/[-_]+/g, ' ').trim();
+  }
+}
+
+// Export a singleton instance
+module.exports = new WatchlistService();
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for response classification in blockDetector, against captured search
+ * pages and the interstitials retailers serve instead of results
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const blockDetector = require('../scraper/blockDetector');
+const extractorFixtures = require('../scripts/extractorFixtures');
+
+const fixture = (name) => {
+  const [entry] = extractorFixtures.listFixtures([name]);
+  return fs.readFileSync(extractorFixtures.pagePath(entry), 'utf8');
+};
+
+const amazonCaptchaPage = `<html><head><title>Amazon.in</title></head><body>
+<h4>Robot Check</h4>
+<form action="/errors/validateCaptcha"><img src="/captcha/abc.jpg"><input name="field-keywords"></form>
+</body></html>`;
+
+beforeEach(() => {
+  blockDetector.reset();
+});
+
+test('classifies captured result pages as ok, or as a layout change when nothing was extracted', () => {
+  for (const { name, retailer } of extractorFixtures.listFixtures().filter(entry => !entry.name.endsWith('access-denied'))) {
+    const body = fixture(name);
+    // Flipkart and Amazon ship "captcha" and "Access Denied" in page scripts, which must not count
+    assert.equal(blockDetector.detect({ retailer, statusCode: 200, body }).outcome, 'ok', name);
+    assert.equal(blockDetector.detect({ retailer, statusCode: 200, body, products: [] }).outcome, 'layout-changed', name);
+  }
+
+  assert.equal(blockDetector.detect({ retailer: 'amazon', statusCode: 200, body: amazonCaptchaPage, products: [{ name: 'x' }] }).outcome, 'ok');
+});
+
+test('recognises CAPTCHA pages and access-denied pages served in place of results', () => {
+  assert.deepEqual(blockDetector.detect({ retailer: 'amazon', statusCode: 200, body: amazonCaptchaPage }), {
+    retailer: 'amazon', outcome: 'captcha', signal: 'form[action*="validateCaptcha"]', statusCode: 200, retryAfterMs: null
+  });
+  assert.equal(blockDetector.detect({
+    retailer: 'flipkart',
+    statusCode: 200,
+    body: '<html><body><h1>Are you a human?</h1><div class="g-recaptcha"></div></body></html>'
+  }).outcome, 'captcha');
+
+  for (const retailer of ['croma', 'meesho']) {
+    const detection = blockDetector.detect({ retailer, statusCode: 403, body: fixture(`${retailer}-access-denied`) });
+    assert.equal(detection.outcome, 'hard-block', retailer);
+  }
+});
+
+test('treats rate limits as soft blocks and honours Retry-After', () => {
+  const detection = blockDetector.detect({
+    retailer: 'flipkart',
+    statusCode: 429,
+    headers: { 'retry-after': '60' },
+    body: '<html><body><h1>429 Too Many Requests</h1></body></html>'
+  });
+  assert.equal(detection.outcome, 'soft-block');
+  assert.equal(detection.retryAfterMs, 60000);
+
+  // Flipkart's own rate-limit status only means a block for Flipkart
+  assert.equal(blockDetector.detect({ retailer: 'flipkart', statusCode: 529, body: '' }).outcome, 'soft-block');
+  assert.equal(blockDetector.detect({ retailer: 'croma', statusCode: 529, body: '' }), null);
+  assert.equal(blockDetector.detect({ retailer: 'flipkart', statusCode: 500, body: '<h1>500</h1>' }), null);
+});
+
+test('tells an empty API result apart from a changed one', () => {
+  assert.equal(blockDetector.detect({ retailer: 'croma', statusCode: 200, body: { totalResults: 0, products: [] }, products: [] }).outcome, 'empty-results');
+  assert.equal(blockDetector.detect({ retailer: 'croma', statusCode: 200, body: '{"data":{"items":[]}}', products: [] }).outcome, 'layout-changed');
+});
+
+test('throws blocks with their detection attached and recovers it from HTTP errors', () => {
+  assert.throws(() => blockDetector.inspect('fastFetch', { retailer: 'amazon', statusCode: 200, body: amazonCaptchaPage }),
+    error => error.detection.outcome === 'captcha' && /captcha/.test(error.message));
+  assert.equal(blockDetector.assertNotBlocked('fastFetch', { retailer: 'amazon', statusCode: 200, body: fixture('amazon-iphone') }), undefined);
+
+  const httpError = Object.assign(new Error('Response code 403 (Forbidden)'), {
+    response: { statusCode: 403, headers: {}, body: fixture('croma-access-denied') }
+  });
+  assert.equal(blockDetector.fromError(httpError, 'croma').outcome, 'hard-block');
+  assert.equal(blockDetector.fromError(new Error('connect ECONNREFUSED'), 'croma'), null);
+
+  assert.deepEqual(blockDetector.getReport('amazon').amazon.fastFetch.counts, { captcha: 1 });
+});
+
+test('reports outcome counts and the latest detections per retailer and tier', () => {
+  blockDetector.report('flipkart', 'fastFetch', { retailer: 'flipkart', outcome: 'ok', signal: null });
+  blockDetector.report('flipkart', 'fastFetch', { retailer: 'flipkart', outcome: 'soft-block', signal: 'status 429' });
+  blockDetector.report('flipkart', 'browser', { retailer: 'flipkart', outcome: 'layout-changed', signal: null });
+
+  const { flipkart } = blockDetector.getReport();
+  assert.deepEqual(flipkart.fastFetch.counts, { ok: 1, 'soft-block': 1 });
+  assert.equal(flipkart.fastFetch.last.outcome, 'soft-block');
+  assert.deepEqual(flipkart.fastFetch.recent.map(entry => entry.outcome), ['soft-block', 'ok']);
+  assert.equal(flipkart.browser.recent[0].tier, 'browser');
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for cacheService namespaces, stale-while-revalidate and metrics, on the
+ * memory backend and on the file backend shared between two instances
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-service-'));
+// Short enough to expire within a test
+process.env.CACHE_TTLS = JSON.stringify({
+  search: { ttlSeconds: 0.3, staleSeconds: 0.6 },
+  groqText: { ttlSeconds: 0.1 }
+});
+
+const cacheService = require('../services/cacheService');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(async () => {
+  await cacheService.clear();
+  cacheService.metrics = {};
+});
+
+test('keeps namespaces apart and hands out copies of cached values', async () => {
+  await cacheService.set('productDetails', 'https://www.amazon.in/dp/B0CHX1W1XY', { title: 'iPhone 15' });
+
+  const cached = await cacheService.get('productDetails', 'https://www.amazon.in/dp/B0CHX1W1XY');
+  assert.equal(cached.stale, false);
+  cached.value.title = 'changed by a caller';
+
+  assert.equal((await cacheService.get('productDetails', 'https://www.amazon.in/dp/B0CHX1W1XY')).value.title, 'iPhone 15');
+  assert.equal(await cacheService.get('search', 'https://www.amazon.in/dp/B0CHX1W1XY'), null);
+  await assert.rejects(cacheService.get('prices', 'x'), /Unknown cache namespace prices/);
+
+  // Without a stale window an entry is gone once its TTL is up
+  await cacheService.set('groqText', 'prompt', { choices: [] });
+  await sleep(120);
+  assert.equal(await cacheService.get('groqText', 'prompt'), null);
+});
+
+test('serves stale results while one background load refreshes them', async () => {
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    await sleep(20);
+    return { success: true, load: loads };
+  };
+  const shouldCache = results => results.success;
+
+  // Concurrent misses share one load
+  const [first, second] = await Promise.all([
+    cacheService.getOrSet('search', 'search:iphone 15', loader, { shouldCache }),
+    cacheService.getOrSet('search', 'search:iphone 15', loader, { shouldCache })
+  ]);
+  assert.deepEqual([first.status, second.status, first.value.load, second.value.load], ['miss', 'miss', 1, 1]);
+  assert.equal((await cacheService.getOrSet('search', 'search:iphone 15', loader)).status, 'hit');
+
+  await sleep(320);
+  const stale = await cacheService.getOrSet('search', 'search:iphone 15', loader, { shouldCache });
+  assert.deepEqual([stale.status, stale.value.load], ['stale', 1]);
+  assert.equal((await cacheService.getOrSet('search', 'search:iphone 15', loader, { shouldCache })).status, 'stale');
+
+  await sleep(40);
+  const refreshed = await cacheService.getOrSet('search', 'search:iphone 15', loader, { shouldCache });
+  assert.deepEqual([refreshed.status, refreshed.value.load], ['hit', 2]);
+
+  // Failures are returned but not cached
+  const failed = await cacheService.getOrSet('search', 'search:nothing', async () => ({ success: false }), { shouldCache });
+  assert.equal(failed.value.success, false);
+  assert.equal(await cacheService.get('search', 'search:nothing'), null);
+
+  const metrics = cacheService.getMetrics();
+  assert.equal(metrics.backend, 'memory');
+  assert.deepEqual(
+    ['hits', 'staleHits', 'misses', 'sets', 'revalidations', 'errors'].map(name => metrics.namespaces.search[name]),
+    [2, 2, 4, 2, 1, 0]
+  );
+  assert.equal(metrics.namespaces.search.hitRate, 0.5);
+  assert.equal(metrics.namespaces.groqVision.hitRate, null);
+});
+
+test('shares entries between processes on the file backend', async () => {
+  process.env.CACHE_BACKEND = 'file';
+  const writer = new cacheService.constructor();
+  const reader = new cacheService.constructor();
+  delete process.env.CACHE_BACKEND;
+
+  await writer.set('groqVision', 'md5-of-image::prompt', { choices: [{ message: { content: '{}' } }] });
+  assert.deepEqual((await reader.get('groqVision', 'md5-of-image::prompt')).value, { choices: [{ message: { content: '{}' } }] });
+  assert.equal(fs.readdirSync(path.join(process.env.CACHE_DIR, 'groqVision')).length, 1);
+
+  await reader.set('groqText', 'prompt', 'answer');
+  await sleep(120);
+  await writer.backend.prune();
+  assert.equal(fs.readdirSync(path.join(process.env.CACHE_DIR, 'groqText')).length, 0);
+
+  await writer.clear('groqVision');
+  assert.equal(await reader.get('groqVision', 'md5-of-image::prompt'), null);
+  assert.equal(reader.getMetrics().backend, 'file');
+});
+
+test('treats a backend that fails as a miss and counts the error', async () => {
+  const broken = new cacheService.constructor();
+  broken.backend = {
+    name: 'broken',
+    get: async () => { throw new Error('ECONNREFUSED'); },
+    set: async () => { throw new Error('ECONNREFUSED'); }
+  };
+
+  const { value, status } = await broken.getOrSet('productDetails', 'https://www.croma.com/p/1', async () => ({ success: true }));
+  assert.deepEqual([value, status], [{ success: true }, 'miss']);
+  assert.equal(broken.getMetrics().namespaces.productDetails.errors, 2);
+  assert.equal(broken.getMetrics().namespaces.productDetails.sets, 0);
+});
+
+test('stores entries in Redis with a PX expiry and clears a namespace on redis 4 and 5', async () => {
+  // scanIterator yields one key at a time on redis 4 and arrays of keys on redis 5
+  for (const batched of [false, true]) {
+    const store = new Map();
+    const expiries = [];
+    const client = {
+      async get(key) { return store.has(key) ? store.get(key) : null; },
+      async set(key, value, options) { store.set(key, value); expiries.push(options.PX); },
+      async del(keys) { [].concat(keys).forEach(key => store.delete(key)); },
+      async *scanIterator({ MATCH }) {
+        const matching = [...store.keys()].filter(key => key.startsWith(MATCH.slice(0, -1)));
+        if (batched) {
+          yield matching.slice(0, 1);
+          yield matching.slice(1);
+          yield [];
+        } else {
+          yield* matching;
+        }
+      }
+    };
+
+    process.env.CACHE_BACKEND = 'redis';
+    const redisCache = new cacheService.constructor();
+    delete process.env.CACHE_BACKEND;
+    redisCache.backend.clientPromise = Promise.resolve(client);
+
+    await redisCache.set('search', 'search:iphone 15', { products: [1] });
+    await redisCache.set('search', 'search:pixel 8', { products: [2] });
+    await redisCache.set('groqText', 'prompt', 'answer');
+
+    // TTL plus the stale window, in whole milliseconds
+    assert.deepEqual(expiries, [900, 900, 100]);
+    assert.ok([...store.keys()].every(key => key.startsWith('cumpair:cache:')));
+    assert.deepEqual((await redisCache.get('search', 'search:iphone 15')).value, { products: [1] });
+    assert.equal(redisCache.getMetrics().backend, 'redis');
+
+    await redisCache.clear('search');
+    assert.equal(await redisCache.get('search', 'search:pixel 8'), null);
+    assert.equal((await redisCache.get('groqText', 'prompt')).value, 'answer');
+    assert.equal(store.size, 1);
+  }
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the retailer and strategy circuit breakers, including their state
+ * surviving a restart
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CIRCUIT_BREAKER_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-')), 'circuit_breakers.json');
+
+const circuitBreaker = require('../scraper/circuitBreaker');
+
+const captcha = { retailer: 'amazon', outcome: 'captcha', signal: 'Robot Check', statusCode: 200, retryAfterMs: null };
+
+// Ends a breaker's cooldown as if it had run its course
+const expire = (breaker) => {
+  breaker.openUntil = new Date(Date.now() - 1000).toISOString();
+};
+
+const minutesOpen = (breaker) => Math.round((Date.parse(breaker.openUntil) - Date.now()) / 60000);
+
+beforeEach(() => {
+  for (const retailer of Object.keys(circuitBreaker.breakers)) {
+    circuitBreaker.reset(retailer);
+  }
+});
+
+test('opens after three failures in a row and backs off further on each one after', () => {
+  circuitBreaker.recordFailure('croma', null, { error: 'HTTP 500' });
+  circuitBreaker.recordFailure('croma', null, { error: 'HTTP 500' });
+  assert.equal(circuitBreaker.tryAcquire('croma'), true);
+
+  const breaker = circuitBreaker.recordFailure('croma', null, { error: 'HTTP 500' });
+  assert.equal(breaker.state, 'open');
+  assert.equal(minutesOpen(breaker), 5);
+  assert.equal(circuitBreaker.isOpen('croma'), true);
+  assert.equal(circuitBreaker.tryAcquire('croma'), false);
+
+  assert.equal(minutesOpen(circuitBreaker.recordFailure('croma', null, { error: 'HTTP 500' })), 10);
+});
+
+test('lets a single probe through once the cooldown is over', () => {
+  circuitBreaker.recordFailure('amazon', null, { detection: captcha });
+  assert.equal(minutesOpen(circuitBreaker.get('amazon')), 10);
+  expire(circuitBreaker.get('amazon'));
+
+  // Checking does not use up the probe
+  assert.equal(circuitBreaker.isOpen('amazon'), false);
+  assert.equal(circuitBreaker.tryAcquire('amazon'), true);
+  assert.equal(circuitBreaker.get('amazon').state, 'half-open');
+  assert.equal(circuitBreaker.tryAcquire('amazon'), false);
+  assert.equal(circuitBreaker.isOpen('amazon'), true);
+
+  // A failed probe opens the breaker again, for longer
+  circuitBreaker.recordFailure('amazon', null, { detection: captcha });
+  assert.equal(circuitBreaker.get('amazon').state, 'open');
+  assert.equal(minutesOpen(circuitBreaker.get('amazon')), 20);
+
+  expire(circuitBreaker.get('amazon'));
+  assert.equal(circuitBreaker.tryAcquire('amazon'), true);
+  // A cancelled probe is given back rather than counted
+  circuitBreaker.release('amazon');
+  assert.equal(circuitBreaker.tryAcquire('amazon'), true);
+  circuitBreaker.recordSuccess('amazon');
+
+  const breaker = circuitBreaker.get('amazon');
+  assert.deepEqual([breaker.state, breaker.consecutiveFailures, breaker.openUntil], ['closed', 0, null]);
+  assert.equal(breaker.lastBlock.signal, 'Robot Check');
+});
+
+test('keeps strategy breakers apart from the retailer breaker', () => {
+  for (let i = 0; i < 3; i++) {
+    circuitBreaker.recordFailure('flipkart', 'playwright', { error: 'Timeout 30000ms exceeded' });
+  }
+  assert.equal(circuitBreaker.isOpen('flipkart', 'playwright'), true);
+  assert.equal(circuitBreaker.isOpen('flipkart', 'directApi'), false);
+  assert.equal(circuitBreaker.isOpen('flipkart'), false);
+
+  // Rate limits that say when to come back are honoured
+  circuitBreaker.recordFailure('flipkart', 'directApi', {
+    detection: { ...captcha, retailer: 'flipkart', outcome: 'soft-block', signal: 'status 429', retryAfterMs: 30 * 60 * 1000 }
+  });
+  assert.equal(minutesOpen(circuitBreaker.get('flipkart', 'directApi')), 30);
+
+  assert.equal(circuitBreaker.reset('flipkart', 'headlessBrowser'), false);
+  assert.equal(circuitBreaker.reset('tataCliq'), false);
+  assert.equal(circuitBreaker.reset('flipkart', 'playwright'), true);
+  assert.equal(circuitBreaker.isOpen('flipkart', 'playwright'), false);
+  assert.equal(circuitBreaker.isOpen('flipkart', 'directApi'), true);
+});
+
+test('restores breakers after a restart, dropping probes that were in flight', () => {
+  circuitBreaker.recordFailure('amazon', null, { detection: captcha });
+  circuitBreaker.recordFailure('meesho', null, { detection: { ...captcha, retailer: 'meesho', outcome: 'hard-block' } });
+  expire(circuitBreaker.get('meesho'));
+  assert.equal(circuitBreaker.tryAcquire('meesho'), true);
+
+  const restarted = new circuitBreaker.constructor();
+  assert.equal(restarted.isOpen('amazon'), true);
+  assert.equal(restarted.get('amazon').lastBlock.outcome, 'captcha');
+  assert.equal(restarted.tryAcquire('meesho'), true);
+
+  const report = restarted.getReport(['amazon', 'croma']);
+  assert.equal(report.amazon.state, 'open');
+  assert.equal(report.croma.state, 'closed');
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the harvested endpoint registry: templating captured requests,
+ * replaying them for new queries and dropping endpoints that keep failing
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HARVESTED_ENDPOINTS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'endpoint-registry-')), 'harvested_endpoints.json');
+
+const endpointRegistry = require('../scraper/endpointRegistry');
+
+beforeEach(() => {
+  endpointRegistry.entries = {};
+});
+
+test('templates only the parameters that carry the query', () => {
+  const entry = endpointRegistry.record('amazon', {
+    url: 'https://www.amazon.in/s/query?k=in&i=electronics&ref=in_search#in',
+    method: 'get',
+    headers: { Host: 'www.amazon.in', Cookie: 'session=1', 'Content-Length': '0', ':path': '/s' },
+    postData: null,
+    parserId: '_parseAmazonApiResponse'
+  }, 'in');
+
+  assert.equal(entry.urlTemplate, 'https://www.amazon.in/s/query?k={{query}}&i=electronics&ref=in_search#in');
+  assert.equal(entry.method, 'GET');
+  assert.deepEqual(entry.headers, { Cookie: 'session=1' });
+
+  const request = endpointRegistry.buildRequest(entry, 'iphone 15 & case');
+  assert.equal(request.url, 'https://www.amazon.in/s/query?k=iphone%2015%20%26%20case&i=electronics&ref=in_search#in');
+  assert.equal(request.body, undefined);
+});
+
+test('templates JSON and form bodies by value, and skips requests without the query', () => {
+  const json = endpointRegistry.record('flipkart', {
+    url: 'https://www.flipkart.com/api/4/page/fetch',
+    method: 'POST',
+    headers: {},
+    postData: JSON.stringify({ pageUri: '/search?q=tv', query: 'tv', filters: ['tv'], pageContext: { fetchSeoData: 'tv stand' } }),
+    parserId: '_parseFlipkartApiResponse'
+  }, 'tv');
+  assert.deepEqual(JSON.parse(json.bodyTemplate), {
+    pageUri: '/search?q=tv', query: '{{query}}', filters: ['{{query}}'], pageContext: { fetchSeoData: 'tv stand' }
+  });
+  assert.deepEqual(JSON.parse(endpointRegistry.buildRequest(json, 'say "hi"').body).query, 'say "hi"');
+
+  const form = endpointRegistry.record('croma', {
+    url: 'https://api.croma.com/search',
+    method: 'POST',
+    headers: {},
+    postData: 'text=smart+tv&currentPage=0&source=smart',
+    parserId: '_parseCromaApiResponse'
+  }, 'smart tv');
+  assert.equal(form.bodyTemplate, 'text={{query}}&currentPage=0&source=smart');
+  assert.equal(endpointRegistry.buildRequest(form, 'oled tv').body, 'text=oled%20tv&currentPage=0&source=smart');
+
+  assert.equal(endpointRegistry.record('meesho', {
+    url: 'https://www.meesho.com/api/v1/products/search',
+    method: 'POST',
+    headers: {},
+    postData: JSON.stringify({ query: 'kurti set', page: 1 }),
+    parserId: '_parseMeeshoApiResponse'
+  }, 'kurti'), null);
+  assert.equal(endpointRegistry.get('meesho'), null);
+});
+
+test('drops an endpoint after repeated failures and persists the registry', () => {
+  const capture = {
+    url: 'https://www.reliancedigital.in/rildigitalws/v2/rrldigital/cms/pagedata?q=tv',
+    method: 'GET',
+    headers: {},
+    postData: null,
+    parserId: '_parseRelianceDigitalApiResponse'
+  };
+  endpointRegistry.record('relianceDigital', capture, 'tv');
+
+  endpointRegistry.markFailure('relianceDigital', 'HTTP 500');
+  endpointRegistry.markFailure('relianceDigital', 'HTTP 500');
+  // A success clears the count
+  endpointRegistry.markSuccess('relianceDigital');
+  assert.equal(endpointRegistry.get('relianceDigital').failures, 0);
+
+  const restored = new endpointRegistry.constructor();
+  assert.equal(restored.get('relianceDigital').urlTemplate, capture.url.replace('q=tv', 'q={{query}}'));
+
+  for (let i = 0; i < 3; i++) {
+    endpointRegistry.markFailure('relianceDigital', 'HTTP 403');
+  }
+  assert.equal(endpointRegistry.get('relianceDigital'), null);
+  assert.equal(new endpointRegistry.constructor().get('relianceDigital'), null);
+
+  // Unknown retailers are ignored
+  endpointRegistry.markFailure('tataCliq');
+  endpointRegistry.markSuccess('tataCliq');
+});
+
+test('sees endpoints recorded and dropped by another thread', () => {
+  const capture = {
+    url: 'https://www.croma.com/searchB?q=tv&text=tv',
+    method: 'GET',
+    headers: {},
+    postData: null,
+    parserId: '_parseCromaApiResponse'
+  };
+  // Each worker thread has its own instance over the same file
+  const worker = new endpointRegistry.constructor();
+  const other = new endpointRegistry.constructor();
+
+  worker.record('croma', capture, 'tv');
+  other.record('tataCliq', { ...capture, url: 'https://www.tatacliq.com/search?text=tv' }, 'tv');
+  assert.equal(worker.get('tataCliq').urlTemplate, 'https://www.tatacliq.com/search?text={{query}}');
+  assert.equal(other.get('croma').urlTemplate, 'https://www.croma.com/searchB?q={{query}}&text={{query}}');
+
+  for (let i = 0; i < 3; i++) {
+    other.markFailure('croma', 'HTTP 403');
+  }
+  assert.equal(worker.get('croma'), null);
+  assert.ok(worker.get('tataCliq'));
+});
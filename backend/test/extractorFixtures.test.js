@@ -0,0 +1,51 @@
+/**
+ * Offline regression tests: every extractor against the captured search pages listed in
+ * test/fixtures/search/manifest.json, compared with the golden outputs in test/fixtures/golden.
+ * Extractors a fixture lists under `todo` are known to be broken on that page and
+ * are reported as todo, with no golden output, until they are fixed.
+ * After an intentional extractor change, rewrite the goldens with
+ * `npm run fixtures:record -- --update` and review the diff.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const extractorFixtures = require('../scripts/extractorFixtures');
+
+let browser = null;
+
+before(async () => {
+  browser = await extractorFixtures.launchBrowser();
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+for (const fixture of extractorFixtures.listFixtures()) {
+  test(`${fixture.name} extracts the recorded products`, async (t) => {
+    const golden = extractorFixtures.loadGolden(fixture.name);
+    const outputs = await extractorFixtures.run(fixture, { browser });
+
+    for (const extractor of extractorFixtures.extractorsFor(fixture.retailer)) {
+      const skip = extractor.name in outputs ? false : 'no Playwright browser installed';
+      const todo = (fixture.todo && fixture.todo[extractor.name]) || false;
+
+      await t.test(extractor.name, { skip, todo }, () => {
+        assert.ok(extractor.name in golden,
+          `no golden output, record it with npm run fixtures:record -- --update ${fixture.name}`);
+        assert.deepEqual(outputs[extractor.name], golden[extractor.name]);
+      });
+    }
+  });
+}
+
+test('the cheerio extractors find products on the captured result pages', () => {
+  const productCount = (name, extractor) => extractorFixtures.loadGolden(name)[extractor].length;
+
+  assert.equal(productCount('amazon-firebolt', 'desktopHtml'), 27);
+  assert.equal(productCount('amazon-zebronics', 'mobileHtml'), 8);
+  assert.equal(productCount('flipkart-firebolt', 'searchHtml'), 40);
+});
@@ -0,0 +1,137 @@
+/**
+ * Groq structured-output method tests with the API call stubbed out
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const groqService = require('../services/groqService');
+const { GroqValidationError } = groqService;
+
+// Replaces the network call with a canned chat completion and records the prompts sent
+const reply = (content) => {
+  const calls = [];
+  groqService.callGroqAPI = async (messages, parameters) => {
+    calls.push({ messages, parameters });
+    if (content instanceof Error) throw content;
+    return { choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) } }] };
+  };
+  return calls;
+};
+
+const offers = [
+  { title: 'Apple iPhone 15 (128 GB) - Black', retailerName: 'Amazon', currency: 'INR', price: 6990000, rating: 4.5, availability: 'in_stock' },
+  { title: 'Apple iPhone 15 (Black, 128 GB)', retailer: 'Flipkart', price: '₹64,999', rating: 4.6 },
+  { title: 'Apple iPhone 15 128GB Black', retailer: 'Croma', price: 71900 }
+];
+
+test('summarizeAndCompare fills every field the comparison UI reads', async () => {
+  const calls = reply({ overview: 'Same phone, three prices.', keyDifferences: ['Flipkart is cheapest'], bestValueRetailer: 'Flipkart' });
+
+  const result = await groqService.summarizeAndCompare(offers);
+
+  assert.equal(result.overview, 'Same phone, three prices.');
+  assert.deepEqual(result.keyDifferences, ['Flipkart is cheapest']);
+  assert.equal(result.featureComparison, null);
+  assert.equal(result.recommendation, '');
+  assert.equal(result.bestValueRetailer, 'Flipkart');
+
+  // Canonical paise prices are sent to the model in rupees
+  assert.deepEqual(calls[0].parameters.response_format, { type: 'json_object' });
+  assert.match(calls[0].messages[1].content, /"price": 69900/);
+  assert.doesNotMatch(calls[0].messages[1].content, /{{PRODUCT_DATA}}/);
+});
+
+test('getPersonalizedRecommendations keeps at most three offers and clamps their fields', async () => {
+  const calls = reply({
+    recommendations: [
+      { title: 'Apple iPhone 15 (Black, 128 GB)', retailer: 'Flipkart', price: 64999, reason: 'Cheapest', matchScore: '140' },
+      { retailer: 'Amazon', reason: 'No title, dropped' },
+      { title: 'Apple iPhone 15 (128 GB) - Black', retailer: 'Amazon', matchScore: -5 },
+      { title: 'Apple iPhone 15 128GB Black', price: 71900, matchScore: 60 },
+      { title: 'Apple iPhone 14 (128 GB)', matchScore: 50 }
+    ],
+    budgetFit: 'maybe',
+    tips: ['Check bank offers', 3]
+  });
+
+  const result = await groqService.getPersonalizedRecommendations('iPhone 15', { colour: 'black' }, 70000, offers);
+
+  assert.deepEqual(result.recommendations.map(item => [item.title, item.matchScore]), [
+    ['Apple iPhone 15 (Black, 128 GB)', 100],
+    ['Apple iPhone 15 (128 GB) - Black', 0],
+    ['Apple iPhone 15 128GB Black', 60]
+  ]);
+  assert.equal(result.recommendations[1].reason, '');
+  assert.equal(result.recommendations[2].retailer, null);
+  assert.equal(result.bestPick, 'Apple iPhone 15 (Black, 128 GB)');
+  assert.equal(result.budgetFit, 'unknown');
+  assert.deepEqual(result.alternatives, []);
+  assert.deepEqual(result.tips, ['Check bank offers', '3']);
+
+  const prompt = calls[0].messages[1].content;
+  assert.match(prompt, /Preferences: {"colour":"black"}/);
+  assert.match(prompt, /Budget \(INR\): 70000/);
+});
+
+test('parses JSON wrapped in prose or code fences', async () => {
+  reply('Here you go:\n```json\n{"headline": "Titanium tough", "highlights": ["USB-C", 48], "socialPost": "' + 'x'.repeat(300) + '"}\n```');
+
+  const result = await groqService.generateCreativeContent(offers[0]);
+
+  assert.equal(result.headline, 'Titanium tough');
+  assert.deepEqual(result.highlights, ['USB-C', '48']);
+  assert.equal(result.socialPost.length, 280);
+});
+
+test('computes price statistics locally and only asks the model for insights', async () => {
+  reply({ insights: ['Flipkart undercuts Amazon by ₹4,901'], isGoodTimeToBuy: 'yes', confidence: 'high', lowest: { price: 1 } });
+
+  const result = await groqService.analyzePriceComparison({ productName: 'iPhone 15', prices: offers });
+
+  assert.deepEqual(result.lowest, { retailer: 'Flipkart', price: 64999 });
+  assert.deepEqual(result.highest, { retailer: 'Croma', price: 71900 });
+  assert.equal(result.average, 68933);
+  assert.equal(result.spread, 6901);
+  assert.equal(result.spreadPercentage, 10);
+  assert.equal(result.isGoodTimeToBuy, null);
+  assert.equal(result.confidence, 'high');
+  await assert.rejects(groqService.analyzePriceComparison([{ title: 'No price' }]), GroqValidationError);
+});
+
+test('validates barcodes before asking the model to identify them', async () => {
+  assert.deepEqual(groqService.inspectBarcode('8901030865275'), { format: 'EAN-13', valid: true, country: 'India' });
+  assert.deepEqual(groqService.inspectBarcode('036000291452'), { format: 'UPC-A', valid: true, country: 'United States/Canada' });
+  assert.equal(groqService.inspectBarcode('8901030865274').valid, false);
+  assert.equal(groqService.inspectBarcode('ABC123').format, null);
+
+  const calls = reply({ product: 'Dove Cream Beauty Bathing Bar', brand: 'Dove', confidence: 'certain' });
+  const result = await groqService.processBarcodeData({ code: '8901030865275', format: 'ean_13' });
+
+  assert.equal(result.barcode, '8901030865275');
+  assert.equal(result.country, 'India');
+  assert.equal(result.searchQuery, 'Dove Cream Beauty Bathing Bar');
+  assert.equal(result.confidence, 'low');
+  assert.equal(calls.length, 1);
+
+  await assert.rejects(groqService.processBarcodeData('8901030865274'), { name: 'GroqValidationError', message: /check digit mismatch/ });
+  assert.equal(calls.length, 1);
+});
+
+test('extracts a search query from OCR text', async () => {
+  reply({ brand: 'boAt', product: 'Airdopes 141', price: '₹1,299', keywords: ['earbuds', 'bluetooth'] });
+
+  const result = await groqService.processOCRText('boAt   Airdopes 141\nMRP ₹1,299 incl. of all taxes');
+
+  assert.equal(result.price, 1299);
+  assert.deepEqual(result.specifications, {});
+  assert.equal(result.searchQuery, 'boAt Airdopes 141');
+});
+
+test('propagates API failures so routes can respond with an error', async () => {
+  reply(new Error('Groq API error: rate limited'));
+  await assert.rejects(groqService.explainFeatures({ RAM: '6 GB' }), /rate limited/);
+
+  reply('I cannot help with that.');
+  await assert.rejects(groqService.explainFeatures({ RAM: '6 GB' }), /invalid featureExplanation response/);
+});
@@ -0,0 +1,195 @@
+/**
+ * End-to-end scraping tests against the mock retailer server: every retailer request
+ * goes over HTTP to scripts/mockRetailerServer.js, which answers from test/fixtures.
+ * The browser tiers are stubbed out since they need a Playwright install.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-retailers-'));
+process.env.PRICE_HISTORY_FILE = path.join(storageDir, 'price_history.ndjson');
+process.env.SELECTOR_HEALTH_FILE = path.join(storageDir, 'selector_health.json');
+process.env.SELECTOR_OVERRIDES_FILE = path.join(storageDir, 'selector_overrides.json');
+process.env.SELECTOR_CAPTURE_DIR = path.join(storageDir, 'captures');
+process.env.HARVESTED_ENDPOINTS_FILE = path.join(storageDir, 'harvested_endpoints.json');
+process.env.CIRCUIT_BREAKER_FILE = path.join(storageDir, 'circuit_breakers.json');
+// The scenarios send bursts no real retailer would get; politeness has its own tests
+process.env.RETAILER_RATE_LIMITS = JSON.stringify({ default: { requestsPerMinute: 6000, burst: 100, minGapMs: 0 } });
+
+const mockRetailerServer = require('../scripts/mockRetailerServer');
+
+let retailerRegistry;
+let scraperService;
+let directApiService;
+let abortRegistry;
+let circuitBreaker;
+let cacheService;
+let apiServer;
+let apiUrl;
+
+before(async () => {
+  // The registry reads MOCK_RETAILERS_URL when it loads, so the scrapers are required after this
+  process.env.MOCK_RETAILERS_URL = await mockRetailerServer.start();
+
+  retailerRegistry = require('../scraper/retailerRegistry');
+  scraperService = require('../scraper/scraperService');
+  directApiService = require('../scraper/directApiService');
+  abortRegistry = require('../scraper/abortRegistry');
+  circuitBreaker = require('../scraper/circuitBreaker');
+  cacheService = require('../services/cacheService');
+
+  directApiService._tryHeadlessBrowserSniffing = async () => [];
+  scraperService.playwrightService = { async searchWithPlaywright() { return []; } };
+  scraperService.retryDelayMs = 0;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/price-comparison', require('../routes/priceComparison'));
+  apiServer = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+  apiServer.closeAllConnections();
+  await new Promise(resolve => apiServer.close(resolve));
+  await mockRetailerServer.stop();
+});
+
+beforeEach(async () => {
+  mockRetailerServer.reset();
+  await cacheService.clear('search');
+  for (const retailer of retailerRegistry.ids()) {
+    circuitBreaker.reset(retailer);
+  }
+});
+
+// Runs a fallback search, collecting its progress events
+const search = async (retailer, query, { requestId = `test-${Date.now()}`, onProgress = () => {} } = {}) => {
+  const events = [];
+  abortRegistry.register(requestId);
+  try {
+    const products = await scraperService.searchRetailerWithFallback(retailer, query, requestId, event => {
+      events.push(event);
+      onProgress(event);
+    });
+    return { products, events };
+  } finally {
+    abortRegistry.release(requestId);
+  }
+};
+
+test('points retailer requests at the mock server but keeps product URLs real', async () => {
+  const flipkart = retailerRegistry.get('flipkart');
+  assert.equal(flipkart.searchUrl('smart watch'), `${mockRetailerServer.url}/www.flipkart.com/search?q=smart%20watch`);
+  assert.equal(flipkart.origin, 'https://www.flipkart.com');
+  assert.equal(directApiService.apiConfig.croma.endpoints.catalog,
+    `${mockRetailerServer.url}/api.croma.com/product/allchannels/v1/search`);
+  assert.equal(require('../scraper/retailerScrapers').amazon.baseUrl, `${mockRetailerServer.url}/www.amazon.in/`);
+
+  const { products, events } = await search('flipkart', 'firebolt');
+
+  assert.equal(products.length, 40);
+  assert.ok(products.every(product => product.url.startsWith('https://www.flipkart.com/')));
+  assert.equal(events.at(-1).strategy, 'directApi');
+  assert.deepEqual(mockRetailerServer.requestsFor('flipkart').map(request => [request.path, request.status]), [['/search', 200]]);
+});
+
+test('retries a failing retailer until it answers', async () => {
+  mockRetailerServer.setScenario('flipkart', 'error');
+
+  const { products, events } = await search('flipkart', 'firebolt');
+  assert.deepEqual(products, []);
+  assert.equal(events.filter(event => event.status === 'trying' && event.strategy === 'directApi').length, 3);
+  assert.match(events.at(-1).error, /500/);
+  assert.equal(scraperService.isRetailerInCooldown('flipkart'), false);
+
+  // The retailer recovers in time for the second attempt
+  const recovery = await search('flipkart', 'firebolt', {
+    onProgress: event => mockRetailerServer.setScenario('flipkart', event.attempt === 2 ? 'ok' : 'error')
+  });
+  assert.equal(recovery.products.length, 40);
+  assert.deepEqual(recovery.events.filter(event => event.status === 'trying').map(event => event.attempt), [1, 2]);
+});
+
+for (const scenario of ['captcha', 'rateLimited', 'forbidden']) {
+  test(`puts a retailer in cooldown without retrying when it answers with ${scenario}`, async () => {
+    mockRetailerServer.setScenario('flipkart', scenario);
+
+    const { products, events } = await search('flipkart', 'firebolt');
+    assert.deepEqual(products, []);
+    assert.equal(events.filter(event => event.strategy === 'directApi').length, 1);
+    assert.match(events.at(-1).error, /captcha|429|403/i);
+    assert.equal(circuitBreaker.get('flipkart').state, 'open');
+    assert.ok(circuitBreaker.get('flipkart').lastBlock);
+    assert.equal(scraperService.isRetailerInCooldown('flipkart'), true);
+
+    // Nothing more is sent to the retailer until the cooldown ends
+    const sent = mockRetailerServer.requestsFor('flipkart').length;
+    const again = await search('flipkart', 'firebolt');
+    assert.deepEqual(again.events, [{ status: 'cooldown' }]);
+    assert.equal(mockRetailerServer.requestsFor('flipkart').length, sent);
+  });
+}
+
+test('cancelling a search stuck on a slow retailer does not count as a failure', { timeout: 10000 }, async () => {
+  mockRetailerServer.setScenario('flipkart', 'slow');
+
+  const requestId = 'slow-search';
+  const pending = search('flipkart', 'firebolt', { requestId });
+  while (mockRetailerServer.requestsFor('flipkart').length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await abortRegistry.abort(requestId);
+
+  const { products, events } = await pending;
+  assert.deepEqual(products, []);
+  assert.deepEqual(events.at(-1), { status: 'cancelled' });
+  assert.equal(circuitBreaker.get('flipkart').consecutiveFailures, 0);
+});
+
+test('POST /api/price-comparison/search returns every retailer and reports blocked ones', async () => {
+  const post = async (query) => {
+    const response = await fetch(`${apiUrl}/api/price-comparison/search`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  const results = await post('firebolt');
+  assert.equal(results.success, true);
+  assert.deepEqual([...results.scrapedRetailers].sort(), ['amazon', 'croma', 'flipkart', 'meesho', 'relianceDigital']);
+  assert.deepEqual([...new Set(results.products.map(product => product.retailerId))].sort(),
+    ['amazon', 'croma', 'flipkart', 'meesho', 'relianceDigital']);
+
+  await cacheService.clear('search');
+  mockRetailerServer.setScenario('flipkart', 'rateLimited');
+  mockRetailerServer.setScenario('croma', 'forbidden');
+
+  const degraded = await post('firebolt');
+  assert.deepEqual([...degraded.failedRetailers].sort(), ['croma', 'flipkart']);
+  assert.ok(degraded.products.length > 0);
+  assert.ok(!degraded.products.some(product => ['croma', 'flipkart'].includes(product.retailerId)));
+});
+
+test('GET /api/price-comparison/history takes 1 to 365 days of history', async () => {
+  const history = (days) => fetch(`${apiUrl}/api/price-comparison/history?products=amazon:B0CHX1W1XY${days}`);
+
+  for (const days of ['0', '366', '-7', '7.5', '1e2', 'all']) {
+    const response = await history(`&days=${days}`);
+    assert.equal(response.status, 400, `days=${days}`);
+    assert.equal((await response.json()).success, false);
+  }
+
+  assert.equal((await (await history('')).json()).data.days, 90);
+  assert.equal((await (await history('&days=365')).json()).data.days, 365);
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the file-based price history store
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const historyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-')), 'history.ndjson');
+process.env.PRICE_HISTORY_FILE = historyFile;
+
+const priceHistoryStore = require('../services/priceHistoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const observation = (price, fetchedAt, extra = {}) => ({
+  id: 'B0CHX1W1XY',
+  retailerId: 'amazon',
+  title: 'Apple iPhone 15 (128 GB) - Black',
+  price,
+  mrp: 7990000,
+  availability: 'in_stock',
+  fetchedAt,
+  ...extra
+});
+
+test('records observations and skips unchanged repeats', async () => {
+  assert.equal(priceHistoryStore.recordProducts([observation(6999000, daysAgo(60))]), 1);
+  assert.equal(priceHistoryStore.recordProducts([observation(6499000, daysAgo(20))]), 1);
+  assert.equal(priceHistoryStore.recordProducts([observation(6139000, daysAgo(5))]), 1);
+
+  // Same product twice in one search, then an unchanged price minutes later
+  const now = new Date().toISOString();
+  assert.equal(priceHistoryStore.recordProducts([observation(6299000, now), observation(6299000, now)]), 1);
+  assert.equal(priceHistoryStore.recordProducts([observation(6299000, new Date(Date.now() + 60000).toISOString())]), 0);
+
+  await priceHistoryStore.flush();
+  const lines = fs.readFileSync(historyFile, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 4);
+  assert.equal(JSON.parse(lines[3]).key, 'amazon:B0CHX1W1XY');
+});
+
+test('returns the series with stats for the requested window', () => {
+  const [series] = priceHistoryStore.getHistory(['amazon:B0CHX1W1XY', 'flipkart:unknown'], { days: 30 });
+
+  assert.equal(series.retailerId, 'amazon');
+  assert.equal(series.productId, 'B0CHX1W1XY');
+  assert.deepEqual(series.points.map(point => point.price), [6499000, 6139000, 6299000]);
+  assert.equal(series.stats.min, 6139000);
+  assert.equal(series.stats.max, 6499000);
+  assert.equal(series.stats.avg, 6312333);
+  assert.equal(series.stats.current, 6299000);
+});
+
+test('flags whether the current price is the lowest in each window', () => {
+  const [series] = priceHistoryStore.getHistory(['amazon:B0CHX1W1XY']);
+
+  assert.deepEqual(series.lowestInDays, { 7: false, 30: false, 90: false });
+
+  priceHistoryStore.recordProducts([observation(6199000, new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString())]);
+  const [updated] = priceHistoryStore.getHistory(['amazon:B0CHX1W1XY'], { lowestWindows: [1, 7] });
+  assert.deepEqual(updated.lowestInDays, { 1: true, 7: false });
+});
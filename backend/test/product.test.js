@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the canonical Product schema normaliser
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normaliseProduct, normaliseProducts, toPaise, canonicaliseUrl, RETAILERS } = require('../models/product');
+
+test('converts rupee amounts to integer paise', () => {
+  assert.equal(toPaise(1499), 149900);
+  assert.equal(toPaise('₹1,49,999.50'), 14999950);
+  assert.equal(toPaise(0), null);
+  assert.equal(toPaise('N/A'), null);
+});
+
+test('normalises a fast-fetch product into the canonical schema', () => {
+  const { product, errors } = normaliseProduct({
+    id: 'B0CHX1W1XY',
+    name: 'Apple iPhone 15 (128 GB) - Black',
+    url: '/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_3?keywords=iphone',
+    image: 'https://m.media-amazon.com/images/I/71657TiFeHL.jpg',
+    price: 61390,
+    originalPrice: 79900,
+    rating: 4.5,
+    ratingCount: 3359,
+    source: 'amazon',
+    available: true,
+    fetch_strategy: 'mobile_html_scrape'
+  }, { fetchedAt: '2025-04-19T10:00:00.000Z' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(product, {
+    id: 'B0CHX1W1XY',
+    retailerId: 'amazon',
+    retailerName: 'Amazon',
+    title: 'Apple iPhone 15 (128 GB) - Black',
+    price: 6139000,
+    mrp: 7990000,
+    currency: 'INR',
+    discountPercentage: 23,
+    availability: 'in_stock',
+    seller: null,
+    sponsored: false,
+    rating: 4.5,
+    ratingCount: 3359,
+    imageUrl: 'https://m.media-amazon.com/images/I/71657TiFeHL.jpg',
+    url: 'https://www.amazon.in/dp/B0CHX1W1XY',
+    fetchStrategy: 'mobile_html_scrape',
+    fetchedAt: '2025-04-19T10:00:00.000Z',
+    issues: []
+  });
+});
+
+test('accepts the Playwright and retailerScrapers field names', () => {
+  const { product } = normaliseProduct({
+    title: 'Sony WH-1000XM5',
+    price: '26,990',
+    imageUrl: 'https://example.com/sony.png',
+    link: 'https://www.croma.com/sony-wh-1000xm5/p/300720?utm_source=x#reviews',
+    rating: '4.4 out of 5 stars',
+    reviews: '(312)',
+    retailer: 'Croma'
+  }, { fetchStrategy: 'playwright' });
+
+  assert.equal(product.retailerId, 'croma');
+  assert.equal(product.price, 2699000);
+  assert.equal(product.mrp, null);
+  assert.equal(product.url, 'https://www.croma.com/sony-wh-1000xm5/p/300720');
+  assert.equal(product.id, product.url);
+  assert.equal(product.rating, 4.4);
+  assert.equal(product.ratingCount, 312);
+  assert.equal(product.availability, 'unknown');
+  assert.equal(product.fetchStrategy, 'playwright');
+});
+
+test('keeps only pid on Flipkart URLs', () => {
+  assert.equal(
+    canonicaliseUrl('/apple-iphone-16/p/itmaa4af1ef9b8a0?pid=MOBH4DQFG8NKFRDY&lid=LST&marketplace=FLIPKART', RETAILERS.flipkart),
+    'https://www.flipkart.com/apple-iphone-16/p/itmaa4af1ef9b8a0?pid=MOBH4DQFG8NKFRDY'
+  );
+});
+
+test('rejects products without title, price, url or retailer', () => {
+  const { product, errors } = normaliseProduct({ id: 'x', price: 0, url: 'javascript:void(0)' });
+
+  assert.equal(product, null);
+  assert.deepEqual(errors, ['unknown retailer', 'missing title', 'missing or invalid price', 'missing or invalid url']);
+});
+
+test('flags MRP below price instead of rejecting', () => {
+  const { product } = normaliseProduct({
+    id: '1', name: 'Kurti', price: 299, originalPrice: 199, url: 'https://www.meesho.com/kurti/p/1', source: 'meesho'
+  });
+
+  assert.equal(product.mrp, null);
+  assert.equal(product.discountPercentage, 0);
+  assert.deepEqual(product.issues, ['mrp below price', 'missing image']);
+});
+
+test('normaliseProducts drops malformed items and is idempotent', () => {
+  const raw = [
+    { id: '7100452', name: 'Samsung TV', price: 28990, url: '/product/samsung-tv', source: 'relianceDigital' },
+    { id: 'broken', source: 'relianceDigital' }
+  ];
+
+  const products = normaliseProducts(raw, { retailer: 'relianceDigital' });
+  assert.equal(products.length, 1);
+  assert.equal(products[0].retailerName, 'Reliance Digital');
+  assert.equal(products[0].url, 'https://www.reliancedigital.in/product/samsung-tv');
+
+  assert.deepEqual(normaliseProducts(products), products);
+});
@@ -0,0 +1,84 @@
+/**
+ * Product detail page parser tests against saved product pages
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const productDetailService = require('../scraper/productDetailService');
+
+const loadPage = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', name), 'utf8');
+
+test('resolves product pages from URLs, retailer names and ASINs', () => {
+  assert.deepEqual(
+    productDetailService.resolveTarget({ url: 'https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY/ref=sr_1_3?th=1' }).url,
+    'https://www.amazon.in/dp/B0CHX1W1XY'
+  );
+  assert.equal(productDetailService.resolveTarget({ retailer: 'Amazon', id: 'B0CHX1W1XY' }).retailer.id, 'amazon');
+  assert.equal(productDetailService.resolveTarget({ retailer: 'flipkart', id: 'MOBGTAGPTB3VS24W' }), null);
+  assert.equal(productDetailService.resolveTarget({ url: 'https://www.example.com/p/1' }), null);
+});
+
+test('parses an Amazon product page', () => {
+  const url = 'https://www.amazon.in/dp/B0CHX1W1XY';
+  const details = productDetailService.parseDetailPage(loadPage('amazon-product.html'), 'amazon', url);
+
+  assert.equal(details.id, 'B0CHX1W1XY');
+  assert.equal(details.title, 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(details.brand, 'Apple');
+  assert.deepEqual(details.priceBreakdown, { price: 6139000, mrp: 7990000, savings: 1851000, discountPercentage: 23 });
+  assert.equal(details.availability, 'in_stock');
+  assert.equal(details.seller, 'Appario Retail Private Ltd');
+  assert.equal(details.delivery, 'FREE delivery Tuesday, 22 April.');
+  assert.deepEqual(details.images, [
+    'https://m.media-amazon.com/images/I/71657TiFeHL._SL1500_.jpg',
+    'https://m.media-amazon.com/images/I/61ZvcJ9bKdL._SL1500_.jpg'
+  ]);
+  assert.equal(details.features.length, 3);
+  assert.deepEqual(details.specifications, { OS: 'iOS', RAM: '6 GB', 'Product Dimensions': '14.8 x 7.2 x 0.8 cm; 171 g' });
+  assert.deepEqual(details.offers[0], { type: 'Bank Offer', description: 'Upto ₹4,000.00 discount on select Credit Cards' });
+  assert.equal(details.rating, 4.5);
+  assert.equal(details.ratingCount, 3359);
+  assert.deepEqual(details.ratingDistribution, { 1: 7, 2: 2, 3: 4, 4: 13, 5: 74 });
+});
+
+test('parses JSON-LD product pages and generic spec tables', () => {
+  const url = 'https://www.croma.com/sony-wh-1000xm5-bluetooth-headphone-with-mic-up-to-30-hours-playback-over-ear-black-/p/300720';
+  const details = productDetailService.parseDetailPage(loadPage('croma-product.html'), 'croma', url);
+
+  assert.equal(details.id, '300720');
+  assert.equal(details.title, 'SONY WH-1000XM5 Bluetooth Headphone with Mic (Up to 30 Hours Playback, Over Ear, Black)');
+  assert.equal(details.brand, 'SONY');
+  assert.equal(details.price, 2699000);
+  assert.equal(details.mrp, null);
+  assert.equal(details.availability, 'in_stock');
+  assert.equal(details.seller, 'Croma');
+  assert.equal(details.images.length, 2);
+  assert.ok(details.images[0].startsWith('https://media-ik.croma.com/'));
+  assert.deepEqual(details.specifications, {
+    'Headphone Type': 'Over Ear',
+    'Battery Life': 'Up to 30 Hours',
+    Connectivity: 'Bluetooth 5.2'
+  });
+  assert.equal(details.rating, 4.4);
+  assert.equal(details.ratingCount, 312);
+});
+
+test('shapes details for the frontend ProductDetail type', () => {
+  const details = productDetailService.parseDetailPage(loadPage('amazon-product.html'), 'amazon', 'https://www.amazon.in/dp/B0CHX1W1XY');
+  const productDetail = productDetailService.toProductDetail(details, { id: 'amazon-B0CHX1W1XY', sellerLogo: 'https://logo.clearbit.com/amazon.com' });
+
+  assert.equal(productDetail.id, 'amazon-B0CHX1W1XY');
+  assert.equal(productDetail.historyKey, 'amazon:B0CHX1W1XY');
+  assert.equal(productDetail.name, 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(productDetail.price, '₹61,390');
+  assert.equal(productDetail.originalPrice, '₹79,900');
+  assert.equal(productDetail.discount, '23% off');
+  assert.equal(productDetail.vendor, 'Amazon');
+  assert.equal(productDetail.vendorLogo, 'https://logo.clearbit.com/amazon.com');
+  assert.equal(productDetail.rating, '4.5');
+  assert.equal(productDetail.inStock, true);
+  assert.equal(productDetail.imageUrl, 'https://m.media-amazon.com/images/I/71657TiFeHL._SL1500_.jpg');
+});
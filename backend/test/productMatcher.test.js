@@ -0,0 +1,79 @@
+/**
+ * Unit tests for cross-retailer product matching and grouping
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const productMatcher = require('../services/productMatcher');
+const { normaliseProducts } = require('../models/product');
+
+const listing = (source, id, name, price, extra = {}) => ({
+  id, name, price, source, url: `https://example.com/${id}`, ...extra
+});
+
+const products = normaliseProducts([
+  listing('amazon', 'B0DXQH1DBS', 'iPhone 16e 128 GB: Built for Apple Intelligence, A18 Chip, Supersized Battery Life, 48MP Fusion. Camera, 15.40 cm (6.1″) Super Retina XDR Display; Black', 56790),
+  listing('amazon', 'B0DGJ7X1DX', 'iPhone 16 Pro 128 GB: 5G Mobile Phone with Camera Control, 4K 120 fps Dolby Vision and a Huge Leap in Battery Life. Works with AirPods; Black Titanium', 112900),
+  listing('amazon', 'B0CHX1W1XY', 'Apple iPhone 15 (128 GB) - Black', 61390),
+  listing('flipkart', 'MOBGTAGPBLK', 'Apple iPhone 15 (Black, 128 GB)', 59999),
+  listing('flipkart', 'MOBGTAGPBLU', 'Apple iPhone 15 (Blue, 128 GB)', 59999),
+  listing('flipkart', 'MOBH4DQF16E', 'Apple iPhone 16e (Black, 128 GB)', 54999),
+  listing('flipkart', 'MOBH4DQFPRO', 'Apple iPhone 16 Pro (Black Titanium, 128 GB)', 109900),
+  listing('croma', '300652', 'Apple iPhone 15 (128GB, Black)', 62900, { available: false }),
+  listing('croma', '300655', 'Apple iPhone 15 (256GB, Black)', 72900),
+  listing('relianceDigital', '7100452', 'Samsung 108 cm (43 inch) 4K Ultra HD Smart LED TV, UA43DUE70BKLXL', 28990),
+  listing('amazon', 'B0CZ6R8QZ1', 'Samsung 108 cm (43 inches) D Series Crystal 4K Vivid Ultra HD Smart LED TV UA43DUE70BKLXL (Black)', 27990),
+  listing('croma', '300720', 'SONY WH-1000XM5 Bluetooth Headphone with Mic', 26990),
+  listing('amazon', 'B09XS7JWHH', 'Sony WH-1000XM5 Wireless Noise Cancelling Headphones, Black', 29990),
+  listing('amazon', 'B0863TXGM3', 'Sony WH-1000XM4 Wireless Noise Cancelling Headphones, Black', 19990),
+  listing('meesho', '123456789', 'Trendy Cotton Kurti for Women', 289),
+  listing('flipkart', 'KRTGZ8XYZ', 'Women Printed Cotton Kurti', 399)
+]);
+
+const groups = productMatcher.groupProducts(products);
+const groupOf = (retailerId, id) => groups.find(g => g.offers.some(o => o.retailerId === retailerId && o.id === id));
+const members = (group) => group.offers.map(o => `${o.retailerId}:${o.id}`).sort();
+
+test('groups the same phone across retailers', () => {
+  const iphone15 = groupOf('amazon', 'B0CHX1W1XY');
+
+  assert.deepEqual(members(iphone15), ['amazon:B0CHX1W1XY', 'croma:300652', 'flipkart:MOBGTAGPBLK']);
+  assert.equal(iphone15.retailerCount, 3);
+  assert.equal(iphone15.brand, 'apple');
+  assert.deepEqual(iphone15.variant, { storage: 128, size: null, colour: 'black' });
+});
+
+test('keeps colour, storage and edition variants apart', () => {
+  assert.notEqual(groupOf('flipkart', 'MOBGTAGPBLU'), groupOf('flipkart', 'MOBGTAGPBLK'));
+  assert.notEqual(groupOf('croma', '300655'), groupOf('croma', '300652'));
+  assert.deepEqual(members(groupOf('amazon', 'B0DGJ7X1DX')), ['amazon:B0DGJ7X1DX', 'flipkart:MOBH4DQFPRO']);
+  assert.deepEqual(members(groupOf('amazon', 'B0DXQH1DBS')), ['amazon:B0DXQH1DBS', 'flipkart:MOBH4DQF16E']);
+});
+
+test('matches on model numbers and separates different models', () => {
+  assert.deepEqual(members(groupOf('relianceDigital', '7100452')), ['amazon:B0CZ6R8QZ1', 'relianceDigital:7100452']);
+  assert.deepEqual(members(groupOf('croma', '300720')), ['amazon:B09XS7JWHH', 'croma:300720']);
+  assert.equal(groupOf('amazon', 'B0863TXGM3').offerCount, 1);
+});
+
+test('does not merge generic unbranded listings', () => {
+  assert.notEqual(groupOf('meesho', '123456789'), groupOf('flipkart', 'KRTGZ8XYZ'));
+});
+
+test('sorts offers cheapest in-stock first and reports the price spread', () => {
+  const iphone15 = groupOf('amazon', 'B0CHX1W1XY');
+
+  assert.deepEqual(iphone15.offers.map(o => o.retailerId), ['flipkart', 'amazon', 'croma']);
+  assert.equal(iphone15.lowestPrice, 5999900);
+  assert.equal(iphone15.highestPrice, 6290000);
+  assert.equal(iphone15.savings, 290100);
+  assert.equal(iphone15.lowestPriceRetailer, 'flipkart');
+});
+
+test('collapses the same listing returned by two strategies', () => {
+  const duplicated = productMatcher.groupProducts([products[2], { ...products[2] }]);
+
+  assert.equal(duplicated.length, 1);
+  assert.equal(duplicated[0].offerCount, 1);
+});
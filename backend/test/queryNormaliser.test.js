@@ -0,0 +1,75 @@
+/**
+ * Unit tests for query normalisation: canonical keys for the cache and logs, and the
+ * query strings sent to each retailer
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const queryNormaliser = require('../services/queryNormaliser');
+const retailerRegistry = require('../scraper/retailerRegistry');
+
+after(() => retailerRegistry.unregister('vijaySales'));
+
+test('gives the same key to the ways of typing one search', () => {
+  const keys = ['iPhone 15', 'iphone 15 ', 'Apple iPhone-15', 'buy the APPLE  iPhone 15 online', 'i phone 15 apple']
+    .map(query => queryNormaliser.normalise(query));
+  assert.deepEqual(new Set(keys), new Set(['apple iphone 15']));
+
+  // Model words still tell models apart
+  assert.notEqual(queryNormaliser.normalise('iPhone 15 Pro'), queryNormaliser.normalise('iPhone 15'));
+  assert.equal(queryNormaliser.normalise('Redmi Note 13 Pro+ 5G'), 'xiaomi redmi note 13 pro plus 5g');
+  assert.equal(queryNormaliser.normalise(''), '');
+  assert.equal(queryNormaliser.normalise('   '), '');
+});
+
+test('keeps queries made only of stop words apart', () => {
+  assert.equal(queryNormaliser.normalise('Price'), 'price');
+  assert.equal(queryNormaliser.normalise('  On '), 'on');
+  assert.equal(queryNormaliser.normalise('best  PRICE online'), 'best price online');
+  assert.equal(queryNormaliser.normalise('?!'), '?!');
+  assert.notEqual(queryNormaliser.normalise('price'), queryNormaliser.normalise('on'));
+});
+
+test('keeps single letters, model words and word order that tell searches apart', () => {
+  const distinct = [
+    ['usb a to c cable', 'usb c to a cable'],
+    ['Samsung Galaxy A 55', 'Samsung Galaxy 55'],
+    ['Galaxy On Max', 'Samsung Galaxy Max']
+  ];
+  for (const [first, second] of distinct) {
+    assert.notEqual(queryNormaliser.normalise(first), queryNormaliser.normalise(second), `${first} / ${second}`);
+  }
+
+  assert.equal(queryNormaliser.normalise('Samsung Galaxy A 55'), 'samsung galaxy a 55');
+  assert.equal(queryNormaliser.normalise('Galaxy On Max'), 'samsung galaxy on max');
+  assert.equal(queryNormaliser.normalise('usb a to c cable'), 'usb a c cable');
+  assert.equal(queryNormaliser.normalise('Pro Pro case'), 'pro pro case');
+
+  // relevanceRanker tokenises queries and titles with the same rule
+  assert.equal(queryNormaliser.isStopWord(['galaxy', 'on', 'max'], 1), false);
+  assert.equal(queryNormaliser.isStopWord(['case', 'for', 'iphone'], 1), true);
+});
+
+test('glues units to numbers and folds brand spellings', () => {
+  assert.equal(queryNormaliser.normalise('Samsung Galaxy S24 256 GB'), queryNormaliser.normalise('samsung galaxy s24 256gb'));
+  assert.equal(queryNormaliser.normalise('Sony Bravia 55" 4K TV'), 'sony bravia 55inch 4k tv');
+  assert.equal(queryNormaliser.normalise('15.6 inches laptop 512 GB'), '15.6inch laptop 512gb');
+  assert.equal(queryNormaliser.normalise('One Plus 12R 8GB/128GB'), 'oneplus 12r 8gb 128gb');
+  assert.equal(queryNormaliser.normalise('moto g54 5000 mAh'), 'motorola g54 5000mah');
+  assert.equal(queryNormaliser.normalise('MacBook Air M2'), 'apple macbook air m2');
+});
+
+test('sends retailers the query as typed, tidied, through their searchQuery hook', () => {
+  assert.equal(queryNormaliser.forRetailer('  Apple   iPhone-15 <128 GB> ', 'amazon'), 'Apple iPhone-15 128 GB');
+  assert.equal(queryNormaliser.forRetailer('Sony Bravia 55" TV', 'flipkart'), 'Sony Bravia 55 inch TV');
+
+  retailerRegistry.register({
+    id: 'vijaySales',
+    name: 'Vijay Sales',
+    origin: 'https://www.vijaysales.com',
+    searchUrl: (query) => `https://www.vijaysales.com/search/${encodeURIComponent(query)}`,
+    searchQuery: (query) => query.replace(/\s+/g, '-')
+  });
+  assert.equal(queryNormaliser.forRetailer(' iPhone  15 ', 'vijaySales'), 'iPhone-15');
+});
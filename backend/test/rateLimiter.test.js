@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the per-retailer token buckets, gaps and slot caps in rateLimiter,
+ * including workers sharing the main thread's limits through the worker pool
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.RETAILER_RATE_LIMITS = JSON.stringify({
+  default: { maxConcurrentRequests: 5 },
+  amazon: { maxConcurrentPages: 2 },
+  // One token every 100ms
+  croma: { requestsPerMinute: 600, burst: 2, minGapMs: 0 },
+  meesho: { requestsPerMinute: 60000, burst: 10, minGapMs: 50, maxConcurrentPages: 1 },
+  relianceDigital: { requestsPerMinute: 60000, burst: 10, minGapMs: 0, maxConcurrentPages: 1 }
+});
+
+const rateLimiter = require('../scraper/rateLimiter');
+const abortRegistry = require('../scraper/abortRegistry');
+const WorkerPool = require('../scraper/workerPool');
+
+// Time since start at which each acquire was granted
+const grantTimes = (start, acquires) => Promise.all(acquires.map(async acquire => {
+  const release = await acquire;
+  return { at: Date.now() - start, release };
+}));
+
+test('merges the defaults, the retailer plugin and RETAILER_RATE_LIMITS', () => {
+  assert.deepEqual(rateLimiter.configFor('amazon'), {
+    requestsPerMinute: 20,
+    burst: 6,
+    minGapMs: 1000,
+    maxConcurrentRequests: 5,
+    maxConcurrentPages: 2
+  });
+  assert.equal(rateLimiter.configFor('flipkart').requestsPerMinute, 30);
+});
+
+test('spends the burst at once, then spaces requests out by the refill rate', async () => {
+  const start = Date.now();
+  const grants = await grantTimes(start, [1, 2, 3, 4].map(() => rateLimiter.acquire('croma')));
+  grants.forEach(grant => grant.release());
+
+  assert.ok(grants[1].at < 50);
+  assert.ok(grants[2].at >= 90, `third request after ${grants[2].at}ms`);
+  assert.ok(grants[3].at - grants[2].at >= 90, `fourth request ${grants[3].at - grants[2].at}ms after the third`);
+
+  const metrics = rateLimiter.getMetrics().croma;
+  assert.equal(metrics.granted, 4);
+  assert.equal(metrics.maxQueued, 2);
+  assert.ok(metrics.maxWaitMs >= 180);
+  assert.deepEqual(metrics.active, { requests: 0, pages: 0 });
+});
+
+test('keeps the minimum gap and lets requests past a page waiting for its slot', async () => {
+  const start = Date.now();
+  const releaseFirstPage = await rateLimiter.acquire('meesho', { kind: 'page' });
+
+  let secondPageAt = null;
+  const secondPage = rateLimiter.acquire('meesho', { kind: 'page' }).then(release => {
+    secondPageAt = Date.now() - start;
+    return release;
+  });
+  const [request] = await grantTimes(start, [rateLimiter.acquire('meesho')]);
+
+  assert.ok(request.at >= 45, `request after ${request.at}ms`);
+  assert.equal(secondPageAt, null);
+  assert.deepEqual(rateLimiter.getMetrics().meesho.queued, { requests: 0, pages: 1 });
+  assert.deepEqual(rateLimiter.getMetrics().meesho.active, { requests: 1, pages: 1 });
+
+  request.release();
+  releaseFirstPage();
+  (await secondPage)();
+  assert.ok(secondPageAt >= request.at);
+});
+
+test('gives up a queued wait when its search is cancelled', async () => {
+  const releasePage = await rateLimiter.acquire('relianceDigital', { kind: 'page' });
+  abortRegistry.register('cancelled-search');
+
+  const waiting = rateLimiter.acquire('relianceDigital', { kind: 'page', requestId: 'cancelled-search' });
+  await abortRegistry.abort('cancelled-search');
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(rateLimiter.getMetrics().relianceDigital.queued.pages, 0);
+
+  releasePage();
+  abortRegistry.release('cancelled-search');
+});
+
+/**
+ * Worker that holds a page slot for 100ms per task, the way a Playwright scrape does
+ * Written out to a temp file because the test runner would execute it if it lived under test/.
+ * @param {string} rateLimiterPath - Absolute path of scraper/rateLimiter.js
+ */
+function pageWorker(rateLimiterPath) {
+  const { parentPort } = require('worker_threads');
+  const rateLimiter = require(rateLimiterPath);
+
+  parentPort.on('message', async (message) => {
+    if (message.type !== 'task') return;
+    const release = await rateLimiter.acquire(message.retailer, { kind: 'page' });
+    const startedAt = Date.now();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const endedAt = Date.now();
+    release();
+    parentPort.postMessage({ type: 'result', taskId: message.taskId, success: true, products: [], startedAt, endedAt });
+  });
+}
+
+const workerFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-')), 'pageWorker.js');
+fs.writeFileSync(workerFile, `(${pageWorker.toString()})(${JSON.stringify(require.resolve('../scraper/rateLimiter'))});\n`);
+
+const pool = new WorkerPool({ size: 2, workerFile });
+after(() => pool.shutdown());
+
+test('workers share the main thread limits instead of keeping their own', async () => {
+  const [first, second] = await Promise.all([
+    pool.run({ retailer: 'relianceDigital' }),
+    pool.run({ retailer: 'relianceDigital' })
+  ]);
+
+  // Two workers, but relianceDigital allows one page at a time
+  const [earlier, later] = [first, second].sort((a, b) => a.startedAt - b.startedAt);
+  assert.ok(later.startedAt >= earlier.endedAt);
+
+  const metrics = rateLimiter.getMetrics().relianceDigital;
+  assert.deepEqual(metrics.active, { requests: 0, pages: 0 });
+  assert.equal(metrics.granted, 3);
+  assert.equal(rateLimiter.workerLeases.size, 0);
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for search relevance ranking and junk filtering
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const relevanceRanker = require('../services/relevanceRanker');
+const { normaliseProducts } = require('../models/product');
+
+const listing = (source, id, name, price, extra = {}) => ({
+  id, name, price, source, url: `https://example.com/${id}`, ...extra
+});
+
+const products = normaliseProducts([
+  listing('amazon', 'case', 'Spigen Ultra Hybrid Back Cover Case for iPhone 15 - Crystal Clear', 1299),
+  listing('amazon', 'base-black', 'Apple iPhone 15 (128 GB) - Black', 61390),
+  listing('amazon', 'sixteen-pro', 'iPhone 16 Pro 128 GB: 5G Mobile Phone; Black Titanium', 112900, { sponsored: true }),
+  listing('flipkart', 'plus', 'Apple iPhone 15 Plus (Black, 128 GB)', 69999),
+  listing('flipkart', 'base-256', 'Apple iPhone 15 (Blue, 256 GB)', 69999),
+  listing('croma', 'adapter', 'Apple 20W USB-C Power Adapter for iPhone', 1900),
+  listing('meesho', 'guard', 'Tempered Glass Screen Guard for iPhone 15', 149),
+  listing('amazon', 'base-pink', 'Apple iPhone 15 (128 GB) - Pink', 61390, { sponsored: true })
+]);
+
+const ranked = relevanceRanker.rankProducts(products, 'iphone 15 128gb');
+const scoreOf = (id) => ranked.find(p => p.id === id).relevanceScore;
+
+test('scores every product between 0 and 1 and sorts by score', () => {
+  assert.equal(ranked.length, products.length);
+  ranked.forEach(p => assert.ok(p.relevanceScore >= 0 && p.relevanceScore <= 1));
+  for (let i = 1; i < ranked.length; i++) {
+    assert.ok(ranked[i - 1].relevanceScore >= ranked[i].relevanceScore);
+  }
+  assert.equal(ranked[0].id, 'base-black');
+});
+
+test('pushes accessories below the product searched for', () => {
+  for (const accessory of ['case', 'adapter', 'guard']) {
+    assert.ok(scoreOf(accessory) < 0.4, `${accessory} scored ${scoreOf(accessory)}`);
+  }
+});
+
+test('prefers the exact model, storage and edition', () => {
+  assert.ok(scoreOf('base-black') > scoreOf('plus'));
+  assert.ok(scoreOf('plus') > scoreOf('base-256'));
+  assert.ok(scoreOf('base-256') > scoreOf('sixteen-pro'));
+});
+
+test('penalises sponsored placements', () => {
+  assert.ok(scoreOf('base-pink') < scoreOf('base-black'));
+});
+
+test('keeps accessories when the query asks for one', () => {
+  const caseResults = relevanceRanker.rankProducts(products, 'iphone 15 case');
+  assert.equal(caseResults[0].id, 'case');
+});
+
+test('does not take product names that share a word with an accessory for accessories', () => {
+  const devices = normaliseProducts([
+    listing('amazon', 'band', 'Xiaomi Smart Band 9 AMOLED Fitness Tracker', 3999),
+    listing('amazon', 'strap', 'Generic Silicone Strap Band for Xiaomi Smart Band 9', 299),
+    listing('flipkart', 'flip', 'Samsung Galaxy Z Flip 5 5G (Mint, 256 GB)', 99999),
+    listing('croma', 'mixer', 'Kenwood Stand Mixer 1000W', 25000),
+    listing('meesho', 'lens', 'Camera Lens Protector for Samsung Galaxy Z Flip 5', 199)
+  ]);
+  const scores = (query) => Object.fromEntries(
+    relevanceRanker.rankProducts(devices, query).map(p => [p.id, p.relevanceScore])
+  );
+
+  const band = scores('xiaomi smart band 9');
+  assert.ok(band.band > 0.9, `band scored ${band.band}`);
+  assert.ok(band.strap < 0.4, `strap scored ${band.strap}`);
+
+  const flip = scores('samsung galaxy z flip 5');
+  assert.ok(flip.flip > 0.9, `flip scored ${flip.flip}`);
+  assert.ok(flip.lens < 0.4, `lens scored ${flip.lens}`);
+
+  assert.ok(scores('kenwood stand mixer').mixer > 0.9);
+});
+
+test('filterRelevant drops low-relevance items', () => {
+  const kept = relevanceRanker.filterRelevant(ranked).map(p => p.id);
+
+  assert.deepEqual(kept.sort(), ['base-256', 'base-black', 'base-pink', 'plus', 'sixteen-pro']);
+  assert.equal(relevanceRanker.filterRelevant(ranked, 0.95).length, 1);
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the retailer JSON response parsers in DirectApiService,
+ * driven by captured payloads in test/fixtures/api
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const directApiService = require('../scraper/directApiService');
+
+const loadFixture = (name) => require(path.join(__dirname, 'fixtures/api', name));
+
+/**
+ * Assert the fields every parser must emit
+ * @param {Object} product - Parsed product
+ * @param {string} source - Expected retailer key
+ */
+function assertProductShape(product, source) {
+  assert.equal(typeof product.id, 'string');
+  assert.ok(product.id.length > 0);
+  assert.equal(typeof product.name, 'string');
+  assert.ok(product.url.startsWith('https://'));
+  assert.ok(product.price > 0);
+  assert.ok(product.originalPrice >= product.price);
+  assert.equal(product.source, source);
+}
+
+test('parses Amazon /s/query dispatch chunks into products', () => {
+  const products = directApiService._parseAmazonApiResponse(loadFixture('amazon-search-query.json'));
+
+  assert.equal(products.length, 3);
+  products.forEach(p => assertProductShape(p, 'amazon'));
+
+  const iphone15 = products.find(p => p.id === 'B0CHX1W1XY');
+  assert.equal(iphone15.name, 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(iphone15.price, 61390);
+  assert.equal(iphone15.originalPrice, 79900);
+  assert.equal(iphone15.discountPercentage, 23);
+  assert.equal(iphone15.rating, 4.5);
+  assert.equal(iphone15.ratingCount, 3359);
+});
+
+test('Amazon parser accepts a single chunk and ignores non-product payloads', () => {
+  const [metadata, firstResult] = loadFixture('amazon-search-query.json');
+
+  assert.equal(directApiService._parseAmazonApiResponse(firstResult).length, 1);
+  assert.deepEqual(directApiService._parseAmazonApiResponse(metadata), []);
+  assert.deepEqual(directApiService._parseAmazonApiResponse({ suggestions: [{ value: 'iphone 16' }] }), []);
+  assert.deepEqual(directApiService._parseAmazonApiResponse(null), []);
+});
+
+test('parses Flipkart page/fetch PRODUCT_SUMMARY widgets', () => {
+  const products = directApiService._parseFlipkartApiResponse(loadFixture('flipkart-page-fetch.json'));
+
+  assert.equal(products.length, 2);
+  products.forEach(p => assertProductShape(p, 'flipkart'));
+
+  const [iphone16, iphone15] = products;
+  assert.equal(iphone16.id, 'MOBH4DQFG8NKFRDY');
+  assert.equal(iphone16.price, 69999);
+  assert.equal(iphone16.originalPrice, 79900);
+  assert.equal(iphone16.discountPercentage, 12);
+  assert.equal(iphone16.ratingCount, 38645);
+  assert.ok(iphone16.url.startsWith('https://www.flipkart.com/apple-iphone-16'));
+  assert.ok(!iphone16.image.includes('{@'));
+
+  assert.equal(iphone15.name, 'Apple iPhone 15 (Blue, 128 GB)');
+  assert.equal(iphone15.available, false);
+  assert.equal(iphone15.discountPercentage, 11);
+});
+
+test('parses Meesho search catalogs and drops unpriced entries', () => {
+  const products = directApiService._parseMeeshoApiResponse(loadFixture('meesho-products-search.json'));
+
+  assert.equal(products.length, 2);
+  products.forEach(p => assertProductShape(p, 'meesho'));
+
+  const [kurti, tshirt] = products;
+  assert.equal(kurti.id, '123456789');
+  assert.equal(kurti.url, 'https://www.meesho.com/trendy-cotton-kurti-for-women/p/4x7kqz');
+  assert.equal(kurti.discountPercentage, 52);
+  assert.equal(kurti.rating, 3.9);
+  assert.equal(tshirt.price, 199);
+  assert.equal(tshirt.originalPrice, 199);
+});
+
+test('Meesho parser reads catalogs nested under data', () => {
+  const fixture = loadFixture('meesho-products-search.json');
+  const products = directApiService._parseMeeshoApiResponse({ data: { catalogs: fixture.catalogs } });
+
+  assert.equal(products.length, 2);
+});
+
+test('parses Reliance Digital catalog items', () => {
+  const products = directApiService._parseRelianceDigitalApiResponse(loadFixture('reliance-digital-catalog.json'));
+
+  assert.equal(products.length, 2);
+  products.forEach(p => assertProductShape(p, 'relianceDigital'));
+
+  const [samsung, sony] = products;
+  assert.equal(samsung.id, '7100452');
+  assert.equal(samsung.price, 28990);
+  assert.equal(samsung.originalPrice, 41900);
+  assert.equal(samsung.image, 'https://cdn.jiostore.online/v2/images/494351288/front.jpeg');
+  assert.equal(samsung.available, true);
+  assert.equal(sony.available, false);
+});
+
+test('Reliance Digital parser ignores search suggestions', () => {
+  assert.deepEqual(directApiService._parseRelianceDigitalApiResponse(loadFixture('reliance-digital-suggestions.json')), []);
+});
+
+test('parses Croma search API products', () => {
+  const products = directApiService._parseCromaApiResponse(loadFixture('croma-search.json'));
+
+  assert.equal(products.length, 2);
+  products.forEach(p => assertProductShape(p, 'croma'));
+  assert.equal(products[0].originalPrice, 34990);
+  assert.equal(products[0].url, 'https://www.croma.com/sony-wh-1000xm5-bluetooth-headphone-with-mic/p/300720');
+  assert.equal(products[1].price, 1499);
+  assert.equal(products[1].originalPrice, 3990);
+});
+
+test('_parseResponseData dispatches through apiConfig responseParser', async () => {
+  const products = await directApiService._parseResponseData('flipkart', loadFixture('flipkart-page-fetch.json'));
+
+  assert.equal(products.length, 2);
+  assert.deepEqual(await directApiService._parseResponseData('unknown', {}), []);
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the retailer plugin registry and the services that consult it
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const retailerRegistry = require('../scraper/retailerRegistry');
+const directApiService = require('../scraper/directApiService');
+const { normaliseProducts, canonicaliseUrl, resolveRetailer, retailerForUrl } = require('../models/product');
+
+// A store added the way a new retailer would be: one plugin, no edits elsewhere
+const tataCliq = {
+  id: 'tataCliq',
+  name: 'Tata CLiQ',
+  origin: 'https://www.tatacliq.com',
+  searchUrl: (query) => `https://www.tatacliq.com/search/?searchCategory=all&text=${encodeURIComponent(query)}`,
+  api: {
+    responseParser: (data) => data.searchresult.map(item => ({
+      id: item.productId,
+      name: item.productname,
+      price: item.price.sellingPrice.doubleValue,
+      url: item.webURL,
+      source: 'tataCliq'
+    }))
+  },
+  fetchers: {
+    fast: async (query) => [{ id: 'MP000000017401234', name: `${query} (Black)`, price: 1999, url: '/p-mp000000017401234', source: 'tataCliq' }]
+  },
+  browser: {
+    selectors: { productCard: '.ProductModule__base', title: '.ProductDescription__description', price: '.ProductDescription__discount' }
+  },
+  productUrlParams: ['size']
+};
+
+after(() => retailerRegistry.unregister('tataCliq'));
+
+test('loads the built-in retailers with their capabilities', () => {
+  assert.deepEqual(
+    [...retailerRegistry.ids()].sort(),
+    ['amazon', 'croma', 'flipkart', 'meesho', 'relianceDigital']
+  );
+
+  assert.equal(retailerRegistry.supports('amazon', 'fastFetch'), true);
+  assert.equal(retailerRegistry.supports('amazon', 'productDetail'), true);
+  assert.equal(retailerRegistry.supports('croma', 'productDetail'), false);
+  assert.equal(retailerRegistry.supports('meesho', 'graphql'), true);
+  assert.equal(retailerRegistry.supports('flipkart', 'graphql'), false);
+  assert.ok(retailerRegistry.list().every(plugin => plugin.capabilities.networkSniffing && plugin.capabilities.browser));
+});
+
+test('rejects incomplete and duplicate plugins', () => {
+  assert.throws(() => retailerRegistry.register({ id: 'vijaySales', name: 'Vijay Sales' }), /missing origin, searchUrl/);
+  assert.throws(
+    () => retailerRegistry.register({ id: 'amazon', name: 'Amazon', origin: 'https://www.amazon.in', searchUrl: () => '' }),
+    /already registered/
+  );
+});
+
+test('a single plugin file is enough for search, parsing and URL handling', async () => {
+  const plugin = retailerRegistry.register(tataCliq);
+  assert.deepEqual(
+    { fastFetch: plugin.capabilities.fastFetch, networkSniffing: plugin.capabilities.networkSniffing, browser: plugin.capabilities.browser },
+    { fastFetch: true, networkSniffing: false, browser: true }
+  );
+
+  const fetched = await directApiService._tryGotScrapingFast('tataCliq', 'boat airdopes', 'test-request');
+  assert.equal(fetched[0].name, 'boat airdopes (Black)');
+
+  const parsed = await directApiService._parseResponseData('tataCliq', {
+    searchresult: [{ productId: 'MP000000017401234', productname: 'boAt Airdopes 141', price: { sellingPrice: { doubleValue: 1299 } }, webURL: '/p-mp000000017401234?size=M&utm_source=x' }]
+  });
+  const [product] = normaliseProducts(parsed);
+  assert.equal(product.retailerId, 'tataCliq');
+  assert.equal(product.retailerName, 'Tata CLiQ');
+  assert.equal(product.price, 129900);
+  assert.equal(product.url, 'https://www.tatacliq.com/p-mp000000017401234?size=M');
+
+  assert.equal(resolveRetailer('Tata CLiQ').id, 'tataCliq');
+  assert.equal(retailerForUrl('https://www.tatacliq.com/p-mp000000017401234').id, 'tataCliq');
+  assert.equal(
+    canonicaliseUrl('https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY/ref=sr_1_3', resolveRetailer('amazon')),
+    'https://www.amazon.in/dp/B0CHX1W1XY'
+  );
+});
@@ -0,0 +1,124 @@
+/**
+ * Search job progress and cancellation tests with the retailer strategies stubbed out
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-jobs-'));
+process.env.PRICE_HISTORY_FILE = path.join(storageDir, 'price_history.ndjson');
+process.env.SELECTOR_HEALTH_FILE = path.join(storageDir, 'selector_health.json');
+process.env.CIRCUIT_BREAKER_FILE = path.join(storageDir, 'circuit_breakers.json');
+process.env.SEARCH_JOB_MAX_RUNNING = '2';
+
+const searchJobService = require('../services/searchJobService');
+const scraperService = require('../scraper/scraperService');
+const abortRegistry = require('../scraper/abortRegistry');
+const circuitBreaker = require('../scraper/circuitBreaker');
+
+const listing = (source, id, name, price) => ({ id, name, price, url: `/p/${id}`, source, available: true });
+
+// Resolves once the request is aborted, the way got-scraping rejects on its signal
+const untilAborted = (requestId) => new Promise((resolve, reject) => {
+  abortRegistry.signalFor(requestId).addEventListener('abort', () => reject(new Error('The operation was aborted')));
+});
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 200 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(predicate());
+};
+
+scraperService.retryDelayMs = 0;
+scraperService.directApiService = {
+  async searchByApi(retailer, query, requestId) {
+    if (retailer === 'amazon') {
+      return [listing('amazon', 'A1', 'Apple iPhone 15 (128 GB) - Black', 69900)];
+    }
+    return untilAborted(requestId);
+  },
+  async _tryHeadlessBrowserSniffing() {
+    return [];
+  }
+};
+scraperService.playwrightService = {
+  async searchWithPlaywright() {
+    return [];
+  }
+};
+
+test('reports partial results while retailers are still running and cancels the rest', async () => {
+  const browserPage = { closed: false, async close() { this.closed = true; } };
+
+  const started = searchJobService.create('iphone 15 128gb');
+  assert.equal(started.status, 'running');
+  abortRegistry.track(started.id, browserPage);
+
+  await waitFor(() => searchJobService.get(started.id).count === 1);
+  let job = searchJobService.get(started.id);
+  assert.equal(job.status, 'running');
+  assert.deepEqual(job.retailers.amazon, { status: 'completed', strategy: 'directApi', productCount: 1 });
+  assert.equal(job.retailers.flipkart.status, 'trying');
+  assert.equal(job.products[0].price, 6990000);
+
+  const { cancelled } = await searchJobService.cancel(started.id);
+  assert.equal(cancelled, true);
+  assert.equal(browserPage.closed, true);
+
+  job = searchJobService.get(started.id);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.retailers.flipkart.status, 'cancelled');
+  assert.equal(job.count, 1);
+
+  // Cancelled strategies unwind without counting as retailer failures
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(circuitBreaker.get('flipkart').consecutiveFailures, 0);
+  assert.equal(searchJobService.get(started.id).status, 'cancelled');
+
+  assert.equal((await searchJobService.cancel(started.id)).cancelled, false);
+  assert.equal(await searchJobService.cancel('missing'), null);
+});
+
+test('refuses new jobs while the maximum are running and prunes expired ones', async () => {
+  const first = searchJobService.create('iphone 15');
+  const second = searchJobService.create('pixel 8');
+  assert.equal(searchJobService.create('galaxy s24'), null);
+
+  await searchJobService.cancel(first.id);
+  const third = searchJobService.create('galaxy s24');
+  assert.equal(third.status, 'running');
+
+  await searchJobService.cancel(second.id);
+  await searchJobService.cancel(third.id);
+
+  // The prune timer drops jobs that finished before the TTL
+  searchJobService.jobs.get(first.id).finishedAt = new Date(Date.now() - 31 * 60 * 1000).toISOString();
+  searchJobService._prune();
+  assert.equal(searchJobService.get(first.id), null);
+  assert.equal(searchJobService.get(second.id).status, 'cancelled');
+});
+
+test('completes with grouped, relevance-filtered results', async () => {
+  scraperService.directApiService.searchByApi = async (retailer) => ({
+    amazon: [
+      listing('amazon', 'A1', 'Apple iPhone 15 (128 GB) - Black', 69900),
+      listing('amazon', 'C1', 'Spigen Back Cover Case for iPhone 15', 999)
+    ],
+    flipkart: [listing('flipkart', 'F1', 'Apple iPhone 15 (Black, 128 GB)', 64999)]
+  }[retailer] || []);
+
+  const { id } = searchJobService.create('iphone 15 128gb', { dropLowRelevance: true });
+  await waitFor(() => searchJobService.get(id).status !== 'running');
+
+  const job = searchJobService.get(id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.count, 2);
+  assert.equal(job.droppedCount, 1);
+  assert.equal(job.groups.length, 1);
+  assert.equal(job.retailers.croma.status, 'failed');
+  assert.equal(abortRegistry.signalFor(id), undefined);
+});
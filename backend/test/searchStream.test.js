@@ -0,0 +1,97 @@
+/**
+ * Streaming search tests with the retailer strategies stubbed out
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-stream-'));
+process.env.PRICE_HISTORY_FILE = path.join(storageDir, 'price_history.ndjson');
+process.env.SELECTOR_HEALTH_FILE = path.join(storageDir, 'selector_health.json');
+
+const directApiService = require('../scraper/directApiService');
+const cacheService = require('../services/cacheService');
+
+const listing = (source, id, name, price) => ({ id, name, price, url: `/p/${id}`, source, available: true });
+
+// Amazon answers on the first strategy, Flipkart only on the third, everyone else finds nothing
+directApiService._tryGotScrapingFast = async (retailer) =>
+  retailer === 'amazon' ? [listing('amazon', 'A1', 'Apple iPhone 15 (128 GB) - Black', 69900)] : [];
+directApiService._tryDirectApi = async () => [];
+directApiService._tryGraphQlEndpoint = async (retailer) => {
+  if (retailer === 'flipkart') {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return [listing('flipkart', 'F1', 'Apple iPhone 15 (Black, 128 GB)', 64999)];
+  }
+  throw new Error('blocked');
+};
+directApiService._tryHarvestedEndpoint = async () => [];
+directApiService._tryHeadlessBrowserSniffing = async () => [];
+
+test('streams each retailer as it finishes and ends with a summary', async () => {
+  const events = [];
+  const results = await directApiService.streamSearch('iphone 15 128gb', {
+    isRetailerInCooldown: retailer => retailer === 'meesho'
+  }, event => events.push(event));
+
+  const productEvents = events.filter(event => event.type === 'products');
+  assert.deepEqual(productEvents.map(event => [event.retailer, event.strategy]), [
+    ['amazon', 'GotScraping Fast API'],
+    ['flipkart', 'GraphQL Endpoint']
+  ]);
+  assert.equal(productEvents[0].products[0].price, 6990000);
+
+  assert.ok(events.some(event => event.retailer === 'meesho' && event.status === 'cooldown'));
+  assert.ok(events.some(event => event.retailer === 'croma' && event.status === 'strategy_failed' && event.error === 'blocked'));
+  assert.ok(events.some(event => event.retailer === 'croma' && event.status === 'failed'));
+  assert.ok(!events.some(event => event.retailer === 'meesho' && event.status === 'trying'));
+
+  const done = events[events.length - 1];
+  assert.equal(done.type, 'done');
+  assert.equal(done.count, 2);
+  assert.equal(done.groups.length, 1);
+  assert.deepEqual(done.skippedRetailers, ['meesho']);
+  assert.deepEqual(results.failedRetailers.sort(), ['croma', 'relianceDigital']);
+
+  // A run that skipped a retailer is not cached
+  assert.equal(await cacheService.get('search', 'search:iphone 15 128gb'), null);
+});
+
+test('replays cached results as per-retailer events', async () => {
+  await directApiService.streamSearch('iphone 15', {}, () => {});
+
+  const events = [];
+  await directApiService.streamSearch('iphone 15', {}, event => events.push(event));
+
+  assert.deepEqual(events.map(event => [event.type, event.retailer]), [
+    ['products', 'amazon'],
+    ['products', 'flipkart'],
+    ['done', undefined]
+  ]);
+  assert.equal(events[2].cached, true);
+  await cacheService.clear('search');
+});
+
+test('shares one cache entry between spellings of a query but searches retailers as typed', async () => {
+  const sentQueries = [];
+  const tryGotScrapingFast = directApiService._tryGotScrapingFast;
+  directApiService._tryGotScrapingFast = async (retailer, query) => {
+    sentQueries.push(query);
+    return tryGotScrapingFast(retailer, query);
+  };
+
+  await directApiService.streamSearch('  Apple iPhone-15 ', {}, () => {});
+  const events = [];
+  const results = await directApiService.streamSearch('iphone 15', {}, event => events.push(event));
+
+  assert.equal(results.cached, true);
+  assert.ok(events.every(event => event.type === 'done' || event.strategy === 'cache'));
+  assert.ok(await cacheService.get('search', 'search:apple iphone 15'));
+  assert.deepEqual([...new Set(sentQueries)], ['Apple iPhone-15']);
+
+  directApiService._tryGotScrapingFast = tryGotScrapingFast;
+  await cacheService.clear('search');
+});
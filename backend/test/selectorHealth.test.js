@@ -0,0 +1,107 @@
+/**
+ * Unit tests for selector probing and regression detection in selectorHealth
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+
+process.env.SELECTOR_HEALTH_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'selector-health-')), 'selector_health.json');
+
+const selectorHealth = require('../scraper/selectorHealth');
+
+const selectorSet = {
+  card: 'div[data-id]',
+  fields: { title: 'a[title]', price: '.Nx9bqj', rating: '.XQDdHH' }
+};
+
+const product = (overrides = {}) => ({ name: 'Apple iPhone 15', price: 64999, image: 'https://img/1.jpg', rating: 4.6, url: '/p/1', ...overrides });
+
+/**
+ * Record scrapes of a search page
+ * @param {number} count - Number of scrapes
+ * @param {string} html - Result page
+ * @param {Array} products - Products each scrape returned
+ */
+function recordScrapes(count, html, products) {
+  const $ = cheerio.load(html);
+  for (let i = 0; i < count; i++) {
+    selectorHealth.record('flipkart', 'fastFetch', { products, selectors: selectorHealth.probeCheerio($, selectorSet) });
+  }
+}
+
+const healthyPage = `
+  <div data-id="A"><a title="iPhone 15"></a><div class="Nx9bqj">₹64,999</div><div class="XQDdHH">4.6</div></div>
+  <div data-id="B"><a title="iPhone 15 Plus"></a><div class="Nx9bqj">₹73,999</div></div>`;
+
+beforeEach(() => selectorHealth.reset());
+
+test('probes how many cards each field selector matched', () => {
+  const probe = selectorHealth.probeCheerio(cheerio.load(healthyPage), selectorSet);
+
+  assert.equal(probe.cards, 2);
+  assert.deepEqual(probe.fields.price, { selector: '.Nx9bqj', matched: 2 });
+  assert.equal(probe.fields.rating.matched, 1);
+});
+
+test('waits for a baseline before judging a retailer', () => {
+  recordScrapes(8, healthyPage, [product(), product()]);
+
+  const report = selectorHealth.getReport();
+  assert.equal(report.retailers.flipkart.status, 'insufficient_data');
+  assert.equal(report.retailers.flipkart.extractors.fastFetch.recent.selectors['price (.Nx9bqj)'], 1);
+  assert.equal(report.retailers.flipkart.extractors.fastFetch.recent.fields.rating, 1);
+});
+
+test('flags selector and field regressions against the rolling baseline', () => {
+  recordScrapes(15, healthyPage, [product(), product()]);
+  assert.equal(selectorHealth.getReport().retailers.flipkart.status, 'ok');
+
+  // The price class was renamed: cards still match, prices come back empty
+  const renamedPage = healthyPage.replace(/Nx9bqj/g, 'hl05eU');
+  recordScrapes(5, renamedPage, [product({ price: null }), product({ price: null })]);
+
+  const report = selectorHealth.getReport('flipkart');
+  assert.equal(report.retailers.flipkart.status, 'degraded');
+  assert.deepEqual(
+    report.regressions.map(regression => [regression.metric, regression.name, regression.baseline, regression.recent]),
+    [['field', 'price', 1, 0], ['selector', 'price (.Nx9bqj)', 1, 0]]
+  );
+  assert.equal(report.regressions[0].retailer, 'flipkart');
+});
+
+test('an empty result page shows up as lost yield and a dead card selector', () => {
+  recordScrapes(12, healthyPage, [product()]);
+  recordScrapes(5, '<div class="captcha"></div>', []);
+
+  const regressions = selectorHealth.getReport().regressions.map(regression => `${regression.metric}:${regression.name}`);
+  assert.deepEqual(regressions, ['yield:products', 'selector:card (div[data-id])']);
+});
+
+test('flags a regression again when it comes back after recovering', () => {
+  const flagged = [];
+  const listener = regression => flagged.push(`${regression.metric}:${regression.name}`);
+  selectorHealth.onRegression(listener);
+
+  try {
+    const renamedPage = healthyPage.replace(/Nx9bqj/g, 'hl05eU');
+    recordScrapes(15, healthyPage, [product(), product()]);
+    recordScrapes(5, renamedPage, [product({ price: null }), product({ price: null })]);
+    assert.deepEqual(flagged, ['field:price', 'selector:price (.Nx9bqj)']);
+
+    // Still broken: no repeat
+    recordScrapes(1, renamedPage, [product({ price: null }), product({ price: null })]);
+    assert.equal(flagged.length, 2);
+
+    recordScrapes(5, healthyPage, [product(), product()]);
+    assert.equal(selectorHealth.getReport().retailers.flipkart.status, 'ok');
+
+    recordScrapes(5, renamedPage, [product({ price: null }), product({ price: null })]);
+    assert.deepEqual(flagged.slice(2), ['field:price', 'selector:price (.Nx9bqj)']);
+  } finally {
+    selectorHealth.regressionListeners.splice(selectorHealth.regressionListeners.indexOf(listener), 1);
+  }
+});
@@ -0,0 +1,119 @@
+/**
+ * Selector repair tests: Groq proposals validated against a captured page, with the API call stubbed out
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-repair-'));
+process.env.SELECTOR_HEALTH_FILE = path.join(storageDir, 'selector_health.json');
+process.env.SELECTOR_OVERRIDES_FILE = path.join(storageDir, 'selector_overrides.json');
+process.env.SELECTOR_CAPTURE_DIR = path.join(storageDir, 'captures');
+
+const groqService = require('../services/groqService');
+const selectorHealth = require('../scraper/selectorHealth');
+const selectorOverrides = require('../scraper/selectorOverrides');
+const selectorRepairService = require('../services/selectorRepairService');
+const directApiService = require('../scraper/directApiService');
+
+// Flipkart after a redesign: none of the fastFetch selectors match any more
+const card = (id, title, price) => `
+  <div class="res-card" data-id="${id}">
+    <a class="res-link" href="/apple-iphone/p/${id}" onclick="track()">
+      <img class="res-img" src="https://img/${id}.jpg">
+      <div class="res-title">${title}</div>
+    </a>
+    <div class="res-price">₹${price}</div>
+  </div>`;
+const redesignedPage = `<html><head><script>window.__STATE__ = {}</script><style>.res-card{}</style></head><body>
+  <header>Flipkart</header>
+  ${card('MOBA', 'Apple iPhone 15 (Black, 128 GB)', '64,999')}
+  ${card('MOBB', 'Apple iPhone 15 (Blue, 128 GB)', '64,999')}
+  ${card('MOBC', 'Apple iPhone 15 Plus (Black, 128 GB)', '73,999')}
+</body></html>`;
+
+const proposal = {
+  card: 'div.res-card',
+  fields: { title: '.res-title', price: '.res-price', image: 'img.res-img', link: 'a.res-link' },
+  notes: 'Result cards were renamed to res-card.'
+};
+
+// Replaces the network call with a canned proposal and records the prompts sent
+const reply = (content) => {
+  const calls = [];
+  groqService.callGroqAPI = async (messages, parameters) => {
+    calls.push({ messages, parameters });
+    return { choices: [{ message: { content: JSON.stringify(content) } }] };
+  };
+  return calls;
+};
+
+beforeEach(() => {
+  selectorOverrides.reset();
+  selectorHealth.record('flipkart', 'fastFetch', { products: [], html: redesignedPage });
+});
+
+test('validates proposed selectors against the captured page and waits for approval', async () => {
+  const calls = reply(proposal);
+
+  const result = await selectorRepairService.repair('flipkart', 'fastFetch', { reason: 'test' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.override.status, 'pending');
+  assert.deepEqual(result.override.previous.card, 'div[data-id]');
+  assert.equal(result.override.validation.cards, 3);
+  assert.deepEqual(result.override.validation.fields, { title: 1, price: 1, image: 1, link: 1 });
+  assert.deepEqual(result.override.validation.samples[0], {
+    name: 'Apple iPhone 15 (Black, 128 GB)',
+    price: 64999,
+    url: 'https://www.flipkart.com/apple-iphone/p/MOBA',
+    image: 'https://img/MOBA.jpg'
+  });
+
+  // The page is sent without scripts, styles or event handlers
+  const prompt = calls[0].messages[1].content;
+  assert.match(prompt, /class="res-card" data-id="MOBA"/);
+  assert.doesNotMatch(prompt, /__STATE__|onclick|\.res-card\{\}/);
+
+  // Pending overrides are not used by the extractors
+  const $ = cheerio.load(redesignedPage);
+  assert.equal(directApiService._extractWithOverride('flipkart', 'fastFetch', $), null);
+  assert.equal(selectorOverrides.selectorSetFor('flipkart', 'fastFetch').card, 'div[data-id]');
+
+  selectorOverrides.approve(result.override.id);
+
+  const products = directApiService._extractWithOverride('flipkart', 'fastFetch', $);
+  assert.equal(products.length, 3);
+  assert.equal(products[2].price, 73999);
+  assert.equal(products[2].fetch_strategy, 'selector_override');
+  assert.equal(selectorOverrides.selectorSetFor('flipkart', 'fastFetch').card, 'div.res-card');
+});
+
+test('stores proposals that fail validation as invalid', async () => {
+  reply({ ...proposal, fields: { ...proposal.fields, price: '.price-now' } });
+
+  const result = await selectorRepairService.repair('flipkart', 'fastFetch');
+
+  assert.equal(result.success, false);
+  assert.equal(result.override.status, 'invalid');
+  assert.deepEqual(result.override.validation.errors, [
+    'price selector matched 0% of cards',
+    '0 of 3 cards gave a product with a name, price and link'
+  ]);
+  assert.equal(selectorOverrides.reject(result.override.id), null);
+  assert.equal(selectorOverrides.active('flipkart', 'fastFetch'), null);
+});
+
+test('approving an override supersedes the active one', () => {
+  const first = selectorOverrides.add({ retailer: 'flipkart', extractor: 'browser', selectors: proposal }, 'active');
+  const second = selectorOverrides.add({ retailer: 'flipkart', extractor: 'browser', selectors: { ...proposal, card: 'li.res-card' } });
+
+  selectorOverrides.approve(second.id);
+
+  assert.equal(selectorOverrides.get(first.id).status, 'superseded');
+  assert.equal(selectorOverrides.active('flipkart', 'browser').id, second.id);
+});
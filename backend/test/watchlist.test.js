@@ -0,0 +1,212 @@
+/**
+ * Unit tests for price-drop watches, alert deduplication and the re-check scheduler
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+process.env.WATCHLIST_FILE = path.join(storageDir, 'watchlist.json');
+process.env.ALERT_LOG_FILE = path.join(storageDir, 'alerts.log');
+process.env.PRICE_HISTORY_FILE = path.join(storageDir, 'price_history.ndjson');
+process.env.WATCHLIST_MAX_WATCHES = '5';
+
+const watchlistService = require('../services/watchlistService');
+const watchScheduler = require('../services/watchScheduler');
+const { normaliseProducts } = require('../models/product');
+
+const offers = (amazonPrice, flipkartPrice) => normaliseProducts([
+  { id: 'B0CHX1W1XY', name: 'Apple iPhone 15 (128 GB) - Black', price: amazonPrice, url: '/dp/B0CHX1W1XY', source: 'amazon', available: true },
+  { id: 'MOBGTAGPTB3VS24W', name: 'Apple iPhone 15 (Black, 128 GB)', price: flipkartPrice, url: '/apple-iphone-15/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W', source: 'flipkart', available: true },
+  { id: 'case', name: 'Spigen Back Cover Case for iPhone 15', price: 999, url: '/dp/B0CASE0001', source: 'amazon', available: true }
+]);
+
+// Stands in for ScraperService so the scheduler can be tested without a network
+const fakeScraper = {
+  prices: { amazon: 69900, flipkart: 71999 },
+  cooldown: new Set(),
+  calls: [],
+  isRetailerInCooldown(retailer) {
+    return this.cooldown.has(retailer);
+  },
+  async searchRetailerWithFallback(retailer, query) {
+    this.calls.push(retailer);
+    return offers(this.prices.amazon, this.prices.flipkart).filter(product => product.retailerId === retailer);
+  }
+};
+watchScheduler.scraperService = fakeScraper;
+
+const alertCount = () => fs.existsSync(process.env.ALERT_LOG_FILE)
+  ? fs.readFileSync(process.env.ALERT_LOG_FILE, 'utf8').trim().split('\n').length
+  : 0;
+
+test('validates new watches', () => {
+  const { watch, errors } = watchlistService.create({ targetPrice: 12.5, retailers: ['ebay'], notify: [{ type: 'pager' }] });
+
+  assert.equal(watch, null);
+  assert.deepEqual(errors, [
+    'query or productUrl is required',
+    'unknown retailers: ebay',
+    'targetPrice must be a positive integer amount in paise',
+    'unknown notification channel "pager"'
+  ]);
+});
+
+test('only accepts webhooks on configured hosts', async () => {
+  const alertNotifiers = require('../services/alertNotifiers');
+  process.env.ALERT_WEBHOOK_HOSTS = 'hooks.example.com, alerts.example.com:8443';
+
+  try {
+    const errors = [
+      'https://hooks.example.com/price-drop',
+      'https://alerts.example.com:8443/in',
+      'http://127.0.0.1:5000/api/admin/proxies',
+      'http://169.254.169.254/latest/meta-data/',
+      'https://alerts.example.com/in',
+      'file:///etc/passwd'
+    ].map(url => alertNotifiers.validateChannel({ type: 'webhook', url }));
+
+    assert.deepEqual(errors, [
+      null,
+      null,
+      'webhook host 127.0.0.1:5000 is not in ALERT_WEBHOOK_HOSTS',
+      'webhook host 169.254.169.254 is not in ALERT_WEBHOOK_HOSTS',
+      'webhook host alerts.example.com is not in ALERT_WEBHOOK_HOSTS',
+      'webhook channel needs an http(s) url'
+    ]);
+
+    // A watch stored before its host left the allowlist is refused at send time
+    delete process.env.ALERT_WEBHOOK_HOSTS;
+    const [delivery] = await alertNotifiers.notify({}, [{ type: 'webhook', url: 'https://hooks.example.com/price-drop' }]);
+    assert.deepEqual(delivery, {
+      type: 'webhook', success: false, error: 'webhook host hooks.example.com is not in ALERT_WEBHOOK_HOSTS'
+    });
+  } finally {
+    delete process.env.ALERT_WEBHOOK_HOSTS;
+  }
+});
+
+test('only emails configured recipients', async () => {
+  const alertNotifiers = require('../services/alertNotifiers');
+  process.env.SMTP_HOST = 'smtp.example.com';
+  process.env.ALERT_EMAIL_TO = 'deals@example.com';
+  process.env.ALERT_EMAIL_RECIPIENTS = 'ops@example.com, @cumpair.in';
+
+  try {
+    const errors = [
+      {},
+      { to: 'OPS@example.com' },
+      { to: 'priya@cumpair.in, deals@example.com' },
+      { to: 'victim@example.org' },
+      { to: 'ops@example.com, spam@cumpair.in.evil.com' }
+    ].map(channel => alertNotifiers.validateChannel({ type: 'email', ...channel }));
+
+    assert.deepEqual(errors, [
+      null,
+      null,
+      null,
+      'email recipients victim@example.org are not in ALERT_EMAIL_RECIPIENTS',
+      'email recipients spam@cumpair.in.evil.com are not in ALERT_EMAIL_RECIPIENTS'
+    ]);
+
+    delete process.env.ALERT_EMAIL_RECIPIENTS;
+    const [delivery] = await alertNotifiers.notify({}, [{ type: 'email', to: 'ops@example.com' }]);
+    assert.equal(delivery.error, 'email recipients ops@example.com are not in ALERT_EMAIL_RECIPIENTS');
+  } finally {
+    delete process.env.SMTP_HOST;
+    delete process.env.ALERT_EMAIL_TO;
+    delete process.env.ALERT_EMAIL_RECIPIENTS;
+  }
+});
+
+test('caps the number of watches', () => {
+  const created = [];
+  while (watchlistService.list().length < 5) {
+    created.push(watchlistService.create({ query: 'iphone 15', targetPrice: 6000000 }).watch.id);
+  }
+
+  const { watch, errors } = watchlistService.create({ query: 'iphone 15', targetPrice: 6000000 });
+  assert.equal(watch, null);
+  assert.deepEqual(errors, ['the watchlist is full (5 watches)']);
+
+  created.forEach(id => watchlistService.remove(id));
+});
+
+test('derives retailer and query from a product URL', () => {
+  const { watch } = watchlistService.create({
+    productUrl: 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_1?keywords=iphone',
+    targetPrice: 6000000
+  });
+
+  assert.equal(watch.productUrl, 'https://www.amazon.in/dp/B0CHX1W1XY');
+  assert.equal(watch.query, 'Apple iPhone 15 128 GB');
+  assert.deepEqual(watch.retailers, ['amazon']);
+  assert.deepEqual(watch.notify, [{ type: 'log' }]);
+  assert.ok(watchlistService.remove(watch.id));
+
+  // A stray % in the slug is kept rather than failing the decode
+  const { watch: sale } = watchlistService.create({
+    productUrl: 'https://www.amazon.in/Apple-iPhone-15-Flat-10%-Off/dp/B0CHX1W1XY',
+    targetPrice: 6000000
+  });
+  assert.equal(sale.query, 'Apple iPhone 15 Flat 10% Off');
+  assert.ok(watchlistService.remove(sale.id));
+});
+
+test('alerts once per drop and re-arms when the price recovers', async () => {
+  const { watch } = watchlistService.create({ query: 'iphone 15 128gb', retailers: ['amazon', 'flipkart'], targetPrice: 6500000 });
+  const check = async () => watchScheduler.checkWatch(watchlistService.get(watch.id));
+
+  let result = await check();
+  assert.equal(result.alert, null);
+  assert.equal(result.bestOffer.retailerId, 'amazon');
+  assert.equal(result.bestOffer.price, 6990000);
+
+  // Drops below target at Flipkart: one alert, ignoring the cheap accessory
+  fakeScraper.prices = { amazon: 69900, flipkart: 64999 };
+  result = await check();
+  assert.equal(result.alert.product.retailerId, 'flipkart');
+  assert.deepEqual(result.deliveries, [{ type: 'log', success: true }]);
+
+  // Same price again: deduplicated
+  result = await check();
+  assert.equal(result.alert, null);
+
+  // Lower still: alerts again with the previous price
+  fakeScraper.prices = { amazon: 62999, flipkart: 64999 };
+  result = await check();
+  assert.equal(result.alert.previousPrice, 6499900);
+  assert.equal(result.alert.product.price, 6299900);
+
+  // Back above target re-arms, so the next drop fires even at the same price
+  fakeScraper.prices = { amazon: 69900, flipkart: 71999 };
+  await check();
+  assert.equal(watchlistService.get(watch.id).lastAlert, null);
+  fakeScraper.prices = { amazon: 62999, flipkart: 71999 };
+  result = await check();
+  assert.ok(result.alert);
+
+  assert.equal(alertCount(), 3);
+  watchlistService.remove(watch.id);
+});
+
+test('skips retailers in cooldown and leaves the watch due', async () => {
+  const { watch } = watchlistService.create({ query: 'iphone 15 128gb', retailers: ['amazon'], targetPrice: 6500000 });
+  fakeScraper.cooldown.add('amazon');
+  fakeScraper.calls = [];
+
+  const results = await watchScheduler.runDueChecks();
+  const result = results.find(r => r.watchId === watch.id);
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.skippedRetailers, ['amazon']);
+  assert.deepEqual(fakeScraper.calls, []);
+  assert.ok(watchlistService.isDue(watchlistService.get(watch.id)));
+
+  fakeScraper.cooldown.clear();
+  await watchScheduler.runDueChecks();
+  assert.equal(watchlistService.isDue(watchlistService.get(watch.id)), false);
+});
@@ -0,0 +1,140 @@
+/**
+ * Worker pool dispatch, crash/timeout recovery and cancellation tests, using a
+ * fake worker that speaks the scraperWorker.js protocol
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CIRCUIT_BREAKER_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-')), 'circuit_breakers.json');
+
+const WorkerPool = require('../scraper/workerPool');
+const scraperService = require('../scraper/scraperService');
+const abortRegistry = require('../scraper/abortRegistry');
+const circuitBreaker = require('../scraper/circuitBreaker');
+
+/**
+ * Stand-in for scraperWorker.js that speaks the same protocol without scraping
+ * The query picks the behaviour: "hang", "crash", "slow" or anything else to succeed.
+ * Written out to a temp file because the test runner would execute it if it lived under test/.
+ */
+function fakeScraperWorker() {
+  const { parentPort, threadId } = require('worker_threads');
+
+  const running = new Map();
+
+  parentPort.on('message', (message) => {
+    if (message.type === 'cancel') {
+      // Only cancellable tasks ("slow") answer a cancel; "hang" ignores it
+      const finish = running.get(message.requestId);
+      if (finish) finish();
+      return;
+    }
+
+    const { taskId, retailer, query, requestId } = message;
+    parentPort.postMessage({ type: 'progress', taskId, status: 'trying', strategy: 'fake' });
+
+    if (query === 'crash') {
+      throw new Error('worker blew up');
+    }
+    if (query === 'hang') {
+      return;
+    }
+    if (query === 'slow') {
+      running.set(requestId, () => {
+        running.delete(requestId);
+        parentPort.postMessage({ type: 'result', taskId, retailer, success: false, products: [], cancelled: true, error: 'aborted' });
+      });
+      return;
+    }
+
+    setTimeout(() => {
+      parentPort.postMessage({
+        type: 'result',
+        taskId,
+        retailer,
+        success: true,
+        strategy: 'fake',
+        products: [{ id: `${retailer}-1`, title: query, threadId }]
+      });
+    }, 20);
+  });
+}
+
+const workerFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-')), 'fakeScraperWorker.js');
+fs.writeFileSync(workerFile, `(${fakeScraperWorker.toString()})();\n`);
+
+const pools = [];
+const createPool = (options) => {
+  const pool = new WorkerPool({ workerFile, ...options });
+  pools.push(pool);
+  return pool;
+};
+
+after(() => Promise.all(pools.map(pool => pool.shutdown())));
+
+test('runs tasks on at most size workers', async () => {
+  const pool = createPool({ size: 2 });
+  const progress = [];
+
+  const tasks = ['amazon', 'flipkart', 'croma', 'meesho'].map(retailer =>
+    pool.run({ retailer, query: 'iphone 15' }, { onProgress: message => progress.push(message.strategy) }));
+  assert.deepEqual(pool.getStatus(), { size: 2, workers: 2, busy: 2, queued: 2, completed: 0, failed: 0, timedOut: 0, crashed: 0, restarts: 0 });
+
+  const results = await Promise.all(tasks);
+  assert.deepEqual(results.map(result => result.products[0].id), ['amazon-1', 'flipkart-1', 'croma-1', 'meesho-1']);
+  assert.equal(new Set(results.map(result => result.products[0].threadId)).size, 2);
+  assert.equal(progress.length, 4);
+  assert.equal(pool.getStatus().completed, 4);
+});
+
+test('replaces workers that crash or hang', async () => {
+  const pool = createPool({ size: 1, taskTimeoutMs: 200 });
+
+  await assert.rejects(pool.run({ retailer: 'amazon', query: 'crash' }), /worker blew up/);
+  await assert.rejects(pool.run({ retailer: 'amazon', query: 'hang' }), /timed out after 200ms/);
+
+  const result = await pool.run({ retailer: 'amazon', query: 'iphone 15' });
+  assert.equal(result.success, true);
+  assert.deepEqual(
+    { crashed: pool.getStatus().crashed, timedOut: pool.getStatus().timedOut, restarts: pool.getStatus().restarts, workers: pool.getStatus().workers },
+    { crashed: 1, timedOut: 1, restarts: 2, workers: 1 }
+  );
+});
+
+test('cancels running and queued tasks of a request', async () => {
+  const pool = createPool({ size: 1 });
+
+  const running = pool.run({ retailer: 'amazon', query: 'slow' }, { requestId: 'job-1' });
+  const queued = pool.run({ retailer: 'flipkart', query: 'iphone 15' }, { requestId: 'job-1' });
+  const other = pool.run({ retailer: 'croma', query: 'iphone 15' }, { requestId: 'job-2' });
+  const queuedRejected = assert.rejects(queued, { name: 'AbortError' });
+  pool.cancel('job-1');
+
+  assert.equal((await running).cancelled, true);
+  await queuedRejected;
+  assert.equal((await other).success, true);
+});
+
+test('ScraperService dispatches retailer searches to the pool and tracks their status', async () => {
+  scraperService.workerPool = createPool({ size: 1, taskTimeoutMs: 200 });
+
+  const products = await scraperService.searchRetailerWithFallback('amazon', 'iphone 15', 'req-1');
+  assert.equal(products[0].id, 'amazon-1');
+
+  const progress = [];
+  assert.deepEqual(await scraperService.searchRetailerWithFallback('flipkart', 'hang', 'req-2', p => progress.push(p.status)), []);
+  assert.deepEqual(progress, ['trying', 'failed']);
+  assert.equal(circuitBreaker.get('flipkart').consecutiveFailures, 1);
+
+  // Aborting the request reaches the worker and is not counted as a failure
+  abortRegistry.register('req-3');
+  const search = scraperService.searchRetailerWithFallback('croma', 'slow', 'req-3');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await abortRegistry.abort('req-3');
+  assert.deepEqual(await search, []);
+  assert.equal(circuitBreaker.get('croma').consecutiveFailures, 0);
+});
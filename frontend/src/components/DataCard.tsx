@@ -6,6 +6,8 @@ import { Card, CardContent } from '@/components/ui/card';
 
 export interface ProductData {
   id?: string;
+  groupId?: string; // Matched product group shared by offers for the same item
+  historyKey?: string; // "<retailerId>:<productId>" key for the price history endpoint
   name: string;
   image?: string;
   imageUrl?: string; // Alternative field name
@@ -89,6 +91,7 @@ const DataCard: React.FC<DataCardProps> = ({ product, index, onSelect }) => {
   const handleCardClick = () => {
     const normalizedProduct = {
       id: productId,
+      historyKey: product.historyKey,
       name: productName,
       image: productImage,
       imageUrl: productImage,
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
+import { TrendingDown } from 'lucide-react';
+import { Card } from '@/components/ui/card';
+import { ChartConfig, ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import { priceHistoryApi, PriceHistorySeries, paiseToRupees } from '@/lib/api';
+
+interface PriceHistoryChartProps {
+  historyKey: string; // "<retailerId>:<productId>"
+  days?: number;
+}
+
+const chartConfig = {
+  price: {
+    label: 'Price',
+    color: '#22d3ee'
+  }
+} satisfies ChartConfig;
+
+const formatRupees = (paise: number) => `₹${(paiseToRupees(paise) || 0).toLocaleString('en-IN')}`;
+
+const PriceHistoryChart: React.FC<PriceHistoryChartProps> = ({ historyKey, days = 90 }) => {
+  const [series, setSeries] = useState<PriceHistorySeries | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    priceHistoryApi.getHistory([historyKey], days)
+      .then(([result]) => {
+        if (!cancelled) setSeries(result || null);
+      })
+      .catch(err => {
+        console.error('Error fetching price history:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [historyKey, days]);
+
+  // A single observation is not a history yet
+  if (!series || !series.stats || series.points.length < 2) {
+    return null;
+  }
+
+  const { stats } = series;
+  const chartData = series.points.map(point => ({
+    date: new Date(point.timestamp).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' }),
+    price: paiseToRupees(point.price)
+  }));
+
+  // Report the longest window in which today's price is the lowest
+  const lowestWindow = Object.entries(series.lowestInDays)
+    .filter(([, isLowest]) => isLowest)
+    .map(([windowDays]) => Number(windowDays))
+    .sort((a, b) => b - a)[0];
+
+  return (
+    <Card className="mt-8 p-6 bg-black/40 border-cyan-600/30">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-bold text-cyan-200">Price History</h2>
+        {lowestWindow && (
+          <span className="flex items-center gap-1 px-2 py-1 rounded bg-green-900/40 text-green-300 text-sm">
+            <TrendingDown size={14} />
+            Lowest in {lowestWindow} days
+          </span>
+        )}
+      </div>
+
+      <ChartContainer config={chartConfig} className="h-64 w-full aspect-auto">
+        <LineChart data={chartData} margin={{ left: 12, right: 12 }}>
+          <CartesianGrid vertical={false} />
+          <XAxis dataKey="date" tickLine={false} axisLine={false} />
+          <YAxis
+            tickLine={false}
+            axisLine={false}
+            width={80}
+            domain={['auto', 'auto']}
+            tickFormatter={(value: number) => `₹${value.toLocaleString('en-IN')}`}
+          />
+          <ChartTooltip content={<ChartTooltipContent />} />
+          <Line dataKey="price" type="stepAfter" stroke="var(--color-price)" strokeWidth={2} dot={false} />
+        </LineChart>
+      </ChartContainer>
+
+      <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+        <div>
+          <p className="text-xs text-gray-400">Lowest</p>
+          <p className="text-green-300 font-medium">{formatRupees(stats.min)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400">Average</p>
+          <p className="text-gray-200 font-medium">{formatRupees(stats.avg)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-400">Highest</p>
+          <p className="text-red-300 font-medium">{formatRupees(stats.max)}</p>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default PriceHistoryChart;
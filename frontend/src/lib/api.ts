@@ -44,6 +44,170 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Product as returned by every search endpoint (backend/models/product.js).
+ * Prices are integer paise; divide by 100 for rupees.
+ */
+export interface CanonicalProduct {
+  id: string;
+  retailerId: string;
+  retailerName: string;
+  title: string;
+  price: number;
+  mrp: number | null;
+  currency: string;
+  discountPercentage: number;
+  availability: 'in_stock' | 'out_of_stock' | 'unknown';
+  seller: string | null;
+  sponsored: boolean;
+  rating: number | null;
+  ratingCount: number | null;
+  imageUrl: string | null;
+  url: string;
+  fetchStrategy: string;
+  fetchedAt: string;
+  issues: string[];
+  relevanceScore?: number;
+}
+
+/**
+ * Listings of the same item across retailers (backend/services/productMatcher.js).
+ * Offers are sorted so offers[0] is the cheapest in-stock offer.
+ */
+export interface ProductGroup {
+  id: string;
+  title: string;
+  brand: string | null;
+  variant: {
+    storage: number | null;
+    size: number | null;
+    colour: string | null;
+  };
+  offers: CanonicalProduct[];
+  offerCount: number;
+  retailerCount: number;
+  currency: string;
+  lowestPrice: number;
+  highestPrice: number;
+  savings: number;
+  lowestPriceRetailer: string;
+}
+
+// Convert integer paise to rupees
+export const paiseToRupees = (paise: number | null | undefined): number | undefined =>
+  typeof paise === 'number' ? paise / 100 : undefined;
+
+/**
+ * Price history of one product (backend/services/priceHistoryStore.js).
+ * Prices are integer paise; stats cover the requested window.
+ */
+export interface PriceHistorySeries {
+  key: string;
+  retailerId: string;
+  productId: string;
+  title: string;
+  points: {
+    timestamp: string;
+    price: number;
+    mrp: number | null;
+    availability: CanonicalProduct['availability'];
+  }[];
+  stats: {
+    min: number;
+    max: number;
+    avg: number;
+    current: number;
+    observations: number;
+    firstSeen: string;
+    lastSeen: string;
+  } | null;
+  lowestInDays: Record<string, boolean>;
+}
+
+// Price history services
+export const priceHistoryApi = {
+  // Get the price history of products by "<retailerId>:<productId>" key
+  getHistory: async (keys: string[], days = 90): Promise<PriceHistorySeries[]> => {
+    const response = await api.get('/api/price-comparison/history', {
+      params: { products: keys.join(','), days }
+    });
+    return response.data.data.series;
+  }
+};
+
+/**
+ * Final results of a product search, as returned by POST /api/price-comparison/search
+ * and the 'done' event of the streaming search.
+ */
+export interface SearchResults {
+  success: boolean;
+  products?: CanonicalProduct[];
+  groups?: ProductGroup[];
+  count?: number;
+  query?: string;
+  scrapedRetailers?: string[];
+  failedRetailers?: string[];
+  skippedRetailers?: string[];
+  droppedCount?: number;
+  message?: string;
+}
+
+// Progress of one retailer during a streaming search
+export interface SearchStatusEvent {
+  retailer: string;
+  status: 'trying' | 'strategy_failed' | 'cooldown' | 'failed';
+  strategy?: string;
+  error?: string;
+}
+
+// One retailer's results during a streaming search, ranked within the batch
+export interface SearchProductsEvent {
+  retailer: string;
+  strategy: string;
+  products: CanonicalProduct[];
+}
+
+export interface SearchStreamHandlers {
+  onStatus?: (event: SearchStatusEvent) => void;
+  onProducts?: (event: SearchProductsEvent) => void;
+  onDone: (results: SearchResults) => void;
+  onError: (error: Error) => void;
+}
+
+// Streaming search services
+export const searchStreamApi = {
+  // Stream search results per retailer over Server-Sent Events; returns a function that closes the stream
+  search: (
+    query: string,
+    options: { dropLowRelevance?: boolean; minRelevance?: number },
+    handlers: SearchStreamHandlers
+  ): (() => void) => {
+    const params = new URLSearchParams({ query });
+    if (options.dropLowRelevance) params.set('dropLowRelevance', 'true');
+    if (options.minRelevance !== undefined) params.set('minRelevance', String(options.minRelevance));
+
+    const source = new EventSource(`${baseURL}/api/price-comparison/search/stream?${params}`);
+    const parse = (event: Event) => JSON.parse((event as MessageEvent).data);
+
+    source.addEventListener('status', (event) => handlers.onStatus?.(parse(event)));
+    source.addEventListener('products', (event) => handlers.onProducts?.(parse(event)));
+    source.addEventListener('done', (event) => {
+      source.close();
+      handlers.onDone(parse(event));
+    });
+    // Fired both for the server's 'error' event (which carries data) and for dropped connections
+    source.addEventListener('error', (event) => {
+      source.close();
+      const message = event instanceof MessageEvent && event.data
+        ? parse(event).message
+        : 'Lost connection to the search service';
+      handlers.onError(new Error(message));
+    });
+
+    return () => source.close();
+  }
+};
+
 // Groq API Services
 export const groqApi = {
   // Generate product summary from consolidated data
@@ -1,8 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { ArrowRight, Zap, BarChart3, Search, ShieldCheck, ExternalLink, Code, ChevronsRight, AlertCircle } from 'lucide-react';
 import { toast } from "sonner";
 import { useQuery, useMutation } from '@tanstack/react-query';
-import api from '@/lib/api';
+import api, { CanonicalProduct, ProductGroup, SearchResults, SearchStatusEvent, paiseToRupees, searchStreamApi } from '@/lib/api';
 import { debounce } from 'lodash';
 import { useLocation, useNavigate } from 'react-router-dom';
 
@@ -18,28 +18,12 @@ import FloatingStats from '@/components/FloatingStats';
 import { cn } from '@/lib/utils';
 
 // Define TypeScript interfaces for API responses
-interface ApiProduct {
-  id?: string;
-  name?: string;
-  title?: string;
-  imageUrl?: string;
-  image?: string;
-  price?: string;
-  originalPrice?: string;
-  vendor?: string;
-  retailer?: string;
-  vendorLogo?: string;
-  rating?: string | number;
-  url?: string;
-  link?: string;
-  [key: string]: any; // Allow for additional properties
-}
-
 interface ApiResponse {
   success: boolean;
-  data?: ApiProduct[];
-  results?: ApiProduct[];
-  products?: ApiProduct[];
+  data?: CanonicalProduct[];
+  results?: CanonicalProduct[];
+  products?: CanonicalProduct[];
+  groups?: ProductGroup[];
   message?: string;
   scrapedRetailers?: string[];
   failedRetailers?: string[];
@@ -60,6 +44,10 @@ const Index = () => {
   const [scrapedRetailers, setScrapedRetailers] = useState<string[]>([]);
   const [query, setQuery] = useState<string>('');
   const [isRestoring, setIsRestoring] = useState(false);
+  // Per-retailer progress of the current streaming search
+  const [retailerProgress, setRetailerProgress] = useState<Record<string, SearchStatusEvent | { retailer: string; status: 'done'; strategy: string }>>({});
+  const streamedProductsRef = useRef<CanonicalProduct[]>([]);
+  const closeSearchStreamRef = useRef<(() => void) | null>(null);
   
   const [visibleSections, setVisibleSections] = useState({
     hero: false,
@@ -208,112 +196,59 @@ const Index = () => {
     };
   }, []);
 
-  // Helper function to normalize and format product data
-  const formatProducts = (rawProducts: ApiProduct[] | any): ProductData[] => {
-    // Make sure rawProducts is an array
-    if (!rawProducts) return [];
-    if (!Array.isArray(rawProducts)) {
-      console.error('Expected rawProducts to be an array, but got:', typeof rawProducts, rawProducts);
-      return [];
-    }
-    if (rawProducts.length === 0) return [];
-    
-    const formattedProducts = rawProducts.map((item: ApiProduct) => {
-      // Normalize price by removing currency symbols and commas, handling both string and number types
-      const normalizedPrice = typeof item.price === 'string' 
-        ? item.price.replace(/[₹$€£,]/g, '') || '0'
-        : typeof item.price === 'number' 
-          ? String(item.price) 
-          : '0';
-          
-      // Also handle original price the same way
-      const normalizedOriginalPrice = typeof item.originalPrice === 'string'
-        ? item.originalPrice.replace(/[₹$€£,]/g, '') || undefined
-        : typeof item.originalPrice === 'number'
-          ? String(item.originalPrice)
-          : undefined;
-      
-      // Ensure we have a valid URL for the seller logo
-      const vendorName = (item.vendor || item.retailer || 'unknown').toLowerCase().replace(/\s/g, '');
-      const sellerLogo = item.vendorLogo || 
-        (vendorName !== 'unknown' ? `https://logo.clearbit.com/${vendorName}.com` : 'https://via.placeholder.com/50x20?text=Logo');
-      
-      // Create a more consistent ID based on product name and seller if no ID exists
-      const productId = item.id || 
-        (item.name && (item.vendor || item.retailer)) ? 
-          `${(item.name || item.title || '').toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 20)}-${vendorName}` :
-          Math.random().toString(36).substring(2, 15);
-      
-      return {
-        id: productId,
-        name: item.name || item.title || 'Unknown Product',
-        image: item.imageUrl || item.image || 'https://via.placeholder.com/300?text=No+Image',
-        price: parseFloat(normalizedPrice) || 0,
-        originalPrice: normalizedOriginalPrice ? parseFloat(normalizedOriginalPrice) : undefined,
-        seller: item.vendor || item.retailer || 'Unknown',
-        sellerLogo,
-        rating: typeof item.rating === 'string' ? parseFloat(item.rating) : (item.rating || undefined),
-        link: item.url || item.link || '#',
-        isBestDeal: false,
-        isLowestPrice: false
-      };
-    });
+  // Close an in-flight search stream when leaving the page
+  useEffect(() => () => closeSearchStreamRef.current?.(), []);
+
+  // Helper function to turn a canonical product into a card; group is unknown while results are still streaming
+  const toProductData = (item: CanonicalProduct, group?: ProductGroup): ProductData => ({
+    id: `${item.retailerId}-${item.id}`,
+    groupId: group?.id,
+    historyKey: `${item.retailerId}:${item.id}`,
+    name: item.title,
+    image: item.imageUrl || 'https://via.placeholder.com/300?text=No+Image',
+    price: paiseToRupees(item.price) || 0,
+    originalPrice: paiseToRupees(item.mrp),
+    discountPercentage: item.discountPercentage,
+    seller: item.retailerName,
+    sellerLogo: `https://logo.clearbit.com/${item.retailerName.toLowerCase().replace(/\s/g, '')}.com`,
+    rating: item.rating ?? undefined,
+    link: item.url,
+    isBestDeal: false,
+    isLowestPrice: false
+  });
 
-    // Calculate lowest price and best deal flags
-    if (formattedProducts.length > 0) {
-      // Find lowest price
-      const lowestPrice = Math.min(...formattedProducts.map(p => p.price));
-      const lowestPriceProducts = formattedProducts.filter(p => p.price === lowestPrice);
-      
-      // Mark lowest price product
-      if (lowestPriceProducts.length === 1) {
-        lowestPriceProducts[0].isLowestPrice = true;
-      } else if (lowestPriceProducts.length > 1) {
-        // If multiple, use rating as tiebreaker
-        const withRatings = lowestPriceProducts.filter(p => p.rating);
-        if (withRatings.length > 0) {
-          const highestRated = withRatings.reduce((prev, current) => 
-            (prev.rating || 0) > (current.rating || 0) ? prev : current
-          );
-          highestRated.isLowestPrice = true;
-        } else {
-          // If no ratings, just mark the first one
-          lowestPriceProducts[0].isLowestPrice = true;
-        }
-      }
-      
-      // Find best deal (balancing price and rating)
-      const withRatings = formattedProducts.filter(p => p.rating !== undefined);
-      if (withRatings.length > 0) {
-        const highestPrice = Math.max(...formattedProducts.map(p => p.price));
-        const priceDiff = highestPrice - lowestPrice;
-        
-        // Calculate a score for each product (70% price, 30% rating)
-        const productsWithScores = withRatings.map(p => {
-          const priceScore = priceDiff > 0 ? ((highestPrice - p.price) / priceDiff) * 0.7 : 0.5;
-          const ratingScore = ((p.rating || 0) / 5) * 0.3;
-          return { ...p, score: priceScore + ratingScore };
-        });
-        
-        // Find product with highest score
-        const bestDeal = productsWithScores.reduce((prev, current) => 
-          (prev.score || 0) > (current.score || 0) ? prev : current
-        );
-        
-        // Mark the best deal
-        const bestProductIndex = formattedProducts.findIndex(p => p.id === bestDeal.id);
-        if (bestProductIndex !== -1) {
-          formattedProducts[bestProductIndex].isBestDeal = true;
-        }
-      } else {
-        // If no ratings, use lowest price as best deal
-        const lowestPriceProductIndex = formattedProducts.findIndex(p => p.isLowestPrice);
-        if (lowestPriceProductIndex !== -1) {
-          formattedProducts[lowestPriceProductIndex].isBestDeal = true;
+  // Helper function to flatten matched product groups into cards
+  // Offers for the same item stay adjacent; lowest price and best deal are decided per group
+  const formatProducts = (groups: ProductGroup[] | undefined): ProductData[] => {
+    if (!Array.isArray(groups) || groups.length === 0) return [];
+
+    const formattedProducts: ProductData[] = [];
+    let bestDeal: { product: ProductData; score: number } | null = null;
+
+    for (const group of groups) {
+      const offers = group.offers.map(offer => toProductData(offer, group));
+
+      // A lowest price only means something when the same item was found on several retailers
+      if (group.retailerCount > 1 && offers.length > 0) {
+        const cheapest = offers[0];
+        cheapest.isLowestPrice = true;
+
+        // Best deal balances how much the group's spread saves (70%) against rating (30%)
+        const savingsScore = group.highestPrice > 0 ? group.savings / group.highestPrice : 0;
+        const ratingScore = (group.offers[0].rating || 0) / 5;
+        const score = savingsScore * 0.7 + ratingScore * 0.3;
+        if (!bestDeal || score > bestDeal.score) {
+          bestDeal = { product: cheapest, score };
         }
       }
+
+      formattedProducts.push(...offers);
     }
-    
+
+    if (bestDeal) {
+      bestDeal.product.isBestDeal = true;
+    }
+
     return formattedProducts;
   };
 
@@ -342,21 +277,36 @@ const Index = () => {
   };
 
   // Search mutation with React Query
+  // Results stream in per retailer and are shown as they arrive; the final event replaces
+  // them with the fully ranked and grouped set
   const searchMutation = useMutation({
-    mutationFn: async (query: string) => {
+    mutationFn: (query: string) => {
       setLastQuery(query);
       localStorage.setItem('lastSearchQuery', query);
       
-      try {
-        const response = await api.post<ApiResponse>('/api/price-comparison/search', { query });
-        console.log('RAW API RESPONSE:', response.data);
-        return response.data;
-      } catch (error: any) {
-        console.error('Search error:', error);
-        throw new Error(error?.response?.data?.message || error?.message || 'Unknown error occurred');
-      }
+      return new Promise<SearchResults>((resolve, reject) => {
+        closeSearchStreamRef.current = searchStreamApi.search(query, { dropLowRelevance: true }, {
+          onStatus: (event) => {
+            setRetailerProgress(prev => ({ ...prev, [event.retailer]: event }));
+          },
+          onProducts: (event) => {
+            setRetailerProgress(prev => ({ ...prev, [event.retailer]: { retailer: event.retailer, status: 'done', strategy: event.strategy } }));
+            streamedProductsRef.current = [...streamedProductsRef.current, ...event.products]
+              .sort((a, b) => (b.relevanceScore ?? 0) - (a.relevanceScore ?? 0));
+            setProducts(streamedProductsRef.current.map(product => toProductData(product)));
+          },
+          onDone: resolve,
+          onError: (error) => {
+            console.error('Search error:', error);
+            reject(error);
+          }
+        });
+      });
     },
     onMutate: () => {
+      closeSearchStreamRef.current?.();
+      streamedProductsRef.current = [];
+      setRetailerProgress({});
       setIsLoading(true);
       setShowIntro(false);
       setProducts([]);
@@ -365,16 +315,14 @@ const Index = () => {
     },
     onSuccess: (data) => {
       if (data.success) {
-        // Determine where the products array is located in the response
-        const rawProducts = data.data || data.results || data.products || [];
-        
-        if (rawProducts.length === 0) {
+        if (!data.groups || data.groups.length === 0) {
+          setProducts([]);
           toast.error("No products found matching your search");
           return;
         }
         
         // Format the products using our helper function
-        const formattedProducts = formatProducts(rawProducts);
+        const formattedProducts = formatProducts(data.groups);
         
         // Save results and metadata to both localStorage and sessionStorage
         try {
@@ -402,12 +350,14 @@ const Index = () => {
         
         toast.success(`Found ${formattedProducts.length} products for "${lastQuery}"`);
       } else {
+        setProducts([]);
         setError(data.message || 'Failed to search for products');
         toast.error(data.message || 'Failed to search for products');
       }
     },
     onError: (error) => {
       console.error('Error searching for products:', error);
+      setProducts([]);
       setError(error.message || 'Error connecting to the search service. Please try again.');
       toast.error('Error connecting to the search service');
     },
@@ -456,16 +406,13 @@ const Index = () => {
     },
     onSuccess: (data) => {
       if (data.success) {
-        // Get products from the correct field in the response
-        const rawProducts = data.products || data.data || data.results || [];
-        
-        if (rawProducts.length === 0) {
+        if (!data.groups || data.groups.length === 0) {
           toast.error("No products found matching your image");
           return;
         }
         
         // Format the products using our helper function
-        const formattedProducts = formatProducts(rawProducts);
+        const formattedProducts = formatProducts(data.groups);
         
         // Save to both localStorage and sessionStorage
         try {
@@ -772,7 +719,7 @@ const Index = () => {
           </div>
         </section>
 
-        {isLoading || isRestoring ? (
+        {(isLoading && products.length === 0) || isRestoring ? (
           <LoadingAnimation />
         ) : (
           <>
@@ -943,7 +890,7 @@ console.log(\`Lowest price: \${result.lowestPrice.seller} - \${result.lowestPric
                       Restoring your previous search results...
                     </p>
                   </div>
-                ) : isLoading ? (
+                ) : isLoading && products.length === 0 ? (
                   <div className="flex flex-col items-center justify-center py-10">
                     <LoadingAnimation />
                     <p className="text-cyan-400 mt-4">Searching across multiple retailers...</p>
@@ -972,6 +919,31 @@ console.log(\`Lowest price: \${result.lowestPrice.seller} - \${result.lowestPric
                     <h2 className="text-2xl font-bold mb-4 text-cyan-100">
                       {products.length} Results for "{lastQuery}"
                     </h2>
+
+                    {isLoading && (
+                      <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+                        <span className="text-cyan-400 animate-pulse">Still searching...</span>
+                        {Object.values(retailerProgress).map(progress => (
+                          <span
+                            key={progress.retailer}
+                            className={cn(
+                              "px-2 py-1 rounded border",
+                              progress.status === 'done' && "border-green-500/50 text-green-300",
+                              (progress.status === 'trying' || progress.status === 'strategy_failed') && "border-cyan-500/50 text-cyan-300",
+                              (progress.status === 'failed' || progress.status === 'cooldown') && "border-red-500/50 text-red-300"
+                            )}
+                          >
+                            {progress.retailer}: {progress.status === 'done'
+                              ? 'done'
+                              : progress.status === 'cooldown'
+                                ? 'cooling down'
+                                : progress.status === 'failed'
+                                  ? 'no results'
+                                  : `trying ${progress.strategy}`}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     
                     <AnimatedGrid 
                       products={products}
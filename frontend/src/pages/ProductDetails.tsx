@@ -6,6 +6,7 @@ import { Card } from '@/components/ui/card';
 import LoadingAnimation from '@/components/LoadingAnimation';
 import { ArrowLeft, ExternalLink, Heart, ChevronDown, ChevronUp, ShoppingCart, AlertCircle } from 'lucide-react';
 import CyberButton from '@/components/CyberButton';
+import PriceHistoryChart from '@/components/product/PriceHistoryChart';
 import { toast } from 'sonner';
 
 interface ProductSpec {
@@ -15,6 +16,7 @@ interface ProductSpec {
 
 export interface ProductDetail {
   id: string;
+  historyKey?: string;
   name: string;
   title?: string;
   price: string;
@@ -32,6 +34,13 @@ export interface ProductDetail {
   features?: string[];
   specifications?: ProductSpec[] | Record<string, string>;
   description?: string;
+  // Filled in from the scraped product page (POST /api/price-comparison/details)
+  images?: string[];
+  seller?: string;
+  delivery?: string;
+  offers?: { type: string; description: string }[];
+  ratingCount?: number;
+  ratingDistribution?: Record<string, number>;
 }
 
 const ProductDetails: React.FC = () => {
@@ -46,6 +55,7 @@ const ProductDetails: React.FC = () => {
   const [relatedProducts, setRelatedProducts] = useState<ProductDetail[]>([]);
   const [showFullDescription, setShowFullDescription] = useState(false);
   const [showAllSpecs, setShowAllSpecs] = useState(false);
+  const [selectedImage, setSelectedImage] = useState<string | null>(null);
 
   useEffect(() => {
     if (!productFromRoute) {
@@ -70,7 +80,7 @@ const ProductDetails: React.FC = () => {
               });
 
               if (response.data.success) {
-                setProduct(response.data.data);
+                setProduct({ ...foundProduct, ...response.data.data });
 
                 try {
                   const relatedResponse = await axios.post('/api/price-comparison/search', {
@@ -110,6 +120,15 @@ const ProductDetails: React.FC = () => {
 
       fetchProductDetails();
     } else {
+      // Enrich the search card with the full product page
+      axios.post('/api/price-comparison/details', { product: productFromRoute })
+        .then((response) => {
+          if (response.data.success) {
+            setProduct({ ...productFromRoute, ...response.data.data });
+          }
+        })
+        .catch((err) => console.error('Error fetching detailed product info:', err));
+
       const fetchRelatedProducts = async () => {
         try {
           const relatedResponse = await axios.post('/api/price-comparison/search', {
@@ -255,12 +274,27 @@ const ProductDetails: React.FC = () => {
         </CyberButton>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-          <div className="flex justify-center items-center">
+          <div className="flex flex-col justify-center items-center">
             <img
-              src={product.imageUrl || product.image}
+              src={selectedImage || product.imageUrl || product.image}
               alt={product.name}
               className="max-h-[400px] object-contain rounded-lg border border-cyan-500/30 bg-black/40 p-4"
             />
+            {product.images && product.images.length > 1 && (
+              <div className="flex flex-wrap justify-center gap-2 mt-4">
+                {product.images.map((image) => (
+                  <img
+                    key={image}
+                    src={image}
+                    alt={product.name}
+                    onClick={() => setSelectedImage(image)}
+                    className={`h-16 w-16 object-contain rounded border bg-black/40 p-1 cursor-pointer ${
+                      (selectedImage || product.imageUrl) === image ? 'border-cyan-400' : 'border-cyan-500/20'
+                    }`}
+                  />
+                ))}
+              </div>
+            )}
           </div>
 
           <div className="space-y-4">
@@ -290,13 +324,51 @@ const ProductDetails: React.FC = () => {
                     />
                   ) : null}
                   <span className="font-medium text-white">{product.vendor || product.retailer}</span>
+                  {product.seller && product.seller !== (product.vendor || product.retailer) && (
+                    <span className="ml-2 text-sm text-gray-400">({product.seller})</span>
+                  )}
                 </span>
               </div>
 
+              {product.delivery && <p className="text-sm text-gray-300">{product.delivery}</p>}
+
               {product.rating && product.rating !== 'N/A' && (
                 <div className="flex items-center">
                   <span className="text-yellow-400">★</span>
                   <span className="ml-1 text-white">{product.rating}</span>
+                  {product.ratingCount && (
+                    <span className="ml-2 text-sm text-gray-400">({product.ratingCount.toLocaleString('en-IN')} ratings)</span>
+                  )}
+                </div>
+              )}
+
+              {product.ratingDistribution && (
+                <div className="space-y-1 max-w-xs">
+                  {['5', '4', '3', '2', '1'].map((stars) => (
+                    <div key={stars} className="flex items-center text-xs text-gray-300">
+                      <span className="w-6">{stars}★</span>
+                      <div className="flex-1 h-2 mx-2 rounded bg-gray-700">
+                        <div
+                          className="h-2 rounded bg-yellow-400"
+                          style={{ width: `${product.ratingDistribution?.[stars] || 0}%` }}
+                        />
+                      </div>
+                      <span className="w-8 text-right">{product.ratingDistribution?.[stars] || 0}%</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {product.offers && product.offers.length > 0 && (
+                <div className="space-y-1">
+                  <span className="text-gray-300">Offers:</span>
+                  <ul className="text-sm text-gray-200 space-y-1">
+                    {product.offers.map((offer, index) => (
+                      <li key={index}>
+                        <span className="font-medium text-green-300">{offer.type}:</span> {offer.description}
+                      </li>
+                    ))}
+                  </ul>
                 </div>
               )}
 
@@ -348,6 +420,8 @@ const ProductDetails: React.FC = () => {
             </Card>
           )}
 
+        {product.historyKey && <PriceHistoryChart historyKey={product.historyKey} />}
+
         {relatedProducts.length > 0 && (
           <div className="mt-12">
             <h2 className="text-xl font-bold text-cyan-200 mb-4">Related Products</h2>